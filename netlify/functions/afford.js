@@ -0,0 +1,389 @@
+// netlify/functions/afford.js
+// ============================================================
+// PCSUnited • Maximum affordable price solver v1.0.0
+// PURPOSE:
+// - The reverse of mortgage.js: given REAL pay (lib/pay-engine.js), debts, credit,
+//   down payment, loan type and the city's tax / insurance / HOA rates,
+//   solve for the HIGHEST home price that still qualifies
+// - "Qualifies" = lib/qualify.js for the chosen loan program:
+//     conventional / FHA: front + back DTI (guideline, or caller's targetDti)
+//     VA: back DTI 41% + VA residual income (residual >= 120% may exceed 41%)
+// - Payment at each price comes from mortgage.js (same PMI / MIP / VA fee math)
+//
+// ENDPOINT:
+//   POST /.netlify/functions/afford
+//   POST /api/afford   (via netlify.toml redirect)
+//
+// INPUT (POST JSON) examples:
+// {
+//   "rank": "E-6", "yos": 9, "zip": "78236", "family": true,
+//   "profile": null,                 // optional: full profile object instead of the fields above
+//   "asOf": null, "year": null,      // optional dated pay schedule
+//
+//   "debtsMonthly": 450,             // optional (default: profile monthly_debts / monthly_expenses)
+//   "creditScore": 720, "loanType": "va", "termYears": 30, "apr": null,
+//   "dpPct": 0,                      // percent down, OR
+//   "downPayment": null,             // fixed dollars down
+//
+//   "cityKey": "SanAntonio",         // optional: tax/insurance/HOA from the city JSON (OR "base")
+//   "state": null,                   // property state for the VA residual region (default: city.state, else city.closing_costs.state)
+//   "taxRate": null, "insRate": null, "hoa": null, "pmiRate": null,   // percents; override city
+//
+//   "targetDti": null,               // optional back-end DTI % (replaces program guideline)
+//   "targetFrontDti": null,          // optional front-end DTI %
+//   "allowStretch": false,           // conventional/FHA: accept max_back_dti with compensating factors
+//   "checkPrice": null               // optional: also answer "does THIS price fit?"
+// }
+//
+// OUTPUT:
+// {
+//   ok: true,
+//   maxPrice, loanType, limits: { frontDti, backDti, residual },
+//   binding: ["back_dti" | "front_dti" | "va_residual"],
+//   payment: { totalMonthly, breakdown }, loanAmount, downPayment, apr,
+//   qualification: { ...lib/qualify.js program block at maxPrice },
+//   check: { price, fits, status, totalMonthly } | null,
+//   income: { grossMonthly, netMonthly }, bluf,
+//   assumptions, sources, meta: { iterations, warnings }
+// }
+// ============================================================
+
+"use strict";
+
+const { loadCity } = require("./lib/cities.js");
+const { loadPayTables, payTablesForSchedule } = require("./lib/pay-tables.js");
+const { computePay, VA_DEPENDENT_FIELDS, RESERVE_FIELDS, DUAL_MILITARY_FIELDS } = require("./lib/pay-engine.js");
+const { RETIREMENT_FIELDS } = require("./lib/retirement.js");
+const { estimateTakeHome } = require("./lib/tax.js");
+const { evaluateQualification } = require("./lib/qualify.js");
+const { corsHeaders, j, num, firstNum, round2, money0, normalizeLoanType, callMortgageEngine } = require("./lib/endpoint.js");
+
+// ============================================================
+// //#1 — Solver defaults
+// ============================================================
+const SOLVER = {
+  STEP: 1000,           // answer precision ($)
+  START: 100000,        // first upper bound tried
+  MAX_PRICE: 3000000,   // never search past this
+  DEFAULT_TAX_PCT: 1.2,
+  DEFAULT_INS_PCT: 0.5
+};
+
+// ============================================================
+// //#2 — Solver (shared with brain.js)
+// ============================================================
+// paymentAt(price) -> { totalMonthly, loanAmount, downPayment, apr, breakdown }
+// Binary search on price; returns the highest multiple of `step` that fits.
+async function solveMaxPrice({
+  pay,
+  takeHome,
+  profile,
+  state,
+  loanType,
+  debtsMonthly,
+  targetDti,
+  targetFrontDti,
+  allowStretch = false,
+  maxPrice = SOLVER.MAX_PRICE,
+  step = SOLVER.STEP,
+  checkPrice,
+  paymentAt
+}){
+  const program = normalizeLoanType(loanType);
+  const limits = {};
+  if (Number.isFinite(num(targetDti))) limits.backDti = num(targetDti);
+  if (Number.isFinite(num(targetFrontDti))) limits.frontDti = num(targetFrontDti);
+
+  let iterations = 0;
+  const evalAt = async (price) => {
+    iterations++;
+    const pm = await paymentAt(price);
+    const q = evaluateQualification({
+      pay,
+      takeHome,
+      profile,
+      housingMonthly: pm.totalMonthly,
+      loanAmount: pm.loanAmount,
+      debtsMonthly,
+      state,
+      limits
+    });
+    const p = q.programs[program];
+    // VA "stretch" counts only when the residual test actually ran and passed (>= 120%);
+    // conventional/FHA stretch only when asked
+    const vaStretchOk = program === "va" && p.residual?.pass === true;
+    const fits = p.status === "pass" || (p.status === "stretch" && (vaStretchOk || (program !== "va" && allowStretch)));
+    return { price, pm, q, p, fits };
+  };
+
+  const warnings = [];
+  const low = await evalAt(step);
+  if (low.q.warnings.includes("income_missing")){
+    return { ok: false, error: "No pay to qualify with (rank/YOS/ZIP or veteran income missing).", warnings: low.q.warnings };
+  }
+  if (program === "va" && low.q.warnings.includes("va_region_unknown")){
+    return { ok: false, error: "VA residual income needs the property's state (state, cityKey or base).", warnings: low.q.warnings };
+  }
+
+  let lo = low.fits ? low : null;
+  let hiPrice = null;
+
+  if (lo){
+    // Grow the bracket until a price fails (or the cap)
+    let probe = Math.max(SOLVER.START, step * 2);
+    while (probe <= maxPrice){
+      const r = await evalAt(probe);
+      if (!r.fits){
+        hiPrice = probe;
+        break;
+      }
+      lo = r;
+      probe *= 2;
+    }
+    if (hiPrice == null){
+      const r = await evalAt(maxPrice);
+      if (r.fits){
+        lo = r;
+        warnings.push("max_price_cap_reached");
+      } else {
+        hiPrice = maxPrice;
+      }
+    }
+
+    while (hiPrice != null && hiPrice - lo.price > step){
+      const mid = Math.floor((lo.price + hiPrice) / 2 / step) * step;
+      if (mid <= lo.price) break;
+      const r = await evalAt(mid);
+      if (r.fits) lo = r;
+      else hiPrice = mid;
+    }
+  } else {
+    warnings.push("no_price_qualifies");
+  }
+
+  // What stops the next step up
+  const binding = [];
+  if (hiPrice != null){
+    const over = await evalAt(lo ? lo.price + step : step);
+    const p = over.p;
+    if (p.margin.frontMonthly != null && p.margin.frontMonthly < 0) binding.push("front_dti");
+    if (p.margin.backMonthly < 0 && !(program === "va" && p.status === "stretch" && p.residual?.pass === true)) binding.push("back_dti");
+    if (program === "va" && p.residual && !p.residual.pass) binding.push("va_residual");
+  }
+
+  let check = null;
+  if (Number.isFinite(num(checkPrice)) && num(checkPrice) > 0){
+    const c = await evalAt(num(checkPrice));
+    check = {
+      price: round2(c.price),
+      fits: c.fits,
+      status: c.p.status,
+      totalMonthly: round2(c.pm.totalMonthly),
+      gap: round2(c.price - (lo ? lo.price : 0))
+    };
+  }
+
+  const best = lo || low;
+  return {
+    ok: true,
+    maxPrice: lo ? lo.price : 0,
+    loanType: program,
+    limits: {
+      frontDti: best.p.limits.frontDti,
+      backDti: best.p.limits.backDti,
+      maxBackDti: best.p.limits.maxBackDti,
+      residual: program === "va",
+      allowStretch: !!allowStretch
+    },
+    binding,
+    payment: { totalMonthly: round2(best.pm.totalMonthly), breakdown: best.pm.breakdown || null },
+    loanAmount: round2(best.pm.loanAmount || 0),
+    downPayment: round2(best.pm.downPayment || 0),
+    apr: best.pm.apr ?? null,
+    qualification: lo ? { ...lo.p, debtsMonthly: lo.q.debtsMonthly, debtsSource: lo.q.debtsSource } : null,
+    check,
+    warnings: [...warnings, ...best.q.warnings],
+    iterations
+  };
+}
+
+function blufFor(out){
+  if (!out.ok) return out.error || "Not enough information to solve.";
+  if (!out.maxPrice){
+    return "At today's debts, no home price fits this loan program's limits. Paying down monthly debts is the fastest lever.";
+  }
+  const label = { front_dti: "front-end DTI", back_dti: "back-end DTI", va_residual: "VA residual income" };
+  const limitText = out.binding.length ? ` (limited by ${out.binding.map((b) => label[b] || b).join(" + ")})` : "";
+  let s =
+    `Max price about ${money0(out.maxPrice)} with ${out.loanType.toUpperCase()} financing: ` +
+    `${money0(out.payment.totalMonthly)}/mo all-in${limitText}.`;
+  if (out.check){
+    s += out.check.fits
+      ? ` ${money0(out.check.price)} fits (${money0(out.check.totalMonthly)}/mo).`
+      : ` ${money0(out.check.price)} does not fit; it is ${money0(out.check.gap)} over the max.`;
+  }
+  return s;
+}
+
+// ============================================================
+// //#3 — Standalone compute (pay + city rates + mortgage.js)
+// ============================================================
+const PROFILE_FIELDS = ["rank", "rank_paygrade", "yos", "zip", "base", "family", "mode", "va_disability", "crsc", "crsc_rating", "concurrent_receipt", ...DUAL_MILITARY_FIELDS, ...RESERVE_FIELDS, ...VA_DEPENDENT_FIELDS, ...RETIREMENT_FIELDS];
+
+async function computeAffordability(body){
+  const b = body || {};
+  const warnings = [];
+  const sources = {};
+
+  // Pay (same engine as brain.js)
+  const profile = b.profile && typeof b.profile === "object" ? { ...b.profile } : {};
+  for (const k of PROFILE_FIELDS){
+    if (b[k] !== undefined && b[k] !== null && String(b[k]).trim() !== "") profile[k] = b[k];
+  }
+  // Load (and validate) first so a data gap stays a 500; a bad asOf/year is the caller's 400
+  const payTablesAll = loadPayTables();
+  let payTables = null;
+  try {
+    payTables = payTablesForSchedule(payTablesAll, { asOf: b.asOf, year: b.year });
+  } catch (e){
+    return { ok:false, error: String(e?.message || e) };
+  }
+  const computed = computePay(profile, payTables);
+  if (computed.pay?.payModel !== "veteran" && computed.missing.some((m) => m === "rank_paygrade" || m.startsWith("basepay"))){
+    return { ok:false, error:"Rank and years of service are needed to compute pay.", missing: computed.missing };
+  }
+  const takeHome = estimateTakeHome(computed.pay, profile);
+
+  // City rates (optional)
+  let city = null;
+  const cityKey = b.cityKey || b.city || null;
+  if (cityKey || b.base){
+    try {
+      city = loadCity(cityKey || "SanAntonio", { base: b.base || profile.base || "" });
+      if (!city) warnings.push("city_file_missing: no market data for this city/base; using default tax/insurance rates.");
+    } catch (e){
+      warnings.push(`city_not_loaded: ${String(e?.message || e)}`);
+    }
+  }
+
+  const taxRatePct = firstNum(b.taxRate, city?.tax_rate, city?.property_tax_rate, city?.raw?.property_tax_rate, SOLVER.DEFAULT_TAX_PCT);
+  sources.taxRate = Number.isFinite(num(b.taxRate)) ? "body.taxRate" : city && Number.isFinite(firstNum(city?.tax_rate, city?.property_tax_rate, city?.raw?.property_tax_rate)) ? "city.tax_rate" : "default:1.20";
+
+  const insRatePct = firstNum(b.insRate, city?.insurance_rate, city?.raw?.insurance_rate, SOLVER.DEFAULT_INS_PCT);
+  sources.insRate = Number.isFinite(num(b.insRate)) ? "body.insRate" : city && Number.isFinite(firstNum(city?.insurance_rate, city?.raw?.insurance_rate)) ? "city.insurance_rate" : "default:0.50";
+
+  const hoa = firstNum(b.hoa, city?.hoa_monthly, city?.raw?.hoa_monthly, 0);
+  sources.hoa = Number.isFinite(num(b.hoa)) ? "body.hoa" : city && Number.isFinite(firstNum(city?.hoa_monthly, city?.raw?.hoa_monthly)) ? "city.hoa_monthly" : "default:0";
+
+  const loanType = normalizeLoanType(b.loanType ?? profile.loanType ?? profile.loan_type);
+  const termYears = firstNum(b.termYears, 30);
+  const creditScore = firstNum(b.creditScore, profile.credit_score, profile.creditScore);
+  const downPayment = num(b.downPayment);
+  const dpPct = firstNum(b.dpPct, loanType === "va" ? 0 : loanType === "fha" ? 3.5 : 5);
+  const aprOverride = num(b.apr);
+  const pmiRate = num(b.pmiRate);
+
+  const vaDisabilityRating = num(profile.va_disability ?? profile.vaDisability);
+
+  const paymentAt = async (price) => {
+    const down = Number.isFinite(downPayment) ? Math.min(downPayment, price) : dpPct;
+    const engine = await callMortgageEngine({
+      price,
+      down,
+      creditScore: Number.isFinite(creditScore) ? creditScore : undefined,
+      termYears,
+      taxRate: taxRatePct / 100,
+      insuranceAnnual: price * (insRatePct / 100),
+      hoaMonthly: hoa,
+      loanType,
+      aprOverride: Number.isFinite(aprOverride) ? aprOverride : undefined,
+      pmiRate: Number.isFinite(pmiRate) ? pmiRate / 100 : undefined,
+      vaDisabilityRating: Number.isFinite(vaDisabilityRating) ? vaDisabilityRating : undefined,
+      vaFirstUse: b.vaFirstUse,
+      vaFinanceFee: b.vaFinanceFee,
+      fhaFinanceUfmip: b.fhaFinanceUfmip
+    });
+    return {
+      totalMonthly: Number(engine?.breakdown?.allIn || 0) || 0,
+      loanAmount: Number(engine?.loanAmount || 0) || 0,
+      downPayment: Number(engine?.downPayment || 0) || 0,
+      apr: Number(engine?.apr || 0) || null,
+      breakdown: engine?.breakdown || null
+    };
+  };
+
+  // city.state is optional in the schema; every file carries closing_costs.state
+  const cityState = city?.state || city?.closing_costs?.state || "";
+  const propertyState = String(b.state || cityState).trim().toUpperCase() || null;
+  sources.state = b.state ? "body.state" : city?.state ? "city.state" : cityState ? "city.closing_costs.state" : "none";
+
+  const out = await solveMaxPrice({
+    pay: computed.pay,
+    takeHome,
+    profile,
+    state: propertyState,
+    loanType,
+    debtsMonthly: b.debtsMonthly,
+    targetDti: b.targetDti,
+    targetFrontDti: b.targetFrontDti,
+    allowStretch: b.allowStretch === true,
+    checkPrice: b.checkPrice,
+    paymentAt
+  });
+
+  return {
+    ...out,
+    version: "1.0.0",
+    income: {
+      grossMonthly: round2(Number(computed.pay?.totalPay || 0) || 0),
+      netMonthly: takeHome.ok ? takeHome.netMonthly : null
+    },
+    bluf: blufFor(out),
+    assumptions: {
+      loanType,
+      termYears,
+      creditScore: Number.isFinite(creditScore) ? creditScore : null,
+      dpPct: Number.isFinite(downPayment) ? null : dpPct,
+      downPaymentFixed: Number.isFinite(downPayment) ? downPayment : null,
+      taxRatePct,
+      insRatePct,
+      hoa
+    },
+    city: city ? { key: city?.canonical_city_key || cityKey || null, fileUsed: city?.cityFileUsed || null } : null,
+    sources,
+    missing: computed.missing,
+    meta: { iterations: out.iterations ?? 0, warnings: [...warnings, ...(out.warnings || [])] }
+  };
+}
+
+// ============================================================
+// //#4 — Netlify handler
+// ============================================================
+exports.handler = async function handler(event) {
+  try{
+    if (event.httpMethod === "OPTIONS"){
+      return { statusCode: 204, headers: corsHeaders, body: "" };
+    }
+
+    if (event.httpMethod !== "POST"){
+      return j(405, { ok:false, error:"Method not allowed. Use POST." });
+    }
+
+    let body = {};
+    try {
+      body = event.body ? JSON.parse(event.body) : {};
+    } catch (e){
+      return j(400, { ok:false, error:"Invalid JSON body." });
+    }
+
+    const out = await computeAffordability(body);
+    return j(out.ok ? 200 : 400, out);
+
+  } catch (e){
+    return j(500, { ok:false, error:"Server error", detail: String(e?.message || e) });
+  }
+};
+
+exports.solveMaxPrice = solveMaxPrice;
+exports.computeAffordability = computeAffordability;
+exports.affordabilityBluf = blufFor;
@@ -1,4 +1,7 @@
-// A.I.O.U → Executive Buyer Memo (5 paragraphs) — CORS-hardened (v1.2)
+// A.I.O.U → Executive Buyer Memo (5 paragraphs) — CORS-hardened (v1.3)
+// UPDATE (v1.3):
+// - ✅ Housing lane from REAL pay (lib/pay-engine.js) + lender DTI caps (lib/qualify.js)
+//   when the email has a profile with rank/YOS; budgetMax/60 is only the fallback.
 // UPDATE (v1.2):
 // - ✅ Writes to Supabase public.profiles (upsert by email)
 // - Accepts optional house/conditionPreference signals and tailors the playbook paragraph.
@@ -6,6 +9,13 @@
 
 import { createClient } from "@supabase/supabase-js";
 
+// Shared CJS libs (same pay + qualification math as brain.js)
+import payEngine from "./lib/pay-engine.js";
+import qualifyLib from "./lib/qualify.js";
+
+const { computePay } = payEngine;
+const { maxHousingByProgram, debtsFromProfile } = qualifyLib;
+
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -125,6 +135,45 @@ async function upsertProfile({ email, firstName, lastName }) {
   return { ok: true };
 }
 
+/* ---------------- real income (profile -> pay -> lender caps) ---------------- */
+async function fetchProfileRow(email) {
+  if (!email || !SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) return null;
+  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+  const { data, error } = await supabase
+    .from("profiles")
+    .select("*")
+    .eq("email", email)
+    .maybeSingle();
+  if (error) return null;
+  return data || null;
+}
+
+// Returns { incomeMonthly, lane, source, debtsMonthly, caps } or null when pay can't be computed
+async function realIncomeFor(email, briefProfile) {
+  const row = await fetchProfileRow(email);
+  const pick = ["rank", "rank_paygrade", "yos", "zip", "base", "family", "mode", "va_disability", "monthly_debts", "monthly_expenses"];
+  const merged = { ...(row || {}) };
+  for (const k of pick) {
+    if (briefProfile?.[k] != null && String(briefProfile[k]).trim() !== "") merged[k] = briefProfile[k];
+  }
+
+  const computed = computePay(merged);
+  const incomeMonthly = Number(computed?.pay?.totalPay || 0) || 0;
+  if (!computed?.ok || incomeMonthly <= 0) return null;
+
+  const debts = debtsFromProfile(merged);
+  const caps = maxHousingByProgram({ pay: computed.pay, debtsMonthly: debts.monthly });
+  const best = Math.max(caps.conventional, caps.fha, caps.va);
+
+  return {
+    incomeMonthly,
+    lane: { laneMin: Math.min(caps.conventional, best), laneMax: best },
+    source: "pay-engine",
+    debtsMonthly: debts.monthly,
+    caps,
+  };
+}
+
 /* ---------------- entry (ESM-safe for PCSUnited) ---------------- */
 export const handler = async (event) => {
   if (event.httpMethod === "OPTIONS") return { statusCode: 200, headers: corsHeaders, body: "" };
@@ -158,17 +207,27 @@ export const handler = async (event) => {
 
   const cond = conditionGuidance(conditionPreference, yearBand);
 
-  // Heuristic monthly income if not provided
-  const assumedIncomeMonthly = Math.max(3500, Math.min(12000, budgetMax / 60));
-  const lane = housingLane(assumedIncomeMonthly);
-
-  // ✅ Email for profile write
+  // ✅ Email for profile write (+ real pay lookup)
   const email = pickEmail(brief);
 
+  // Real pay + lender caps when the profile supports it; heuristic otherwise
+  let real = null;
+  try {
+    real = isEmail(email) ? await realIncomeFor(email, profile) : null;
+  } catch {
+    real = null;
+  }
+  const incomeSource = real ? real.source : "heuristic:budgetMax/60";
+  const assumedIncomeMonthly = real ? real.incomeMonthly : Math.max(3500, Math.min(12000, budgetMax / 60));
+  const lane = real ? real.lane : housingLane(assumedIncomeMonthly);
+  const laneText = real
+    ? `Using your actual military pay (~${toCurrency(assumedIncomeMonthly,0)}/mo) and lender debt-to-income limits, your all-in housing (PITI/HOA/PMI) lane is <strong>${toCurrency(lane.laneMin,0)}–${toCurrency(lane.laneMax,0)}</strong>.`
+    : `Targets: keep housing near <strong>28–33%</strong> of income. With ~${toCurrency(assumedIncomeMonthly,0)}/mo income, aim for <strong>${toCurrency(lane.laneMin,0)}–${toCurrency(lane.laneMax,0)}</strong> all-in (PITI/HOA/PMI).`;
+
   // Local fallback memo (5 blocks) — UPDATED P4 to reflect condition if provided
   const localBlocks = [
     `<strong>${last}</strong>, this memo turns your A.I.O.U profile into a plan. Archetype: <strong>${archetype || "Balanced Explorer"}</strong>. We’ll match homes to how you live and avoid regret buys.`,
-    `Targets: keep housing near <strong>28–33%</strong> of income. With ~${toCurrency(assumedIncomeMonthly,0)}/mo income, aim for <strong>${toCurrency(lane.laneMin,0)}–${toCurrency(lane.laneMax,0)}</strong> all-in (PITI/HOA/PMI). Shop <strong>under</strong> your max price to leave room for inspection and upgrades.`,
+    `${laneText} Shop <strong>under</strong> your max price to leave room for inspection and upgrades.`,
     `Key risks: stretching budget for style, thin reserves, and surprise repair costs. We size payment first, then pick homes that fit your style and hosting needs.`,
     `${cond.playbook} Keep your touring decision rule simple: if it violates safety/location/payment, it’s a no—no matter how pretty it looks.`,
     `Next steps: pre-underwrite in the lane above, preview homes that hit your must-haves, and use seller credits/points to balance cash vs rate. CFPB: https://www.consumerfinance.gov/  • Free credit reports: https://www.annualcreditreport.com/`,
@@ -177,7 +236,7 @@ export const handler = async (event) => {
   const systemPrompt = `
 You are "Elena", an Executive Real Estate Strategist. Write EXACTLY 5 short paragraphs, plain English, no headings.
 P1: Greet with last name + purpose; mention archetype in one sentence.
-P2: Dollar targets: housing lane 28–33% using monthly income estimate; show min–max in USD; advise shopping below max price.
+P2: Dollar targets: use computed.housingLaneMin–housingLaneMax in USD (from actual pay and lender DTI limits when incomeSource is "pay-engine", otherwise a 28–33% estimate); advise shopping below max price.
 P3: 2–3 biggest risks/blind spots tuned to scores.
 P4: Action playbook tailored to conditionPreference:
     - If New Home: builder diligence + inspection for QC + inclusion list.
@@ -204,6 +263,7 @@ ${JSON.stringify({
   psych,
   computed: {
     assumedIncomeMonthly: Math.round(assumedIncomeMonthly),
+    incomeSource,
     housingLaneMin: Math.round(lane.laneMin),
     housingLaneMax: Math.round(lane.laneMax),
     guidance: {
@@ -265,7 +325,9 @@ Write the five paragraphs now.`;
           typicalYearText: cond.yearText
         },
         assumedIncomeMonthly: Math.round(assumedIncomeMonthly),
-        lane: { minMonthly: Math.round(lane.laneMin), maxMonthly: Math.round(lane.laneMax) }
+        incomeSource,
+        lane: { minMonthly: Math.round(lane.laneMin), maxMonthly: Math.round(lane.laneMax) },
+        lenderCaps: real ? real.caps : null
       }
     });
   } catch (e) {
@@ -288,7 +350,9 @@ Write the five paragraphs now.`;
           typicalYearText: cond.yearText
         },
         assumedIncomeMonthly: Math.round(assumedIncomeMonthly),
-        lane: { minMonthly: Math.round(lane.laneMin), maxMonthly: Math.round(lane.laneMax) }
+        incomeSource,
+        lane: { minMonthly: Math.round(lane.laneMin), maxMonthly: Math.round(lane.laneMax) },
+        lenderCaps: real ? real.caps : null
       }
     });
   }
@@ -8,6 +8,18 @@
 // But callers often use canonical city keys like: LasVegas, Tucson, SanAntonio.
 // This keeps canonical cityKey for output/debug, BUT loads the correct FILE key.
 //
+// ✅ INSTALLATIONS:
+// - profile.base resolves through lib/installations.js (every major CONUS AF/SF/Army/
+//   Navy/USMC installation + aliases like Fort Bragg, JBLM, Lejeune) instead of a
+//   hardcoded map; debug.installation reports the match
+// - An installation with no market file (Fort Bragg -> Fayetteville) gets city: null,
+//   debug.cityFileWarning "city_file_missing" and a cityDataUnavailable note — never
+//   another city's data; pass body.price / rentMonthly to run the money blocks anyway
+//
+// ✅ CITY SCHEMA:
+// - cities/*.json are built by scripts/build-cities.js and validated on load (schema v1);
+//   pickMortgagePrice reads by_bedroom[n].home_price.avg, then avg_home_value
+//
 // ✅ MORTGAGE CHANGE (Option 1):
 // - Mortgage MATH is REMOVED from brain.js
 // - brain.js calls mortgage.js (single source of truth) and maps the result
@@ -18,6 +30,102 @@
 // - Only pass aprOverride when user explicitly provides body.apr OR when creditScore is missing.
 // - This allows mortgage.js creditScore tiers to drive APR as intended.
 //
+// ✅ VA FUNDING FEE:
+// - Passes profile va_disability to mortgage.js so rated veterans see the fee waived
+// - vaFirstUse / vaFinanceFee come from body or profile/overrides
+//
+// ✅ FHA MIP:
+// - No flat FHA PMI rate here; mortgage.js applies upfront + annual MIP by LTV/term
+//
+// ✅ PAY TABLES:
+// - Loaded via lib/pay-tables.js (E-1..E-9, W-1..W-5, O-1E..O-3E, O-1..O-10)
+// - Loader validates coverage and throws on gaps instead of silently returning $0
+// - body.asOf (YYYY-MM-DD) or body.year picks the dated pay schedule (2025, 2026, 2027 projected)
+//
+// ✅ BAH:
+// - lib/bah.js maps a ZIP to its MHA and rate (exact ZIP, then approximate ZIP3)
+// - The shipped rate file is a SEED (coverage "seed": 10 base ZIPs, E-5..E-9 / O-1..O-7),
+//   not the DTMO table; other ZIPs/grades report bah_zip_not_found / bah_grade_not_covered
+//   until scripts/import-bah.js loads the DTMO files
+// - pay.bahDetail reports the MHA used, whether the match was approximate and the coverage
+//
+// ✅ PAY ENGINE:
+// - computePay lives in lib/pay-engine.js (shared with pay-tables.js + Elena pay skill)
+// - YOS picks the nearest LOWER pay-table step
+//
+// ✅ SPECIAL & INCENTIVE PAYS:
+// - OHA, COLA, ACIP, SDAP, HDIP, jump pay, FSA, clothing from profile/overrides
+// - pay.specialPays lists each component with taxable + lenderQualifying flags
+// - OHA replaces BAH overseas
+//
+// ✅ DUAL-MILITARY HOUSEHOLD:
+// - A second member (overrides.spouse_member = { rank, yos, zip|base } or spouse_rank /
+//   spouse_yos / ...) combines both members' pay; BAH follows the dual-military rules
+//   (no children: both without-dependents; children: one with-dependents)
+// - pay / takeHome / qualification are household totals; household.members has each block
+//
+// ✅ GUARD / RESERVE:
+// - mode "guard" | "reserve" (or a Guard/Reserve status/component) -> payModel "reserve"
+//   instead of active duty: drill pay (UTAs at 1/30 of basic pay), annual training with
+//   BAH-RC/T, plus civilian_income; AGR stays active duty
+//
+// ✅ RETIRED PAY (veteran mode):
+// - lib/retirement.js: DIEMS + retirement date + promotions -> real High-36 (or Final
+//   Pay), Final Pay / High-3 / REDUX-CSB / BRS multiplier, COLA history + projection
+// - SBP premium comes off the top (pre-tax); pay.retirement carries the detail
+//
+// ✅ VA COMPENSATION (veteran mode):
+// - Every rating 10..100 with explicit dependents: spouse, children under 18, children
+//   18-23 in school, dependent parents, spouse Aid & Attendance, SMC-K awards
+// - pay.vaDisability lists each component; family size is only the fallback
+//
+// ✅ CONCURRENT RECEIPT (veteran mode):
+// - Retired pay is offset by VA compensation (VA waiver) unless CRDP (50%+) or CRSC
+//   (crsc_rating / crsc) restores it; pay.totalPay is the net combined income
+// - pay.concurrentReceipt.explanation says which rule applied
+//
+// ✅ TAKE-HOME PAY:
+// - takeHome block from lib/tax.js: net monthly, federal/FICA/state detail and the
+//   tax advantage of BAH/BAS/OHA (untaxed allowances)
+// - body.incomeBasis = "gross" (default) | "net" picks income.monthly for verdicts
+//
+// ✅ QUALIFICATION:
+// - qualification block from lib/qualify.js: front/back DTI from real pay + debts
+//   (monthly_debts, else monthly_expenses) and VA residual income, per loan program
+// - VA residual region = the property's state: body.propertyState, else city.state,
+//   else city.closing_costs.state
+//
+// ✅ AFFORDABILITY (optional):
+// - body.includeAffordability (or body.affordability = { targetDti, targetFrontDti,
+//   allowStretch, checkPrice }) adds an affordability block: max price that still
+//   qualifies, solved with the same mortgage assumptions (afford.js solveMaxPrice)
+//
+// ✅ BAH GAP (optional):
+// - body.includeBahGap (or body.bahGap: true) adds a bahGap block from lib/bah-gap.js:
+//   for each by_bedroom tier, BAH minus rent + utilities and BAH minus full PITI +
+//   utilities (same loan as mortgage), plus a recommended bedroom count for the household
+// - Off by default: every tier is one more mortgage.js run (up to 4 per request)
+//
+// ✅ APPRECIATION:
+// - appreciation block from lib/price-trend.js: appreciation fitted from the city's
+//   sale_history_36_months, low/base/high value scenarios over body.tourYears (default 3)
+//   and equity at PCS-out from the mortgage block's loan balance
+//
+// ✅ LOAN PRODUCTS:
+// - body.product ("5/1" | "7/1" | "5/5" ARMs, default fixed), body.arm (index / margin /
+//   caps) and body.buydown ("2-1" | "3-2-1") pass through to mortgage.js;
+//   mortgage.arm / mortgage.buydown carry the yearly and worst-case payments
+//
+// ✅ CASH TO CLOSE:
+// - mortgage.js prices closing costs, prepaids, initial escrow, funding fees due at closing
+//   and capped seller concessions using the city's state defaults (city.closing_costs,
+//   body.closing overrides); cashToClose compares the total with body.cashAvailable, else
+//   the member's downpayment (latest financial_intakes row, else profile.downpayment)
+//
+// ✅ RENTAL AFTER PCS (optional):
+// - body.includeRentalAfterPcs (or body.rentalAfterPcs = { ...options }) adds a
+//   rentalAfterPcs block from rental-after-pcs.js using the same loan as mortgage
+//
 // ✅ NETLIFY STABILITY:
 // - CommonJS only (no top-level ESM import/export, no shim, no dynamic import)
 // - Works with the rest of your functions that already use require()
@@ -28,24 +136,51 @@
 
 "use strict";
 
-const fs = require("node:fs");
-const path = require("node:path");
 const { createClient } = require("@supabase/supabase-js");
 
 // Local mortgage engine handler (must be CommonJS: exports.handler = ...)
 const { handler: mortgageHandler } = require("./mortgage.js");
 
-const SCHEMA_VERSION = "1.2";
+// Shared city JSON loader (also used by rent-vs-buy.js)
+const { loadCity } = require("./lib/cities.js");
 
-// -----------------------------
-// //#0 Paths (Netlify-safe)
-// -----------------------------
-const __ROOT = process.cwd(); // /var/task
-const __PAY_TABLES_PATHS = [
-  path.join(__ROOT, "netlify", "functions", "militaryPayTables.json"),
-  path.join(__ROOT, "netlify", "functions", "data", "militaryPayTables.json"),
-];
-const __CITIES_DIR = path.join(__ROOT, "netlify", "functions", "cities");
+// Installation registry (cities/index.byBase.json): base -> cityKey / ZIP / market file
+const { lookupInstallation } = require("./lib/installations.js");
+
+// Shared pay table loader (validates BASEPAY coverage; throws on gaps)
+const { loadPayTables, payTablesForSchedule, payTablesPathUsed } = require("./lib/pay-tables.js");
+
+// Shared pay engine (Base Pay / BAS / BAH via lib/bah.js; same math as pay-tables.js + Elena)
+const {
+  computePay,
+  SPECIAL_PAY_FIELDS,
+  VA_DEPENDENT_FIELDS,
+  RESERVE_FIELDS,
+  DUAL_MILITARY_FIELDS,
+} = require("./lib/pay-engine.js");
+
+// Take-home estimate (federal + FICA on Base Pay + state by legal residence)
+const { estimateTakeHome } = require("./lib/tax.js");
+
+// Retired pay inputs (veteran mode; math runs inside the pay engine)
+const { RETIREMENT_FIELDS } = require("./lib/retirement.js");
+
+// Lender-style DTI + VA residual income (conventional / FHA / VA)
+const { evaluateQualification } = require("./lib/qualify.js");
+
+// Maximum affordable price solver (optional block)
+const { solveMaxPrice, affordabilityBluf } = require("./afford.js");
+
+// "Keep as rental at next PCS" projection (optional block)
+const { computeRentalAfterPcs } = require("./rental-after-pcs.js");
+
+// ✅ BAH vs rent / PITI per bedroom tier (shared lib)
+const { computeBahGap } = require("./lib/bah-gap.js");
+
+// ✅ Appreciation trend + equity at PCS (shared lib)
+const { computePriceTrend } = require("./lib/price-trend.js");
+
+const SCHEMA_VERSION = "1.2";
 
 // -----------------------------
 // //#1 CORS (robust)
@@ -83,8 +218,14 @@ function toInt(x) {
   return Number.isFinite(n) ? n : null;
 }
 
+// Blank/null/undefined read as "missing" (null), never 0. Every caller chains
+// toNum(body) ?? toNum(profile) ?? toNum(city) ?? default, and Number("") === 0 stopped
+// those chains at the first unset field: price fell to 0 ("No price available yet"),
+// taxRate / insRate / pmiRate to 0% and dpPct to 0% (wrong VA funding fee tier).
 function toNum(x) {
-  const n = Number(String(x ?? "").trim());
+  const s = String(x ?? "").trim();
+  if (!s) return null;
+  const n = Number(s);
   return Number.isFinite(n) ? n : null;
 }
 
@@ -92,28 +233,6 @@ function lower(x) {
   return String(x ?? "").trim().toLowerCase();
 }
 
-function normalizeRank(rank) {
-  const r = String(rank || "").trim().toUpperCase();
-  const m = r.match(/^([EO]|W)\s*-?\s*(\d{1,2})$/);
-  if (m) return `${m[1]}-${m[2]}`;
-  return r;
-}
-
-function pickNearestYos(tableForRank, yos) {
-  const keys = Object.keys(tableForRank || {})
-    .map((k) => Number(k))
-    .filter((n) => Number.isFinite(n))
-    .sort((a, b) => a - b);
-
-  if (!keys.length) return null;
-
-  let chosen = keys[0];
-  for (const k of keys) {
-    if (k <= yos) chosen = k;
-  }
-  return tableForRank[String(chosen)] ?? null;
-}
-
 function normalizeBaseName(s) {
   return String(s || "")
     .trim()
@@ -130,65 +249,8 @@ function pickFirst(obj, keys) {
 }
 
 // -----------------------------
-// //#2.5 Restored helper functions (model + overrides)
+// //#2.5 Restored helper functions (overrides)
 // -----------------------------
-function detectPayModel(profile) {
-  const modeRaw = lower(profile?.mode);
-
-  if (modeRaw) {
-    if (["vet", "veteran", "retired", "retiree", "sep", "separated", "civ", "civilian"].includes(modeRaw)) {
-      return "veteran";
-    }
-    if (["ad", "active", "active_duty", "activeduty"].includes(modeRaw)) {
-      return "active";
-    }
-  }
-
-  const modelRaw = lower(
-    pickFirst(profile, [
-      "pay_model",
-      "payModel",
-      "status",
-      "member_status",
-      "memberStatus",
-      "service_status",
-      "serviceStatus",
-    ])
-  );
-
-  const explicitVeteran =
-    String(profile?.veteran ?? profile?.is_veteran ?? profile?.isVeteran ?? "").toLowerCase() === "true" ||
-    profile?.veteran === true ||
-    profile?.is_veteran === true ||
-    profile?.isVeteran === true;
-
-  const explicitActive =
-    String(profile?.active_duty ?? profile?.activeDuty ?? profile?.is_active_duty ?? "").toLowerCase() === "true" ||
-    profile?.active_duty === true ||
-    profile?.activeDuty === true ||
-    profile?.is_active_duty === true;
-
-  const veteranWords = ["veteran", "retired", "retiree", "separated", "civilian"];
-  if (explicitVeteran) return "veteran";
-  if (veteranWords.some((w) => modelRaw.includes(w))) return "veteran";
-
-  const activeWords = ["active", "activeduty", "ad", "active duty"];
-  if (explicitActive) return "active";
-  if (activeWords.some((w) => modelRaw.includes(w))) return "active";
-
-  return "active";
-}
-
-function deriveDependentsFromFamilySize(profile) {
-  const familySize =
-    toInt(pickFirst(profile, ["familySize", "family_size", "family", "dependents_count", "dependentsCount"])) ?? 1;
-
-  const hasSpouse = familySize >= 2;
-  const kidsUnder18 = Math.max(familySize - 2, 0);
-
-  return { familySize, hasSpouse, kidsUnder18 };
-}
-
 function applyOverridesToProfile(profile, overrides) {
   const o = overrides && typeof overrides === "object" ? overrides : null;
   if (!o) return { profileEffective: { ...profile }, overridesApplied: [] };
@@ -215,8 +277,50 @@ function applyOverridesToProfile(profile, overrides) {
     "vaDisability",
     "va_rating",
     "vaRating",
-    "retirement_system",
-    "retirementSystem",
+
+    // retired pay inputs (lib/retirement.js RETIREMENT_FIELDS)
+    ...RETIREMENT_FIELDS,
+    ...RETIREMENT_FIELDS.map((k) => k.replace(/_([a-z])/g, (_, c) => c.toUpperCase())),
+
+    // Dual-military household (lib/pay-engine.js DUAL_MILITARY_FIELDS)
+    ...DUAL_MILITARY_FIELDS,
+    ...DUAL_MILITARY_FIELDS.map((k) => k.replace(/_([a-z])/g, (_, c) => c.toUpperCase())),
+
+    // Guard / Reserve drill pay (lib/pay-engine.js RESERVE_FIELDS)
+    ...RESERVE_FIELDS,
+    ...RESERVE_FIELDS.map((k) => k.replace(/_([a-z])/g, (_, c) => c.toUpperCase())),
+
+    // VA compensation dependents (lib/pay-engine.js VA_DEPENDENT_FIELDS)
+    ...VA_DEPENDENT_FIELDS,
+    ...VA_DEPENDENT_FIELDS.map((k) => k.replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase())),
+
+    // concurrent receipt (lib/concurrent-receipt.js)
+    "crsc",
+    "crsc_rating",
+    "crscRating",
+    "concurrent_receipt",
+    "concurrentReceipt",
+
+    // special & incentive pays (lib/pay-engine.js SPECIAL_PAY_FIELDS)
+    ...SPECIAL_PAY_FIELDS,
+    ...SPECIAL_PAY_FIELDS.map((k) => k.replace(/_([a-z])/g, (_, c) => c.toUpperCase())),
+
+    // take-home tax inputs (lib/tax.js)
+    "filing_status",
+    "filingStatus",
+    "legal_residence_state",
+    "legalResidenceState",
+    "slr",
+    "duty_state",
+    "dutyState",
+
+    // qualification inputs (lib/qualify.js)
+    "monthly_debts",
+    "monthlyDebts",
+    "debts",
+    "monthly_expenses",
+    "monthlyExpenses",
+    "sqft",
 
     "price",
     "home_price",
@@ -236,6 +340,11 @@ function applyOverridesToProfile(profile, overrides) {
     "loan_type",
     "termYears",
     "term_years",
+    "vaFirstUse",
+    "va_first_use",
+    "vaFinanceFee",
+    "va_finance_fee",
+    "fhaFinanceUfmip",
 
     "mode",
   ]);
@@ -274,557 +383,12 @@ function deriveCityKeyFromBase(profile, payTables) {
       };
   }
 
-  const MAP = {
-    NELLIS: "LasVegas",
-    NELLISAFB: "LasVegas",
-    DAVISMONTHAN: "Tucson",
-    DAVISMONTHANAFB: "Tucson",
-
-    FORTSAMHOUSTON: "SanAntonio",
-    JBSALACKLAND: "SanAntonio",
-    LACKLAND: "SanAntonio",
-    RANDOLPH: "SanAntonio",
-    RANDOLPHAFB: "SanAntonio",
-    LUKE: "Phoenix",
-    LUKEAFB: "Phoenix",
-    DYESS: "Abilene",
-    DYESSAFB: "Abilene",
-    KIRTLAND: "Albuquerque",
-    KIRTLANDAFB: "Albuquerque",
-    LAUGHLIN: "DelRio",
-    LAUGHLINAFB: "DelRio",
-  };
-
-  const hit = MAP[norm] || null;
+  const inst = lookupInstallation(baseRaw);
   return {
-    cityKey: hit ? safeKey(hit) : null,
-    source: hit ? "internalBaseCityMap" : "none",
+    cityKey: inst ? inst.cityKey : null,
+    source: inst ? "installations" : "none",
     base: String(baseRaw || "").trim(),
-  };
-}
-
-// -----------------------------
-// //#3 File loading (Netlify-safe)
-// -----------------------------
-let __PAY_TABLES_CACHE__ = null;
-let __PAY_TABLES_PATH_USED__ = null;
-
-const __CITY_CACHE__ = new Map(); // cache by fileKey
-let __CITY_FILE_INDEX__ = null;   // cached directory listing
-
-function loadPayTables() {
-  if (__PAY_TABLES_CACHE__) return __PAY_TABLES_CACHE__;
-
-  let found = null;
-  for (const p of __PAY_TABLES_PATHS || []) {
-    if (fs.existsSync(p)) {
-      found = p;
-      break;
-    }
-  }
-
-  if (!found) {
-    throw new Error(
-      `militaryPayTables.json not found. Tried:\n- ${( __PAY_TABLES_PATHS || []).join("\n- ")}\n` +
-      `Fix: ensure it's bundled via netlify.toml [functions].included_files.`
-    );
-  }
-
-  const raw = fs.readFileSync(found, "utf8");
-  __PAY_TABLES_CACHE__ = JSON.parse(raw);
-  __PAY_TABLES_PATH_USED__ = found;
-  return __PAY_TABLES_CACHE__;
-}
-
-function listCityFiles() {
-  if (__CITY_FILE_INDEX__) return __CITY_FILE_INDEX__;
-  try {
-    const files = fs
-      .readdirSync(__CITIES_DIR)
-      .filter((f) => /\.json$/i.test(f))
-      .map((f) => f.replace(/\.json$/i, ""));
-    __CITY_FILE_INDEX__ = new Set(files);
-    return __CITY_FILE_INDEX__;
-  } catch (e) {
-    __CITY_FILE_INDEX__ = new Set();
-    return __CITY_FILE_INDEX__;
-  }
-}
-
-function cityFileExists(fileKey) {
-  const k = safeKey(fileKey);
-  if (!k) return false;
-  const idx = listCityFiles();
-  return idx.has(k);
-}
-
-function baseToCityFileKey(baseRaw) {
-  const norm = normalizeBaseName(baseRaw);
-  if (!norm) return null;
-
-  const MAP = {
-    NELLIS: "Nellis",
-    NELLISAFB: "Nellis",
-
-    DAVISMONTHAN: "Davis-Monthan",
-    DAVISMONTHANAFB: "Davis-Monthan",
-
-    FORTSAMHOUSTON: "Fort-Sam-Houston",
-    JBSALACKLAND: "Lackland",
-    LACKLAND: "Lackland",
-    RANDOLPH: "Randolph",
-    RANDOLPHAFB: "Randolph",
-
-    LUKE: "Luke",
-    LUKEAFB: "Luke",
-
-    DYESS: "Dyess",
-    DYESSAFB: "Dyess",
-
-    KIRTLAND: "Kirtland",
-    KIRTLANDAFB: "Kirtland",
-
-    LAUGHLIN: "Laughlin",
-    LAUGHLINAFB: "Laughlin",
-  };
-
-  const hit = MAP[norm] || null;
-  return hit ? safeKey(hit) : null;
-}
-
-function canonicalCityToFileFallback(cityKeyCanonical) {
-  const k = safeKey(cityKeyCanonical);
-  if (!k) return null;
-
-  const MAP = {
-    LasVegas: "Nellis",
-    Tucson: "Davis-Monthan",
-    SanAntonio: "Fort-Sam-Houston",
-    Phoenix: "Luke",
-    Abilene: "Dyess",
-    Albuquerque: "Kirtland",
-    DelRio: "Laughlin",
-  };
-
-  const hit = MAP[k] || null;
-  return hit ? safeKey(hit) : null;
-}
-
-function resolveCityFileKey({ cityKeyCanonical, profile }) {
-  const canonical = safeKey(cityKeyCanonical || "SanAntonio");
-  const baseRaw = pickFirst(profile, ["base", "duty_station", "station", "dutyStation", "pcs_base", "pcsBase"]);
-
-  const candidates = [];
-  candidates.push(canonical);
-
-  const baseFile = baseToCityFileKey(baseRaw);
-  if (baseFile) candidates.push(baseFile);
-
-  const canonicalFallback = canonicalCityToFileFallback(canonical);
-  if (canonicalFallback) candidates.push(canonicalFallback);
-
-  candidates.push("Fort-Sam-Houston");
-
-  const uniq = [];
-  const seen = new Set();
-  for (const c of candidates) {
-    const cc = safeKey(c);
-    if (!cc || seen.has(cc)) continue;
-    seen.add(cc);
-    uniq.push(cc);
-  }
-
-  for (const c of uniq) {
-    if (cityFileExists(c)) {
-      return {
-        ok: true,
-        fileKey: c,
-        via:
-          c === canonical
-            ? "direct"
-            : c === baseFile
-              ? "baseToFileKey"
-              : c === canonicalFallback
-                ? "canonicalToFileFallback"
-                : "lastResort",
-        candidates: uniq,
-        baseUsed: String(baseRaw || "").trim(),
-      };
-    }
-  }
-
-  return {
-    ok: false,
-    fileKey: null,
-    via: "none",
-    candidates: uniq,
-    baseUsed: String(baseRaw || "").trim(),
-  };
-}
-
-function loadCity(cityKeyCanonical, profileForFilePick) {
-  const canonical = safeKey(cityKeyCanonical || "SanAntonio");
-
-  const res = resolveCityFileKey({ cityKeyCanonical: canonical, profile: profileForFilePick || {} });
-  const idx = listCityFiles();
-
-  if (!res.ok || !res.fileKey) {
-    throw new Error(
-      `City JSON not found. requested="${canonical}" canonical="${canonical}" availableFiles=${Array.from(idx).sort().join(", ")}`
-    );
-  }
-
-  const fileKey = res.fileKey;
-
-  if (__CITY_CACHE__.has(fileKey)) {
-    const cached = __CITY_CACHE__.get(fileKey);
-    return {
-      ...cached,
-      canonical_city_key: canonical,
-      cityFileRequested: canonical,
-      cityFileUsed: fileKey,
-      cityFileVia: res.via,
-      cityFileCandidates: res.candidates,
-      baseUsedForCityFile: res.baseUsed || null,
-    };
-  }
-
-  const filePath = path.join(__CITIES_DIR, `${fileKey}.json`);
-  if (!fs.existsSync(filePath)) {
-    throw new Error(`City JSON not found at ${filePath}`);
-  }
-
-  const raw = fs.readFileSync(filePath, "utf8");
-  const data = JSON.parse(raw);
-
-  const marketRaw = data.market || data?.housing?.market || data?.realEstate?.market || {};
-  const targets = data.targets || data?.housing?.targets || data?.realEstate?.targets || {};
-
-  const zillowAvg = toNum(marketRaw?.zillow_average_home_value);
-  const medianSale = toNum(marketRaw?.median_sale_price_current);
-  const medianList = toNum(marketRaw?.median_listing_price_realtor);
-  const ownerOccMedian = toNum(data?.housing?.median_value_owner_occupied);
-
-  const avgHome =
-    zillowAvg ??
-    medianSale ??
-    medianList ??
-    ownerOccMedian ??
-    toNum(data?.avg_home_value ?? data?.average_home_value ?? data?.avgHome ?? data?.city_avg_home) ??
-    null;
-
-  const avgHomeSource =
-    (zillowAvg != null && "housing.market.zillow_average_home_value") ||
-    (medianSale != null && "housing.market.median_sale_price_current") ||
-    (medianList != null && "housing.market.median_listing_price_realtor") ||
-    (ownerOccMedian != null && "housing.median_value_owner_occupied") ||
-    null;
-
-  const market = {
-    ...marketRaw,
-    avg_home_value: avgHome,
-    average_home_value: avgHome,
-    avgHome: avgHome,
-    city_avg_home: avgHome,
-    avg_home_value_source: avgHomeSource,
-  };
-
-  const bedrooms =
-    (data?.bedrooms && typeof data.bedrooms === "object" ? data.bedrooms : null) ||
-    (data?.by_bedroom && typeof data.by_bedroom === "object" ? data.by_bedroom : null) ||
-    (data?.byBedroom && typeof data.byBedroom === "object" ? data.byBedroom : null) ||
-    null;
-
-  const bedroomsUsed =
-    (data?.bedrooms && "bedrooms") || (data?.by_bedroom && "by_bedroom") || (data?.byBedroom && "byBedroom") || null;
-
-  function avgFromBedroomPath(obj, getter) {
-    if (!obj || typeof obj !== "object") return null;
-    const vals = [];
-    for (const k of Object.keys(obj)) {
-      const v = getter(obj[k]);
-      const n = toNum(v);
-      if (n != null && n > 0) vals.push(n);
-    }
-    if (!vals.length) return null;
-    return Math.round(vals.reduce((a, b) => a + b, 0) / vals.length);
-  }
-
-  const derivedTargetRent = avgFromBedroomPath(
-    bedrooms,
-    (b) => b?.rent_monthly?.avg ?? b?.rentMonthly?.avg ?? b?.rent?.avg
-  );
-  const derivedUtilities = avgFromBedroomPath(
-    bedrooms,
-    (b) => b?.utilities?.total?.avg ?? b?.utilities_total?.avg ?? b?.utilities?.avg
-  );
-
-  const targetRent =
-    toNum(data?.target_rent ?? data?.targetRent ?? targets?.target_rent ?? targets?.targetRent) ??
-    derivedTargetRent ??
-    null;
-
-  const avgUtilities =
-    toNum(data?.avg_utilities ?? data?.average_utilities ?? data?.avgUtilities) ??
-    derivedUtilities ??
-    null;
-
-  const out = {
-    key: fileKey,
-    canonical_city_key: canonical,
-
-    ...data,
-    market,
-    targets,
-    raw: data,
-
-    bedrooms,
-    bedrooms_used: bedroomsUsed,
-
-    target_rent: targetRent,
-    targetRent: targetRent,
-
-    avg_home_value: toNum(data?.avg_home_value ?? data?.average_home_value ?? data?.avgHome ?? data?.city_avg_home) ?? avgHome ?? null,
-    average_home_value: toNum(data?.average_home_value) ?? (toNum(data?.avg_home_value) ?? avgHome ?? null),
-    avgHome: toNum(data?.avgHome) ?? (toNum(data?.avg_home_value) ?? avgHome ?? null),
-    city_avg_home: toNum(data?.city_avg_home) ?? (toNum(data?.avg_home_value) ?? avgHome ?? null),
-
-    avg_utilities: avgUtilities,
-    average_utilities: avgUtilities,
-    avgUtilities: avgUtilities,
-
-    cityFileRequested: canonical,
-    cityFileUsed: fileKey,
-    cityFileVia: res.via,
-    cityFileCandidates: res.candidates,
-    baseUsedForCityFile: res.baseUsed || null,
-  };
-
-  __CITY_CACHE__.set(fileKey, out);
-  return out;
-}
-
-// -----------------------------
-// //#4 Deterministic pay math
-// -----------------------------
-function computeBasePay(rank, yos, payTables, missing) {
-  let basePay = 0;
-  if (rank && yos !== null) {
-    const baseTable = payTables?.BASEPAY?.[rank];
-    if (!baseTable) {
-      missing.push("basepay_table_for_rank");
-    } else {
-      const picked = pickNearestYos(baseTable, yos);
-      if (picked == null) missing.push("basepay_value");
-      else basePay = Number(picked) || 0;
-    }
-  }
-  return basePay;
-}
-
-function computeBAS(rank, payTables) {
-  const isOfficer = /^O-/.test(rank);
-  const basObj = payTables?.BAS || {};
-  return Number(isOfficer ? basObj.officer : basObj.enlisted) || 0;
-}
-
-function computeBAH(rank, familyBool, zip, payTables, missing) {
-  let bah = 0;
-  if (zip && rank) {
-    const bahByZip = payTables?.BAH?.by_zip || payTables?.BAH?.byZip || null;
-    const bahZip = (bahByZip && bahByZip?.[zip]) || payTables?.BAH_TX?.[zip] || payTables?.BAH?.[zip] || null;
-
-    if (!bahZip) {
-      missing.push("bah_zip_not_found");
-    } else {
-      const bucket = familyBool ? bahZip.with : bahZip.without;
-      if (!bucket) {
-        missing.push("bah_bucket_missing");
-      } else {
-        const val = bucket?.[rank];
-        if (val == null) missing.push("bah_rank_not_found");
-        else bah = Number(val) || 0;
-      }
-    }
-  } else {
-    if (!zip) missing.push("bah_zip_missing");
-  }
-  return bah;
-}
-
-function computeVaDisability(profile, payTables, missing) {
-  const pct = toInt(profile?.va_disability ?? profile?.vaDisability ?? profile?.va_rating ?? profile?.vaRating);
-  if (pct === null) {
-    missing.push("va_disability");
-    return { amount: 0, debug: { pct: null, method: "missing" } };
-  }
-
-  const pctKey = String(pct);
-  const full = payTables?.DISABILITY_FULL?.[pctKey] || null;
-
-  const { familySize, hasSpouse, kidsUnder18 } = deriveDependentsFromFamilySize(profile);
-
-  if (full && typeof full === "object") {
-    let baseKey = "veteran";
-    if (hasSpouse && kidsUnder18 >= 1) baseKey = "veteran_spouse_one_child";
-    else if (hasSpouse && kidsUnder18 === 0) baseKey = "veteran_spouse";
-    else if (!hasSpouse && kidsUnder18 >= 1) baseKey = "veteran_one_child";
-
-    const base = Number(full?.[baseKey]) || 0;
-    const addPerChild = Number(full?.additional_child_under_18) || 0;
-    const extraKids = Math.max(kidsUnder18 - 1, 0);
-
-    const amount = base + extraKids * addPerChild;
-
-    return {
-      amount,
-      debug: { pct, method: "DISABILITY_FULL", familySize, hasSpouse, kidsUnder18, baseKey, base, addPerChild, extraKids },
-    };
-  }
-
-  const simple = Number(payTables?.DISABILITY?.[pctKey]) || 0;
-  if (!simple) missing.push("va_disability_table_missing");
-  return { amount: simple, debug: { pct, method: "DISABILITY" } };
-}
-
-function computeRetirementPay(profile, rank, yos, payTables, missing) {
-  if (yos === null) {
-    missing.push("yos");
-    return { amount: 0, debug: { method: "missing_yos" } };
-  }
-
-  if (yos < 20) {
-    return { amount: 0, debug: { method: "ineligible_yos<20", yos } };
-  }
-
-  const baseTable = payTables?.BASEPAY?.[rank] || null;
-  if (!baseTable) {
-    missing.push("basepay_table_for_rank");
-    return { amount: 0, debug: { method: "missing_basepay_table" } };
-  }
-
-  const keys = Object.keys(baseTable).map(Number).filter(Number.isFinite).sort((a, b) => a - b);
-  const eligible = keys.filter((k) => k <= yos);
-
-  if (!eligible.length) {
-    missing.push("high3_steps_missing");
-    return { amount: 0, debug: { method: "no_steps<=yos", yos } };
-  }
-
-  const lastSteps = eligible.slice(Math.max(eligible.length - 3, 0));
-  const pays = lastSteps.map((k) => Number(baseTable[String(k)]) || 0).filter((v) => v > 0);
-
-  if (!pays.length) {
-    missing.push("high3_values_missing");
-    return { amount: 0, debug: { method: "no_pay_values" } };
-  }
-
-  const high3 = pays.reduce((a, b) => a + b, 0) / pays.length;
-
-  const sysRaw = lower(profile?.retirement_system || profile?.retirementSystem || "high3");
-  const sys = sysRaw === "brs" || sysRaw === "blended" ? "brs" : "high3";
-
-  const multPerYear = toNum(payTables?.RETIREMENT?.systems?.[sys]?.multiplier_per_year) ?? (sys === "brs" ? 0.02 : 0.025);
-  const rawMultiplier = multPerYear * yos;
-
-  const cap = sys === "brs" ? 0.6 : 0.75;
-  const multiplier = Math.min(rawMultiplier, cap);
-
-  const amount = high3 * multiplier;
-
-  return { amount, debug: { method: "high3_estimate_from_BASEPAY", sys, multPerYear, yos, multiplier, high3, stepsUsed: lastSteps, paysUsed: pays } };
-}
-
-function computePay(profile, payTables) {
-  const missing = [];
-
-  const payModel = detectPayModel(profile);
-
-  const rank = normalizeRank(profile?.rank_paygrade || profile?.rank || "");
-  const yos = toInt(profile?.yos ?? profile?.years_of_service ?? profile?.yearsOfService);
-
-  const famRaw = profile?.family ?? profile?.dependents ?? profile?.has_dependents;
-  const familyBool =
-    String(famRaw).toLowerCase() === "true" || famRaw === true || (toInt(famRaw) || 0) >= 2;
-
-  const explicitZip = String(profile?.zip || profile?.postal_code || "").trim();
-  const baseName = String(profile?.base || profile?.duty_station || profile?.station || "").trim();
-  let zip = explicitZip;
-
-  if (!rank) missing.push("rank_paygrade");
-  if (yos === null) missing.push("yos");
-
-  const basePay = computeBasePay(rank, yos, payTables, missing);
-
-  if (payModel === "veteran") {
-    const bas = 0;
-    const bah = 0;
-
-    const va = computeVaDisability(profile, payTables, missing);
-    const ret = computeRetirementPay(profile, rank, yos, payTables, missing);
-
-    const retirementPay = Number(ret.amount) || 0;
-    const vaDisabilityPay = Number(va.amount) || 0;
-
-    const totalPay = retirementPay + vaDisabilityPay;
-
-    return {
-      ok: totalPay > 0,
-      missing,
-      pay: {
-        ok: totalPay > 0,
-        payModel,
-        payAccuracy: "deterministic_va + estimated_retirement",
-        basePay,
-        bas,
-        bah,
-        retirementPay,
-        vaDisabilityPay,
-        totalPay,
-        total: totalPay,
-        zipUsed: zip || null,
-        familyUsed: familyBool,
-        rankUsed: rank || null,
-        yosUsed: yos,
-        debug: { retirement: ret.debug, va: va.debug },
-      },
-    };
-  }
-
-  if (!zip && baseName) {
-    const baseToZipRaw = payTables?.BAH?.base_to_zip || payTables?.BAH?.baseToZip || payTables?.BASE_ZIP || {};
-    const baseToZipNorm = new Map();
-    for (const [k, v] of Object.entries(baseToZipRaw || {})) {
-      const nk = normalizeBaseName(k);
-      if (nk) baseToZipNorm.set(nk, String(v || "").trim());
-    }
-
-    const derived = baseToZipNorm.get(normalizeBaseName(baseName));
-    if (derived) zip = derived;
-    else missing.push("bah_base_zip_missing");
-  }
-
-  const bas = computeBAS(rank, payTables);
-  const bah = computeBAH(rank, familyBool, zip, payTables, missing);
-  const totalPay = basePay + bas + bah;
-
-  return {
-    ok: totalPay > 0,
-    missing,
-    pay: {
-      ok: totalPay > 0,
-      payModel,
-      payAccuracy: "deterministic",
-      basePay,
-      bah,
-      bas,
-      totalPay,
-      total: totalPay,
-      zipUsed: zip || null,
-      familyUsed: familyBool,
-      rankUsed: rank || null,
-      yosUsed: yos,
-    },
+    installation: inst,
   };
 }
 
@@ -835,51 +399,53 @@ function pickMortgagePrice({ body, profile, city, bedrooms }) {
   const bodyPrice = toNum(body?.price ?? body?.homePrice ?? body?.purchase_price ?? body?.purchasePrice);
   const profPrice = toNum(profile?.price ?? profile?.home_price ?? profile?.projected_home_price ?? profile?.projectedHomePrice);
 
-  const bedsKey = String(bedrooms ?? 4);
-  const bedsRoot =
-    city?.bedrooms ||
-    city?.raw?.bedrooms ||
-    city?.by_bedroom ||
-    city?.raw?.by_bedroom ||
-    city?.byBedroom ||
-    city?.raw?.byBedroom ||
-    null;
-
-  let bedPrice = null;
-  if (bedsRoot && typeof bedsRoot === "object") {
-    const b = bedsRoot[bedsKey] || bedsRoot[Number(bedsKey)] || null;
-    if (b) {
-      const block = b?.home_price ?? b?.homePrice ?? b?.price ?? b?.home_value;
-      const avg = typeof block === "object" ? toNum(block?.avg ?? block?.value ?? block?.amount) : toNum(block);
-      const low = typeof block === "object" ? toNum(block?.low) : null;
-      const high = typeof block === "object" ? toNum(block?.high) : null;
-      bedPrice = avg ?? (low != null && high != null ? Math.round((low + high) / 2) : null);
-    }
-  }
-
-  const cityAvg =
-    toNum(city?.avg_home_value ?? city?.average_home_value ?? city?.avgHome ?? city?.city_avg_home) ??
-    toNum(city?.market?.avg_home_value ?? city?.market?.zillow_average_home_value) ??
-    toNum(city?.raw?.avg_home_value ?? city?.raw?.average_home_value) ??
-    toNum(city?.raw?.market?.zillow_average_home_value) ??
-    null;
+  // City files follow schema v1 (lib/cities.js validateCity): one path per value
+  const bedPrice = toNum(city?.by_bedroom?.[String(bedrooms ?? 4)]?.home_price?.avg);
+  const cityAvg = toNum(city?.avg_home_value);
 
   const price = bodyPrice ?? profPrice ?? bedPrice ?? cityAvg ?? 0;
 
   const source =
     (bodyPrice != null && "body.price") ||
     (profPrice != null && "profile.price") ||
-    (bedPrice != null && "city.bedrooms[bed].home_price") ||
+    (bedPrice != null && "city.by_bedroom[bed].home_price") ||
     (cityAvg != null && "city.avg_home_value") ||
     "none";
 
   return { price, source };
 }
 
+// State the home is in (VA residual region): body.propertyState, else the city file's state
+// city.state is optional in the schema; every file carries closing_costs.state
+function propertyState({ body, city }) {
+  const st = String(body?.propertyState ?? body?.property_state ?? city?.state ?? city?.closing_costs?.state ?? "").trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(st) ? st : null;
+}
+
+// city.closing_costs (snake_case, state defaults) + body.closing overrides -> mortgage.js closing
+function closingInputs({ body, city }) {
+  const cc = city?.closing_costs || {};
+  const fromCity = {
+    state: cc.state,
+    lenderFees: cc.lender_fees,
+    appraisalFee: cc.appraisal_fee,
+    titleEscrowPct: cc.title_escrow_pct,
+    recordingFees: cc.recording_fees,
+    transferTaxPct: cc.transfer_tax_buyer_pct,
+    prepaidInterestDays: cc.prepaid_interest_days,
+    escrowTaxMonths: cc.escrow_tax_months,
+    escrowInsuranceMonths: cc.escrow_insurance_months,
+    sellerConcessionPct: cc.seller_concession_pct,
+  };
+  const merged = { ...fromCity, ...(body?.closing && typeof body.closing === "object" ? body.closing : {}) };
+  for (const k of Object.keys(merged)) if (merged[k] === undefined || merged[k] === null) delete merged[k];
+  return Object.keys(merged).length ? merged : undefined;
+}
+
 function defaultPmiRatePct({ loanType, dpPct }) {
   const lt = String(loanType || "").trim().toLowerCase();
   if (lt === "va") return 0;
-  if (lt === "fha") return 0.55; // percent
+  if (lt === "fha") return null; // MIP is table-driven in mortgage.js (computeFhaMip)
   if (dpPct >= 20) return 0;
   return 0.5; // percent
 }
@@ -907,7 +473,7 @@ async function callMortgageEngine(payload) {
   return { res, out };
 }
 
-async function computeMortgageEstimate({ body, profile, city, bedrooms }) {
+async function computeMortgageEstimate({ body, profile, city, bedrooms, cashAvailable }) {
   const sources = {};
   const { price, source: priceSource } = pickMortgagePrice({ body, profile, city, bedrooms });
   sources.price = priceSource;
@@ -916,7 +482,9 @@ async function computeMortgageEstimate({ body, profile, city, bedrooms }) {
     return {
       ok: false,
       breakdown: { principalInterest: 0, propertyTax: 0, insurance: 0, hoa: 0, pmi: 0, totalMonthly: 0 },
-      assumptions: { note: "No price available yet." },
+      assumptions: {
+        note: city ? "No price available yet." : "No price available: no market data for this city/base (pass price).",
+      },
       sources,
       meta: { error: null },
     };
@@ -980,7 +548,7 @@ async function computeMortgageEstimate({ body, profile, city, bedrooms }) {
 
   const taxRatePct =
     toNum(body?.taxRate ?? profile?.taxRate) ??
-    toNum(city?.tax_rate ?? city?.property_tax_rate ?? city?.raw?.property_tax_rate) ??
+    toNum(city?.property_tax_rate) ??
     1.2;
 
   sources.taxRate =
@@ -988,15 +556,13 @@ async function computeMortgageEstimate({ body, profile, city, bedrooms }) {
       ? "body.taxRate"
       : profile?.taxRate != null
         ? "profile.taxRate"
-        : city?.tax_rate != null
-          ? "city.tax_rate"
-          : city?.property_tax_rate != null || city?.raw?.property_tax_rate != null
-            ? "city.property_tax_rate"
-            : "default:1.20";
+        : city?.property_tax_rate != null
+          ? "city.property_tax_rate"
+          : "default:1.20";
 
   const insRatePct =
     toNum(body?.insRate ?? profile?.insRate) ??
-    toNum(city?.insurance_rate ?? city?.raw?.insurance_rate) ??
+    toNum(city?.insurance_rate) ??
     0.5;
 
   sources.insRate =
@@ -1004,19 +570,19 @@ async function computeMortgageEstimate({ body, profile, city, bedrooms }) {
       ? "body.insRate"
       : profile?.insRate != null
         ? "profile.insRate"
-        : city?.insurance_rate != null || city?.raw?.insurance_rate != null
+        : city?.insurance_rate != null
           ? "city.insurance_rate"
           : "default:0.50";
 
   const hoa =
-    toNum(body?.hoa ?? profile?.hoa ?? profile?.hoa_monthly ?? city?.hoa_monthly ?? city?.raw?.hoa_monthly) ?? 0;
+    toNum(body?.hoa ?? profile?.hoa ?? profile?.hoa_monthly ?? city?.hoa_monthly) ?? 0;
 
   sources.hoa =
     body?.hoa != null
       ? "body.hoa"
       : profile?.hoa != null || profile?.hoa_monthly != null
         ? "profile.hoa_monthly"
-        : city?.hoa_monthly != null || city?.raw?.hoa_monthly != null
+        : city?.hoa_monthly != null
           ? "city.hoa_monthly"
           : "default:0";
 
@@ -1028,7 +594,26 @@ async function computeMortgageEstimate({ body, profile, city, bedrooms }) {
     defaultPmiRatePct({ loanType, dpPct });
 
   sources.pmiRate =
-    body?.pmiRate != null ? "body.pmiRate" : profile?.pmiRate != null ? "profile.pmiRate" : "defaultPmiRatePct(loanType,dpPct)";
+    body?.pmiRate != null
+      ? "body.pmiRate"
+      : profile?.pmiRate != null
+        ? "profile.pmiRate"
+        : String(loanType).toLowerCase() === "fha"
+          ? "mortgage.js.computeFhaMip"
+          : "defaultPmiRatePct(loanType,dpPct)";
+
+  // VA funding fee inputs: a disability rating from the profile exempts the fee in mortgage.js
+  const vaDisabilityRating =
+    toInt(profile?.va_disability ?? profile?.vaDisability ?? profile?.va_rating ?? profile?.vaRating) ?? undefined;
+  const vaFirstUse = body?.vaFirstUse ?? profile?.vaFirstUse ?? profile?.va_first_use ?? undefined;
+  const vaFinanceFee = body?.vaFinanceFee ?? profile?.vaFinanceFee ?? profile?.va_finance_fee ?? undefined;
+
+  sources.vaFundingFee =
+    String(loanType).toLowerCase() !== "va"
+      ? "n/a"
+      : vaDisabilityRating != null
+        ? "profile.va_disability"
+        : "mortgage.js.computeVaFundingFee";
 
   const mortgagePayload = {
     price: price,
@@ -1044,7 +629,17 @@ async function computeMortgageEstimate({ body, profile, city, bedrooms }) {
         ? (Number.isFinite(aprOverrideCandidate) ? aprOverrideCandidate : undefined)
         : undefined,
     pmiRate: Number.isFinite(pmiRatePct) ? (pmiRatePct / 100) : undefined, // fraction
+    vaDisabilityRating,
+    vaFirstUse,
+    vaFinanceFee,
+    fhaFinanceUfmip: body?.fhaFinanceUfmip ?? profile?.fhaFinanceUfmip ?? undefined,
+    product: body?.product ?? profile?.loan_product ?? undefined,
+    arm: body?.arm && typeof body.arm === "object" ? body.arm : undefined,
+    buydown: body?.buydown ?? undefined,
+    closing: closingInputs({ body, city }),
+    cashAvailable: Number.isFinite(cashAvailable) ? cashAvailable : undefined,
   };
+  sources.closing = city?.closing_costs ? `city.closing_costs (${city.closing_costs.state})` : "mortgage.js national defaults";
 
   let engine = null;
   let engineErr = null;
@@ -1076,11 +671,14 @@ async function computeMortgageEstimate({ body, profile, city, bedrooms }) {
   const ins = Number(engine?.breakdown?.insurance || 0) || 0;
   const hoaMo = Number(engine?.breakdown?.hoa || 0) || 0;
   const pmi = Number(engine?.breakdown?.pmi || 0) || 0;
+  const upfrontMip = Number(engine?.breakdown?.upfrontMip || 0) || 0;
+  const annualMip = Number(engine?.breakdown?.annualMip || 0) || 0;
   const totalMonthly = Number(engine?.breakdown?.allIn || 0) || 0;
 
   const downPayment = Number(engine?.downPayment || 0) || 0;
   const downPercent = Number(engine?.downPercent || 0) || 0;
   const loanAmount = Number(engine?.loanAmount || 0) || 0;
+  const baseLoanAmount = Number(engine?.baseLoanAmount ?? loanAmount) || 0;
   const aprUsed = Number(engine?.apr || 0) || 0;
   const termUsed = Number(engine?.termYears || termYears) || termYears;
 
@@ -1092,6 +690,8 @@ async function computeMortgageEstimate({ body, profile, city, bedrooms }) {
       insurance: ins,
       hoa: hoaMo,
       pmi: pmi,
+      upfrontMip: upfrontMip,
+      annualMip: annualMip,
       totalMonthly: totalMonthly,
     },
     assumptions: {
@@ -1099,6 +699,7 @@ async function computeMortgageEstimate({ body, profile, city, bedrooms }) {
       dpPct: downPercent || dpPct,
       dpAmt: downPayment,
       loan: loanAmount,
+      baseLoan: baseLoanAmount,
       apr: aprUsed,
       termYears: termUsed,
       taxRate: taxRatePct,
@@ -1108,6 +709,12 @@ async function computeMortgageEstimate({ body, profile, city, bedrooms }) {
       loanType: loanType || undefined,
       creditScore: creditScore ?? undefined,
     },
+    vaFundingFee: engine?.vaFundingFee ?? null,
+    fhaMip: engine?.fhaMip ?? null,
+    cashToClose: engine?.cashToClose ?? null,
+    product: engine?.product ?? null,
+    arm: engine?.arm ?? null,
+    buydown: engine?.buydown ?? null,
     sources,
     meta: {
       aprSource: engine?.aprSource ?? null,
@@ -1116,6 +723,156 @@ async function computeMortgageEstimate({ body, profile, city, bedrooms }) {
   };
 }
 
+// Optional: max price that qualifies for this member (reverse of the mortgage estimate).
+// Every probe re-runs computeMortgageEstimate with body.price replaced, so the solved payment
+// uses exactly the loan type / rates / PMI the mortgage block uses.
+function wantsAffordability(body) {
+  const v = body?.includeAffordability ?? body?.affordability;
+  if (v && typeof v === "object") return true;
+  return v === true || v === 1 || String(v).toLowerCase() === "true";
+}
+
+async function computeAffordabilityBlock({ body, profile, city, bedrooms, pay, takeHome, mortgageCore }) {
+  const opts = body?.affordability && typeof body.affordability === "object" ? body.affordability : {};
+  const loanType = mortgageCore?.assumptions?.loanType || body?.loanType || profile?.loanType || profile?.loan_type;
+
+  try {
+    const out = await solveMaxPrice({
+      pay,
+      takeHome,
+      profile,
+      state: propertyState({ body, city }),
+      loanType,
+      debtsMonthly: opts.debtsMonthly,
+      targetDti: opts.targetDti,
+      targetFrontDti: opts.targetFrontDti,
+      allowStretch: opts.allowStretch === true,
+      checkPrice: opts.checkPrice ?? (mortgageCore?.ok ? mortgageCore.assumptions?.price : undefined),
+      paymentAt: async (price) => {
+        const m = await computeMortgageEstimate({ body: { ...body, price }, profile, city, bedrooms });
+        if (!m.ok) throw new Error(m?.meta?.error || "Mortgage estimate unavailable.");
+        return {
+          totalMonthly: Number(m.breakdown?.totalMonthly || 0) || 0,
+          loanAmount: Number(m.assumptions?.loan || 0) || 0,
+          downPayment: Number(m.assumptions?.dpAmt || 0) || 0,
+          apr: Number(m.assumptions?.apr || 0) || null,
+          breakdown: m.breakdown,
+        };
+      },
+    });
+    return { ...out, bluf: affordabilityBluf(out), source: "brain->afford.js" };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+}
+
+// Cash to close from mortgage.js, with a plain-English gap against the member's cash
+function cashToCloseBlock(mortgageCore, availableSource) {
+  const c = mortgageCore?.cashToClose;
+  if (!mortgageCore?.ok) return { ok: false, error: "Mortgage estimate unavailable; cannot price closing." };
+  if (!c) return { ok: false, error: "No closing inputs (city closing_costs, body.closing or cashAvailable); cash to close not priced." };
+
+  const money = (n) => (Number(n) || 0).toLocaleString("en-US", { style: "currency", currency: "USD", maximumFractionDigits: 0 });
+  let bluf = `Bring about ${money(c.total)} to closing: ${money(c.downPayment)} down + ${money(c.beyondDownPayment)} in closing costs, prepaids and escrow`;
+  bluf += c.sellerConcessions.applied > 0 ? ` (after ${money(c.sellerConcessions.applied)} seller credit).` : ".";
+  if (c.available != null) {
+    bluf += c.shortfall > 0
+      ? ` Your ${money(c.available)} down payment savings leave you ${money(c.shortfall)} short.`
+      : ` Your ${money(c.available)} covers it with ${money(c.surplus)} to spare.`;
+  }
+
+  return { ok: true, ...c, availableSource: availableSource || null, source: mortgageCore.sources?.closing || null, bluf };
+}
+
+// BAH vs housing cost for every bedroom tier the city ships. Tier payments re-run
+// computeMortgageEstimate at that tier's price (body.price wins over profile.price),
+// so the PITI matches the mortgage block's loan type / rates / PMI.
+function wantsBahGap(body) {
+  const v = body?.includeBahGap ?? body?.bahGap;
+  return v === true || v === 1 || String(v).toLowerCase() === "true";
+}
+
+async function computeBahGapBlock({ body, profile, city, pay }) {
+  try {
+    return await computeBahGap({
+      city,
+      bah: pay?.bah,
+      profile,
+      paymentAt: async (price) => {
+        const m = await computeMortgageEstimate({ body: { ...body, price }, profile, city, bedrooms: null });
+        if (!m.ok) throw new Error(m?.meta?.error || "Mortgage estimate unavailable.");
+        return { totalMonthly: Number(m.breakdown?.totalMonthly || 0) || 0 };
+      },
+    });
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+}
+
+// Appreciation bands + equity at PCS for the same home/loan the mortgage block priced
+function computeAppreciationBlock({ body, profile, city, mortgageCore }) {
+  if (!mortgageCore?.ok) return { ok: false, error: "Mortgage estimate unavailable; no home price to project." };
+
+  const a = mortgageCore.assumptions || {};
+  try {
+    return computePriceTrend({
+      city,
+      price: a.price,
+      loanAmount: a.loan,
+      apr: a.apr,
+      termYears: a.termYears,
+      tourYears: body?.tourYears ?? profile?.tour_years ?? profile?.tourYears,
+      sellPct: body?.sellPct,
+    });
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+}
+
+// Optional: project keeping this home as a rental after PCS.
+// Reuses the mortgage assumptions already resolved above so both blocks describe the same loan.
+function wantsRentalAfterPcs(body) {
+  const v = body?.includeRentalAfterPcs ?? body?.rentalAfterPcs;
+  if (v && typeof v === "object") return true;
+  return v === true || v === 1 || String(v).toLowerCase() === "true";
+}
+
+async function computeRentalAfterPcsBlock({ body, profile, city, bedrooms, mortgageCore }) {
+  if (!mortgageCore?.ok) {
+    return { ok: false, error: "Mortgage estimate unavailable; cannot project rental." };
+  }
+
+  const opts = body?.rentalAfterPcs && typeof body.rentalAfterPcs === "object" ? body.rentalAfterPcs : {};
+  const a = mortgageCore.assumptions || {};
+
+  try {
+    return await computeRentalAfterPcs(
+      {
+        ...opts,
+        bedrooms,
+        price: a.price,
+        dpPct: a.dpPct,
+        termYears: a.termYears,
+        apr: a.apr,
+        taxRate: a.taxRate,
+        insRate: a.insRate,
+        hoa: a.hoa,
+        loanType: a.loanType,
+        pmiRate: a.pmiRate,
+        creditScore: a.creditScore,
+        vaDisabilityRating:
+          toInt(profile?.va_disability ?? profile?.vaDisability ?? profile?.va_rating ?? profile?.vaRating) ?? undefined,
+        vaFirstUse: body?.vaFirstUse ?? profile?.vaFirstUse ?? profile?.va_first_use ?? undefined,
+        vaFinanceFee: body?.vaFinanceFee ?? profile?.vaFinanceFee ?? profile?.va_finance_fee ?? undefined,
+        fhaFinanceUfmip: body?.fhaFinanceUfmip ?? profile?.fhaFinanceUfmip ?? undefined,
+      },
+      { city },
+    );
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+}
+
 // -----------------------------
 // //#5 Supabase profile lookup
 // -----------------------------
@@ -1126,6 +883,32 @@ function getSupabase() {
   return createClient(url, key, { auth: { persistSession: false } });
 }
 
+// Latest intake row (optional table); its downpayment is the cash the member plans to bring
+// Latest = most recently edited (updated_at), then newest row (created_at) — same
+// ordering aiou-profile uses, so an edited older intake wins over a newer stub.
+async function fetchLatestIntakeByEmail(email) {
+  let sb;
+  try {
+    sb = getSupabase();
+  } catch (e) {
+    return null;
+  }
+  for (const col of ["updated_at", "created_at"]) {
+    try {
+      const { data, error } = await sb
+        .from("financial_intakes")
+        .select("*")
+        .eq("email", email)
+        .order(col, { ascending: false, nullsFirst: false })
+        .limit(1);
+      if (!error) return (data && data[0]) || null;
+    } catch (e) {
+      // try next column
+    }
+  }
+  return null;
+}
+
 async function fetchProfileByEmail(email) {
   const sb = getSupabase();
   const { data, error } = await sb.from("profiles").select("*").eq("email", email).maybeSingle();
@@ -1147,7 +930,7 @@ exports.handler = async function handler(event) {
       return respond(event, 200, {
         ok: true,
         schemaVersion: SCHEMA_VERSION,
-        note: "POST JSON: { email, cityKey, bedrooms, price?, dpPct?, termYears?, creditScore?, apr?, taxRate?, insRate?, hoa?, pmiRate?, loanType?, overrides? }",
+        note: "POST JSON: { email, cityKey, bedrooms, price?, dpPct?, termYears?, creditScore?, apr?, taxRate?, insRate?, hoa?, pmiRate?, loanType?, product?, arm?, buydown?, asOf?, year?, incomeBasis?, cashAvailable?, closing?, tourYears?, sellPct?, includeAffordability?, affordability?, includeBahGap?, bahGap?, includeRentalAfterPcs?, rentalAfterPcs?, overrides? }",
       });
     }
 
@@ -1169,7 +952,14 @@ exports.handler = async function handler(event) {
     const cityKeyClean = safeKey(cityKeyRaw);
     const bedrooms = toInt(body.bedrooms) ?? 4;
 
-    const payTables = loadPayTables();
+    // Load (and validate) first so a data gap stays a 500; a bad asOf/year is the caller's 400
+    const payTablesAll = loadPayTables();
+    let payTables = null;
+    try {
+      payTables = payTablesForSchedule(payTablesAll, { asOf: body.asOf, year: body.year });
+    } catch (e) {
+      return respond(event, 400, { ok: false, schemaVersion: SCHEMA_VERSION, error: String(e?.message || e) });
+    }
     const profile = await fetchProfileByEmail(email);
 
     const { profileEffective, overridesApplied } = applyOverridesToProfile(profile, body.overrides);
@@ -1184,6 +974,8 @@ exports.handler = async function handler(event) {
       if (cityResolve.cityKey) resolvedCityKey = cityResolve.cityKey;
     }
 
+    // loadCity returns null when there is no market file (city_file_missing);
+    // the blocks below then report their market inputs as unavailable
     let city = null;
     let cityLoadFallbackUsed = false;
     let cityLoadError = null;
@@ -1205,13 +997,39 @@ exports.handler = async function handler(event) {
 
     const computed = computePay(profileEffective, payTables);
 
-    const mortgageCore = await computeMortgageEstimate({ body, profile: profileEffective, city, bedrooms });
+    const takeHome = estimateTakeHome(computed.pay, profileEffective);
+    const incomeBasis = lower(body.incomeBasis) === "net" ? "net" : "gross";
+    const grossMonthly = Number(computed.pay?.totalPay || 0) || 0;
+    const income = {
+      basis: incomeBasis,
+      monthly: incomeBasis === "net" && takeHome.ok ? takeHome.netMonthly : grossMonthly,
+      gross: grossMonthly,
+      net: takeHome.ok ? takeHome.netMonthly : null,
+    };
+
+    const intake = await fetchLatestIntakeByEmail(email);
+    const cashAvailable = toNum(body.cashAvailable) ?? toNum(intake?.downpayment) ?? toNum(profileEffective?.downpayment);
+    const cashAvailableSource =
+      toNum(body.cashAvailable) != null
+        ? "body.cashAvailable"
+        : toNum(intake?.downpayment) != null
+          ? "financial_intakes.downpayment"
+          : toNum(profileEffective?.downpayment) != null
+            ? "profile.downpayment"
+            : null;
+
+    const mortgageCore = await computeMortgageEstimate({ body, profile: profileEffective, city, bedrooms, cashAvailable });
 
     // Backward-compatible mortgage output
     const mortgage = {
       ok: !!mortgageCore.ok,
       breakdown: mortgageCore.breakdown,
       assumptions: mortgageCore.assumptions,
+      vaFundingFee: mortgageCore.vaFundingFee || null,
+      fhaMip: mortgageCore.fhaMip || null,
+      product: mortgageCore.product || null,
+      arm: mortgageCore.arm || null,
+      buydown: mortgageCore.buydown || null,
       sources: mortgageCore.sources,
 
       // legacy aliases used across older dashboards
@@ -1230,13 +1048,46 @@ exports.handler = async function handler(event) {
       meta: mortgageCore?.meta || null,
     };
 
+    const qualification = evaluateQualification({
+      pay: computed.pay,
+      takeHome,
+      profile: profileEffective,
+      housingMonthly: mortgage.totalMonthly,
+      loanAmount: mortgage.loanAmount,
+      state: propertyState({ body, city }),
+    });
+
+    const cashToClose = cashToCloseBlock(mortgageCore, cashAvailableSource);
+
+    const bahGap = wantsBahGap(body)
+      ? await computeBahGapBlock({ body, profile: profileEffective, city, pay: computed.pay })
+      : undefined;
+
+    const appreciation = computeAppreciationBlock({ body, profile: profileEffective, city, mortgageCore });
+
+    const affordability = wantsAffordability(body)
+      ? await computeAffordabilityBlock({
+          body,
+          profile: profileEffective,
+          city,
+          bedrooms,
+          pay: computed.pay,
+          takeHome,
+          mortgageCore,
+        })
+      : undefined;
+
+    const rentalAfterPcs = wantsRentalAfterPcs(body)
+      ? await computeRentalAfterPcsBlock({ body, profile: profileEffective, city, bedrooms, mortgageCore })
+      : undefined;
+
     return respond(event, 200, {
       ok: true,
       schemaVersion: SCHEMA_VERSION,
-      input: { email, cityKey: resolvedCityKey, bedrooms },
+      input: { email, cityKey: resolvedCityKey, bedrooms, asOf: payTables?.PAY_SCHEDULE_USED?.asOf || null },
 
       debug: {
-        payTablesPathUsed: __PAY_TABLES_PATH_USED__ || null,
+        payTablesPathUsed: payTablesPathUsed() || null,
         cityKeyRaw: cityKeyRaw || null,
         cityKeyResolved: resolvedCityKey,
         cityKeySource:
@@ -1246,6 +1097,7 @@ exports.handler = async function handler(event) {
               ? "body.cityKey"
               : "default",
         baseUsedForCity: callerDidNotChooseCity && cityResolve.cityKey ? cityResolve.base || null : null,
+        installation: cityResolve.installation || null,
 
         cityFileRequested: city?.cityFileRequested || null,
         cityFileUsed: city?.cityFileUsed || null,
@@ -1254,6 +1106,7 @@ exports.handler = async function handler(event) {
 
         cityLoadFallbackUsed: !!cityLoadFallbackUsed,
         cityLoadError: cityLoadError || null,
+        cityFileWarning: city ? null : "city_file_missing",
       },
 
       profile,
@@ -1261,11 +1114,23 @@ exports.handler = async function handler(event) {
       overridesApplied: overridesApplied || null,
 
       pay: computed.pay,
+      ...(computed.pay?.household ? { household: computed.pay.household } : {}),
+      takeHome,
+      income,
       city,
+      ...(city
+        ? {}
+        : { cityDataUnavailable: `No market data file for ${resolvedCityKey}; city rents, prices and closing defaults are unavailable.` }),
       missing: computed.missing,
 
       mortgage,
       estimatedMonthlyMortgage: mortgage.totalMonthly,
+      qualification,
+      cashToClose,
+      bahGap,
+      appreciation,
+      ...(affordability ? { affordability } : {}),
+      ...(rentalAfterPcs ? { rentalAfterPcs } : {}),
     });
   } catch (e) {
     return respond(event, 500, { ok: false, schemaVersion: SCHEMA_VERSION, error: String(e?.message || e) });
@@ -0,0 +1,391 @@
+// netlify/functions/compare-cities.js
+// ============================================================
+// PCSUnited • Multi-city PCS comparison v1.0.0
+// PURPOSE:
+// - A "dream sheet" lists 3-5 possible bases; brain.js answers one city per call.
+//   This runs the same engines for EVERY base and returns a ranked side-by-side table
+// - Per base:
+//     pay            lib/pay-engine.js computePay with that installation's ZIP (its BAH)
+//     mortgage       mortgage.js at the city's by_bedroom[n].home_price (or avg_home_value)
+//     rent vs buy    rent-vs-buy.js computeRentVsBuy over the tour
+//     city data      lib/cities.js loadCity (commute, property tax, demographics)
+// - Bases resolve through lib/installations.js (aliases like Fort Bragg, JBLM work);
+//   a base with no city file still gets pay/BAH, with housing columns left null
+//
+// ENDPOINT:
+//   POST /.netlify/functions/compare-cities
+//   POST /api/compare-cities   (via netlify.toml redirect)
+//
+// INPUT (POST JSON) examples:
+// {
+//   "profile": { "rank": "E-6", "yos": 9, "family": true },   // same fields as brain.js profiles
+//   "bases": ["Nellis AFB", "Luke AFB", "Fort Bragg"],        // or [{ "base": "...", "zip": "..." }]
+//   "bedrooms": 3,
+//   "rankBy": "bahSurplus",          // bahSurplus | bahVsRent | pricePerBedroom | commute | taxRate
+//   "loanType": "va", "creditScore": 720, "dpPct": null, "apr": null, "termYears": 30,
+//   "tourYears": 3,
+//   "asOf": null, "year": null       // optional dated pay schedule
+// }
+//
+// OUTPUT:
+// {
+//   ok: true,
+//   rankBy, bedrooms, loanType,
+//   table: [{ rank, base, cityKey, place, bah, mortgageMonthly, rentMonthly, bahSurplus,
+//             bahVsRent, homePrice, pricePerBedroom, commuteMinutes, propertyTaxRatePct,
+//             rentVsBuy, hasCityData }],
+//   cities: [{ base, installation, pay, mortgage, rentVsBuy, city: { ..., demographics }, missing, warnings }],
+//   best, bluf, meta: { warnings }
+// }
+// ============================================================
+
+"use strict";
+
+const { computeRentVsBuy } = require("./rent-vs-buy.js");
+const { loadCity } = require("./lib/cities.js");
+const { lookupInstallation } = require("./lib/installations.js");
+const { loadPayTables, payTablesForSchedule } = require("./lib/pay-tables.js");
+const { computePay, VA_DEPENDENT_FIELDS, RESERVE_FIELDS, DUAL_MILITARY_FIELDS, SPECIAL_PAY_FIELDS } = require("./lib/pay-engine.js");
+const { RETIREMENT_FIELDS } = require("./lib/retirement.js");
+const { corsHeaders, j, num, firstNum, clamp, round2, money0, normalizeLoanType, callMortgageEngine } = require("./lib/endpoint.js");
+
+// ============================================================
+// //#1 — Helpers
+// ============================================================
+function orNull(n){
+  return Number.isFinite(n) ? round2(n) : null;
+}
+
+// ============================================================
+// //#2 — Defaults
+// ============================================================
+const COMPARE = {
+  MAX_BASES: 8,
+  BEDROOMS: 3,
+  DEFAULT_TAX_PCT: 1.2,
+  DEFAULT_INS_PCT: 0.5
+};
+
+// Ranking metric -> table column + direction (nulls always sort last)
+const RANK_BY = {
+  bahSurplus: { column: "bahSurplus", dir: "desc", label: "BAH left after the mortgage" },
+  bahVsRent: { column: "bahVsRent", dir: "desc", label: "BAH left after rent" },
+  pricePerBedroom: { column: "pricePerBedroom", dir: "asc", label: "home price per bedroom" },
+  commute: { column: "commuteMinutes", dir: "asc", label: "mean commute" },
+  taxRate: { column: "propertyTaxRatePct", dir: "asc", label: "property tax rate" }
+};
+
+const PROFILE_FIELDS = ["rank", "rank_paygrade", "yos", "family", "mode", ...DUAL_MILITARY_FIELDS, ...RESERVE_FIELDS, ...VA_DEPENDENT_FIELDS, ...RETIREMENT_FIELDS, ...SPECIAL_PAY_FIELDS];
+
+// ============================================================
+// //#3 — Base -> installation + city file
+// ============================================================
+function baseEntry(x){
+  if (x && typeof x === "object") return { base: String(x.base || x.name || "").trim(), zip: String(x.zip || "").trim() };
+  return { base: String(x || "").trim(), zip: "" };
+}
+
+// Only the city the base maps to; loadCity returns null when it has no market file
+function cityForInstallation(inst){
+  if (!inst) return null;
+  return loadCity(inst.cityKey, { base: inst.name });
+}
+
+function demographicsOf(city){
+  return {
+    population: city?.population?.estimate ?? null,
+    medianAge: city?.population?.median_age ?? null,
+    medianHouseholdIncome: city?.income?.median_household_income ?? null,
+    povertyRatePct: city?.income?.poverty_rate_percent ?? null,
+    unemploymentRatePct: city?.labor?.unemployment_rate_percent ?? null,
+    veteranPopulationPct: city?.veterans?.veteran_population_percent ?? null,
+    bachelorsOrHigherPct: city?.education?.bachelors_degree_or_higher_percent ?? null
+  };
+}
+
+// ============================================================
+// //#4 — One base
+// ============================================================
+async function compareOne(entry, ctx){
+  const { profile, payTables, bedrooms, loan } = ctx;
+  const warnings = [];
+
+  const inst = lookupInstallation(entry.base);
+  if (!inst) warnings.push("installation_not_found");
+
+  // Pay at THIS location: the installation ZIP replaces the member's current one
+  const zip = entry.zip || inst?.zip || "";
+  const profileAt = { ...profile, base: inst?.name || entry.base, zip };
+  const computed = computePay(profileAt, payTables);
+  const pay = computed.pay || {};
+  // A ZIP outside bah-rates.json is "unknown", not $0 — keep it out of the ranking
+  const bahKnown = !computed.missing.some((m) => m.startsWith("bah_"));
+  const bah = bahKnown ? num(pay.bah) : NaN;
+  if (!bahKnown) warnings.push(`bah_unavailable: ${computed.missing.filter((m) => m.startsWith("bah_")).join(", ")}`);
+
+  let city = null;
+  try {
+    city = cityForInstallation(inst);
+  } catch (e){
+    warnings.push(`city_not_loaded: ${String(e?.message || e)}`);
+  }
+  if (inst && !city) warnings.push("no_city_data");
+
+  // Housing at the requested bedroom count
+  const tier = city?.by_bedroom?.[String(bedrooms)] || null;
+  const tierPrice = num(tier?.home_price?.avg);
+  const homePrice = firstNum(tierPrice, city?.avg_home_value);
+  const priceSource = Number.isFinite(tierPrice) ? `city.by_bedroom[${bedrooms}].home_price` : Number.isFinite(homePrice) ? "city.avg_home_value" : null;
+  const rentMonthly = num(tier?.rent_monthly?.avg);
+  if (city && !tier) warnings.push(`no_by_bedroom_${bedrooms}`);
+
+  const taxRatePct = firstNum(city?.property_tax_rate, COMPARE.DEFAULT_TAX_PCT);
+  const insRatePct = firstNum(city?.insurance_rate, COMPARE.DEFAULT_INS_PCT);
+  const hoa = firstNum(city?.hoa_monthly, 0);
+
+  let mortgage = null;
+  if (Number.isFinite(homePrice) && homePrice > 0){
+    const engine = await callMortgageEngine({
+      price: homePrice,
+      down: loan.dpPct,
+      creditScore: Number.isFinite(loan.creditScore) ? loan.creditScore : undefined,
+      aprOverride: Number.isFinite(loan.apr) ? loan.apr : undefined,
+      termYears: loan.termYears,
+      taxRate: taxRatePct / 100,
+      insuranceAnnual: homePrice * (insRatePct / 100),
+      hoaMonthly: hoa,
+      loanType: loan.loanType,
+      vaDisabilityRating: Number.isFinite(loan.vaDisabilityRating) ? loan.vaDisabilityRating : undefined
+    });
+    mortgage = {
+      price: engine.price,
+      priceSource,
+      downPayment: engine.downPayment,
+      loanAmount: engine.loanAmount,
+      apr: engine.apr,
+      totalMonthly: round2(Number(engine?.breakdown?.allIn || 0) || 0),
+      breakdown: engine.breakdown,
+      taxRatePct,
+      taxRateSource: city?.property_tax_rate != null ? "city.property_tax_rate" : "default:1.20"
+    };
+  }
+
+  let rentVsBuy = null;
+  if (mortgage && Number.isFinite(rentMonthly)){
+    const rvb = await computeRentVsBuy({
+      bedrooms,
+      price: homePrice,
+      rentMonthly,
+      dpPct: loan.dpPct,
+      termYears: loan.termYears,
+      loanType: loan.loanType,
+      creditScore: loan.creditScore,
+      apr: loan.apr,
+      vaDisabilityRating: loan.vaDisabilityRating,
+      tourYears: loan.tourYears
+    }, { city });
+    rentVsBuy = rvb.ok
+      ? { winner: rvb.verdict.winner, advantage: rvb.verdict.advantage, breakEvenYears: rvb.breakEven.years, bluf: rvb.verdict.bluf }
+      : null;
+    if (!rvb.ok) warnings.push(`rent_vs_buy: ${rvb.error}`);
+  }
+
+  const mortgageMonthly = mortgage ? mortgage.totalMonthly : NaN;
+  const row = {
+    base: inst?.name || entry.base,
+    cityKey: inst?.cityKey || null,
+    place: city?.place || null,
+    branch: inst?.branch || null,
+    state: inst?.state || null,
+    zip: zip || null,
+    bah: orNull(bah),
+    bahMha: pay.bahDetail?.mha || null,
+    bahApproximate: !!pay.bahDetail?.approximate,
+    totalPay: orNull(num(pay.totalPay)),
+    mortgageMonthly: orNull(mortgageMonthly),
+    rentMonthly: orNull(rentMonthly),
+    bahSurplus: orNull(bah - mortgageMonthly),
+    bahVsRent: orNull(bah - rentMonthly),
+    homePrice: orNull(homePrice),
+    pricePerBedroom: Number.isFinite(tierPrice) ? round2(tierPrice / bedrooms) : null,
+    pricePerSqft: city?.housing?.market?.median_listing_price_per_sqft ?? null,
+    commuteMinutes: city?.labor?.mean_travel_time_to_work_minutes ?? null,
+    propertyTaxRatePct: city?.property_tax_rate ?? null,
+    rentVsBuy: rentVsBuy ? rentVsBuy.winner : null,
+    hasCityData: !!city
+  };
+
+  return {
+    row,
+    detail: {
+      base: row.base,
+      installation: inst,
+      pay,
+      missing: computed.missing,
+      mortgage,
+      rentVsBuy,
+      city: city
+        ? {
+            key: city.canonical_city_key || inst?.cityKey || null,
+            fileUsed: city.cityFileUsed || null,
+            place: city.place || null,
+            avgHomeValue: city.avg_home_value ?? null,
+            appreciationPct: city?.housing?.market?.zillow_one_year_change_percent ?? null,
+            demographics: demographicsOf(city)
+          }
+        : null,
+      warnings
+    }
+  };
+}
+
+// ============================================================
+// //#5 — Ranking
+// ============================================================
+function rankRows(rows, rankBy){
+  const { column, dir } = RANK_BY[rankBy];
+  const sorted = rows
+    .map((r, idx) => ({ r, idx }))
+    .sort((a, b) => {
+      const va = a.r[column];
+      const vb = b.r[column];
+      if (va == null && vb == null) return a.idx - b.idx;
+      if (va == null) return 1;
+      if (vb == null) return -1;
+      if (va === vb) return a.idx - b.idx;
+      return dir === "asc" ? va - vb : vb - va;
+    });
+  return sorted.map(({ r }, i) => ({ rank: i + 1, ...r }));
+}
+
+// Rows with no value for the metric sort last (rankRows) and are named, never counted as ranked
+function blufFor(table, rankBy, bedrooms){
+  const best = table[0];
+  const metric = RANK_BY[rankBy];
+  if (!best || best[metric.column] == null) return `Not enough city data to rank by ${metric.label}.`;
+
+  const ranked = table.filter((r) => r[metric.column] != null);
+  const unranked = table.filter((r) => r[metric.column] == null).map((r) => r.base);
+  const tail = unranked.length ? ` Not ranked (missing BAH or city data): ${unranked.join(", ")}.` : "";
+  const of = `${ranked.length} ${unranked.length ? "ranked " : ""}base${ranked.length === 1 ? "" : "s"}`;
+
+  if (rankBy === "bahSurplus" || rankBy === "bahVsRent"){
+    const cost = rankBy === "bahSurplus" ? `the estimated ${bedrooms}-bed mortgage` : `${bedrooms}-bed rent`;
+    const v = best[metric.column];
+    if (v >= 0) return `${best.base}: BAH covers ${cost} with ${money0(v)}/mo to spare — the best fit of ${of}.${tail}`;
+    const everyone = unranked.length ? `every ranked option` : `every option`;
+    return `${best.base}: the smallest gap — BAH falls ${money0(-v)}/mo short of ${cost}; ${everyone} needs out-of-pocket housing money.${tail}`;
+  }
+  return `${best.base} ranks first by ${metric.label} of the ${of} compared.${tail}`;
+}
+
+// ============================================================
+// //#6 — compareCities (exported for other functions)
+// ============================================================
+async function compareCities(body){
+  const b = body || {};
+
+  const bases = (Array.isArray(b.bases) ? b.bases : []).map(baseEntry).filter((x) => x.base || x.zip);
+  if (!bases.length) return { ok:false, error:"Pass 'bases': a list of 1-8 installations." };
+  if (bases.length > COMPARE.MAX_BASES) return { ok:false, error:`Compare at most ${COMPARE.MAX_BASES} bases per call.` };
+
+  const rankBy = RANK_BY[b.rankBy] ? b.rankBy : "bahSurplus";
+
+  const profile = b.profile && typeof b.profile === "object" ? { ...b.profile } : {};
+  for (const k of PROFILE_FIELDS){
+    if (b[k] !== undefined && b[k] !== null && String(b[k]).trim() !== "") profile[k] = b[k];
+  }
+
+  // Load (and validate) first so a data gap stays a 500; a bad asOf/year is the caller's 400
+  const payTablesAll = loadPayTables();
+  let payTables = null;
+  try {
+    payTables = payTablesForSchedule(payTablesAll, { asOf: b.asOf, year: b.year });
+  } catch (e){
+    return { ok:false, error: String(e?.message || e) };
+  }
+
+  const loanType = normalizeLoanType(b.loanType ?? profile.loanType ?? profile.loan_type);
+  const loan = {
+    loanType,
+    dpPct: firstNum(b.dpPct, loanType === "va" ? 0 : loanType === "fha" ? 3.5 : 5),
+    termYears: firstNum(b.termYears, 30),
+    creditScore: firstNum(b.creditScore, profile.credit_score, profile.creditScore),
+    apr: num(b.apr),
+    vaDisabilityRating: num(profile.va_disability ?? profile.vaDisability),
+    tourYears: firstNum(b.tourYears, 3)
+  };
+  const bedrooms = clamp(Math.round(firstNum(b.bedrooms, profile.bedrooms, COMPARE.BEDROOMS)), 1, 6);
+
+  const rows = [];
+  const cities = [];
+  for (const entry of bases){
+    const res = await compareOne(entry, { profile, payTables, bedrooms, loan });
+    rows.push(res.row);
+    cities.push(res.detail);
+  }
+
+  if (cities.every((c) => c.missing.some((m) => m === "rank_paygrade" || m.startsWith("basepay")))){
+    return { ok:false, error:"Rank and years of service are needed to compute pay.", missing: cities[0].missing };
+  }
+
+  const table = rankRows(rows, rankBy);
+  const order = new Map(table.map((r) => [r.base, r.rank]));
+  cities.sort((x, y) => (order.get(x.base) || 0) - (order.get(y.base) || 0));
+
+  const warnings = [];
+  const noData = table.filter((r) => !r.hasCityData).map((r) => r.base);
+  if (noData.length) warnings.push(`no_city_data: ${noData.join(", ")}`);
+
+  return {
+    ok: true,
+    version: "1.0.0",
+    rankBy,
+    rankByLabel: RANK_BY[rankBy].label,
+    bedrooms,
+    loanType,
+    assumptions: {
+      dpPct: loan.dpPct,
+      termYears: loan.termYears,
+      creditScore: Number.isFinite(loan.creditScore) ? loan.creditScore : null,
+      apr: Number.isFinite(loan.apr) ? loan.apr : null,
+      tourYears: loan.tourYears,
+      paySchedule: payTables?.PAY_SCHEDULE_USED || null
+    },
+    table,
+    cities,
+    best: table[0] ? { base: table[0].base, cityKey: table[0].cityKey, value: table[0][RANK_BY[rankBy].column] } : null,
+    bluf: blufFor(table, rankBy, bedrooms),
+    meta: { warnings }
+  };
+}
+
+// ============================================================
+// //#7 — Netlify handler
+// ============================================================
+exports.handler = async function handler(event) {
+  try{
+    if (event.httpMethod === "OPTIONS"){
+      return { statusCode: 204, headers: corsHeaders, body: "" };
+    }
+
+    if (event.httpMethod !== "POST"){
+      return j(405, { ok:false, error:"Method not allowed. Use POST." });
+    }
+
+    let body = {};
+    try {
+      body = event.body ? JSON.parse(event.body) : {};
+    } catch (e){
+      return j(400, { ok:false, error:"Invalid JSON body." });
+    }
+
+    const out = await compareCities(body);
+    return j(out.ok ? 200 : 400, out);
+
+  } catch (e){
+    return j(500, { ok:false, error:"Server error", detail: String(e?.message || e) });
+  }
+};
+
+exports.compareCities = compareCities;
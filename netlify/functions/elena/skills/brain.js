@@ -1,7 +1,9 @@
 // netlify/functions/elena/skills/brain.js
 // ============================================================
 // PCSUnited • Elena Skill: BRAIN — profile-aware greeting + deterministic snapshot
-// Version: v1.0.0
+// Version: v1.1.0
+//  - v1.1.0: "can I afford" questions ask /api/brain for the affordability block
+//    (max qualifying price from afford.js) and answer with it
 //
 // PURPOSE:
 //  - Make Elena "know the user" (rank/name/base) for greetings and context.
@@ -63,6 +65,10 @@ function toInt(x) {
   return Number.isFinite(n) ? n : null;
 }
 
+function money(n) {
+  return (Number(n) || 0).toLocaleString("en-US", { style: "currency", currency: "USD", maximumFractionDigits: 0 });
+}
+
 function normalizePaygrade(x) {
   const raw = safeStr(x).toUpperCase().replace(/\s+/g, "");
   if (!raw) return "";
@@ -151,6 +157,31 @@ function needsBrainSnapshot(text) {
   );
 }
 
+function asksAffordability(text) {
+  const t = safeStr(text).toLowerCase();
+  return (
+    t.includes("afford") ||
+    t.includes("how much house") ||
+    t.includes("max price") ||
+    t.includes("maximum price") ||
+    t.includes("price range")
+  );
+}
+
+// "$425,000", "425k", "$1.2m" -> dollars (home prices only; ignores small numbers)
+function priceFromText(text) {
+  const t = safeStr(text).toLowerCase();
+  const m =
+    t.match(/\$\s*([\d,]+(?:\.\d+)?)\s*(k|m)?\b/) ||
+    t.match(/\b(\d+(?:\.\d+)?)\s*(k|m)\b/);
+  if (!m) return null;
+  const n = Number(String(m[1]).replace(/,/g, ""));
+  if (!Number.isFinite(n)) return null;
+  const mult = m[2] === "m" ? 1000000 : m[2] === "k" ? 1000 : 1;
+  const price = n * mult;
+  return price >= 20000 ? price : null;
+}
+
 /* ============================================================
    //#3 — Skill match
 ============================================================ */
@@ -421,6 +452,13 @@ async function handle(text, ctx) {
     source: safeStr(ctx?.source || "elena-skill"),
   };
 
+  // "Can I afford ...?" -> brain solves the max qualifying price (afford.js)
+  const affordQuestion = asksAffordability(message);
+  const askedPrice = affordQuestion ? priceFromText(message) : null;
+  if (affordQuestion) {
+    brainPayload.affordability = askedPrice ? { checkPrice: askedPrice } : true;
+  }
+
   const brain = await callBrainEngine({ apiBase, payload: brainPayload });
 
   // If brain fails, still give a useful response + greeting
@@ -461,8 +499,27 @@ async function handle(text, ctx) {
   const lines = [];
   lines.push(greet);
 
+  const afford = brainData?.affordability && brainData.affordability.ok ? brainData.affordability : null;
+
   // If user asked for snapshot/affordability, add the quick deterministic rails
-  if (needsBrainSnapshot(message)) {
+  if (affordQuestion && afford) {
+    lines.push("");
+    lines.push(`BLUF: ${afford.bluf}`);
+    if (afford.maxPrice > 0) {
+      lines.push(`• Loan: ${String(afford.loanType || "").toUpperCase()} ${money(afford.loanAmount)} (down ${money(afford.downPayment)})`);
+      const lim = afford.limits || {};
+      const limText = [
+        lim.frontDti ? `front-end DTI ${lim.frontDti}%` : "",
+        lim.backDti ? `back-end DTI ${lim.backDti}%` : "",
+        lim.residual ? "VA residual income" : "",
+      ].filter(Boolean).join(" + ");
+      if (limText) lines.push(`• Limits used: ${limText}`);
+    }
+    if (resolvedCity) lines.push(`Market context (${resolvedCity}):`);
+    if (targetHome > 0) lines.push(`• Target home price: ${money(targetHome)}`);
+    lines.push("");
+    lines.push("Want me to rerun it with a different down payment, loan type, or your actual monthly debts?");
+  } else if (needsBrainSnapshot(message)) {
     if (incomeTotal > 0) {
       lines.push("");
       lines.push(`BLUF: Your “safe” all-in housing cap is about ${capAllIn.toLocaleString("en-US", { style: "currency", currency: "USD", maximumFractionDigits: 0 })}/mo (30% of income).`);
@@ -500,6 +557,9 @@ async function handle(text, ctx) {
       rails: {
         housing_cap_pct: 0.30,
         housing_cap_monthly: capAllIn,
+        max_price: afford ? afford.maxPrice : null,
+        asked_price: askedPrice,
+        asked_price_fits: askedPrice && afford?.check ? !!afford.check.fits : null,
       },
     },
     debug: {
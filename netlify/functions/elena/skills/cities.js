@@ -1,7 +1,7 @@
 // netlify/functions/elena/skills/cities.js
 // ============================================================
 // PCSUnited • Elena Skill: CITIES — read city market JSON + answer “targets” questions
-// Version: v1.0.0
+// Version: v1.3.0
 //
 // PURPOSE:
 //  - Provide deterministic answers about a market (rent/home/utilities targets, by-bedroom ranges, etc.)
@@ -10,13 +10,15 @@
 //  - NO duplicated math. NO OpenAI required.
 //  - Designed to stay small even as you scale: add city JSON files, not code.
 //
-// EXPECTED CITY JSON SHAPE (flexible):
-//  - Supports a few common structures, e.g.:
-//      city.name / city.location
-//      targets.rent, targets.home, targets.homePrice, targets.rent_by_bed, targets.home_by_bed
-//      averages.utilities or utilities_by_bed
-//      bedroom_costs / bedroomCosts / by_bedroom tables, etc.
-//  - This skill does best-effort extraction with safe fallbacks.
+// CITY JSON SHAPE (schema v1 — scripts/build-cities.js, validated by lib/cities.js):
+//      place / city
+//      avg_home_value                                  (home target)
+//      by_bedroom[n].rent_monthly.avg                  (rent target per bedroom count)
+//      by_bedroom[n].home_price.avg
+//      by_bedroom[n].utilities.total.avg
+//  - Baseline rent/utilities = average across bedroom tiers (same as lib/cities.js)
+//  - Price trend: lib/price-trend.js fits housing.market.sale_history_36_months and
+//    projects the target home over ctx.tourYears (default 3) under low/base/high scenarios
 //
 // SKILL CONTRACT:
 // module.exports = { id, priority, match, handle }
@@ -24,8 +26,9 @@
 // ctx recommended shape:
 // {
 //   cityKey: "SanAntonio"  (optional),
-//   base: "JBSA-Lackland"  (optional; if you have base->cityKey mapping elsewhere),
+//   base: "JBSA-Lackland"  (optional; resolved via the installation registry),
 //   bedrooms: 3            (optional),
+//   tourYears: 3           (optional; value projection horizon),
 //   citiesDir: "netlify/functions/cities" (optional override)
 // }
 //
@@ -36,6 +39,15 @@
 const fs = require("fs");
 const path = require("path");
 
+// Installation registry (cities/index.byBase.json): base/alias -> cityKey + market file
+const { lookupInstallation, findInstallationInText, cityKeyToFileKey } = require("../../lib/installations.js");
+
+// City schema validator (rejects files that are not schema v1)
+const { validateCity } = require("../../lib/cities.js");
+
+// Appreciation fit + value scenarios (same module brain.js uses)
+const { computePriceTrend } = require("../../lib/price-trend.js");
+
 /* ============================================================
    //#1 — Skill identity
 ============================================================ */
@@ -115,6 +127,9 @@ function match(text, ctx) {
     "bedroom",
     "3 bed",
     "4 bed",
+    "apprecia",
+    "price trend",
+    "home value",
   ];
 
   return containsAny(t, triggers);
@@ -143,19 +158,33 @@ function listCityFiles(dir) {
   }
 }
 
-function loadCityByKey(dir, cityKey) {
+// Files are base-named (Nellis.json); canonical keys (LasVegas) map through the registry
+function cityFileFor(dir, cityKey, installation) {
+  const candidates = [installation?.fileKey, cityKey, cityKeyToFileKey(cityKey)];
+  for (const c of candidates) {
+    const k = safeStr(c);
+    if (k && fs.existsSync(path.join(dir, `${k}.json`))) return k;
+  }
+  return "";
+}
+
+function loadCityByKey(dir, cityKey, installation) {
   const key = safeStr(cityKey);
   if (!key) return { ok: false, reason: "Missing cityKey" };
 
-  const fp = path.join(dir, `${key}.json`);
-  if (!fs.existsSync(fp)) return { ok: false, reason: `City JSON not found: ${key}.json` };
+  const fileKey = cityFileFor(dir, key, installation);
+  if (!fileKey) return { ok: false, reason: `City JSON not found: ${key}.json` };
+
+  const fp = path.join(dir, `${fileKey}.json`);
 
   try {
     const raw = fs.readFileSync(fp, "utf8");
     const json = JSON.parse(raw);
+    const errors = validateCity(json, fileKey);
+    if (errors.length) return { ok: false, reason: `${fileKey}.json failed validation: ${errors.join("; ")}` };
     return { ok: true, cityKey: key, fp, json };
   } catch (err) {
-    return { ok: false, reason: `Failed to read/parse ${key}.json: ${String(err)}` };
+    return { ok: false, reason: `Failed to read/parse ${fileKey}.json: ${String(err)}` };
   }
 }
 
@@ -165,7 +194,9 @@ function loadCityByKey(dir, cityKey) {
    1) ctx.cityKey
    2) payload.cityKey
    3) ctx.profile.cityKey (if you store it later)
-   4) infer from text if user typed a known cityKey (filename match)
+   4) base (ctx / payload / profile) via the installation registry
+   5) infer from text if user typed a known cityKey (filename match)
+   6) infer from text if user named an installation ("fort bragg", "JBLM")
 ============================================================ */
 function inferCityKeyFromText(dir, text) {
   const files = listCityFiles(dir);
@@ -185,91 +216,60 @@ function inferCityKeyFromText(dir, text) {
 
 function resolveCityKey(dir, text, ctx, payload) {
   const c1 = safeStr(ctx?.cityKey);
-  if (c1) return c1;
+  if (c1) return { cityKey: c1, installation: null };
 
   const c2 = safeStr(payload?.cityKey);
-  if (c2) return c2;
+  if (c2) return { cityKey: c2, installation: null };
 
   const c3 = safeStr(ctx?.profile?.cityKey);
-  if (c3) return c3;
+  if (c3) return { cityKey: c3, installation: null };
+
+  const base = safeStr(ctx?.base) || safeStr(payload?.base) || safeStr(ctx?.profile?.base);
+  const fromBase = base ? lookupInstallation(base) : null;
+  if (fromBase) return { cityKey: fromBase.cityKey, installation: fromBase };
 
   const inferred = inferCityKeyFromText(dir, text);
-  if (inferred) return inferred;
+  if (inferred) return { cityKey: inferred, installation: null };
 
-  return "";
+  const fromText = findInstallationInText(text);
+  if (fromText) return { cityKey: fromText.cityKey, installation: fromText };
+
+  return { cityKey: "", installation: null };
 }
 
 /* ============================================================
    //#6 — Extractors (flexible JSON shapes)
 ============================================================ */
-function pick(obj, paths) {
-  for (const p of paths) {
-    try {
-      const parts = p.split(".");
-      let cur = obj;
-      for (const part of parts) {
-        if (cur == null) break;
-        cur = cur[part];
-      }
-      if (cur !== undefined && cur !== null) return cur;
-    } catch (_) {}
-  }
-  return null;
+function extractName(cityJson, cityKey) {
+  return safeStr(cityJson?.place) || safeStr(cityJson?.city) || safeStr(cityKey) || "—";
 }
 
-function extractName(cityJson, cityKey) {
-  return (
-    safeStr(pick(cityJson, ["name", "city.name", "meta.name", "location.name"])) ||
-    safeStr(pick(cityJson, ["location", "city.location", "meta.location"])) ||
-    safeStr(cityKey) ||
-    "—"
-  );
+function averageOf(values) {
+  const vals = values.filter((n) => n != null && n > 0);
+  if (!vals.length) return null;
+  return Math.round(vals.reduce((a, b) => a + b, 0) / vals.length);
 }
 
 function extractTargets(cityJson) {
-  // Common target locations
-  const rent = toNum(
-    pick(cityJson, [
-      "targets.rent",
-      "targets.target_rent",
-      "targets.rent_target",
-      "city.targets.rent",
-      "city.targets.target_rent",
-      "rent.target",
-      "targetRent",
-    ])
-  );
-
-  const home = toNum(
-    pick(cityJson, [
-      "targets.home",
-      "targets.homePrice",
-      "targets.target_home",
-      "targets.target_home_price",
-      "city.targets.home",
-      "city.targets.homePrice",
-      "home.target",
-      "targetHome",
-      "targetHomePrice",
-    ])
-  );
-
-  // Optional: per-bedroom targets
-  const rentByBed =
-    pick(cityJson, ["targets.rent_by_bed", "targets.rentByBed", "rent_by_bed", "rentByBed", "bedroom_costs.rent"]) ||
-    null;
-
-  const homeByBed =
-    pick(cityJson, ["targets.home_by_bed", "targets.homeByBed", "home_by_bed", "homeByBed", "bedroom_costs.home"]) ||
-    null;
-
-  // Utilities baseline (optional)
-  const utilities =
-    toNum(pick(cityJson, ["averages.utilities", "averages.avg_utilities", "utilities", "targets.utilities"])) || null;
-
-  const utilitiesByBed =
-    pick(cityJson, ["utilities_by_bed", "utilitiesByBed", "averages.utilities_by_bed", "bedroom_costs.utilities"]) ||
-    null;
+  const tiers = cityJson?.by_bedroom || {};
+
+  // Per-bedroom targets: { "3": 2300, ... }
+  const byBed = (getter) => {
+    const out = {};
+    for (const [bed, row] of Object.entries(tiers)) {
+      const v = toNum(getter(row));
+      if (v != null) out[bed] = v;
+    }
+    return Object.keys(out).length ? out : null;
+  };
+
+  const rentByBed = byBed((b) => b?.rent_monthly?.avg);
+  const homeByBed = byBed((b) => b?.home_price?.avg);
+  const utilitiesByBed = byBed((b) => b?.utilities?.total?.avg);
+
+  const rent = averageOf(Object.values(rentByBed || {}));
+  const home = toNum(cityJson?.avg_home_value);
+  const utilities = averageOf(Object.values(utilitiesByBed || {}));
 
   return { rent, home, rentByBed, homeByBed, utilities, utilitiesByBed };
 }
@@ -279,23 +279,13 @@ function extractByBedroomValue(table, bedrooms) {
   const b = clampBed(bedrooms);
   if (b == null) return null;
 
-  // Accept keys like "1","2","3" or 1,2,3
-  const direct = table[String(b)];
-  if (direct != null && typeof direct === "object") return direct;
-
-  // Or table itself is numeric values by bed
-  if (direct != null && (typeof direct === "number" || typeof direct === "string")) return toNum(direct);
-
-  // Sometimes nested: { "3": { rent: 2200, home: 380000 } }
-  // Already handled above.
-
-  return null;
+  return toNum(table[String(b)]);
 }
 
 /* ============================================================
    //#7 — Response composer
 ============================================================ */
-function buildCityReply({ cityName, cityKey, bedrooms, targets }) {
+function buildCityReply({ cityName, cityKey, bedrooms, targets, trend }) {
   const b = clampBed(bedrooms);
   const lines = [];
 
@@ -307,20 +297,9 @@ function buildCityReply({ cityName, cityKey, bedrooms, targets }) {
   let utilForBed = null;
 
   if (b != null) {
-    // rentByBed might be: { "3": 2200 } OR { "3": { rent: 2200 } }
-    const rb = extractByBedroomValue(targets.rentByBed, b);
-    const hb = extractByBedroomValue(targets.homeByBed, b);
-    const ub = extractByBedroomValue(targets.utilitiesByBed, b);
-
-    // If nested objects
-    if (rb && typeof rb === "object") rentForBed = toNum(rb.rent ?? rb.target ?? rb.value);
-    else rentForBed = toNum(rb);
-
-    if (hb && typeof hb === "object") homeForBed = toNum(hb.home ?? hb.price ?? hb.target ?? hb.value);
-    else homeForBed = toNum(hb);
-
-    if (ub && typeof ub === "object") utilForBed = toNum(ub.utilities ?? ub.util ?? ub.value);
-    else utilForBed = toNum(ub);
+    rentForBed = extractByBedroomValue(targets.rentByBed, b);
+    homeForBed = extractByBedroomValue(targets.homeByBed, b);
+    utilForBed = extractByBedroomValue(targets.utilitiesByBed, b);
   }
 
   const rent = rentForBed ?? targets.rent;
@@ -342,6 +321,14 @@ function buildCityReply({ cityName, cityKey, bedrooms, targets }) {
   if (util != null && util > 0) lines.push(`• Utilities baseline: ${money(util)}/mo`);
   // Utilities is optional; don't shame if missing
 
+  if (trend?.ok) {
+    const { bands } = trend.trend;
+    const end = trend.projection[trend.projection.length - 1];
+    const pct = (n) => `${n >= 0 ? "+" : ""}${n.toFixed(1)}%`;
+    lines.push(`• Price trend: ${pct(bands.base)}/yr (scenarios ${pct(bands.low)} to ${pct(bands.high)})`);
+    lines.push(`• That home in ${end.year} yr: ~${money(end.base)} (${money(end.low)}–${money(end.high)})`);
+  }
+
   // Light next prompt
   lines.push("");
   lines.push("If you tell me your rank + YOS + base (or email), I’ll connect this market to your actual pay and produce a clear affordability rail.");
@@ -359,7 +346,7 @@ async function handle(text, ctx) {
   const payload = ctx?.payload && typeof ctx.payload === "object" ? ctx.payload : {};
 
   const dir = citiesDirFromCtx(ctx);
-  const cityKey = resolveCityKey(dir, message, ctx, payload);
+  const { cityKey, installation } = resolveCityKey(dir, message, ctx, payload);
 
   if (!cityKey) {
     // Friendly deterministic fallback
@@ -375,13 +362,14 @@ async function handle(text, ctx) {
     };
   }
 
-  const city = loadCityByKey(dir, cityKey);
+  const city = loadCityByKey(dir, cityKey, installation);
   if (!city.ok) {
     return {
       intent: "cities_not_found",
-      reply:
-        `I tried to load ${cityKey}.json, but it wasn’t found. Double-check the file name in netlify/functions/cities/.`,
-      data: { cityKey, citiesDir: dir },
+      reply: installation
+        ? `${installation.name} maps to the ${cityKey} market (ZIP ${installation.zip}), but there’s no market file for it yet in netlify/functions/cities/.`
+        : `I tried to load ${cityKey}.json, but it wasn’t found. Double-check the file name in netlify/functions/cities/.`,
+      data: { cityKey, installation, citiesDir: dir },
       debug: { skill: SKILL_ID, reason: city.reason || "unknown" },
     };
   }
@@ -392,7 +380,13 @@ async function handle(text, ctx) {
   const targets = extractTargets(city.json);
   const cityName = extractName(city.json, cityKey);
 
-  const reply = buildCityReply({ cityName, cityKey, bedrooms, targets });
+  // Project the same home the reply quotes (bedroom tier first, then the baseline)
+  const b = clampBed(bedrooms);
+  const trendPrice = (b != null ? extractByBedroomValue(targets.homeByBed, b) : null) ?? targets.home;
+  const tourYears = ctx?.tourYears ?? payload?.tourYears;
+  const trend = trendPrice ? computePriceTrend({ city: city.json, price: trendPrice, tourYears }) : null;
+
+  const reply = buildCityReply({ cityName, cityKey, bedrooms, targets, trend });
 
   return {
     intent: "cities_snapshot",
@@ -400,6 +394,7 @@ async function handle(text, ctx) {
     data: {
       cityKey,
       cityName,
+      installation,
       bedrooms: clampBed(bedrooms),
       targets: {
         rent: targets.rent ?? null,
@@ -409,6 +404,7 @@ async function handle(text, ctx) {
         homeByBed: targets.homeByBed ?? null,
         utilitiesByBed: targets.utilitiesByBed ?? null,
       },
+      trend: trend?.ok ? { price: trend.price, ...trend.trend, projection: trend.projection, bluf: trend.bluf } : null,
       source: { file: city.fp },
     },
     debug: { skill: SKILL_ID, citiesDir: dir, file: city.fp },
@@ -9,7 +9,8 @@
 //  - Extracts missing inputs from user text when possible
 //  - Delegates ALL pay computation to ONE source of truth:
 //      ✅ netlify/functions/pay-tables.js  (preferred: internal module call)
-//      ↩︎ fallback: compute directly from militaryPayTables.json ONLY if pay-tables cannot be loaded
+//      ↩︎ fallback: lib/pay-engine.js directly (Base Pay + BAS only)
+//        ONLY if pay-tables cannot be loaded
 //
 // NOTE:
 //  - This file intentionally avoids duplicating pay logic.
@@ -56,8 +57,8 @@ function normalizeEmail(x) {
 function normalizePaygrade(x) {
   const raw = safeStr(x).toUpperCase().replace(/\s+/g, "");
   if (!raw) return "";
-  if (/^[EOW]-\d{1,2}$/.test(raw)) return raw;
-  if (/^[EOW]\d{1,2}$/.test(raw)) return raw[0] + "-" + raw.slice(1);
+  if (/^[EOW]-\d{1,2}$/.test(raw) || /^O-\dE$/.test(raw)) return raw;
+  if (/^[EOW]\d{1,2}$/.test(raw) || /^O\dE$/.test(raw)) return raw[0] + "-" + raw.slice(1);
   return raw;
 }
 
@@ -80,6 +81,18 @@ function money(n) {
    - We keep this minimal: just enough to infer target rank from phrases.
 ============================================================ */
 const RANK_ALIASES = [
+  // Warrant officers (before enlisted so "chief warrant officer" isn't read as CMSgt)
+  { rx: /\b(cw5|chief warrant officer 5)\b/i, pg: "W-5" },
+  { rx: /\b(cw4|chief warrant officer 4)\b/i, pg: "W-4" },
+  { rx: /\b(cw3|chief warrant officer 3)\b/i, pg: "W-3" },
+  { rx: /\b(cw2|chief warrant officer 2)\b/i, pg: "W-2" },
+  { rx: /\b(wo1|warrant officer 1|warrant officer)\b/i, pg: "W-1" },
+
+  // General officers (before "major"/"lieutenant"/"col" below)
+  { rx: /\b(brig gen|brigadier general)\b/i, pg: "O-7" },
+  { rx: /\b(maj gen|major general)\b/i, pg: "O-8" },
+  { rx: /\b(lt gen|lieutenant general)\b/i, pg: "O-9" },
+
   // Enlisted (common words)
   { rx: /\b(airman basic|ab)\b/i, pg: "E-1" },
   { rx: /\b(airman|amn)\b/i, pg: "E-2" },
@@ -98,6 +111,7 @@ const RANK_ALIASES = [
   { rx: /\b(maj|major|o-4)\b/i, pg: "O-4" },
   { rx: /\b(lt col|lieutenant colonel|o-5)\b/i, pg: "O-5" },
   { rx: /\b(col|colonel|o-6)\b/i, pg: "O-6" },
+  { rx: /\b(gen|general)\b/i, pg: "O-10" },
 
   // Generic explicit paygrade forms (E-6, O3, W-2 etc)
 ];
@@ -105,13 +119,13 @@ const RANK_ALIASES = [
 function extractPaygradeFromText(text) {
   const t = safeStr(text);
 
-  // Explicit "E-6", "O-3", "W-2"
-  const m1 = t.match(/\b([EOW])\s*-\s*(\d{1,2})\b/i);
-  if (m1) return normalizePaygrade(`${m1[1]}-${m1[2]}`);
+  // Explicit "E-6", "O-3", "W-2", "O-1E"
+  const m1 = t.match(/\b([EOW])\s*-\s*(\d{1,2})(E)?\b/i);
+  if (m1) return normalizePaygrade(`${m1[1]}-${m1[2]}${m1[3] || ""}`);
 
-  // Compact "E6", "O3", "W2"
-  const m2 = t.match(/\b([EOW])\s*(\d{1,2})\b/i);
-  if (m2) return normalizePaygrade(`${m2[1]}-${m2[2]}`);
+  // Compact "E6", "O3", "W2", "O1E"
+  const m2 = t.match(/\b([EOW])\s*(\d{1,2})(E)?\b/i);
+  if (m2) return normalizePaygrade(`${m2[1]}-${m2[2]}${m2[3] || ""}`);
 
   // Named ranks
   for (const a of RANK_ALIASES) {
@@ -149,6 +163,15 @@ function extractFutureOffsetYears(text) {
   return 0;
 }
 
+// " — 2027 pay table (projected)" when the answer isn't from the current final table
+function scheduleNote(schedule) {
+  if (!schedule || !schedule.id) return "";
+  const status = safeStr(schedule.status) || "final";
+  const currentYear = String(new Date().getFullYear());
+  if (status === "final" && String(schedule.id).startsWith(currentYear)) return "";
+  return ` — ${schedule.id} pay table${status !== "final" ? ` (${status})` : ""}`;
+}
+
 function extractYosFromText(text) {
   const t = lower(text);
 
@@ -212,69 +235,38 @@ function tryLoadPayEngine() {
 }
 
 /* ============================================================
-   //#5 — LAST RESORT fallback (read JSON directly)
-   Only used if pay-tables.js module import fails.
+   //#5 — LAST RESORT fallback (shared pay engine, no BAH)
+   Only used if pay-tables.js module import fails. Same engine as
+   pay-tables.js / brain.js (lib/pay-engine.js), so Base Pay + BAS match.
 ============================================================ */
-let __PAY_TABLES_CACHE__ = null;
-
-function loadPayTablesFallback() {
-  if (__PAY_TABLES_CACHE__ !== null) return __PAY_TABLES_CACHE__;
-
-  const p = path.join(process.cwd(), "netlify", "functions", "data", "militaryPayTables.json");
-  try {
-    if (!fs.existsSync(p)) {
-      __PAY_TABLES_CACHE__ = null;
-      return null;
-    }
-    const raw = fs.readFileSync(p, "utf8");
-    __PAY_TABLES_CACHE__ = JSON.parse(raw);
-    return __PAY_TABLES_CACHE__;
-  } catch (_) {
-    __PAY_TABLES_CACHE__ = null;
-    return null;
-  }
-}
-
-function pickYosValue(tableForRank, yos) {
-  if (!tableForRank || typeof tableForRank !== "object") return 0;
-
-  const y = Number(yos);
-  if (!Number.isFinite(y)) return 0;
-
-  const direct = tableForRank[String(y)];
-  if (direct != null) return Number(direct) || 0;
-
-  const keys = Object.keys(tableForRank)
-    .map((k) => Number(k))
-    .filter((n) => Number.isFinite(n))
-    .sort((a, b) => a - b);
-
-  if (!keys.length) return 0;
-
-  let best = keys[0];
-  for (const k of keys) {
-    if (k <= y) best = k;
-    else break;
-  }
-  return Number(tableForRank[String(best)]) || 0;
-}
-
-function fallbackComputePay({ paygrade, yos }) {
-  const tables = loadPayTablesFallback();
-  if (!tables) return { ok: false, reason: "militaryPayTables.json not found for fallback." };
-
+function fallbackComputePay({ paygrade, yos, year }) {
   const pg = normalizePaygrade(paygrade);
   const y = Number(yos);
 
   if (!pg || !Number.isFinite(y)) return { ok: false, reason: "Missing rank/paygrade or YOS." };
 
-  const basePay = pickYosValue(tables?.BASEPAY?.[pg], y);
+  let result = null;
+  try {
+    const { computePayFor } = require("../../lib/pay-engine.js");
+    result = computePayFor({ rank: pg, yos: y, year: year ?? undefined });
+  } catch (err) {
+    return { ok: false, reason: String(err?.message || err) };
+  }
 
-  const isOfficer = pg.startsWith("O-") || pg.startsWith("W-");
-  const bas = Number(isOfficer ? tables?.BAS?.officer : tables?.BAS?.enlisted) || 0;
+  const pay = result?.pay || {};
+  const basePay = Number(pay.basePay) || 0;
+  const bas = Number(pay.bas) || 0;
 
   // NOTE: fallback does NOT compute BAH. That belongs to pay-tables.js.
-  return { ok: true, basePay, bas, bah: 0, total: basePay + bas };
+  return {
+    ok: basePay > 0,
+    reason: basePay > 0 ? null : (result?.missing || []).join(", "),
+    basePay,
+    bas,
+    bah: 0,
+    total: basePay + bas,
+    schedule: pay.paySchedule || null,
+  };
 }
 
 /* ============================================================
@@ -331,6 +323,9 @@ async function handle(text, ctx /*, helpers */) {
   let targetYos = (msgYos !== null) ? msgYos : (Number.isFinite(profYos) ? profYos : null);
   if (targetYos !== null && futureYears > 0) targetYos = targetYos + futureYears;
 
+  // Pay year: "next year"/"in X years" reads that year's pay schedule (projected tables included)
+  const targetYear = futureYears > 0 ? new Date().getFullYear() + futureYears : null;
+
   // ZIP: prefer ctx.resolvedZip/ctx.zip; fallback to empty (pay-tables can still compute base pay & maybe BAH if it derives zip elsewhere)
   const zip = resolveZip(ctx);
 
@@ -375,6 +370,7 @@ async function handle(text, ctx /*, helpers */) {
           zip: zip || "",
           family: !!familyBool,
           base: baseName || "",
+          year: targetYear ?? undefined,
         });
       } else if (typeof engine.mod.handler === "function") {
         engineMode = "netlify_handler";
@@ -386,6 +382,7 @@ async function handle(text, ctx /*, helpers */) {
             yos: Number(targetYos),
             zip: zip || "",
             family: !!familyBool,
+            year: targetYear ?? undefined,
           }),
         };
         const resp = await engine.mod.handler(fakeEvent);
@@ -400,7 +397,7 @@ async function handle(text, ctx /*, helpers */) {
   // If pay-tables engine isn’t available, do minimal fallback
   if (!result || result.ok === false) {
     engineMode = engineMode !== "none" ? engineMode : "fallback_json";
-    const fb = fallbackComputePay({ paygrade: targetPaygrade, yos: Number(targetYos) });
+    const fb = fallbackComputePay({ paygrade: targetPaygrade, yos: Number(targetYos), year: targetYear });
 
     if (!fb.ok) {
       return {
@@ -414,7 +411,7 @@ async function handle(text, ctx /*, helpers */) {
 
     // Minimal answer without BAH (by design)
     const lines = [];
-    lines.push(`Pay estimate for ${targetPaygrade} @ ${Number(targetYos)} YOS:`);
+    lines.push(`Pay estimate for ${targetPaygrade} @ ${Number(targetYos)} YOS${scheduleNote(fb.schedule)}:`);
     lines.push(`• Base Pay: ${money(fb.basePay)}`);
     lines.push(`• BAS: ${money(fb.bas)}`);
     lines.push(`• BAH: — (requires pay-tables engine or ZIP/base mapping)`);
@@ -423,7 +420,7 @@ async function handle(text, ctx /*, helpers */) {
     return {
       intent: "pay_fallback_base_only",
       reply: lines.join("\n"),
-      data: { rank_paygrade: targetPaygrade, yos: Number(targetYos), basePay: fb.basePay, bas: fb.bas, bah: 0, total: fb.total },
+      data: { rank_paygrade: targetPaygrade, yos: Number(targetYos), basePay: fb.basePay, bas: fb.bas, bah: 0, total: fb.total, schedule: fb.schedule || null },
       debug: { skill: SKILL_ID, engineMode, enginePath: engine.fp || null, note: "Fallback used; no BAH computed here." },
     };
   }
@@ -443,7 +440,7 @@ async function handle(text, ctx /*, helpers */) {
   const outBasePay = Number(result.basePay) || 0;
   const outBah = Number(result.bah) || 0;
   const outBas = Number(result.bas) || 0; // if your pay-tables.js includes BAS
-  const outTotal = Number(result.total) || (outBasePay + outBah + outBas);
+  const outTotal = Number(result.totalPay ?? result.total) || (outBasePay + outBah + outBas);
 
   // Determine what was used for rank/yos/zip
   const usedRank = normalizePaygrade(result.rank || result.rank_paygrade || targetPaygrade);
@@ -456,7 +453,7 @@ async function handle(text, ctx /*, helpers */) {
     ? ` (assumed +${futureYears} year${futureYears === 1 ? "" : "s"} of service)`
     : "";
 
-  lines.push(`Monthly pay snapshot for ${usedRank} @ ${usedYos} YOS${promoNote}:`);
+  lines.push(`Monthly pay snapshot for ${usedRank} @ ${usedYos} YOS${promoNote}${scheduleNote(result.schedule)}:`);
   lines.push(`• Base Pay: ${money(outBasePay)}`);
 
   // BAS: show only if present (some engines may not return it)
@@ -486,8 +483,10 @@ async function handle(text, ctx /*, helpers */) {
       bas: outBas,
       bah: outBah,
       total: outTotal,
+      schedule: result.schedule || null,
       assumptions: {
         futureYearsOffset: futureYears || 0,
+        payYear: targetYear,
         usedProfileDefaults: {
           paygrade: !msgPg && !!profPg,
           yos: msgYos === null && Number.isFinite(profYos),
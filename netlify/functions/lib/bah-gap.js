@@ -0,0 +1,206 @@
+// netlify/functions/lib/bah-gap.js
+// ============================================================
+// PCSUnited • BAH vs housing cost, per bedroom tier (shared) — v1.0.2
+// PURPOSE:
+// - The question members ask most: "does my BAH cover a house here, and how big?"
+// - For every city by_bedroom tier (2..5):
+//     rent gap  = BAH − (rent_monthly.avg + utilities.total.avg)
+//     own gap   = BAH − (full PITI from mortgage.js + utilities.total.avg)
+// - A city with no by_bedroom gets ONE city-level tier at the recommended bedroom
+//   count (target_rent / avg_utilities / avg_home_value; warning by_bedroom_missing)
+// - Recommended bedroom count for the household: one bedroom for the member (and
+//   spouse) plus one per child, never below the smallest tier the city ships
+//
+// RESULT SHAPE (stable):
+// {
+//   ok, bah, household: { familySize, spouse, children, source },
+//   tiers: [{ bedrooms, rentMonthly, utilitiesMonthly, ownMonthly, homePrice,
+//             rentGap, ownGap, coveredToRent, coveredToOwn }],
+//   recommended: { bedrooms, reason, tier },
+//   largestCovered: { rent, own },        // biggest tier BAH fully covers (null = none)
+//   bluf, warnings: [...], sources: [...]
+// }
+//
+// paymentAt(price) -> { totalMonthly } is injected by the caller so the PITI uses the
+// same loan type / rates / PMI as the caller's own mortgage block (same as afford.js)
+//
+// USED BY:
+//   brain.js (bahGap block, body.includeBahGap)
+//
+// NOTE:
+// - Not a Netlify function (lives under lib/, no handler export)
+// - CommonJS only (same as brain.js)
+// ============================================================
+
+"use strict";
+
+const { vaDependentsFromProfile } = require("./pay-engine.js");
+
+const TIERS = ["2", "3", "4", "5"];
+
+// -----------------------------
+// //#1 Small helpers
+// -----------------------------
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function toNum(x) {
+  if (x === null || x === undefined) return null;
+  const s = String(x).trim();
+  if (!s) return null;
+  const n = Number(s.replace(/[$,]/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
+
+function pickFirst(obj, keys) {
+  for (const k of keys) {
+    const v = obj?.[k];
+    if (v !== undefined && v !== null && String(v).trim() !== "") return v;
+  }
+  return null;
+}
+
+function money0(n) {
+  return (Number(n) || 0).toLocaleString("en-US", { style: "currency", currency: "USD", maximumFractionDigits: 0 });
+}
+
+// -----------------------------
+// //#2 Household -> recommended bedrooms
+// -----------------------------
+// Same household pay-engine prices VA dependents with (explicit va_spouse / children_*
+// fields, else family size, else a bare family flag = member + spouse)
+function householdFromProfile(profile) {
+  const d = vaDependentsFromProfile(profile);
+  const children = d.childrenUnder18 + d.childrenInSchool;
+  const sized = pickFirst(profile, ["familySize", "family_size", "family", "dependents_count", "dependentsCount"]) !== null;
+  const source = !d.inferred ? "profile.dependents" : sized ? "profile.family_size" : "default:single";
+  return { familySize: 1 + (d.spouse ? 1 : 0) + children, spouse: d.spouse, children, source };
+}
+
+function recommendBedrooms(household, available) {
+  const tiers = (available || []).map(Number).filter((n) => n > 0).sort((a, b) => a - b);
+  const need = 1 + Math.max(household?.children || 0, 0);
+  if (!tiers.length) return { bedrooms: need, reason: "1 bedroom for the member/spouse + 1 per child" };
+
+  const min = tiers[0];
+  const max = tiers[tiers.length - 1];
+  const pick = tiers.find((t) => t >= need) ?? max;
+
+  let reason = `1 bedroom for the member${household?.spouse ? " and spouse" : ""}`;
+  if (household?.children) reason += ` + ${household.children} for the kid${household.children === 1 ? "" : "s"}`;
+  if (pick > need && need < min) reason += ` (smallest tier here is ${min})`;
+  if (pick < need) reason += ` (largest tier here is ${max})`;
+  return { bedrooms: pick, reason };
+}
+
+// -----------------------------
+// //#3 Gap per tier
+// -----------------------------
+async function computeBahGap({ city, bah, profile, paymentAt } = {}) {
+  const warnings = [];
+
+  const bahMonthly = toNum(bah);
+  if (!(bahMonthly > 0)) return { ok: false, error: "No BAH for this member/location; nothing to compare.", warnings };
+
+  const household = householdFromProfile(profile);
+  if (household.source === "default:single") warnings.push("family_size_missing");
+
+  const byBedroom = city?.by_bedroom || {};
+  let present = TIERS.filter((t) => byBedroom[t]);
+  let rows = present.map((t) => {
+    const row = byBedroom[t];
+    return { t, rent: toNum(row?.rent_monthly?.avg), util: toNum(row?.utilities?.total?.avg), price: toNum(row?.home_price?.avg) };
+  });
+
+  // No bedroom tiers: one city-level tier at the household's bedroom count
+  // (city.target_rent / avg_utilities / avg_home_value, see lib/cities.js)
+  const cityLevel = !present.length;
+  if (cityLevel) {
+    const row = {
+      t: String(recommendBedrooms(household, []).bedrooms),
+      rent: toNum(city?.target_rent),
+      util: toNum(city?.avg_utilities),
+      price: toNum(city?.avg_home_value),
+    };
+    if (row.rent === null && row.price === null) {
+      return { ok: false, error: "City has no by_bedroom or city-level rent/price data.", bah: round2(bahMonthly), warnings };
+    }
+    warnings.push("by_bedroom_missing: one city-level tier, not priced by bedroom count");
+    if (row.rent === null) warnings.push("rent_missing");
+    present = [row.t];
+    rows = [row];
+  }
+
+  const sources = cityLevel
+    ? [`city.target_rent (${city?.target_rent_source || "none"})`, "city.avg_utilities", "city.avg_home_value"]
+    : ["city.by_bedroom[n].rent_monthly.avg", "city.by_bedroom[n].utilities.total.avg"];
+
+  const tiers = [];
+  for (const { t, rent, util, price } of rows) {
+    if (util === null) warnings.push(`utilities_missing_${t}`);
+
+    let own = null;
+    if (price > 0 && typeof paymentAt === "function") {
+      try {
+        const m = await paymentAt(price);
+        own = toNum(m?.totalMonthly);
+      } catch (e) {
+        warnings.push(`piti_unavailable_${t}: ${String(e?.message || e)}`);
+      }
+    }
+
+    const rentAll = rent === null ? null : rent + (util || 0);
+    const ownAll = own === null ? null : own + (util || 0);
+    tiers.push({
+      bedrooms: Number(t),
+      rentMonthly: rent,
+      utilitiesMonthly: util,
+      homePrice: price,
+      ownMonthly: own === null ? null : round2(own),
+      rentGap: rentAll === null ? null : round2(bahMonthly - rentAll),
+      ownGap: ownAll === null ? null : round2(bahMonthly - ownAll),
+      coveredToRent: rentAll === null ? null : bahMonthly >= rentAll,
+      coveredToOwn: ownAll === null ? null : bahMonthly >= ownAll,
+    });
+  }
+  if (typeof paymentAt === "function") {
+    sources.push(`mortgage.js (PITI at ${cityLevel ? "avg_home_value" : "by_bedroom[n].home_price.avg"})`);
+  }
+
+  const rec = recommendBedrooms(household, present);
+  const recTier = tiers.find((x) => x.bedrooms === rec.bedrooms) || null;
+
+  const largest = (key) => {
+    const hit = tiers.filter((x) => x[key] === true).map((x) => x.bedrooms);
+    return hit.length ? Math.max(...hit) : null;
+  };
+  const largestCovered = { rent: largest("coveredToRent"), own: largest("coveredToOwn") };
+
+  return {
+    ok: true,
+    bah: round2(bahMonthly),
+    household,
+    tiers,
+    recommended: { bedrooms: rec.bedrooms, reason: rec.reason, tier: recTier },
+    largestCovered,
+    bluf: bahGapBluf(recTier, bahMonthly),
+    warnings,
+    sources,
+  };
+}
+
+function bahGapBluf(tier, bah) {
+  if (!tier) return null;
+  const say = (gap, what) =>
+    gap === null ? null : gap >= 0 ? `${money0(gap)}/mo left after ${what}` : `${money0(-gap)}/mo short of ${what}`;
+  const parts = [say(tier.rentGap, "rent + utilities"), say(tier.ownGap, "owning (PITI + utilities)")].filter(Boolean);
+  if (!parts.length) return null;
+  return `BAH ${money0(bah)} for a ${tier.bedrooms}-bed: ${parts.join("; ")}.`;
+}
+
+module.exports = {
+  computeBahGap,
+  householdFromProfile,
+  recommendBedrooms,
+};
@@ -0,0 +1,248 @@
+// netlify/functions/lib/bah.js
+// ============================================================
+// PCSUnited • BAH lookup (shared) — v1.1.0
+// PURPOSE:
+// - BAH: ZIP -> Military Housing Area (MHA) -> rate by paygrade
+// - Reads ONE importable rate file: netlify/functions/data/bah/bah-rates.json
+//   (built from DTMO's ZIP/MHA + with/without rate files by scripts/import-bah.js)
+// - Replaces the per-endpoint BAH_TX / BAH.by_zip lookups
+//
+// COVERAGE:
+// - rates.coverage "dtmo" = a full DTMO import (every ZIP, every DTMO grade)
+// - rates.coverage "seed" = the checked-in sample: the 10 base ZIPs the old
+//   BAH.by_zip table carried, E-5..E-9 and O-1..O-7 only. Everything else
+//   reports bah_zip_not_found / bah_grade_not_covered until an import lands.
+//
+// LOOKUP ORDER:
+//   1) zip_to_mha[zip]            exact DTMO mapping
+//   2) zip_provisional[zip]       per-ZIP rates for a base with no DTMO MHA code on file
+//                                 (flagged provisional: true; an import drops these)
+//   3) zip3_to_mha[first 3 digits] approximate (flagged approximate: true)
+//
+// GRADES:
+// - DTMO publishes E-1..E-9, W-1..W-5, O-1E..O-3E, O-1..O-7 (DTMO_GRADES)
+// - rates.grades declares which of those the file carries; every MHA must carry all of them
+// - O-8..O-10 draw the O-7 rate
+//
+// USED BY:
+//   brain.js, pay-tables.js
+//
+// NOTE:
+// - Not a Netlify function (lives under lib/, no handler export)
+// - CommonJS only (same as brain.js)
+// ============================================================
+
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+// -----------------------------
+// //#0 Paths (Netlify-safe)
+// -----------------------------
+const __ROOT = process.cwd(); // /var/task
+const __BAH_RATES_PATH = path.join(__ROOT, "netlify", "functions", "data", "bah", "bah-rates.json");
+
+// DTMO column order after the MHA column (scripts/import-bah.js reads files in this order)
+const DTMO_GRADES = [
+  "E-1", "E-2", "E-3", "E-4", "E-5", "E-6", "E-7", "E-8", "E-9",
+  "W-1", "W-2", "W-3", "W-4", "W-5",
+  "O-1E", "O-2E", "O-3E",
+  "O-1", "O-2", "O-3", "O-4", "O-5", "O-6", "O-7",
+];
+
+const MHA_CODE_RE = /^[A-Z]{2}\d{3}$/; // DTMO MHA code, e.g. TX285
+
+// -----------------------------
+// //#1 Small helpers
+// -----------------------------
+function normalizeZip(zip) {
+  const m = String(zip ?? "").trim().match(/^(\d{5})(?:-\d{4})?$/);
+  return m ? m[1] : "";
+}
+
+// DTMO has no O-8..O-10 columns
+function bahGradeFor(paygrade) {
+  const pg = String(paygrade || "").trim().toUpperCase();
+  if (pg === "O-8" || pg === "O-9" || pg === "O-10") return "O-7";
+  return pg;
+}
+
+// -----------------------------
+// //#2 File loading (cached, validated)
+// -----------------------------
+let __BAH_CACHE__ = null;
+
+// Every rate row (mha.* and zip_provisional.*) must carry exactly the declared grades
+function validateRateRow(label, row, grades, errors) {
+  for (const bucket of ["with", "without"]) {
+    const rr = row?.[bucket];
+    if (!rr || typeof rr !== "object") {
+      errors.push(`${label}.${bucket} missing`);
+      continue;
+    }
+    for (const pg of grades) {
+      if (!(Number(rr[pg]) > 0)) errors.push(`${label}.${bucket}.${pg} is missing or not a positive number`);
+    }
+    for (const pg of Object.keys(rr)) {
+      if (!grades.includes(pg)) errors.push(`${label}.${bucket}.${pg} is not in grades`);
+    }
+  }
+}
+
+function validateBahRates(rates) {
+  const errors = [];
+  if (!rates || typeof rates !== "object") return ["rate file is not an object"];
+
+  const zipMap = rates.zip_to_mha;
+  const mhaMap = rates.mha;
+  const grades = rates.grades;
+  if (!zipMap || typeof zipMap !== "object") errors.push("zip_to_mha missing");
+  if (!mhaMap || typeof mhaMap !== "object") errors.push("mha missing");
+  if (!Array.isArray(grades) || !grades.length) errors.push("grades missing");
+  if (errors.length) return errors;
+
+  for (const pg of grades) {
+    if (!DTMO_GRADES.includes(pg)) errors.push(`grades: ${JSON.stringify(pg)} is not a DTMO paygrade`);
+  }
+  if (rates.coverage === "dtmo") {
+    const absent = DTMO_GRADES.filter((pg) => !grades.includes(pg));
+    if (absent.length) errors.push(`coverage "dtmo" but grades omit ${absent.join(", ")}`);
+  }
+
+  for (const [zip, code] of Object.entries(zipMap)) {
+    if (!/^\d{5}$/.test(zip)) errors.push(`zip_to_mha key ${JSON.stringify(zip)} is not a 5-digit ZIP`);
+    if (!mhaMap[code]) errors.push(`zip_to_mha.${zip} -> ${code} has no rates in mha`);
+  }
+  for (const [zip3, code] of Object.entries(rates.zip3_to_mha || {})) {
+    if (!mhaMap[code]) errors.push(`zip3_to_mha.${zip3} -> ${code} has no rates in mha`);
+  }
+  for (const [code, row] of Object.entries(mhaMap)) {
+    if (!MHA_CODE_RE.test(code)) errors.push(`mha key ${JSON.stringify(code)} is not a DTMO MHA code (e.g. TX285)`);
+    validateRateRow(`mha.${code}`, row, grades, errors);
+  }
+  for (const [zip, row] of Object.entries(rates.zip_provisional || {})) {
+    if (!/^\d{5}$/.test(zip)) errors.push(`zip_provisional key ${JSON.stringify(zip)} is not a 5-digit ZIP`);
+    if (zipMap[zip]) errors.push(`zip_provisional.${zip} is also in zip_to_mha (drop the provisional row)`);
+    validateRateRow(`zip_provisional.${zip}`, row, grades, errors);
+  }
+
+  return errors;
+}
+
+function loadBahRates() {
+  if (__BAH_CACHE__) return __BAH_CACHE__;
+
+  if (!fs.existsSync(__BAH_RATES_PATH)) {
+    throw new Error(
+      `BAH rate file not found: ${__BAH_RATES_PATH}\n` +
+      `Fix: run scripts/import-bah.js and ensure it's bundled via netlify.toml [functions].included_files.`
+    );
+  }
+
+  const rates = JSON.parse(fs.readFileSync(__BAH_RATES_PATH, "utf8"));
+  const errors = validateBahRates(rates);
+  if (errors.length) {
+    throw new Error(`bah-rates.json failed validation:\n- ${errors.join("\n- ")}`);
+  }
+
+  __BAH_CACHE__ = rates;
+  return rates;
+}
+
+// -----------------------------
+// //#3 ZIP -> MHA
+// -----------------------------
+// Provisional hits carry their own row (no MHA code to key rates.mha by)
+function mhaForZip(zip, rates = loadBahRates()) {
+  const z = normalizeZip(zip);
+  const miss = { zip: z || null, mha: null, row: null, via: null, approximate: false, provisional: false };
+  if (!z) return miss;
+
+  const exact = rates.zip_to_mha?.[z];
+  if (exact) return { ...miss, mha: exact, row: rates.mha[exact], via: "zip_to_mha" };
+
+  const prov = rates.zip_provisional?.[z];
+  if (prov) return { ...miss, row: prov, via: "zip_provisional", provisional: true };
+
+  const z3 = rates.zip3_to_mha?.[z.slice(0, 3)];
+  if (z3) return { ...miss, mha: z3, row: rates.mha[z3], via: "zip3_to_mha", approximate: true };
+
+  return miss;
+}
+
+// -----------------------------
+// //#4 Rate lookup
+// -----------------------------
+// Returns { ok, amount, zip, mha, mhaName, via, approximate, provisional, gradeUsed, withDependents,
+//           version, coverage, missing }
+// missing uses the same codes brain.js has always reported (bah_zip_missing, bah_zip_not_found, ...);
+// bah_grade_not_covered = a real DTMO grade this rate file doesn't carry (seed file: E-1..E-4, W-*, O-*E)
+function lookupBah({ zip, paygrade, withDependents }) {
+  const rates = loadBahRates();
+  const missing = [];
+  const gradeUsed = bahGradeFor(paygrade);
+  const out = {
+    ok: false,
+    amount: 0,
+    zip: normalizeZip(zip) || null,
+    mha: null,
+    mhaName: null,
+    via: null,
+    approximate: false,
+    provisional: false,
+    gradeUsed: gradeUsed || null,
+    withDependents: !!withDependents,
+    version: rates.version || null,
+    coverage: rates.coverage || null,
+    missing,
+  };
+
+  if (!out.zip) {
+    missing.push("bah_zip_missing");
+    return out;
+  }
+  if (!gradeUsed) {
+    missing.push("rank_paygrade");
+    return out;
+  }
+
+  const hit = mhaForZip(out.zip, rates);
+  if (!hit.row) {
+    missing.push("bah_zip_not_found");
+    return out;
+  }
+
+  const row = hit.row;
+  out.mha = hit.mha;
+  out.mhaName = row?.name || null;
+  out.via = hit.via;
+  out.approximate = hit.approximate;
+  out.provisional = hit.provisional;
+
+  const bucket = withDependents ? row?.with : row?.without;
+  if (!bucket) {
+    missing.push("bah_bucket_missing");
+    return out;
+  }
+
+  const val = bucket[gradeUsed];
+  if (val == null) {
+    const covered = !DTMO_GRADES.includes(gradeUsed) || (rates.grades || []).includes(gradeUsed);
+    missing.push(covered ? "bah_rank_not_found" : "bah_grade_not_covered");
+    return out;
+  }
+
+  out.amount = Number(val) || 0;
+  out.ok = out.amount > 0;
+  return out;
+}
+
+module.exports = {
+  DTMO_GRADES,
+  loadBahRates,
+  validateBahRates,
+  mhaForZip,
+  lookupBah,
+  normalizeZip,
+};
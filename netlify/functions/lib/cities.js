@@ -0,0 +1,396 @@
+// netlify/functions/lib/cities.js
+// ============================================================
+// PCSUnited • City JSON loader (shared) — v2.2.0
+// PURPOSE:
+// - One loader for netlify/functions/cities/*.json (moved out of brain.js)
+// - Resolves canonical city keys (LasVegas, Tucson, SanAntonio) to the
+//   BASE-NAMED files on disk (Nellis.json, Davis-Monthan.json, ...)
+//   via the installation registry (lib/installations.js, cities/index.byBase.json)
+// - Validates each file against the versioned city schema (validateCity, schema v1)
+//   and reads ONE canonical path per value; legacy aliases are added to the
+//   response only (avg_home_value -> average_home_value / avgHome / city_avg_home)
+// - v2.2.0: no last-resort file — a city/base with no market file resolves to
+//   null (warning "city_file_missing") instead of Fort-Sam-Houston's data
+// - A file without by_bedroom takes target_rent / avg_utilities from a file for the
+//   same Census place (geo_id), named in target_rent_source; else they stay null
+//
+// USED BY:
+//   brain.js, rent-vs-buy.js, rental-after-pcs.js, afford.js, compare-cities.js,
+//   scripts/build-cities.js
+//
+// NOTE:
+// - Not a Netlify function (lives under lib/, no handler export)
+// - CommonJS only (same as brain.js)
+// ============================================================
+
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const { lookupInstallation, cityKeyToFileKey } = require("./installations.js");
+
+// -----------------------------
+// //#0 Paths (Netlify-safe)
+// -----------------------------
+const __ROOT = process.cwd(); // /var/task
+const __CITIES_DIR = path.join(__ROOT, "netlify", "functions", "cities");
+
+// -----------------------------
+// //#1 Small helpers
+// -----------------------------
+function safeKey(s) {
+  return String(s || "").trim().replace(/[^a-zA-Z0-9_-]/g, "");
+}
+
+function toNum(x) {
+  const s = String(x ?? "").trim();
+  if (!s) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+function pickFirst(obj, keys) {
+  for (const k of keys) {
+    const v = obj?.[k];
+    if (v !== undefined && v !== null && v !== "") return v;
+  }
+  return null;
+}
+
+// -----------------------------
+// //#1.5 City schema (v1)
+// -----------------------------
+// Files are compiled by scripts/build-cities.js from scripts/cities-src/*.csv.
+// Each value lives at ONE path; the old duplicate keys are rejected:
+//   avg_home_value (+ avg_home_value_source)    not average_home_value / avgHome / city_avg_home
+//   by_bedroom["2".."5"]                         not bedrooms / byBedroom
+//   housing.market                               not market / realEstate.market
+//   closing_costs                                state buyer closing-cost defaults (optional)
+const CITY_SCHEMA_VERSION = 1;
+
+const LEGACY_CITY_KEYS = {
+  average_home_value: "avg_home_value",
+  avgHome: "avg_home_value",
+  city_avg_home: "avg_home_value",
+  bedrooms: "by_bedroom",
+  byBedroom: "by_bedroom",
+  market: "housing.market",
+  realEstate: "housing.market",
+  targets: "by_bedroom",
+  target_rent: "by_bedroom[n].rent_monthly",
+  avg_utilities: "by_bedroom[n].utilities.total",
+};
+
+const RANGE_BLOCKS = ["rent_monthly", "home_price"];
+
+// closing_costs field -> [min, max] (dollars, percent of price, days, months)
+const CLOSING_LIMITS = {
+  lender_fees: [0, 20000],
+  appraisal_fee: [0, 3000],
+  title_escrow_pct: [0, 5],
+  recording_fees: [0, 5000],
+  transfer_tax_buyer_pct: [0, 5],
+  prepaid_interest_days: [0, 31],
+  escrow_tax_months: [0, 14],
+  escrow_insurance_months: [0, 14],
+  seller_concession_pct: [0, 9],
+};
+
+function isPositive(n) {
+  return typeof n === "number" && Number.isFinite(n) && n > 0;
+}
+
+function validateRange(block, where, errors) {
+  for (const k of ["low", "avg", "high"]) {
+    if (!isPositive(block?.[k])) errors.push(`${where}.${k} is not a positive number`);
+  }
+  if (isPositive(block?.low) && isPositive(block?.high) && isPositive(block?.avg)) {
+    if (!(block.low <= block.avg && block.avg <= block.high)) errors.push(`${where} is not low <= avg <= high`);
+  }
+}
+
+function validateCity(city, fileKey) {
+  const errors = [];
+  if (!city || typeof city !== "object" || Array.isArray(city)) return ["city file is not an object"];
+
+  if (city.schema_version !== CITY_SCHEMA_VERSION) {
+    errors.push(`schema_version ${JSON.stringify(city.schema_version)} is not ${CITY_SCHEMA_VERSION} (rebuild with scripts/build-cities.js)`);
+  }
+  if (fileKey && city.key !== fileKey) errors.push(`key ${JSON.stringify(city.key)} does not match file ${fileKey}.json`);
+  if (!String(city.place || "").trim()) errors.push("place missing");
+  if (city.zip != null && !/^\d{5}$/.test(String(city.zip))) errors.push("zip is not a 5-digit ZIP");
+
+  for (const [k, use] of Object.entries(LEGACY_CITY_KEYS)) {
+    if (k in city) errors.push(`${k} is not allowed (use ${use})`);
+  }
+
+  if (!isPositive(city.avg_home_value)) errors.push("avg_home_value is not a positive number");
+  if (!String(city.avg_home_value_source || "").trim()) errors.push("avg_home_value_source missing");
+
+  for (const k of ["property_tax_rate", "insurance_rate"]) {
+    if (city[k] != null && !(typeof city[k] === "number" && city[k] >= 0 && city[k] < 10)) errors.push(`${k} is not a percent`);
+  }
+
+  const market = city.housing?.market;
+  if (!market || typeof market !== "object") errors.push("housing.market missing");
+  else {
+    const hist = market.sale_history_36_months;
+    if (hist != null) {
+      if (!Array.isArray(hist)) errors.push("housing.market.sale_history_36_months is not an array");
+      else {
+        let prev = "";
+        hist.forEach((row, i) => {
+          const where = `housing.market.sale_history_36_months[${i}]`;
+          if (!/^\d{4}-\d{2}(-W\d)?$/.test(String(row?.month || ""))) errors.push(`${where}.month is not YYYY-MM (or YYYY-MM-Wn)`);
+          else if (row.month <= prev) errors.push(`${where}.month is out of order`);
+          else prev = row.month;
+          if (!isPositive(row?.median_sale_price)) errors.push(`${where}.median_sale_price is not a positive number`);
+        });
+      }
+    }
+  }
+
+  const cc = city.closing_costs;
+  if (cc != null) {
+    if (typeof cc !== "object" || Array.isArray(cc)) errors.push("closing_costs is not an object");
+    else {
+      if (!/^[A-Z]{2}$/.test(String(cc.state || ""))) errors.push("closing_costs.state is not a 2-letter state");
+      for (const [k, [lo, hi]] of Object.entries(CLOSING_LIMITS)) {
+        if (!(typeof cc[k] === "number" && cc[k] >= lo && cc[k] <= hi)) errors.push(`closing_costs.${k} is not a number in ${lo}..${hi}`);
+      }
+    }
+  }
+
+  if (city.by_bedroom != null) {
+    if (typeof city.by_bedroom !== "object" || Array.isArray(city.by_bedroom)) errors.push("by_bedroom is not an object");
+    else {
+      for (const [bed, row] of Object.entries(city.by_bedroom)) {
+        const where = `by_bedroom.${bed}`;
+        if (!/^\d+$/.test(bed) || Number(bed) > 10) errors.push(`${where} is not a bedroom count`);
+        for (const blk of RANGE_BLOCKS) validateRange(row?.[blk], `${where}.${blk}`, errors);
+        if (row?.mortgage_monthly != null) validateRange(row.mortgage_monthly, `${where}.mortgage_monthly`, errors);
+        if (row?.utilities != null) validateRange(row.utilities.total, `${where}.utilities.total`, errors);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// -----------------------------
+// //#2 File loading (cached)
+// -----------------------------
+const __CITY_CACHE__ = new Map(); // cache by fileKey
+let __CITY_FILE_INDEX__ = null;   // cached directory listing
+
+function listCityFiles() {
+  if (__CITY_FILE_INDEX__) return __CITY_FILE_INDEX__;
+  try {
+    const files = fs
+      .readdirSync(__CITIES_DIR)
+      .filter((f) => /\.json$/i.test(f))
+      .map((f) => f.replace(/\.json$/i, ""));
+    __CITY_FILE_INDEX__ = new Set(files);
+    return __CITY_FILE_INDEX__;
+  } catch (e) {
+    __CITY_FILE_INDEX__ = new Set();
+    return __CITY_FILE_INDEX__;
+  }
+}
+
+function cityFileExists(fileKey) {
+  const k = safeKey(fileKey);
+  if (!k) return false;
+  const idx = listCityFiles();
+  return idx.has(k);
+}
+
+// Base name -> its own market file (registry file, else the file for its cityKey)
+function baseToCityFileKey(baseRaw) {
+  const inst = lookupInstallation(baseRaw);
+  if (!inst) return null;
+  return inst.fileKey || cityKeyToFileKey(inst.cityKey);
+}
+
+function canonicalCityToFileFallback(cityKeyCanonical) {
+  return cityKeyToFileKey(cityKeyCanonical);
+}
+
+function resolveCityFileKey({ cityKeyCanonical, profile }) {
+  const canonical = safeKey(cityKeyCanonical || "SanAntonio");
+  const baseRaw = pickFirst(profile, ["base", "duty_station", "station", "dutyStation", "pcs_base", "pcsBase"]);
+
+  const candidates = [];
+  candidates.push(canonical);
+
+  const baseFile = baseToCityFileKey(baseRaw);
+  if (baseFile) candidates.push(baseFile);
+
+  const canonicalFallback = canonicalCityToFileFallback(canonical);
+  if (canonicalFallback) candidates.push(canonicalFallback);
+
+  // No last-resort file: a base without a market file (Fort Bragg) must not
+  // silently get another city's rents and prices
+
+  const uniq = [];
+  const seen = new Set();
+  for (const c of candidates) {
+    const cc = safeKey(c);
+    if (!cc || seen.has(cc)) continue;
+    seen.add(cc);
+    uniq.push(cc);
+  }
+
+  for (const c of uniq) {
+    if (cityFileExists(c)) {
+      return {
+        ok: true,
+        fileKey: c,
+        via:
+          c === canonical
+            ? "direct"
+            : c === baseFile
+              ? "baseToFileKey"
+              : "canonicalToFileFallback",
+        candidates: uniq,
+        baseUsed: String(baseRaw || "").trim(),
+      };
+    }
+  }
+
+  return {
+    ok: false,
+    fileKey: null,
+    via: "none",
+    warning: "city_file_missing",
+    candidates: uniq,
+    baseUsed: String(baseRaw || "").trim(),
+  };
+}
+
+// Returns null when neither the city key nor the base has a market file
+// (resolveCityFileKey warning "city_file_missing"); callers report the market
+// data as unavailable. A file that exists but fails the schema still throws.
+function loadCity(cityKeyCanonical, profileForFilePick) {
+  const canonical = safeKey(cityKeyCanonical || "SanAntonio");
+
+  const res = resolveCityFileKey({ cityKeyCanonical: canonical, profile: profileForFilePick || {} });
+  if (!res.ok || !res.fileKey) return null;
+
+  const fileKey = res.fileKey;
+
+  if (__CITY_CACHE__.has(fileKey)) {
+    const cached = __CITY_CACHE__.get(fileKey);
+    return {
+      ...cached,
+      canonical_city_key: canonical,
+      cityFileRequested: canonical,
+      cityFileUsed: fileKey,
+      cityFileVia: res.via,
+      cityFileCandidates: res.candidates,
+      baseUsedForCityFile: res.baseUsed || null,
+    };
+  }
+
+  const filePath = path.join(__CITIES_DIR, `${fileKey}.json`);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`City JSON not found at ${filePath}`);
+  }
+
+  const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const errors = validateCity(data, fileKey);
+  if (errors.length) {
+    throw new Error(`City JSON ${fileKey}.json failed validation:\n- ${errors.join("\n- ")}`);
+  }
+
+  // One canonical path per value (schema v1); the aliases below are response-only
+  const market = data.housing?.market || {};
+  const bedrooms = data.by_bedroom || null;
+  const avgHome = data.avg_home_value;
+  // No by_bedroom of its own: city-level rent/utilities from a file for the same
+  // Census place (Fort-Sam-Houston and Lackland are both San Antonio city)
+  const rentFrom = bedrooms ? null : samePlaceBedrooms(data.geo_id, fileKey);
+  const rentTiers = bedrooms || rentFrom?.by_bedroom || null;
+  const targetRent = avgFromBedrooms(rentTiers, (b) => b.rent_monthly?.avg);
+  const avgUtilities = avgFromBedrooms(rentTiers, (b) => b.utilities?.total?.avg);
+  const targetRentSource = targetRent == null ? null : rentFrom ? `${rentFrom.fileKey}.by_bedroom, same geo_id` : "by_bedroom";
+
+  const out = {
+    key: fileKey,
+    canonical_city_key: canonical,
+
+    ...data,
+    market: {
+      ...market,
+      avg_home_value: avgHome,
+      average_home_value: avgHome,
+      avgHome: avgHome,
+      city_avg_home: avgHome,
+      avg_home_value_source: data.avg_home_value_source,
+    },
+    targets: { rent: targetRent, utilities: avgUtilities },
+    raw: data,
+
+    bedrooms,
+    bedrooms_used: bedrooms ? "by_bedroom" : null,
+
+    target_rent: targetRent,
+    targetRent: targetRent,
+    target_rent_source: targetRentSource,
+
+    avg_home_value: avgHome,
+    average_home_value: avgHome,
+    avgHome: avgHome,
+    city_avg_home: avgHome,
+
+    avg_utilities: avgUtilities,
+    average_utilities: avgUtilities,
+    avgUtilities: avgUtilities,
+
+    cityFileRequested: canonical,
+    cityFileUsed: fileKey,
+    cityFileVia: res.via,
+    cityFileCandidates: res.candidates,
+    baseUsedForCityFile: res.baseUsed || null,
+  };
+
+  __CITY_CACHE__.set(fileKey, out);
+  return out;
+}
+
+// Another shipped file for the same Census place that carries by_bedroom (raw read,
+// no loadCity recursion); null when there is none
+function samePlaceBedrooms(geoId, fileKey) {
+  const id = String(geoId || "").trim();
+  if (!id) return null;
+  for (const k of Array.from(listCityFiles()).sort()) {
+    if (k === fileKey || k === "index.byBase") continue;
+    try {
+      const other = JSON.parse(fs.readFileSync(path.join(__CITIES_DIR, `${k}.json`), "utf8"));
+      if (String(other?.geo_id || "").trim() === id && other.by_bedroom) return { fileKey: k, by_bedroom: other.by_bedroom };
+    } catch (e) {
+      // unreadable sibling: skip it (loadCity reports it when that file is requested)
+    }
+  }
+  return null;
+}
+
+function avgFromBedrooms(bedrooms, getter) {
+  if (!bedrooms) return null;
+  const vals = Object.values(bedrooms)
+    .map((b) => toNum(getter(b)))
+    .filter((n) => n != null && n > 0);
+  if (!vals.length) return null;
+  return Math.round(vals.reduce((a, b) => a + b, 0) / vals.length);
+}
+
+module.exports = {
+  CITY_SCHEMA_VERSION,
+  validateCity,
+  loadCity,
+  resolveCityFileKey,
+  listCityFiles,
+  cityFileExists,
+  baseToCityFileKey,
+};
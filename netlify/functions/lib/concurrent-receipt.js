@@ -0,0 +1,209 @@
+// netlify/functions/lib/concurrent-receipt.js
+// ============================================================
+// PCSUnited • Concurrent receipt (CRDP / CRSC) + VA waiver (shared) — v1.0.0
+// PURPOSE:
+// - A retiree cannot draw full retired pay AND VA compensation by default: retired pay is
+//   reduced dollar-for-dollar by the VA compensation (the "VA waiver" / offset)
+// - CRDP (Concurrent Retirement and Disability Pay) restores the waiver for 20+ year
+//   retirees rated 50% or more (taxable, paid as retired pay)
+// - CRSC (Combat-Related Special Compensation) restores up to the combat-related
+//   portion of the VA award at any rating 10%+ (tax-free)
+// - A retiree eligible for both gets one; the higher pays unless the profile elects
+//
+// INPUT:
+//   applyConcurrentReceipt({ retirement, va, profile, payTables, vaAmountAt })
+//   - retirement: computeRetirementPay(...) result (amount, detail) from lib/pay-engine.js
+//   - va: computeVaDisability(...) result (amount, debug.pct)
+//   - vaAmountAt(pct): VA compensation at a rating with the same dependents (CRSC)
+//   profile fields (optional):
+//     crsc_rating / crscRating           combat-related rating (%); crsc: true = whole rating
+//     concurrent_receipt                 crdp | crsc | auto (default auto)
+//
+// RESULT SHAPE (stable):
+// {
+//   program: "crdp" | "crsc" | "none", elected, eligible: { crdp, crsc },
+//   vaRating, retiredPayMonthly, vaCompensationMonthly,
+//   waiverMonthly, crdpMonthly, crscMonthly,
+//   retiredPayReceivedMonthly, taxableMonthly, nonTaxableMonthly, netCombinedMonthly,
+//   alternatives: { none, crdp?, crsc? },   (net combined under each option)
+//   explanation, warnings: [...], sources: [...]
+// }
+//
+// NOTE:
+// - Regular 20+ year retirement only (Chapter 61 / TERA CRSC math is not modeled)
+// - Not a Netlify function (lives under lib/, no handler export)
+// - CommonJS only (same as brain.js)
+// ============================================================
+
+"use strict";
+
+// Fallbacks when militaryPayTables.json CONCURRENT_RECEIPT omits a value
+const DEFAULTS = {
+  crdp_min_rating: 50,
+  crdp_min_years: 20,
+  crsc_min_rating: 10,
+};
+
+// -----------------------------
+// //#1 Small helpers
+// -----------------------------
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function lower(x) {
+  return String(x ?? "").trim().toLowerCase();
+}
+
+function toInt(x) {
+  const n = Number.parseInt(String(x ?? "").trim(), 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+function pickFirst(obj, keys) {
+  for (const k of keys) {
+    const v = obj?.[k];
+    if (v !== undefined && v !== null && String(v).trim() !== "") return v;
+  }
+  return null;
+}
+
+function truthy(x) {
+  if (x === true) return true;
+  const s = lower(x);
+  return s === "true" || s === "yes" || s === "1" || s === "y";
+}
+
+function money0(n) {
+  return `$${Math.round(Number(n) || 0).toLocaleString("en-US")}`;
+}
+
+// -----------------------------
+// //#2 Inputs
+// -----------------------------
+function rulesFrom(payTables) {
+  return { ...DEFAULTS, ...(payTables?.CONCURRENT_RECEIPT || {}) };
+}
+
+function normalizeElection(x) {
+  const s = lower(x);
+  if (s === "crdp" || s === "crsc") return s;
+  return "auto";
+}
+
+// Combat-related rating: explicit crsc_rating, or the whole VA rating when crsc is true
+function crscRatingFrom(profile, vaRating) {
+  const explicit = toInt(pickFirst(profile, ["crsc_rating", "crscRating", "combat_rating", "combatRating"]));
+  if (explicit !== null) return Math.min(Math.max(explicit, 0), vaRating || 0);
+  return truthy(pickFirst(profile, ["crsc", "combat_related", "combatRelated"])) ? vaRating || 0 : 0;
+}
+
+// -----------------------------
+// //#3 Concurrent receipt
+// -----------------------------
+function applyConcurrentReceipt({ retirement, va, profile, payTables, vaAmountAt } = {}) {
+  const rules = rulesFrom(payTables);
+  const warnings = [];
+  const sources = ["data/militaryPayTables.json (CONCURRENT_RECEIPT, DISABILITY_FULL)"];
+
+  const retiredPay = Number(retirement?.amount) || 0;
+  const vaComp = Number(va?.amount) || 0;
+  const vaRating = toInt(va?.debug?.pct) || 0;
+  const years = Number(retirement?.detail?.yearsCredited) || 0;
+  const retired = retiredPay > 0 && !!retirement?.detail?.eligible;
+
+  // Waiver: retired pay gives way to VA compensation, never below $0
+  const waiver = retired ? Math.min(retiredPay, vaComp) : 0;
+
+  const crdpEligible = retired && vaRating >= rules.crdp_min_rating && years >= rules.crdp_min_years;
+
+  const crscRating = retired ? crscRatingFrom(profile, vaRating) : 0;
+  const crscEligible = retired && crscRating >= rules.crsc_min_rating;
+  let crscCap = 0;
+  if (crscEligible) {
+    crscCap = crscRating >= vaRating ? vaComp : Number(typeof vaAmountAt === "function" ? vaAmountAt(crscRating) : 0) || 0;
+    if (!crscCap) warnings.push("crsc_amount_unavailable");
+  }
+
+  // Net combined income under each option
+  const crdpAmount = crdpEligible ? waiver : 0;
+  const crscAmount = crscEligible ? Math.min(crscCap, waiver) : 0;
+  const base = retiredPay - waiver + vaComp;
+  const alternatives = { none: round2(base) };
+  if (crdpEligible) alternatives.crdp = round2(base + crdpAmount);
+  if (crscEligible) alternatives.crsc = round2(base + crscAmount);
+
+  // Election: explicit when eligible, else the higher (CRSC on a tie: it is tax-free)
+  const elected = normalizeElection(pickFirst(profile, ["concurrent_receipt", "concurrentReceipt"]));
+  let program = "none";
+  if (elected === "crdp" && crdpEligible) program = "crdp";
+  else if (elected === "crsc" && crscEligible) program = "crsc";
+  else {
+    if (elected !== "auto") warnings.push(`${elected}_not_eligible`);
+    if (crdpEligible && crscEligible) program = crdpAmount > crscAmount ? "crdp" : "crsc";
+    else if (crdpEligible) program = "crdp";
+    else if (crscEligible) program = "crsc";
+  }
+  if (crdpEligible && crscEligible) warnings.push("crdp_crsc_both_eligible_one_paid");
+
+  const crdpMonthly = program === "crdp" ? crdpAmount : 0;
+  const crscMonthly = program === "crsc" ? crscAmount : 0;
+  const retiredPayReceived = retiredPay - waiver + crdpMonthly;
+  const netCombined = retiredPayReceived + vaComp + crscMonthly;
+
+  return {
+    program,
+    elected,
+    eligible: { crdp: crdpEligible, crsc: crscEligible },
+    vaRating,
+    crscRating: crscEligible ? crscRating : null,
+    retiredPayMonthly: round2(retiredPay),
+    vaCompensationMonthly: round2(vaComp),
+    waiverMonthly: round2(waiver),
+    crdpMonthly: round2(crdpMonthly),
+    crscMonthly: round2(crscMonthly),
+    retiredPayReceivedMonthly: round2(retiredPayReceived),
+    taxableMonthly: round2(retiredPayReceived),
+    nonTaxableMonthly: round2(vaComp + crscMonthly),
+    netCombinedMonthly: round2(netCombined),
+    alternatives,
+    explanation: explain({ retired, retiredPay, vaComp, vaRating, waiver, program, crdpMonthly, crscMonthly, crscRating, crscEligible, netCombined, rules }),
+    warnings,
+    sources,
+  };
+}
+
+function explain({ retired, retiredPay, vaComp, vaRating, waiver, program, crdpMonthly, crscMonthly, crscRating, crscEligible, netCombined, rules }) {
+  if (!retired) {
+    return vaComp > 0
+      ? `No military retired pay to offset; VA compensation of ${money0(vaComp)}/mo is received in full.`
+      : "No military retired pay or VA compensation to combine.";
+  }
+  if (!vaComp) return `No VA compensation, so retired pay of ${money0(retiredPay)}/mo is received in full.`;
+
+  const offset =
+    `Retired pay of ${money0(retiredPay)}/mo is reduced by the ${money0(waiver)} VA waiver ` +
+    `(dollar-for-dollar for the ${money0(vaComp)} of VA compensation at ${vaRating}%).`;
+
+  if (program === "crdp") {
+    return (
+      `${offset} Rated ${vaRating}% (${rules.crdp_min_rating}% or more) with ${rules.crdp_min_years}+ years, ` +
+      `CRDP restores ${money0(crdpMonthly)}/mo, so retired pay and VA compensation are both received in full: ` +
+      `${money0(netCombined)}/mo combined.`
+    );
+  }
+  if (program === "crsc") {
+    return (
+      `${offset} CRSC pays back ${money0(crscMonthly)}/mo tax-free for the ${crscRating}% combat-related rating: ` +
+      `${money0(netCombined)}/mo combined.`
+    );
+  }
+  const hint = crscEligible
+    ? ""
+    : ` Rated under ${rules.crdp_min_rating}%, CRDP does not apply; CRSC can restore the waiver if the disabilities are combat-related.`;
+  return `${offset} Net combined: ${money0(netCombined)}/mo.${hint}`;
+}
+
+module.exports = {
+  applyConcurrentReceipt,
+};
@@ -0,0 +1,116 @@
+// netlify/functions/lib/endpoint.js
+// ============================================================
+// PCSUnited • Shared endpoint helpers — v1.0.0
+// PURPOSE:
+// - The CORS / JSON response / number helpers the POST calculators all carried a copy of
+// - callMortgageEngine: mortgage.js through the same fake-event pattern as brain.js
+//
+// HELPERS:
+//   corsHeaders, j(statusCode, obj)        POST + OPTIONS, pretty JSON body
+//   num(x)                                 Number or NaN ("" / null / undefined -> NaN)
+//   firstNum(...xs)                        first finite num(), else NaN
+//   clamp, round2, money0                  money0 -> "$1,234"
+//   normalizeLoanType(x)                   "va" | "fha" | "conventional"
+//   callMortgageEngine(payload)            mortgage.js body; throws on a non-200 / ok !== true
+//
+// USED BY:
+//   afford.js, compare-cities.js, rent-vs-buy.js, rental-after-pcs.js
+//
+// NOTE:
+// - Not a Netlify function (lives under lib/, no handler export)
+// - CommonJS only (same as brain.js)
+// ============================================================
+
+"use strict";
+
+const { handler: mortgageHandler } = require("../mortgage.js");
+
+// -----------------------------
+// //#1 CORS + JSON response
+// -----------------------------
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Max-Age": "86400",
+  "Vary": "Origin",
+};
+
+function j(statusCode, obj) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json; charset=utf-8", ...corsHeaders },
+    body: JSON.stringify(obj, null, 2),
+  };
+}
+
+// -----------------------------
+// //#2 Numbers
+// -----------------------------
+function num(x) {
+  if (x === null || x === undefined || String(x).trim() === "") return NaN;
+  const n = Number(x);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+function firstNum(...xs) {
+  for (const x of xs) {
+    const n = num(x);
+    if (Number.isFinite(n)) return n;
+  }
+  return NaN;
+}
+
+function clamp(n, lo, hi) {
+  return Math.max(lo, Math.min(hi, n));
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function money0(n) {
+  return (Number(n) || 0).toLocaleString("en-US", { style: "currency", currency: "USD", maximumFractionDigits: 0 });
+}
+
+function normalizeLoanType(x) {
+  const s = String(x || "").trim().toLowerCase();
+  if (s === "va") return "va";
+  if (s === "fha") return "fha";
+  return "conventional";
+}
+
+// -----------------------------
+// //#3 mortgage.js call (same fake-event pattern as brain.js)
+// -----------------------------
+async function callMortgageEngine(payload) {
+  const res = await mortgageHandler({
+    httpMethod: "POST",
+    headers: {},
+    body: JSON.stringify(payload || {}),
+  });
+
+  let out = null;
+  try {
+    out = res?.body ? JSON.parse(res.body) : null;
+  } catch {
+    out = null;
+  }
+
+  if (!res || res.statusCode !== 200 || !out || out.ok !== true) {
+    throw new Error(out?.error || `mortgage.js failed (status=${res?.statusCode ?? "unknown"})`);
+  }
+  return out;
+}
+
+module.exports = {
+  corsHeaders,
+  j,
+  num,
+  firstNum,
+  clamp,
+  round2,
+  money0,
+  normalizeLoanType,
+  callMortgageEngine,
+};
@@ -0,0 +1,248 @@
+// netlify/functions/lib/installations.js
+// ============================================================
+// PCSUnited • Installation registry (shared) — v1.1.0
+// PURPOSE:
+// - One data-driven base lookup for every major CONUS Air Force, Space Force, Army,
+//   Navy and Marine Corps installation: name -> { cityKey, fileKey, zip, branch, state }
+// - Reads netlify/functions/cities/index.byBase.json (bases / aliases / cities)
+// - Replaces the hardcoded base maps that lived in brain.js and lib/cities.js
+//
+// LOOKUP ORDER (names compared upper-case, letters/digits only):
+//   1) bases[name]                canonical name ("Fort Bragg", "Nellis AFB")
+//   2) aliases[name]              legacy/common names ("Fort Liberty", "JBLM", "Lejeune");
+//                                 the 2023 Army names are aliases of the names restored in 2025
+//   3) designator variants        "Ft Carson", "Whidbey Island", "Moody", "Cavazos" — of names
+//                                 and aliases, only when exactly one installation produces it
+//
+// FILE KEYS:
+// - fileKey is the cities/<file>.json market file; most bases have none yet and still
+//   resolve to a cityKey + ZIP (callers fall back the way they always have)
+// - cityKeyToFileKey: cities[cityKey] first, else the first base listed with a file
+//
+// USED BY:
+//   brain.js, lib/cities.js, lib/pay-engine.js, elena/skills/cities.js
+//
+// NOTE:
+// - Not a Netlify function (lives under lib/, no handler export)
+// - CommonJS only (same as brain.js)
+// ============================================================
+
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+// -----------------------------
+// //#0 Paths (Netlify-safe)
+// -----------------------------
+const __ROOT = process.cwd(); // /var/task
+const __INDEX_PATH = path.join(__ROOT, "netlify", "functions", "cities", "index.byBase.json");
+
+// Designators dropped to build the short variants ("NAS Oceana" -> "Oceana")
+const PREFIXES = [
+  "JBSA", "Joint Base", "JB", "NAS JRB", "NAS", "NAWS", "Naval Station", "Naval Base",
+  "NSA", "NSB", "NCBC", "MCAS", "MCB", "MCRD", "MCLB", "MCAGCC", "Camp", "Fort",
+];
+const SUFFIXES = ["AFB", "SFB", "Field"];
+
+// -----------------------------
+// //#1 Small helpers
+// -----------------------------
+function normalizeBaseName(s) {
+  return String(s || "")
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+}
+
+function safeKey(s) {
+  return String(s || "").trim().replace(/[^a-zA-Z0-9_-]/g, "");
+}
+
+function words(s) {
+  return String(s || "").trim().split(/[\s-]+/).filter(Boolean);
+}
+
+function startsWithWords(ws, prefix) {
+  const pw = words(prefix);
+  if (ws.length <= pw.length) return false;
+  return pw.every((w, i) => ws[i].toUpperCase() === w.toUpperCase());
+}
+
+// "Fort Carson" -> ["FTCARSON", "CARSON"]; "NAS Whidbey Island" -> ["WHIDBEYISLAND"]
+function designatorVariants(name) {
+  const out = new Set();
+  let ws = words(name);
+
+  if (ws[0] && ws[0].toUpperCase() === "FORT") out.add(normalizeBaseName(["Ft", ...ws.slice(1)].join("")));
+
+  for (const p of PREFIXES) {
+    if (startsWithWords(ws, p)) {
+      ws = ws.slice(words(p).length);
+      break;
+    }
+  }
+  const last = ws[ws.length - 1];
+  if (ws.length > 1 && SUFFIXES.some((s) => s.toUpperCase() === String(last).toUpperCase())) ws = ws.slice(0, -1);
+
+  const stripped = normalizeBaseName(ws.join(""));
+  if (stripped && stripped !== normalizeBaseName(name)) out.add(stripped);
+  return Array.from(out);
+}
+
+// -----------------------------
+// //#2 File loading (cached, validated)
+// -----------------------------
+let __REGISTRY_CACHE__ = null;
+
+function validateInstallations(index) {
+  const errors = [];
+  if (!index || typeof index !== "object") return ["index is not an object"];
+
+  const bases = index.bases;
+  if (!bases || typeof bases !== "object") return ["bases missing"];
+
+  const seen = new Map();
+  for (const [name, row] of Object.entries(bases)) {
+    if (!row || typeof row !== "object") {
+      errors.push(`bases.${name} is not an object`);
+      continue;
+    }
+    if (!safeKey(row.cityKey)) errors.push(`bases.${name}.cityKey missing`);
+    if (!/^\d{5}$/.test(String(row.zip || ""))) errors.push(`bases.${name}.zip is not a 5-digit ZIP`);
+    if (row.file != null && !safeKey(row.file)) errors.push(`bases.${name}.file is not a valid file key`);
+
+    const norm = normalizeBaseName(name);
+    if (seen.has(norm)) errors.push(`bases.${name} collides with bases.${seen.get(norm)}`);
+    else seen.set(norm, name);
+  }
+
+  for (const [alias, target] of Object.entries(index.aliases || {})) {
+    if (!bases[target]) errors.push(`aliases.${alias} -> ${target} is not a base`);
+    const norm = normalizeBaseName(alias);
+    if (seen.has(norm) && seen.get(norm) !== target) errors.push(`aliases.${alias} collides with ${seen.get(norm)}`);
+    else seen.set(norm, target);
+  }
+
+  const files = new Set(Object.values(bases).map((r) => r?.file).filter(Boolean));
+  for (const [cityKey, file] of Object.entries(index.cities || {})) {
+    if (!files.has(file)) errors.push(`cities.${cityKey} -> ${file} is not a base file`);
+  }
+
+  return errors;
+}
+
+function buildRegistry(index) {
+  const byKey = new Map(); // normalized name -> { name, via }
+  for (const name of Object.keys(index.bases)) byKey.set(normalizeBaseName(name), { name, via: "name" });
+  for (const [alias, target] of Object.entries(index.aliases || {})) {
+    const k = normalizeBaseName(alias);
+    if (!byKey.has(k)) byKey.set(k, { name: target, via: "alias" });
+  }
+
+  // Short variants of names and aliases ("Fort Novosel" -> "Novosel" -> Fort Rucker):
+  // keep only the ones a single installation produces
+  const variants = new Map();
+  const sourceNames = [...Object.keys(index.bases).map((n) => [n, n]), ...Object.entries(index.aliases || {})];
+  for (const [name, target] of sourceNames) {
+    for (const v of designatorVariants(name)) {
+      if (!variants.has(v)) variants.set(v, new Set());
+      variants.get(v).add(target);
+    }
+  }
+  const ambiguous = [];
+  for (const [v, names] of variants) {
+    if (byKey.has(v)) continue;
+    if (names.size === 1) byKey.set(v, { name: Array.from(names)[0], via: "variant" });
+    else ambiguous.push(v);
+  }
+
+  const fileByCity = new Map(Object.entries(index.cities || {}));
+  for (const row of Object.values(index.bases)) {
+    if (row.file && !fileByCity.has(row.cityKey)) fileByCity.set(row.cityKey, row.file);
+  }
+
+  return { index, byKey, fileByCity, ambiguous };
+}
+
+function loadInstallations() {
+  if (__REGISTRY_CACHE__) return __REGISTRY_CACHE__;
+
+  if (!fs.existsSync(__INDEX_PATH)) {
+    throw new Error(
+      `Installation index not found: ${__INDEX_PATH}\n` +
+      `Fix: ensure it's bundled via netlify.toml [functions].included_files.`
+    );
+  }
+
+  const index = JSON.parse(fs.readFileSync(__INDEX_PATH, "utf8"));
+  const errors = validateInstallations(index);
+  if (errors.length) {
+    throw new Error(`index.byBase.json failed validation:\n- ${errors.join("\n- ")}`);
+  }
+
+  __REGISTRY_CACHE__ = buildRegistry(index);
+  return __REGISTRY_CACHE__;
+}
+
+// -----------------------------
+// //#3 Lookups
+// -----------------------------
+function describe(name, via, reg) {
+  const row = reg.index.bases[name];
+  return {
+    name,
+    cityKey: safeKey(row.cityKey),
+    fileKey: row.file ? safeKey(row.file) : null,
+    zip: String(row.zip),
+    branch: row.branch || null,
+    state: row.state || null,
+    via,
+  };
+}
+
+// Returns { name, cityKey, fileKey, zip, branch, state, via } or null
+function lookupInstallation(baseRaw) {
+  const norm = normalizeBaseName(baseRaw);
+  if (!norm) return null;
+
+  const reg = loadInstallations();
+  const hit = reg.byKey.get(norm);
+  return hit ? describe(hit.name, hit.via, reg) : null;
+}
+
+// Longest installation name/alias mentioned in free text ("rent near fort bragg?")
+// Short variants are skipped: "Jackson" would match "Jacksonville"
+function findInstallationInText(text) {
+  const t = normalizeBaseName(text);
+  if (!t) return null;
+
+  const reg = loadInstallations();
+  let best = null;
+  for (const [k, hit] of reg.byKey) {
+    if (hit.via === "variant" || k.length < 4) continue;
+    if (t.includes(k) && (!best || k.length > best.k.length)) best = { k, hit };
+  }
+  return best ? describe(best.hit.name, best.hit.via, reg) : null;
+}
+
+function cityKeyToFileKey(cityKey) {
+  const k = safeKey(cityKey);
+  if (!k) return null;
+  const hit = loadInstallations().fileByCity.get(k);
+  return hit ? safeKey(hit) : null;
+}
+
+function listInstallations() {
+  const reg = loadInstallations();
+  return Object.keys(reg.index.bases).map((name) => describe(name, "name", reg));
+}
+
+module.exports = {
+  loadInstallations,
+  validateInstallations,
+  lookupInstallation,
+  findInstallationInText,
+  cityKeyToFileKey,
+  listInstallations,
+};
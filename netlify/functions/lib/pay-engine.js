@@ -0,0 +1,1049 @@
+// netlify/functions/lib/pay-engine.js
+// ============================================================
+// PCSUnited • Pay engine (shared) — v1.6.1
+// PURPOSE:
+// - ONE implementation of Base Pay / BAS / BAH (+ veteran VA / retired pay)
+//   so the same rank/YOS/ZIP gives the same number on every page
+// - Moved out of brain.js computePay; pay-tables.js and the Elena pay skill call it too
+//
+// RESULT SHAPE (stable):
+// {
+//   ok, missing: [...diagnostic codes],
+//   pay: { ok, payModel, payAccuracy, basePay, bas, bah, totalPay, total,
+//          zipUsed, familyUsed, rankUsed, yosUsed, paySchedule, bahDetail,
+//          specialPays: { totalMonthly, taxableMonthly, nonTaxableMonthly,
+//                         lenderQualifyingMonthly, components:[{ key, label, monthly, ... }] } }
+// }
+//
+// SPECIAL & INCENTIVE PAYS (optional profile/override fields, SPECIAL_PAYS table):
+//   aircrew / aviation_years -> ACIP      sdap_level (1-6)   -> SDAP
+//   hazardous_duty           -> HDIP      jump_status        -> jump pay (static|halo)
+//   family_separation        -> FSA       clothing_allowance -> clothing (enlisted)
+//   cola_location | cola_monthly -> COLA  oha_location (+ oha_rent) -> OHA (replaces BAH)
+//
+// VETERAN MODE (payModel "veteran"):
+//   pay: { retirementPay (gross), retirementSbpPremium, retirementNetPay, vaDisabilityPay,
+//          totalPay (net combined after the VA waiver / CRDP / CRSC),
+//          retirement: lib/retirement.js detail (High-36, system, COLA, SBP),
+//          concurrentReceipt: lib/concurrent-receipt.js (waiver, program, explanation),
+//          vaDisability: { rating, dependents, components:[{ key, label, monthly }] } }
+//   VA dependents: va_spouse, children_under_18, children_in_school (18-23),
+//   dependent_parents (0-2), spouse_aid_attendance, smc_k (awards); when none are
+//   sent, spouse / children are inferred from family size (dependents.inferred)
+//   Retirement inputs: diems, retirement_date, promotions, retirement_system, csb, sbp
+//   (without DIEMS the dates are derived from rank + yos)
+//
+// GUARD / RESERVE MODE (payModel "reserve"; mode guard | reserve, component, AGR = active):
+//   pay: { basePay / bas / bah = military monthly averages (drill + annual training),
+//          civilianIncome, totalPay, reserve: { component, drill, annualTraining, ... } }
+//   Drill: uta_per_month (4) x 1/30 of basic pay. Annual training: annual_training_days (14)
+//   of basic pay + BAS + BAH-RC/T (locality BAH for 30+ days). civilian_income is monthly.
+//
+// DUAL-MILITARY HOUSEHOLD (spouse_member = { rank, yos, zip|base, ... } or spouse_rank ...):
+//   pay = both members combined (same shape) + pay.household.members[member|spouse].pay
+//   BAH: no children -> both without-dependents; children -> one with-dependents
+//   (bah_with_dependents = member | spouse, default whichever pays the household more)
+//
+// BASE -> ZIP (no profile zip; active duty and reserve locality BAH alike):
+//   BAH.base_to_zip, then the installation registry (lib/installations.js)
+//
+// YOS LOOKUP:
+// - Nearest LOWER pay-table step (8 YOS -> "8", 9 YOS -> "8", 40 YOS -> "30")
+// - Below a grade's first step (O-1E at 2 YOS, W-5 at 10) -> missing "basepay_value"
+//
+// USED BY:
+//   brain.js, pay-tables.js, elena/skills/pay.js
+//
+// NOTE:
+// - Not a Netlify function (lives under lib/, no handler export)
+// - CommonJS only (same as brain.js)
+// ============================================================
+
+"use strict";
+
+const {
+  loadPayTables,
+  payTablesForSchedule,
+  normalizePaygrade,
+  isOfficerGrade,
+} = require("./pay-tables.js");
+const { lookupBah } = require("./bah.js");
+const { lookupInstallation } = require("./installations.js");
+const { computeRetiredPay } = require("./retirement.js");
+const { applyConcurrentReceipt } = require("./concurrent-receipt.js");
+
+// -----------------------------
+// //#1 Small helpers
+// -----------------------------
+function toInt(x) {
+  const n = Number.parseInt(String(x ?? "").trim(), 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+function toNum(x) {
+  const s = String(x ?? "").trim();
+  if (!s) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+function lower(x) {
+  return String(x ?? "").trim().toLowerCase();
+}
+
+function normalizeRank(rank) {
+  return normalizePaygrade(rank);
+}
+
+function normalizeBaseName(s) {
+  return String(s || "")
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+}
+
+function pickFirst(obj, keys) {
+  for (const k of keys) {
+    const v = obj?.[k];
+    if (v !== undefined && v !== null && v !== "") return v;
+  }
+  return null;
+}
+
+function pickNearestYos(tableForRank, yos) {
+  const keys = Object.keys(tableForRank || {})
+    .map((k) => Number(k))
+    .filter((n) => Number.isFinite(n))
+    .sort((a, b) => a - b);
+
+  if (!keys.length) return null;
+
+  // Nearest LOWER step (a grade that doesn't exist yet at this YOS has no value)
+  let chosen = null;
+  for (const k of keys) {
+    if (k <= yos) chosen = k;
+  }
+  if (chosen === null) return null;
+  return tableForRank[String(chosen)] ?? null;
+}
+
+// -----------------------------
+// //#2 Pay model + dependents
+// -----------------------------
+const RESERVE_MODES = ["reserve", "reservist", "guard", "national_guard", "ng", "rc", "selres", "drilling", "ang", "arng", "usar"];
+
+function detectPayModel(profile) {
+  const modeRaw = lower(profile?.mode);
+
+  if (modeRaw) {
+    if (["vet", "veteran", "retired", "retiree", "sep", "separated", "civ", "civilian"].includes(modeRaw)) {
+      return "veteran";
+    }
+    if (["ad", "active", "active_duty", "activeduty", "agr"].includes(modeRaw)) {
+      return "active";
+    }
+    if (RESERVE_MODES.includes(modeRaw)) {
+      return "reserve";
+    }
+  }
+
+  const modelRaw = lower(
+    pickFirst(profile, [
+      "pay_model",
+      "payModel",
+      "status",
+      "member_status",
+      "memberStatus",
+      "service_status",
+      "serviceStatus",
+      "component",
+      "service_component",
+      "serviceComponent",
+    ])
+  );
+
+  const explicitVeteran =
+    String(profile?.veteran ?? profile?.is_veteran ?? profile?.isVeteran ?? "").toLowerCase() === "true" ||
+    profile?.veteran === true ||
+    profile?.is_veteran === true ||
+    profile?.isVeteran === true;
+
+  const explicitActive =
+    String(profile?.active_duty ?? profile?.activeDuty ?? profile?.is_active_duty ?? "").toLowerCase() === "true" ||
+    profile?.active_duty === true ||
+    profile?.activeDuty === true ||
+    profile?.is_active_duty === true;
+
+  const explicitReserve = ["reserve", "is_reserve", "isReserve", "guard", "is_guard", "isGuard"].some(
+    (k) => profile?.[k] === true || lower(profile?.[k]) === "true"
+  );
+
+  const veteranWords = ["veteran", "retired", "retiree", "separated", "civilian"];
+  if (explicitVeteran) return "veteran";
+  if (veteranWords.some((w) => modelRaw.includes(w))) return "veteran";
+
+  // AGR (Active Guard Reserve) is full-time active duty; other Guard / Reserve drill
+  if (modelRaw.includes("agr") || modelRaw.includes("active guard")) return "active";
+  const reserveWords = ["reserve", "guard", "selres", "drill"];
+  if (explicitReserve) return "reserve";
+  if (reserveWords.some((w) => modelRaw.includes(w))) return "reserve";
+
+  const activeWords = ["active", "activeduty", "ad", "active duty"];
+  if (explicitActive) return "active";
+  if (activeWords.some((w) => modelRaw.includes(w))) return "active";
+
+  return "active";
+}
+
+function deriveDependentsFromFamilySize(profile) {
+  const familySize =
+    toInt(pickFirst(profile, ["familySize", "family_size", "family", "dependents_count", "dependentsCount"])) ?? 1;
+
+  const hasSpouse = familySize >= 2;
+  const kidsUnder18 = Math.max(familySize - 2, 0);
+
+  return { familySize, hasSpouse, kidsUnder18 };
+}
+
+// -----------------------------
+// //#3 Deterministic pay math
+// -----------------------------
+function computeBasePay(rank, yos, payTables, missing) {
+  let basePay = 0;
+  if (rank && yos !== null) {
+    const baseTable = payTables?.BASEPAY?.[rank];
+    if (!baseTable) {
+      missing.push("basepay_table_for_rank");
+    } else {
+      const picked = pickNearestYos(baseTable, yos);
+      if (picked == null) missing.push("basepay_value");
+      else basePay = Number(picked) || 0;
+    }
+  }
+  return basePay;
+}
+
+function computeBAS(rank, payTables) {
+  const isOfficer = isOfficerGrade(rank);
+  const basObj = payTables?.BAS || {};
+  return Number(isOfficer ? basObj.officer : basObj.enlisted) || 0;
+}
+
+// Duty ZIP for a base: BAH.base_to_zip first (hand-tuned), then the installation registry
+function zipForBase(baseName, payTables) {
+  const target = normalizeBaseName(baseName);
+  if (!target) return null;
+  const baseToZipRaw = payTables?.BAH?.base_to_zip || payTables?.BAH?.baseToZip || payTables?.BASE_ZIP || {};
+  for (const [k, v] of Object.entries(baseToZipRaw || {})) {
+    if (normalizeBaseName(k) === target && String(v || "").trim()) return String(v).trim();
+  }
+  return lookupInstallation(baseName)?.zip || null;
+}
+
+function computeBAH(rank, familyBool, zip, missing) {
+  // ZIP -> MHA -> rate via lib/bah.js (payTables no longer carries BAH rates)
+  const hit = lookupBah({ zip, paygrade: rank, withDependents: familyBool });
+  missing.push(...hit.missing.filter((m) => m !== "rank_paygrade"));
+  return hit;
+}
+
+// Explicit VA dependent fields (profile / overrides); callers whitelist these, plus camelCase
+const VA_DEPENDENT_FIELDS = [
+  "va_spouse",
+  "children_under_18",
+  "children_in_school",
+  "dependent_parents",
+  "spouse_aid_attendance",
+  "smc_k",
+];
+
+// { spouse, childrenUnder18, childrenInSchool, parents, spouseAidAttendance, smcK, inferred }
+// Explicit fields win; otherwise spouse / children are inferred from family size
+function vaDependentsFromProfile(profile) {
+  const num = (keys) => {
+    const v = toInt(pickFirst(profile, keys));
+    return v === null ? null : Math.max(v, 0);
+  };
+  const flag = (keys) => {
+    const v = pickFirst(profile, keys);
+    return v === null ? null : v === true || ["true", "yes", "y", "1"].includes(lower(v));
+  };
+
+  const spouse = flag(["va_spouse", "vaSpouse", "spouse", "has_spouse", "hasSpouse", "married"]);
+  const under18 = num(["children_under_18", "childrenUnder18", "kids_under_18", "kidsUnder18"]);
+  const school = num(["children_in_school", "childrenInSchool", "school_children", "schoolChildren"]);
+
+  const inferred = spouse === null && under18 === null && school === null;
+  const fallback = deriveDependentsFromFamilySize(profile);
+  const famRaw = profile?.family;
+  const familyFlag = famRaw === true || lower(famRaw) === "true";
+  const sized = pickFirst(profile, ["familySize", "family_size", "dependents_count", "dependentsCount"]) !== null;
+
+  return {
+    spouse: inferred ? fallback.hasSpouse || (familyFlag && !sized) : !!spouse,
+    childrenUnder18: inferred ? fallback.kidsUnder18 : under18 || 0,
+    childrenInSchool: inferred ? 0 : school || 0,
+    parents: Math.min(num(["dependent_parents", "dependentParents"]) || 0, 2),
+    spouseAidAttendance: !!flag(["spouse_aid_attendance", "spouseAidAttendance", "spouse_aa"]),
+    smcK: num(["smc_k", "smcK"]) || 0,
+    inferred,
+  };
+}
+
+function computeVaDisability(profile, payTables, missing) {
+  const pct = toInt(profile?.va_disability ?? profile?.vaDisability ?? profile?.va_rating ?? profile?.vaRating);
+  if (pct === null) {
+    missing.push("va_disability");
+    return { amount: 0, detail: null, debug: { pct: null, method: "missing" } };
+  }
+
+  const deps = vaDependentsFromProfile(profile);
+  const smc = payTables?.VA_SMC || {};
+  const smcAwards = Math.min(deps.smcK, Number(smc.k_max_awards) || 3);
+  const smcK = smcAwards * (Number(smc.k) || 0);
+  if (deps.smcK && !smcK) missing.push("va_smc_table_missing");
+
+  const pctKey = String(pct);
+  const full = payTables?.DISABILITY_FULL?.[pctKey] || null;
+  const components = [];
+  const add = (key, label, monthly, count) => {
+    if (monthly > 0) components.push({ key, label, monthly: round2(monthly), ...(count ? { count } : {}) });
+  };
+
+  // 0% pays nothing on its own (SMC-K can still be awarded)
+  if (pct === 0) {
+    add("smc_k", "SMC-K", smcK, smcAwards);
+    const detail = { rating: 0, dependents: deps, components };
+    return { amount: round2(smcK), detail, debug: { pct, method: "zero_rating", smcK } };
+  }
+
+  if (full && typeof full === "object") {
+    // Base row covers a spouse and the first child; a school child as the only child
+    // draws the with-child rate plus the school/under-18 difference
+    const kids = deps.childrenUnder18 + deps.childrenInSchool;
+    let baseKey = "veteran";
+    if (deps.spouse && kids >= 1) baseKey = "veteran_spouse_one_child";
+    else if (deps.spouse) baseKey = "veteran_spouse";
+    else if (kids >= 1) baseKey = "veteran_one_child";
+
+    const perChild = Number(full.additional_child_under_18) || 0;
+    const perSchool = Number(full.additional_child_over_18_in_school) || 0;
+    const extraUnder18 = Math.max(deps.childrenUnder18 - 1, 0);
+    const schoolAdds =
+      deps.childrenUnder18 >= 1
+        ? deps.childrenInSchool * perSchool
+        : deps.childrenInSchool >= 1
+          ? perSchool - perChild + (deps.childrenInSchool - 1) * perSchool
+          : 0;
+    const parents = deps.parents * (Number(full.parent_each) || 0);
+    const aa = deps.spouse && deps.spouseAidAttendance ? Number(full.spouse_aid_attendance) || 0 : 0;
+
+    add(baseKey, `${pct}% rating`, Number(full[baseKey]) || 0);
+    add("additional_child_under_18", "Additional children under 18", extraUnder18 * perChild, extraUnder18);
+    add("children_in_school", "Children 18-23 in school", schoolAdds, deps.childrenInSchool);
+    add("dependent_parents", "Dependent parents", parents, deps.parents);
+    add("spouse_aid_attendance", "Spouse Aid & Attendance", aa);
+    add("smc_k", "SMC-K", smcK, smcAwards);
+
+    const amount = components.reduce((a, c) => a + c.monthly, 0);
+    const detail = { rating: pct, dependents: deps, components };
+    return { amount: round2(amount), detail, debug: { pct, method: "DISABILITY_FULL", baseKey, ...deps } };
+  }
+
+  const simple = Number(payTables?.DISABILITY?.[pctKey]) || 0;
+  if (!simple) missing.push("va_disability_table_missing");
+  add("veteran", `${pct}% rating`, simple);
+  add("smc_k", "SMC-K", smcK, smcAwards);
+  return {
+    amount: round2(simple + smcK),
+    detail: { rating: pct, dependents: deps, components },
+    debug: { pct, method: "DISABILITY" },
+  };
+}
+
+// Real retired pay (DIEMS / retirement date / promotions -> High-36 or Final Pay,
+// system multiplier, COLA, SBP) lives in lib/retirement.js
+function computeRetirementPay(profile, rank, yos, payTables, missing) {
+  const hasDates = pickFirst(profile, ["diems", "service_entry_date", "serviceEntryDate", "entry_date"]) !== null;
+  if (yos === null && !hasDates) {
+    missing.push("yos");
+    return { amount: 0, sbpPremium: 0, detail: null, debug: { method: "missing_yos" } };
+  }
+
+  const detail = computeRetiredPay(profile, { rank, yos, asOf: payTables?.PAY_SCHEDULE_USED?.asOf });
+  if (!detail.ok) {
+    if (detail.missing?.includes("basic_pay_months")) missing.push("high3_values_missing");
+    const method = detail.reason ? `ineligible_${detail.reason}` : "missing_inputs";
+    return {
+      amount: 0,
+      sbpPremium: 0,
+      detail,
+      debug: { method, yearsCredited: detail.yearsCredited ?? null, missing: detail.missing || [] },
+    };
+  }
+
+  return {
+    amount: detail.grossMonthly,
+    sbpPremium: detail.sbp.premiumMonthly,
+    detail,
+    debug: {
+      method: detail.retiredPayBase.method,
+      system: detail.system,
+      yearsCredited: detail.yearsCredited,
+      multiplierPct: detail.multiplierPct,
+      retiredPayBase: detail.retiredPayBase.amount,
+      warnings: detail.warnings,
+    },
+  };
+}
+
+// -----------------------------
+// //#3.5 Special & incentive pays (table-driven)
+// -----------------------------
+const SPECIAL_PAY_FIELDS = [
+  "aircrew",
+  "flight_pay",
+  "aviation_years",
+  "sdap_level",
+  "hazardous_duty",
+  "jump_status",
+  "family_separation",
+  "clothing_allowance",
+  "cola_location",
+  "cola_monthly",
+  "oha_location",
+  "oha_rent",
+];
+
+function truthy(x) {
+  if (x === true) return true;
+  const s = lower(x);
+  return s === "true" || s === "yes" || s === "y" || s === "1";
+}
+
+function gradeCategory(rank) {
+  if (/^W-/.test(rank)) return "warrant";
+  if (/^O-/.test(rank)) return "officer";
+  return "enlisted";
+}
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function specialComponent(key, def, monthly, source, extra) {
+  return {
+    key,
+    label: def?.label || key,
+    monthly: round2(monthly),
+    taxable: def?.taxable !== false,
+    lenderQualifying: !!def?.lender_qualifying,
+    source,
+    ...(extra || {}),
+  };
+}
+
+// snake_case wins; camelCase (sdapLevel, ohaLocation, ...) accepted from overrides
+function camelCase(k) {
+  return k.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+function specialPayFields(profile) {
+  const out = {};
+  for (const k of SPECIAL_PAY_FIELDS) {
+    const v = profile?.[k] ?? profile?.[camelCase(k)];
+    if (v !== undefined && v !== null && v !== "") out[k] = v;
+  }
+  return out;
+}
+
+function computeSpecialPays(rawProfile, rank, yos, familyBool, payTables, missing) {
+  const profile = specialPayFields(rawProfile);
+  const T = payTables?.SPECIAL_PAYS || {};
+  const components = [];
+  const cat = gradeCategory(rank);
+  let replacesBah = false;
+
+  // ACIP (flight pay): by years of aviation service (defaults to YOS)
+  const aviationYears = toInt(profile?.aviation_years);
+  if (truthy(profile?.aircrew) || truthy(profile?.flight_pay) || aviationYears !== null) {
+    const table = T.ACIP?.by_aviation_years?.[cat];
+    const years = aviationYears ?? yos ?? 0;
+    const amt = Number(pickNearestYos(table, years)) || 0;
+    if (amt > 0) components.push(specialComponent("acip", T.ACIP, amt, `SPECIAL_PAYS.ACIP.by_aviation_years.${cat}`, { aviationYears: years }));
+    else missing.push("acip_table_missing");
+  }
+
+  // SDAP: level 1..6
+  const sdapLevel = toInt(profile?.sdap_level);
+  if (sdapLevel !== null && sdapLevel > 0) {
+    const amt = Number(T.SDAP?.by_level?.[String(sdapLevel)]) || 0;
+    if (amt > 0) components.push(specialComponent("sdap", T.SDAP, amt, `SPECIAL_PAYS.SDAP.by_level.${sdapLevel}`, { level: sdapLevel }));
+    else missing.push("sdap_level_not_found");
+  }
+
+  if (truthy(profile?.hazardous_duty)) {
+    components.push(specialComponent("hdip", T.HDIP, Number(T.HDIP?.amount) || 0, "SPECIAL_PAYS.HDIP.amount"));
+  }
+
+  // Jump pay: "halo" for HALO/HAHO, anything else truthy = static line
+  const jumpRaw = lower(profile?.jump_status);
+  if (jumpRaw && jumpRaw !== "false" && jumpRaw !== "no" && jumpRaw !== "0" && jumpRaw !== "none") {
+    const type = jumpRaw === "halo" || jumpRaw === "haho" ? "halo" : "static";
+    components.push(specialComponent("jump", T.JUMP, Number(T.JUMP?.by_type?.[type]) || 0, `SPECIAL_PAYS.JUMP.by_type.${type}`, { type }));
+  }
+
+  if (truthy(profile?.family_separation)) {
+    if (T.FSA?.requires_dependents && !familyBool) missing.push("fsa_requires_dependents");
+    else components.push(specialComponent("fsa", T.FSA, Number(T.FSA?.amount) || 0, "SPECIAL_PAYS.FSA.amount"));
+  }
+
+  if (truthy(profile?.clothing_allowance)) {
+    const annual = Number(T.CLOTHING?.annual?.[cat]) || 0;
+    if (annual > 0) components.push(specialComponent("clothing", T.CLOTHING, annual / 12, `SPECIAL_PAYS.CLOTHING.annual.${cat}`, { annual }));
+  }
+
+  // COLA: explicit monthly wins; else location table by grade group + dependents
+  const colaMonthly = toNum(profile?.cola_monthly);
+  const colaLoc = String(profile?.cola_location || "").trim().toUpperCase();
+  if (colaMonthly !== null && colaMonthly > 0) {
+    components.push(specialComponent("cola", { ...T.COLA, taxable: true }, colaMonthly, "profile.cola_monthly"));
+  } else if (colaLoc) {
+    const loc = T.COLA?.locations?.[colaLoc];
+    const group = T.COLA?.grade_groups?.[rank];
+    const amt = Number(loc?.[familyBool ? "with" : "without"]?.[group]) || 0;
+    if (!loc) missing.push("cola_location_not_found");
+    else if (!amt) missing.push("cola_rank_not_found");
+    else {
+      // OCONUS COLA is tax-free; CONUS COLA is taxable
+      components.push(specialComponent("cola", { ...T.COLA, taxable: !loc.oconus }, amt, `SPECIAL_PAYS.COLA.locations.${colaLoc}`, {
+        location: colaLoc,
+        locationName: loc.name || null,
+        oconus: !!loc.oconus,
+      }));
+    }
+  }
+
+  // OHA: min(actual rent, ceiling) + utility/recurring maintenance + move-in (amortized); replaces BAH
+  const ohaLoc = String(profile?.oha_location || "").trim().toUpperCase();
+  if (ohaLoc) {
+    const loc = T.OHA?.locations?.[ohaLoc];
+    const group = T.OHA?.grade_groups?.[rank];
+    const ceiling = Number(loc?.rent_ceiling?.[group]) || 0;
+    if (!loc) missing.push("oha_location_not_found");
+    else if (!ceiling) missing.push("oha_rank_not_found");
+    else {
+      const rent = toNum(profile?.oha_rent);
+      const rentUsed = rent !== null && rent > 0 ? Math.min(rent, ceiling) : ceiling;
+      const utility = Number(loc?.utility?.[familyBool ? "with" : "without"]) || 0;
+      const moveIn = Number(loc?.move_in_monthly) || 0;
+      components.push(specialComponent("oha", T.OHA, rentUsed + utility + moveIn, `SPECIAL_PAYS.OHA.locations.${ohaLoc}`, {
+        location: ohaLoc,
+        locationName: loc.name || null,
+        rentCeiling: ceiling,
+        rentUsed,
+        rentAssumed: !(rent !== null && rent > 0),
+        utility,
+        moveIn,
+      }));
+      replacesBah = !!T.OHA?.replaces_bah;
+    }
+  }
+
+  const sum = (pred) => round2(components.filter(pred).reduce((a, c) => a + c.monthly, 0));
+
+  return {
+    totalMonthly: sum(() => true),
+    taxableMonthly: sum((c) => c.taxable),
+    nonTaxableMonthly: sum((c) => !c.taxable),
+    lenderQualifyingMonthly: sum((c) => c.lenderQualifying),
+    replacesBah,
+    components,
+  };
+}
+
+// -----------------------------
+// //#3.6 Guard / Reserve drill pay
+// -----------------------------
+// Profile/override fields for the reserve model (callers whitelist these, plus camelCase)
+const RESERVE_FIELDS = [
+  "component",
+  "uta_per_month",
+  "drills_per_month",
+  "annual_training_days",
+  "civilian_income",
+  "civilian_income_annual",
+];
+
+function reserveComponent(profile) {
+  const raw = lower(pickFirst(profile, ["component", "service_component", "serviceComponent", "mode", "status"]));
+  const guardFlag = profile?.guard === true || profile?.is_guard === true || lower(profile?.guard) === "true";
+  return guardFlag || /guard|^ng$|^ang$|^arng$/.test(raw) ? "guard" : "reserve";
+}
+
+function civilianIncomeMonthly(profile) {
+  const monthly = toNum(pickFirst(profile, ["civilian_income", "civilianIncome", "civilian_income_monthly"]));
+  if (monthly !== null) return Math.max(monthly, 0);
+  const annual = toNum(pickFirst(profile, ["civilian_income_annual", "civilianIncomeAnnual"]));
+  return annual !== null ? Math.max(annual, 0) / 12 : null;
+}
+
+// BAH-RC/T: national rate by grade (O-8..O-10 draw O-7)
+function bahRcRate(rank, familyBool, payTables) {
+  const table = payTables?.BAH_RC?.[familyBool ? "with" : "without"] || {};
+  const grade = /^O-(8|9|10)$/.test(rank) ? "O-7" : rank;
+  return Number(table[grade]) || 0;
+}
+
+// Drill (4 UTAs/month at 1/30 of basic pay each) + annual training averaged per month.
+// basePay / bas / bah are the MILITARY monthly averages (taxable basic vs. untaxed allowances)
+function computeReservePay(profile, { rank, yos, fullBasePay, familyBool, zip, payTables, missing }) {
+  const cfg = {
+    uta_per_month: 4,
+    uta_divisor: 30,
+    annual_training_days: 14,
+    bah_locality_min_days: 30,
+    ...(payTables?.RESERVE || {}),
+  };
+  const divisor = Number(cfg.uta_divisor) || 30;
+
+  const utas = toNum(pickFirst(profile, ["uta_per_month", "utaPerMonth", "drills_per_month", "drillsPerMonth"])) ?? Number(cfg.uta_per_month);
+  const perUta = fullBasePay / divisor;
+  const drillMonthly = perUta * Math.max(utas, 0);
+
+  // Annual training: basic pay + BAS per day, BAH-RC/T (short orders) or locality BAH
+  const atDays = Math.max(toNum(pickFirst(profile, ["annual_training_days", "annualTrainingDays"])) ?? Number(cfg.annual_training_days), 0);
+  const basMonthly = computeBAS(rank, payTables);
+  let bahMonthlyRate = 0;
+  let bahType = "BAH-RC/T";
+  let bahDetail = null;
+  if (atDays >= Number(cfg.bah_locality_min_days) && zip) {
+    const hit = computeBAH(rank, familyBool, zip, missing);
+    bahMonthlyRate = Number(hit.amount) || 0;
+    bahType = "locality";
+    bahDetail = {
+      mha: hit.mha,
+      mhaName: hit.mhaName,
+      via: hit.via,
+      approximate: hit.approximate,
+      provisional: hit.provisional,
+      coverage: hit.coverage,
+    };
+  } else {
+    if (atDays >= Number(cfg.bah_locality_min_days)) missing.push("bah_zip_for_locality");
+    bahMonthlyRate = bahRcRate(rank, familyBool, payTables);
+    if (rank && atDays > 0 && !bahMonthlyRate) missing.push("bah_rc_rate");
+  }
+
+  const atBasic = (fullBasePay / 30) * atDays;
+  const atBas = (basMonthly / 30) * atDays;
+  const atBah = (bahMonthlyRate / 30) * atDays;
+
+  const civilian = civilianIncomeMonthly(profile);
+  if (civilian === null) missing.push("civilian_income");
+
+  const basePay = drillMonthly + atBasic / 12;
+  const bas = atBas / 12;
+  const bah = atBah / 12;
+  const militaryMonthly = basePay + bas + bah;
+
+  return {
+    basePay: round2(basePay),
+    bas: round2(bas),
+    bah: round2(bah),
+    civilianIncome: round2(civilian || 0),
+    militaryMonthly: round2(militaryMonthly),
+    totalPay: round2(militaryMonthly + (civilian || 0)),
+    reserve: {
+      component: reserveComponent(profile),
+      fullTimeBasePay: fullBasePay,
+      rankUsed: rank || null,
+      yosUsed: yos,
+      drill: {
+        utasPerMonth: utas,
+        perUta: round2(perUta),
+        monthly: round2(drillMonthly),
+      },
+      annualTraining: {
+        days: atDays,
+        basicPay: round2(atBasic),
+        bas: round2(atBas),
+        bah: round2(atBah),
+        bahType,
+        bahMonthlyRate: round2(bahMonthlyRate),
+        bahApproximate: bahType === "BAH-RC/T" && !!payTables?.BAH_RC?.approximate,
+        bahDetail,
+        annual: round2(atBasic + atBas + atBah),
+        monthlyAverage: round2((atBasic + atBas + atBah) / 12),
+      },
+      militaryMonthly: round2(militaryMonthly),
+      civilianIncomeMonthly: civilian === null ? null : round2(civilian),
+    },
+  };
+}
+
+function computeMemberPay(profile, payTables) {
+  const missing = [];
+  if (!payTables) payTables = payTablesForSchedule(loadPayTables());
+
+  const payModel = detectPayModel(profile);
+
+  const rank = normalizeRank(profile?.rank_paygrade || profile?.rank || "");
+  const yos = toInt(profile?.yos ?? profile?.years_of_service ?? profile?.yearsOfService);
+
+  const famRaw = profile?.family ?? profile?.dependents ?? profile?.has_dependents;
+  const familyBool =
+    String(famRaw).toLowerCase() === "true" || famRaw === true || (toInt(famRaw) || 0) >= 2;
+
+  const explicitZip = String(profile?.zip || profile?.postal_code || "").trim();
+  const baseName = String(profile?.base || profile?.duty_station || profile?.station || "").trim();
+  let zip = explicitZip;
+
+  if (!rank) missing.push("rank_paygrade");
+  if (yos === null) missing.push("yos");
+
+  const basePay = computeBasePay(rank, yos, payTables, missing);
+
+  if (payModel === "veteran") {
+    const bas = 0;
+    const bah = 0;
+
+    const va = computeVaDisability(profile, payTables, missing);
+    const ret = computeRetirementPay(profile, rank, yos, payTables, missing);
+
+    const retirementPay = Number(ret.amount) || 0;
+    const retirementSbpPremium = Number(ret.sbpPremium) || 0;
+    const vaDisabilityPay = Number(va.amount) || 0;
+
+    // VA waiver offsets retired pay unless CRDP / CRSC restores it
+    const concurrentReceipt = applyConcurrentReceipt({
+      retirement: ret,
+      va,
+      profile,
+      payTables,
+      vaAmountAt: (pct) => computeVaDisability({ ...profile, va_disability: pct }, payTables, []).amount,
+    });
+
+    const totalPay = concurrentReceipt.netCombinedMonthly;
+
+    return {
+      ok: totalPay > 0,
+      missing,
+      pay: {
+        ok: totalPay > 0,
+        payModel,
+        payAccuracy: ret.detail?.ok ? "deterministic_va + high36_retirement" : "deterministic_va + estimated_retirement",
+        basePay,
+        bas,
+        bah,
+        retirementPay,
+        retirementSbpPremium,
+        retirementNetPay: retirementPay - retirementSbpPremium,
+        retirement: ret.detail,
+        concurrentReceipt,
+        vaDisabilityPay,
+        vaDisability: va.detail,
+        totalPay,
+        total: totalPay,
+        zipUsed: zip || null,
+        familyUsed: familyBool,
+        rankUsed: rank || null,
+        yosUsed: yos,
+        paySchedule: payTables?.PAY_SCHEDULE_USED || null,
+        debug: { retirement: ret.debug, va: va.debug },
+      },
+    };
+  }
+
+  if (payModel === "reserve") {
+    // Same ZIP rule as active duty: explicit zip, else the base's ZIP (locality BAH on 30+ day orders)
+    if (!zip && baseName) zip = zipForBase(baseName, payTables) || "";
+    const r = computeReservePay(profile, {
+      rank,
+      yos,
+      fullBasePay: basePay,
+      familyBool,
+      zip,
+      payTables,
+      missing,
+    });
+
+    return {
+      ok: r.totalPay > 0,
+      missing,
+      pay: {
+        ok: r.totalPay > 0,
+        payModel,
+        payAccuracy: "deterministic_drill",
+        basePay: r.basePay,
+        bas: r.bas,
+        bah: r.bah,
+        civilianIncome: r.civilianIncome,
+        totalPay: r.totalPay,
+        total: r.totalPay,
+        zipUsed: zip || null,
+        familyUsed: familyBool,
+        rankUsed: rank || null,
+        yosUsed: yos,
+        paySchedule: payTables?.PAY_SCHEDULE_USED || null,
+        reserve: r.reserve,
+      },
+    };
+  }
+
+  if (!zip && baseName) {
+    const derived = zipForBase(baseName, payTables);
+    if (derived) zip = derived;
+    else missing.push("bah_base_zip_missing");
+  }
+
+  const bas = computeBAS(rank, payTables);
+  const specialPays = computeSpecialPays(profile, rank, yos, familyBool, payTables, missing);
+
+  // OCONUS members on OHA draw no BAH
+  const bahHit = specialPays.replacesBah
+    ? { amount: 0, mha: null, mhaName: null, via: "oha", approximate: false, gradeUsed: null, version: null }
+    : computeBAH(rank, familyBool, zip, missing);
+  const bah = Number(bahHit.amount) || 0;
+  const totalPay = basePay + bas + bah + specialPays.totalMonthly;
+
+  return {
+    ok: totalPay > 0,
+    missing,
+    pay: {
+      ok: totalPay > 0,
+      payModel,
+      payAccuracy: "deterministic",
+      basePay,
+      bah,
+      bas,
+      totalPay,
+      total: totalPay,
+      zipUsed: zip || null,
+      familyUsed: familyBool,
+      rankUsed: rank || null,
+      yosUsed: yos,
+      paySchedule: payTables?.PAY_SCHEDULE_USED || null,
+      bahDetail: {
+        mha: bahHit.mha,
+        mhaName: bahHit.mhaName,
+        via: bahHit.via,
+        approximate: bahHit.approximate,
+        provisional: bahHit.provisional,
+        gradeUsed: bahHit.gradeUsed,
+        version: bahHit.version,
+        coverage: bahHit.coverage,
+      },
+      specialPays: {
+        totalMonthly: specialPays.totalMonthly,
+        taxableMonthly: specialPays.taxableMonthly,
+        nonTaxableMonthly: specialPays.nonTaxableMonthly,
+        lenderQualifyingMonthly: specialPays.lenderQualifyingMonthly,
+        components: specialPays.components,
+      },
+    },
+  };
+}
+
+// -----------------------------
+// //#3.7 Dual-military household
+// -----------------------------
+// Second service member: spouse_member = { rank, yos, zip?, base?, mode?, ...special pays }
+// or flat spouse_rank / spouse_yos / spouse_zip / spouse_base / spouse_mode
+const DUAL_MILITARY_FIELDS = [
+  "spouse_member",
+  "spouse_rank",
+  "spouse_yos",
+  "spouse_zip",
+  "spouse_base",
+  "spouse_mode",
+  "children",
+  "bah_with_dependents",
+];
+
+function spouseMemberFromProfile(profile) {
+  let obj = profile?.spouse_member ?? profile?.spouseMember ?? null;
+  if (typeof obj === "string") {
+    try {
+      obj = JSON.parse(obj);
+    } catch {
+      obj = null;
+    }
+  }
+  const flat = {
+    rank: pickFirst(profile, ["spouse_rank", "spouseRank", "spouse_rank_paygrade"]),
+    yos: pickFirst(profile, ["spouse_yos", "spouseYos"]),
+    zip: pickFirst(profile, ["spouse_zip", "spouseZip"]),
+    base: pickFirst(profile, ["spouse_base", "spouseBase"]),
+    mode: pickFirst(profile, ["spouse_mode", "spouseMode"]),
+  };
+
+  const m = { ...(obj && typeof obj === "object" ? obj : {}) };
+  for (const [k, v] of Object.entries(flat)) {
+    if (v !== null && (m[k] === undefined || m[k] === null || m[k] === "")) m[k] = v;
+  }
+  const rank = pickFirst(m, ["rank_paygrade", "rank", "paygrade"]);
+  return rank ? { ...m, rank_paygrade: rank } : null;
+}
+
+// Children for BAH: explicit count, else family size minus the two members (a numeric
+// "family" is a size, same as deriveDependentsFromFamilySize); a bare family flag means
+// dependents beyond the (military) spouse, so one child is assumed
+function householdChildren(profile, warnings) {
+  const explicit = toInt(pickFirst(profile, ["children", "kids", "children_under_18", "childrenUnder18"]));
+  if (explicit !== null) return Math.max(explicit, 0);
+  const size = toInt(pickFirst(profile, ["familySize", "family_size", "family", "dependents_count", "dependentsCount"]));
+  if (size !== null) return Math.max(size - 2, 0);
+  const famRaw = profile?.family ?? profile?.dependents ?? profile?.has_dependents;
+  if (famRaw === true || lower(famRaw) === "true") {
+    warnings.push("dual_military_children_assumed");
+    return 1;
+  }
+  return 0;
+}
+
+function sumBy(list, fn) {
+  return list.reduce((a, x) => a + (Number(fn(x)) || 0), 0);
+}
+
+// Combined pay in the single-member shape (so tax / qualification / affordability read it
+// unchanged) plus pay.household.members with each member's own pay block.
+// BAH (both on active duty): no children -> each draws without-dependents; with children
+// one member draws with-dependents (bah_with_dependents = member | spouse, default the
+// larger household total) and the other without.
+// Only one on active duty: the other is that member's dependent spouse, so both run
+// "with dependents" (active BAH-with, reserve BAH-RC with, veteran VA spouse add-on).
+function computeHouseholdPay(profile, spouseRaw, payTables) {
+  const warnings = [];
+  const spouseProfile = { ...specialPayFields(spouseRaw), ...spouseRaw };
+  if (!pickFirst(spouseProfile, ["zip", "postal_code", "base", "duty_station", "station"])) {
+    // Co-located unless told otherwise
+    spouseProfile.zip = profile?.zip || profile?.postal_code || undefined;
+    spouseProfile.base = profile?.base || profile?.duty_station || profile?.station || undefined;
+    warnings.push("spouse_location_assumed_member");
+  }
+  const spouseModel = detectPayModel(spouseProfile);
+  const memberModel = detectPayModel(profile);
+  const dualActive = memberModel === "active" && spouseModel === "active";
+
+  const children = householdChildren(profile, warnings);
+  const flag = (fam) => ({ family: fam ? "true" : "false", dependents: undefined, has_dependents: undefined });
+
+  const run = (memberFam, spouseFam) => {
+    const member = computeMemberPay({ ...profile, ...flag(memberFam) }, payTables);
+    const spouse = computeMemberPay({ ...spouseProfile, ...flag(spouseFam) }, payTables);
+    return { member, spouse, total: (Number(member.pay?.totalPay) || 0) + (Number(spouse.pay?.totalPay) || 0) };
+  };
+
+  let rule = "independent";
+  let withDependents = null;
+  let hit;
+  if (!dualActive) {
+    // Married either way: each side is the other's dependent, kids or not
+    hit = run(true, true);
+    warnings.push("dual_military_bah_rule_needs_both_active");
+  } else if (children === 0) {
+    rule = "both_without_dependents";
+    hit = run(false, false);
+  } else {
+    rule = "one_with_dependents";
+    const pick = lower(pickFirst(profile, ["bah_with_dependents", "bahWithDependents"]));
+    const asMember = run(true, false);
+    const asSpouse = run(false, true);
+    if (pick === "member" || pick === "self" || pick === "primary") withDependents = "member";
+    else if (pick === "spouse") withDependents = "spouse";
+    else withDependents = asSpouse.total > asMember.total ? "spouse" : "member";
+    hit = withDependents === "member" ? asMember : asSpouse;
+  }
+
+  const members = [
+    { role: "member", ...hit.member },
+    { role: "spouse", ...hit.spouse },
+  ];
+  const pays = members.map((m) => m.pay || {});
+  const missing = [
+    ...hit.member.missing,
+    ...hit.spouse.missing.map((m) => `spouse_${m}`),
+  ];
+
+  const components = [];
+  for (const m of members) {
+    for (const c of m.pay?.specialPays?.components || []) components.push({ ...c, member: m.role });
+  }
+  const totalPay = sumBy(pays, (p) => p.totalPay);
+  const memberPay = pays[0];
+
+  return {
+    ok: totalPay > 0,
+    missing,
+    pay: {
+      ...memberPay,
+      ok: totalPay > 0,
+      payModel: memberPay.payModel,
+      payAccuracy: "deterministic_household",
+      basePay: sumBy(pays, (p) => p.basePay),
+      bas: sumBy(pays, (p) => p.bas),
+      bah: sumBy(pays, (p) => p.bah),
+      civilianIncome: sumBy(pays, (p) => p.civilianIncome),
+      totalPay,
+      total: totalPay,
+      familyUsed: children > 0,
+      specialPays: {
+        totalMonthly: sumBy(pays, (p) => p.specialPays?.totalMonthly),
+        taxableMonthly: sumBy(pays, (p) => p.specialPays?.taxableMonthly),
+        nonTaxableMonthly: sumBy(pays, (p) => p.specialPays?.nonTaxableMonthly),
+        lenderQualifyingMonthly: sumBy(pays, (p) => p.specialPays?.lenderQualifyingMonthly),
+        components,
+      },
+      household: {
+        dualMilitary: dualActive,
+        bahRule: rule,
+        withDependents,
+        children,
+        members: members.map((m) => ({ role: m.role, ok: m.ok, missing: m.missing, pay: m.pay })),
+        warnings,
+      },
+    },
+  };
+}
+
+// Single member, or the combined household when a second service member is on the profile
+function computePay(profile, payTables) {
+  if (!payTables) payTables = payTablesForSchedule(loadPayTables());
+  const spouse = spouseMemberFromProfile(profile);
+  if (spouse) return computeHouseholdPay(profile, spouse, payTables);
+  return computeMemberPay(profile, payTables);
+}
+
+// -----------------------------
+// //#4 Convenience entry (rank/yos/zip form used by pay-tables.js + Elena)
+// -----------------------------
+// { rank, yos, zip?, base?, family?, asOf?, year?, mode?, extras? } -> same result shape as computePay
+// extras: SPECIAL_PAY_FIELDS (sdap_level, oha_location, ...) copied onto the profile
+function computePayFor({ rank, yos, zip, base, family, asOf, year, mode, extras } = {}) {
+  const payTables = payTablesForSchedule(loadPayTables(), { asOf, year });
+  const profile = {
+    ...specialPayFields(extras),
+    rank_paygrade: rank,
+    yos,
+    zip: zip || undefined,
+    base: base || undefined,
+    family: family === true ? "true" : family,
+    mode: mode || undefined,
+  };
+  return computePay(profile, payTables);
+}
+
+module.exports = {
+  DUAL_MILITARY_FIELDS,
+  RESERVE_FIELDS,
+  SPECIAL_PAY_FIELDS,
+  VA_DEPENDENT_FIELDS,
+  computePay,
+  computePayFor,
+  computeSpecialPays,
+  detectPayModel,
+  deriveDependentsFromFamilySize,
+  pickNearestYos,
+  vaDependentsFromProfile,
+};
@@ -0,0 +1,470 @@
+// netlify/functions/lib/pay-tables.js
+// ============================================================
+// PCSUnited • Pay table loader + validator (shared) — v1.2.1
+// PURPOSE:
+// - One loader for netlify/functions/data/militaryPayTables.json
+// - Validates BASEPAY coverage for every paygrade we support:
+//     E-1..E-9, W-1..W-5, O-1E..O-3E, O-1..O-10
+//   and THROWS on gaps (missing grade, missing YOS step, non-numeric or
+//   decreasing values) so a bad data drop never reaches users as $0 pay
+// - Paygrade normalization + rank titles shared by pay-tables.js / brain.js / Elena
+// - Dated pay schedules (PAY_SCHEDULES): pick the tables in force on an `asOf`
+//   date or for a `year` (2025 final, 2026 final, 2027 projected, ...)
+// - DISABILITY_FULL (VA compensation): every rating 10..100 must carry the full
+//   dependent row (spouse / child / school child / parent / spouse A&A)
+//
+// USED BY:
+//   brain.js, pay-tables.js, elena/skills/pay.js
+//
+// NOTE:
+// - Not a Netlify function (lives under lib/, no handler export)
+// - CommonJS only (same as brain.js)
+// ============================================================
+
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+// -----------------------------
+// //#0 Paths (Netlify-safe)
+// -----------------------------
+const __ROOT = process.cwd(); // /var/task
+const __PAY_TABLES_PATHS = [
+  path.join(__ROOT, "netlify", "functions", "militaryPayTables.json"),
+  path.join(__ROOT, "netlify", "functions", "data", "militaryPayTables.json"),
+];
+
+// -----------------------------
+// //#1 Paygrade coverage (defaults; BASEPAY_META in the JSON wins)
+// -----------------------------
+const PAYGRADES = [
+  "E-1", "E-2", "E-3", "E-4", "E-5", "E-6", "E-7", "E-8", "E-9",
+  "W-1", "W-2", "W-3", "W-4", "W-5",
+  "O-1E", "O-2E", "O-3E",
+  "O-1", "O-2", "O-3", "O-4", "O-5", "O-6", "O-7", "O-8", "O-9", "O-10",
+];
+
+const YOS_STEPS = [0, 2, 4, 6, 8, 10, 12, 14, 16, 18, 20, 22, 24, 26, 28, 30];
+
+// Grades that do not exist before a given YOS (pay table cells are blank)
+const MIN_YOS = { "W-5": 20, "O-1E": 4, "O-2E": 4, "O-3E": 4, "O-9": 20, "O-10": 20 };
+
+const RANK_TITLES = {
+  "E-1": "Airman Basic",
+  "E-2": "Airman",
+  "E-3": "Airman First Class",
+  "E-4": "Senior Airman",
+  "E-5": "Staff Sergeant",
+  "E-6": "Technical Sergeant",
+  "E-7": "Master Sergeant",
+  "E-8": "Senior Master Sergeant",
+  "E-9": "Chief Master Sergeant",
+
+  "W-1": "Warrant Officer 1",
+  "W-2": "Chief Warrant Officer 2",
+  "W-3": "Chief Warrant Officer 3",
+  "W-4": "Chief Warrant Officer 4",
+  "W-5": "Chief Warrant Officer 5",
+
+  "O-1E": "Second Lieutenant (prior enlisted)",
+  "O-2E": "First Lieutenant (prior enlisted)",
+  "O-3E": "Captain (prior enlisted)",
+
+  "O-1": "Second Lieutenant",
+  "O-2": "First Lieutenant",
+  "O-3": "Captain",
+  "O-4": "Major",
+  "O-5": "Lieutenant Colonel",
+  "O-6": "Colonel",
+  "O-7": "Brigadier General",
+  "O-8": "Major General",
+  "O-9": "Lieutenant General",
+  "O-10": "General",
+};
+
+// -----------------------------
+// //#2 Small helpers
+// -----------------------------
+const ISO_DATE_RX = /^\d{4}-\d{2}-\d{2}$/;
+
+// "e6", "E 6", "o-1e", "W2" -> "E-6", "O-1E", "W-2"
+function normalizePaygrade(x) {
+  const r = String(x || "").trim().toUpperCase();
+  const m = r.match(/^([EOW])\s*-?\s*(\d{1,2})\s*(E)?$/);
+  if (m) return `${m[1]}-${m[2]}${m[1] === "O" && m[3] ? "E" : ""}`;
+  return r;
+}
+
+// Warrant officers draw officer BAS and officer BAH columns
+function isOfficerGrade(paygrade) {
+  return /^[OW]-/.test(String(paygrade || ""));
+}
+
+function rankTitle(paygrade) {
+  const pg = normalizePaygrade(paygrade);
+  return RANK_TITLES[pg] || pg;
+}
+
+// -----------------------------
+// //#3 Validation (fails loudly)
+// -----------------------------
+function validatePayTables(tables) {
+  const errors = [];
+  const meta = tables?.BASEPAY_META || {};
+  const grades = Array.isArray(meta.paygrades) && meta.paygrades.length ? meta.paygrades : PAYGRADES;
+  const steps = Array.isArray(meta.yos_steps) && meta.yos_steps.length ? meta.yos_steps : YOS_STEPS;
+  const minYos = { ...MIN_YOS, ...(meta.min_yos || {}) };
+
+  const basepay = tables?.BASEPAY;
+  if (!basepay || typeof basepay !== "object") {
+    return { ok: false, errors: ["BASEPAY block missing"] };
+  }
+
+  for (const pg of grades) {
+    const row = basepay[pg];
+    if (!row || typeof row !== "object") {
+      errors.push(`BASEPAY.${pg} missing`);
+      continue;
+    }
+
+    let prev = 0;
+    for (const step of steps) {
+      if (step < (minYos[pg] || 0)) continue;
+
+      const v = row[String(step)];
+      if (v === undefined || v === null || v === "") {
+        errors.push(`BASEPAY.${pg}[${step}] missing`);
+        continue;
+      }
+
+      const n = Number(v);
+      if (!Number.isFinite(n) || n <= 0) {
+        errors.push(`BASEPAY.${pg}[${step}] is not a positive number (${JSON.stringify(v)})`);
+        continue;
+      }
+      if (n < prev) errors.push(`BASEPAY.${pg}[${step}] decreases (${n} < ${prev})`);
+      prev = n;
+    }
+  }
+
+  const bas = tables?.BAS || {};
+  if (!(Number(bas.enlisted) > 0)) errors.push("BAS.enlisted missing");
+  if (!(Number(bas.officer) > 0)) errors.push("BAS.officer missing");
+
+  errors.push(...validatePaySchedules(tables?.PAY_SCHEDULES));
+  errors.push(...validateSpecialPays(tables?.SPECIAL_PAYS));
+  errors.push(...validateDisabilityFull(tables?.DISABILITY_FULL));
+
+  return { ok: errors.length === 0, errors };
+}
+
+const VA_RATINGS = ["10", "20", "30", "40", "50", "60", "70", "80", "90", "100"];
+const VA_ROW_KEYS = [
+  "veteran",
+  "veteran_spouse",
+  "veteran_one_child",
+  "veteran_spouse_one_child",
+  "additional_child_under_18",
+  "additional_child_over_18_in_school",
+  "parent_each",
+  "spouse_aid_attendance",
+];
+
+// DISABILITY_FULL is optional; when present every rating 10..100 carries the full dependent row
+function validateDisabilityFull(block) {
+  const errors = [];
+  if (block == null) return errors;
+  if (typeof block !== "object") return ["DISABILITY_FULL is not an object"];
+
+  let prev = 0;
+  for (const pct of VA_RATINGS) {
+    const row = block[pct];
+    if (!row || typeof row !== "object") {
+      errors.push(`DISABILITY_FULL.${pct} missing`);
+      continue;
+    }
+    for (const k of VA_ROW_KEYS) {
+      const n = Number(row[k]);
+      if (row[k] === undefined || row[k] === null || !Number.isFinite(n) || n < 0) {
+        errors.push(`DISABILITY_FULL.${pct}.${k} is not a non-negative number (${JSON.stringify(row[k])})`);
+      }
+    }
+    const alone = Number(row.veteran) || 0;
+    if (alone < prev) errors.push(`DISABILITY_FULL.${pct}.veteran decreases (${alone} < ${prev})`);
+    prev = alone;
+  }
+  return errors;
+}
+
+// SPECIAL_PAYS is optional; when present every amount must be a non-negative number
+function validateSpecialPays(block) {
+  const errors = [];
+  if (block == null) return errors;
+  if (typeof block !== "object") return ["SPECIAL_PAYS is not an object"];
+
+  const walk = (node, where) => {
+    for (const [k, v] of Object.entries(node || {})) {
+      if (k === "notes" || k === "label" || k === "name" || k === "grade_groups") continue;
+      if (v && typeof v === "object") walk(v, `${where}.${k}`);
+      else if (typeof v === "number" && !(v >= 0)) errors.push(`${where}.${k} is negative`);
+      else if (typeof v === "string") errors.push(`${where}.${k} is not a number (${JSON.stringify(v)})`);
+    }
+  };
+  walk(block, "SPECIAL_PAYS");
+  return errors;
+}
+
+function validatePaySchedules(block) {
+  if (block == null) return [];
+
+  const errors = [];
+  const list = Array.isArray(block.schedules) ? block.schedules : null;
+  if (!list || !list.length) return ["PAY_SCHEDULES.schedules missing"];
+
+  const ids = new Set();
+  let prevEffective = "";
+  for (const sch of list) {
+    const id = String(sch?.id || "");
+    if (!id) errors.push("PAY_SCHEDULES entry without id");
+    else if (ids.has(id)) errors.push(`PAY_SCHEDULES.${id} duplicated`);
+    ids.add(id);
+
+    const eff = String(sch?.effective || "");
+    if (!ISO_DATE_RX.test(eff)) errors.push(`PAY_SCHEDULES.${id}.effective is not YYYY-MM-DD (${JSON.stringify(sch?.effective)})`);
+    else if (eff <= prevEffective) errors.push(`PAY_SCHEDULES.${id}.effective is not after the previous schedule`);
+    else prevEffective = eff;
+
+    if (!Number.isFinite(Number(sch?.raise_pct))) errors.push(`PAY_SCHEDULES.${id}.raise_pct missing`);
+    for (const [pg, v] of Object.entries(sch?.raise_pct_by_grade || {})) {
+      if (!Number.isFinite(Number(v))) errors.push(`PAY_SCHEDULES.${id}.raise_pct_by_grade.${pg} is not a number`);
+    }
+  }
+
+  if (!ids.has(String(block.base_schedule || ""))) {
+    errors.push(`PAY_SCHEDULES.base_schedule ${JSON.stringify(block.base_schedule)} is not a listed schedule`);
+  }
+
+  return errors;
+}
+
+// -----------------------------
+// //#3.5 Dated pay schedules
+// -----------------------------
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// asOf ("2027-03-15") wins over year (2027 -> "2027-12-31"); neither -> today
+function resolveAsOf({ asOf, year } = {}) {
+  const a = String(asOf ?? "").trim();
+  if (a) {
+    const d = a.slice(0, 10);
+    if (!ISO_DATE_RX.test(d) || Number.isNaN(Date.parse(d))) {
+      throw new Error(`Invalid asOf date ${JSON.stringify(asOf)} (use YYYY-MM-DD).`);
+    }
+    return d;
+  }
+
+  const y = String(year ?? "").trim();
+  if (y) {
+    if (!/^\d{4}$/.test(y)) throw new Error(`Invalid year ${JSON.stringify(year)} (use YYYY).`);
+    return `${y}-12-31`;
+  }
+
+  return new Date().toISOString().slice(0, 10);
+}
+
+function listPaySchedules(tables) {
+  const list = tables?.PAY_SCHEDULES?.schedules;
+  return Array.isArray(list) ? list.slice() : [];
+}
+
+// Pick the schedule in force on asOf (latest effective <= asOf)
+function resolvePaySchedule(tables, opts = {}) {
+  const asOf = resolveAsOf(opts);
+  const list = listPaySchedules(tables);
+  const warnings = [];
+
+  if (!list.length) {
+    return {
+      schedule: { id: "current", effective: null, status: "final", version: tables?.version || null },
+      asOf,
+      warnings,
+    };
+  }
+
+  let picked = null;
+  for (const sch of list) {
+    if (String(sch.effective) <= asOf) picked = sch;
+  }
+
+  if (!picked) {
+    throw new Error(`No pay schedule in effect on ${asOf} (earliest is ${list[0].effective}).`);
+  }
+
+  const last = list[list.length - 1];
+  if (picked === last && Number(asOf.slice(0, 4)) > Number(String(last.effective).slice(0, 4))) {
+    warnings.push(`No pay schedule published for ${asOf.slice(0, 4)}; using ${last.id} (${last.status || "final"}).`);
+  }
+  if (String(picked.status || "final") !== "final") {
+    warnings.push(`Pay schedule ${picked.id} is ${picked.status}; amounts are estimates.`);
+  }
+
+  return { schedule: picked, asOf, warnings };
+}
+
+// Chain raises from base_schedule to target (multiply forward, divide backward)
+function scheduleFactor(list, fromIdx, toIdx, pick) {
+  let f = 1;
+  if (toIdx > fromIdx) {
+    for (let i = fromIdx + 1; i <= toIdx; i++) f *= 1 + pick(list[i]) / 100;
+  } else {
+    for (let i = toIdx + 1; i <= fromIdx; i++) f /= 1 + pick(list[i]) / 100;
+  }
+  return f;
+}
+
+// BAS walks outward from the base schedule one step at a time; an explicit `bas` on a
+// schedule resets the chain, otherwise bas_raise_pct (or raise_pct) is applied
+function deriveBas(list, baseIdx, targetIdx, baseBas) {
+  const basRaise = (sch) => {
+    const r = Number(sch?.bas_raise_pct);
+    return Number.isFinite(r) ? r : Number(sch?.raise_pct) || 0;
+  };
+
+  const out = {};
+  for (const k of ["enlisted", "officer"]) {
+    let v = Number(baseBas?.[k]) || 0;
+    const dir = targetIdx > baseIdx ? 1 : -1;
+    for (let i = baseIdx + dir; dir > 0 ? i <= targetIdx : i >= targetIdx; i += dir) {
+      const explicit = Number(list[i]?.bas?.[k]);
+      if (Number.isFinite(explicit) && explicit > 0) v = explicit;
+      else v = dir > 0 ? v * (1 + basRaise(list[i]) / 100) : v / (1 + basRaise(list[i + 1]) / 100);
+    }
+    out[k] = round2(v);
+  }
+  return out;
+}
+
+// Pay cap (Executive Schedule Level II) per schedule: an explicit cap_monthly on a schedule
+// resets the chain, otherwise it moves with raise_pct like the table does
+function deriveCap(list, baseIdx, targetIdx, baseCap) {
+  let v = Number(baseCap);
+  if (!(v > 0)) return Infinity;
+  const dir = targetIdx > baseIdx ? 1 : -1;
+  for (let i = baseIdx + dir; dir > 0 ? i <= targetIdx : i >= targetIdx; i += dir) {
+    const explicit = Number(list[i]?.cap_monthly);
+    if (Number.isFinite(explicit) && explicit > 0) v = explicit;
+    else v = dir > 0 ? v * (1 + (Number(list[i]?.raise_pct) || 0) / 100) : v / (1 + (Number(list[i + 1]?.raise_pct) || 0) / 100);
+  }
+  return round1(v);
+}
+
+const __SCHEDULE_TABLES_CACHE__ = new Map();
+
+// Returns a tables object (same shape as loadPayTables) with BASEPAY/BAS for the schedule
+// in force on asOf/year. BAH and everything else pass through unchanged.
+function payTablesForSchedule(tables, opts = {}) {
+  const { schedule, asOf, warnings } = resolvePaySchedule(tables, opts);
+  const used = {
+    id: String(schedule.id),
+    effective: schedule.effective || null,
+    status: schedule.status || "final",
+    asOf,
+    warnings,
+  };
+
+  const list = listPaySchedules(tables);
+  const baseId = String(tables?.PAY_SCHEDULES?.base_schedule || "");
+  const baseIdx = list.findIndex((s) => String(s.id) === baseId);
+  const targetIdx = list.indexOf(schedule);
+
+  if (!list.length || baseIdx < 0 || targetIdx === baseIdx) {
+    return { ...tables, PAY_SCHEDULE_USED: used };
+  }
+
+  const cacheKey = used.id;
+  if (!__SCHEDULE_TABLES_CACHE__.has(cacheKey)) {
+    const baseCap = Number(tables?.BASEPAY_META?.cap_monthly) || Infinity;
+    const capped = deriveCap(list, baseIdx, targetIdx, baseCap);
+    const basepay = {};
+    for (const [pg, row] of Object.entries(tables.BASEPAY || {})) {
+      const f = scheduleFactor(list, baseIdx, targetIdx, (sch) => {
+        const byGrade = sch?.raise_pct_by_grade?.[pg];
+        return Number.isFinite(Number(byGrade)) ? Number(byGrade) : Number(sch?.raise_pct) || 0;
+      });
+      basepay[pg] = {};
+      for (const [step, v] of Object.entries(row || {})) {
+        // A cell at the base cap is capped pay (the uncapped rate is higher), so it draws
+        // that schedule's cap; everything else scales and is limited by that cap
+        basepay[pg][step] = Number(v) >= baseCap ? capped : Math.min(round1(Number(v) * f), capped);
+      }
+    }
+    __SCHEDULE_TABLES_CACHE__.set(cacheKey, {
+      BASEPAY: basepay,
+      BASEPAY_META: { ...(tables.BASEPAY_META || {}), cap_monthly: Number.isFinite(capped) ? capped : null },
+      BAS: { ...(tables.BAS || {}), ...deriveBas(list, baseIdx, targetIdx, tables.BAS) },
+    });
+  }
+
+  return { ...tables, ...__SCHEDULE_TABLES_CACHE__.get(cacheKey), PAY_SCHEDULE_USED: used };
+}
+
+// -----------------------------
+// //#4 File loading (cached, validated)
+// -----------------------------
+let __PAY_TABLES_CACHE__ = null;
+let __PAY_TABLES_PATH_USED__ = null;
+
+function loadPayTables() {
+  if (__PAY_TABLES_CACHE__) return __PAY_TABLES_CACHE__;
+
+  let found = null;
+  for (const p of __PAY_TABLES_PATHS) {
+    if (fs.existsSync(p)) {
+      found = p;
+      break;
+    }
+  }
+
+  if (!found) {
+    throw new Error(
+      `militaryPayTables.json not found. Tried:\n- ${__PAY_TABLES_PATHS.join("\n- ")}\n` +
+      `Fix: ensure it's bundled via netlify.toml [functions].included_files.`
+    );
+  }
+
+  const tables = JSON.parse(fs.readFileSync(found, "utf8"));
+
+  const check = validatePayTables(tables);
+  if (!check.ok) {
+    throw new Error(`militaryPayTables.json failed validation (${found}):\n- ${check.errors.join("\n- ")}`);
+  }
+
+  __PAY_TABLES_CACHE__ = tables;
+  __PAY_TABLES_PATH_USED__ = found;
+  return tables;
+}
+
+function payTablesPathUsed() {
+  return __PAY_TABLES_PATH_USED__;
+}
+
+module.exports = {
+  PAYGRADES,
+  RANK_TITLES,
+  loadPayTables,
+  validatePayTables,
+  payTablesPathUsed,
+  listPaySchedules,
+  resolvePaySchedule,
+  payTablesForSchedule,
+  normalizePaygrade,
+  isOfficerGrade,
+  rankTitle,
+};
@@ -0,0 +1,282 @@
+// netlify/functions/lib/price-trend.js
+// ============================================================
+// PCSUnited • Home price trend + appreciation scenarios (shared) — v1.0.1
+// PURPOSE:
+// - Fit annual appreciation from city housing.market.sale_history_36_months
+//   (log-linear least squares on median_sale_price; "YYYY-MM" or weekly "YYYY-MM-Wn")
+// - Cross-check the fit against the q1_2025 / q1 snapshot and zillow_one_year_change_percent
+// - Project a home's value over the tour under low / base / high scenarios
+// - Equity at PCS-out: value − remaining loan balance, gross and net of selling costs
+//
+// SCENARIO RANGE (trend.bands; planning scenarios, not a confidence interval):
+//   base  = fitted rate (clamped to a long-run range); zillow YoY when history is too thin
+//   ±     = max(1.645 × slope std error, MIN_SPREAD_PCT); a zillow YoY outside that range
+//           stretches only its own side (a recent dip lowers "low", it doesn't raise "high")
+//   The slope std error treats 36 autocorrelated monthly medians as independent points, so
+//   on its own it is far too narrow for a multi-year forecast; MIN_SPREAD_PCT is the floor
+//   that usually decides the range
+//
+// RESULT SHAPE (stable):
+// {
+//   ok, trend: { ratePct, source, points, spanYears, cagrPct, slopeStdErrPct, r2,
+//                zillowOneYearPct, snapshotCheck, bands: { low, base, high } },
+//   projection: [{ year, low, base, high }],              // year 0..tourYears
+//   equityAtPcs: { tourYears, loanBalance, sellPct, low|base|high: { value, gross, net } } | null,
+//   bluf, warnings: [...], sources: [...]
+// }
+//
+// USED BY:
+//   brain.js (appreciation block), elena/skills/cities.js
+//
+// NOTE:
+// - Not a Netlify function (lives under lib/, no handler export)
+// - CommonJS only (same as brain.js)
+// ============================================================
+
+"use strict";
+
+const TREND = {
+  MIN_POINTS: 3,
+  MIN_SPAN_YEARS: 1,
+  MIN_SPREAD_PCT: 3, // ±3%/yr floor: a 3-year market history can't support a tighter range
+  BASE_MIN_PCT: -5, // a 3-year dip is not a 10-year forecast (same clamp as rent-vs-buy.js)
+  BASE_MAX_PCT: 8,
+  BAND_MIN_PCT: -10,
+  BAND_MAX_PCT: 12,
+  DEFAULT_PCT: 3,
+  DEFAULT_SPREAD_PCT: 4, // no usable history: wider than the fitted floor
+  TOUR_YEARS: 3,
+  SELL_PCT: 7, // agent + closing on sale (rent-vs-buy.js MODEL.SELL_PCT)
+  Q1_2025_T: 2025 + 1.5 / 12, // mid-quarter
+};
+
+// -----------------------------
+// //#1 Small helpers
+// -----------------------------
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function toNum(x) {
+  if (x === null || x === undefined) return null;
+  const s = String(x).trim();
+  if (!s) return null;
+  const n = Number(s.replace(/[$,]/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
+
+function clamp(n, lo, hi) {
+  return Math.max(lo, Math.min(hi, n));
+}
+
+function money0(n) {
+  return (Number(n) || 0).toLocaleString("en-US", { style: "currency", currency: "USD", maximumFractionDigits: 0 });
+}
+
+function signedPct(n) {
+  return `${n >= 0 ? "+" : ""}${round2(n).toFixed(1)}%`;
+}
+
+// "2025-12" -> 2025.917 (start of month); "2025-12-W3" -> + 2 weeks
+function monthToYears(month) {
+  const m = /^(\d{4})-(\d{2})(?:-W(\d))?$/.exec(String(month || ""));
+  if (!m) return null;
+  const week = m[3] ? Number(m[3]) - 1 : 0;
+  return Number(m[1]) + (Number(m[2]) - 1) / 12 + (week * 7) / 365;
+}
+
+// -----------------------------
+// //#2 Fit
+// -----------------------------
+function historyPoints(city) {
+  const list = city?.housing?.market?.sale_history_36_months;
+  if (!Array.isArray(list)) return [];
+  return list
+    .map((r) => ({ month: r?.month, t: monthToYears(r?.month), price: toNum(r?.median_sale_price) }))
+    .filter((p) => p.t !== null && p.price > 0);
+}
+
+// OLS on ln(price) = a + b·t  ->  annual rate e^b − 1
+function fitLogLinear(points) {
+  const n = points.length;
+  const xs = points.map((p) => p.t);
+  const ys = points.map((p) => Math.log(p.price));
+  const mx = xs.reduce((a, x) => a + x, 0) / n;
+  const my = ys.reduce((a, y) => a + y, 0) / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += (xs[i] - mx) ** 2;
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    syy += (ys[i] - my) ** 2;
+  }
+  if (!(sxx > 0)) return null;
+
+  const b = sxy / sxx;
+  const a = my - b * mx;
+  const sse = ys.reduce((acc, y, i) => acc + (y - (a + b * xs[i])) ** 2, 0);
+  const seB = n > 2 ? Math.sqrt(sse / (n - 2) / sxx) : 0;
+
+  return {
+    ratePct: (Math.exp(b) - 1) * 100,
+    seRatePct: Math.exp(b) * seB * 100, // delta method
+    r2: syy > 0 ? 1 - sse / syy : 1,
+    at: (t) => Math.exp(a + b * t),
+  };
+}
+
+function fitPriceTrend(city) {
+  const warnings = [];
+  const market = city?.housing?.market || {};
+  const zillow = toNum(market.zillow_one_year_change_percent);
+  const points = historyPoints(city);
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const spanYears = points.length ? last.t - first.t : 0;
+  const fit = points.length >= TREND.MIN_POINTS && spanYears >= TREND.MIN_SPAN_YEARS ? fitLogLinear(points) : null;
+
+  let base;
+  let spread;
+  let source;
+  if (fit) {
+    base = clamp(fit.ratePct, TREND.BASE_MIN_PCT, TREND.BASE_MAX_PCT);
+    if (base !== fit.ratePct) warnings.push("trend_rate_clamped");
+    spread = Math.max(1.645 * fit.seRatePct, TREND.MIN_SPREAD_PCT);
+    source = "sale_history_36_months";
+  } else if (zillow !== null) {
+    warnings.push("sale_history_too_short");
+    base = clamp(zillow, TREND.BASE_MIN_PCT, TREND.BASE_MAX_PCT);
+    spread = TREND.DEFAULT_SPREAD_PCT;
+    source = "zillow_one_year_change_percent";
+  } else {
+    warnings.push("no_price_history");
+    base = TREND.DEFAULT_PCT;
+    spread = TREND.DEFAULT_SPREAD_PCT;
+    source = `default:${TREND.DEFAULT_PCT}`;
+  }
+
+  // Snapshot from a different feed: report how far it sits from the fitted curve
+  const q1 = toNum((market.q1_2025 || market.q1)?.median_sale_price);
+  const fittedQ1 = fit && q1 ? fit.at(TREND.Q1_2025_T) : null;
+  const snapshotCheck = fittedQ1
+    ? { q1MedianSale: q1, fittedAtQ1: Math.round(fittedQ1), deviationPct: round2(((q1 - fittedQ1) / fittedQ1) * 100) }
+    : null;
+  if (snapshotCheck && Math.abs(snapshotCheck.deviationPct) > 10) warnings.push("q1_snapshot_disagrees_with_history");
+
+  return {
+    ratePct: round2(base),
+    source,
+    points: points.length,
+    spanYears: round2(spanYears),
+    firstMonth: first?.month || null,
+    lastMonth: last?.month || null,
+    cagrPct: spanYears > 0 ? round2((Math.pow(last.price / first.price, 1 / spanYears) - 1) * 100) : null,
+    fittedRatePct: fit ? round2(fit.ratePct) : null,
+    slopeStdErrPct: fit ? round2(fit.seRatePct) : null,
+    r2: fit ? round2(fit.r2) : null,
+    zillowOneYearPct: zillow,
+    snapshotCheck,
+    bands: {
+      low: round2(clamp(Math.min(base - spread, fit && zillow !== null ? zillow : Infinity), TREND.BAND_MIN_PCT, TREND.BAND_MAX_PCT)),
+      base: round2(base),
+      high: round2(clamp(Math.max(base + spread, fit && zillow !== null ? zillow : -Infinity), TREND.BAND_MIN_PCT, TREND.BAND_MAX_PCT)),
+    },
+    warnings,
+  };
+}
+
+// -----------------------------
+// //#3 Projection + equity
+// -----------------------------
+function projectValue(price, bands, tourYears) {
+  const out = [];
+  for (let y = 0; y <= tourYears; y++) {
+    out.push({
+      year: y,
+      low: Math.round(price * Math.pow(1 + bands.low / 100, y)),
+      base: Math.round(price * Math.pow(1 + bands.base / 100, y)),
+      high: Math.round(price * Math.pow(1 + bands.high / 100, y)),
+    });
+  }
+  return out;
+}
+
+function loanBalanceAfter(loanAmount, aprPct, termYears, months) {
+  const r = aprPct / 100 / 12;
+  const n = termYears * 12;
+  const k = Math.min(months, n);
+  if (!(r > 0)) return loanAmount * (1 - k / n);
+  const pmt = (loanAmount * r) / (1 - Math.pow(1 + r, -n));
+  const g = Math.pow(1 + r, k);
+  return Math.max(0, loanAmount * g - (pmt * (g - 1)) / r);
+}
+
+// city + price are required; loanAmount / apr / termYears turn on equityAtPcs
+function computePriceTrend({ city, price, loanAmount, apr, termYears, tourYears, sellPct } = {}) {
+  const p = toNum(price);
+  if (!(p > 0)) return { ok: false, error: "No home price to project." };
+
+  const trend = fitPriceTrend(city);
+  const warnings = [...trend.warnings];
+  delete trend.warnings;
+
+  const years = clamp(Math.round(toNum(tourYears) ?? TREND.TOUR_YEARS), 1, 30);
+  const projection = projectValue(p, trend.bands, years);
+  const end = projection[projection.length - 1];
+
+  let equityAtPcs = null;
+  const loan = toNum(loanAmount);
+  const rate = toNum(apr);
+  const term = toNum(termYears);
+  if (loan !== null && loan >= 0 && rate !== null && term > 0) {
+    const balance = loanBalanceAfter(loan, rate, term, years * 12);
+    const sell = toNum(sellPct) ?? TREND.SELL_PCT;
+    const at = (value) => ({
+      value,
+      gross: Math.round(value - balance),
+      net: Math.round(value * (1 - sell / 100) - balance),
+    });
+    equityAtPcs = { tourYears: years, loanBalance: Math.round(balance), sellPct: sell, low: at(end.low), base: at(end.base), high: at(end.high) };
+  } else {
+    warnings.push("no_loan_for_equity");
+  }
+
+  const sources = [trend.source.startsWith("default") ? trend.source : `city.housing.market.${trend.source}`];
+  if (trend.zillowOneYearPct !== null && trend.source !== "zillow_one_year_change_percent") sources.push("city.housing.market.zillow_one_year_change_percent");
+  if (trend.snapshotCheck) sources.push("city.housing.market.q1_2025");
+
+  return {
+    ok: true,
+    price: p,
+    trend,
+    projection,
+    equityAtPcs,
+    bluf: priceTrendBluf({ price: p, trend, end, years, equityAtPcs }),
+    warnings,
+    sources,
+  };
+}
+
+function priceTrendBluf({ price, trend, end, years, equityAtPcs }) {
+  const basis =
+    trend.source === "sale_history_36_months"
+      ? `fitted to ${trend.points} median sales since ${trend.firstMonth}`
+      : trend.source === "zillow_one_year_change_percent"
+        ? "from the one-year Zillow change"
+        : "default assumption";
+  let s = `Prices trend ${signedPct(trend.bands.base)}/yr (${basis}; scenarios ${signedPct(trend.bands.low)} to ${signedPct(trend.bands.high)}). `;
+  s += `A ${money0(price)} home is about ${money0(end.base)} after ${years} yr (${money0(end.low)}–${money0(end.high)})`;
+  if (equityAtPcs) s += `; equity at PCS after selling costs ≈ ${money0(equityAtPcs.base.net)} (${money0(equityAtPcs.low.net)} to ${money0(equityAtPcs.high.net)})`;
+  return `${s}.`;
+}
+
+module.exports = {
+  computePriceTrend,
+  fitPriceTrend,
+  projectValue,
+  loanBalanceAfter,
+  monthToYears,
+};
@@ -0,0 +1,368 @@
+// netlify/functions/lib/qualify.js
+// ============================================================
+// PCSUnited • Lender-style qualification (shared) — v1.2.0
+// PURPOSE:
+// - Front-end / back-end DTI from REAL pay (lib/pay-engine.js) instead of guessed income
+// - VA residual income (VA regional table by family size + loan amount); the region is the
+//   PROPERTY's state (input.state from the city / property), never the duty station or SLR
+// - Pass/fail with margin for conventional, FHA and VA (data/qualificationRules.json)
+//
+// INCOME (what a lender counts):
+// - Taxable: Base Pay + taxable special pays flagged lender_qualifying
+// - Non-taxable: BAH/OHA + BAS + tax-free special pays flagged lender_qualifying,
+//   grossed up per program (nontaxable_grossup_pct)
+// - Veteran: retired pay (taxable) + VA compensation (non-taxable)
+//
+// DEBTS:
+// - profile monthly_debts / debts (number or [{ monthly }]); falls back to
+//   monthly_expenses (the intake field) and says so in warnings
+//
+// RESULT SHAPE (stable):
+// {
+//   ok, housingMonthly, debtsMonthly, debtsSource,
+//   income: { taxableMonthly, nonTaxableMonthly, excludedMonthly },
+//   programs: {
+//     conventional|fha: { label, status, pass, incomeMonthly, frontDti, backDti, limits, margin },
+//     va: { ..., residual: { required, actual, margin, region, familySize, loanBand, pass } }
+//   },
+//   warnings: [...], sources: [...]
+// }
+//
+// maxHousingByProgram({ pay, debtsMonthly }) -> guideline housing cap per program
+//
+// USED BY:
+//   brain.js, aiou-report.js, afford.js
+//
+// NOTE:
+// - status: "pass" (within guideline) | "stretch" (within max with compensating factors) | "fail"
+//   VA only: "unknown" when DTI alone doesn't fail but no property state was given, so the
+//   residual test could not run (not a pass, not a stretch)
+// - Not a Netlify function (lives under lib/, no handler export)
+// - CommonJS only (same as brain.js)
+// ============================================================
+
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const { deriveDependentsFromFamilySize } = require("./pay-engine.js");
+
+// -----------------------------
+// //#0 Paths (Netlify-safe)
+// -----------------------------
+const __ROOT = process.cwd(); // /var/task
+const __RULES_PATH = path.join(__ROOT, "netlify", "functions", "data", "qualificationRules.json");
+
+const PROGRAMS = ["conventional", "fha", "va"];
+const VA_REGIONS = ["northeast", "midwest", "south", "west"];
+
+// -----------------------------
+// //#1 Small helpers
+// -----------------------------
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function toNum(x) {
+  if (x === null || x === undefined) return null;
+  const s = String(x).trim();
+  if (!s) return null;
+  const n = Number(s.replace(/[$,]/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
+
+function pickFirst(obj, keys) {
+  for (const k of keys) {
+    const v = obj?.[k];
+    if (v !== undefined && v !== null && String(v).trim() !== "") return { key: k, value: v };
+  }
+  return null;
+}
+
+function pct(part, whole) {
+  return whole > 0 ? round2((part / whole) * 100) : null;
+}
+
+// -----------------------------
+// //#2 File loading (cached, validated)
+// -----------------------------
+let __RULES_CACHE__ = null;
+
+function validateQualificationRules(rules) {
+  const errors = [];
+  if (!rules || typeof rules !== "object") return ["rules are not an object"];
+
+  for (const p of PROGRAMS) {
+    const r = rules.PROGRAMS?.[p];
+    if (!r) {
+      errors.push(`PROGRAMS.${p} missing`);
+      continue;
+    }
+    if (!(Number(r.back_dti) > 0)) errors.push(`PROGRAMS.${p}.back_dti missing`);
+    if (r.front_dti != null && !(Number(r.front_dti) > 0)) errors.push(`PROGRAMS.${p}.front_dti is not a number`);
+  }
+
+  const va = rules.VA_RESIDUAL || {};
+  for (const band of ["below", "at_or_above"]) {
+    for (const size of ["1", "2", "3", "4", "5"]) {
+      for (const region of VA_REGIONS) {
+        if (!(Number(va?.[band]?.[size]?.[region]) > 0)) errors.push(`VA_RESIDUAL.${band}.${size}.${region} missing`);
+      }
+    }
+    if (!(Number(va?.extra_member_add?.[band]) > 0)) errors.push(`VA_RESIDUAL.extra_member_add.${band} missing`);
+  }
+  if (!(Number(va.loan_band_threshold) > 0)) errors.push("VA_RESIDUAL.loan_band_threshold missing");
+  for (const region of VA_REGIONS) {
+    if (!Array.isArray(va?.regions?.[region])) errors.push(`VA_RESIDUAL.regions.${region} missing`);
+  }
+
+  return errors;
+}
+
+function loadQualificationRules() {
+  if (__RULES_CACHE__) return __RULES_CACHE__;
+
+  if (!fs.existsSync(__RULES_PATH)) {
+    throw new Error(
+      `Qualification rules not found: ${__RULES_PATH}\n` +
+      `Fix: ensure it's bundled via netlify.toml [functions].included_files.`
+    );
+  }
+
+  const rules = JSON.parse(fs.readFileSync(__RULES_PATH, "utf8"));
+  const errors = validateQualificationRules(rules);
+  if (errors.length) {
+    throw new Error(`qualificationRules.json failed validation:\n- ${errors.join("\n- ")}`);
+  }
+
+  __RULES_CACHE__ = rules;
+  return rules;
+}
+
+// -----------------------------
+// //#3 Inputs (income, debts, household)
+// -----------------------------
+// Lender view of computePay(...).pay
+function qualifyingIncome(pay) {
+  if (pay?.payModel === "veteran") {
+    // Retired pay after the VA waiver (+ CRDP) is taxable; VA compensation + CRSC are not
+    const cr = pay?.concurrentReceipt || null;
+    return {
+      taxableMonthly: round2(cr ? cr.taxableMonthly : pay?.retirementPay),
+      nonTaxableMonthly: round2(cr ? cr.nonTaxableMonthly : pay?.vaDisabilityPay),
+      excludedMonthly: 0,
+    };
+  }
+
+  // Guard/Reserve: drill + annual training basic pay and civilian wages
+  let taxable = (Number(pay?.basePay) || 0) + (Number(pay?.civilianIncome) || 0);
+  let nonTaxable = (Number(pay?.bas) || 0) + (Number(pay?.bah) || 0);
+  let excluded = 0;
+  for (const c of pay?.specialPays?.components || []) {
+    const amt = Number(c?.monthly) || 0;
+    if (!c?.lenderQualifying) excluded += amt;
+    else if (c?.taxable) taxable += amt;
+    else nonTaxable += amt;
+  }
+
+  return {
+    taxableMonthly: round2(taxable),
+    nonTaxableMonthly: round2(nonTaxable),
+    excludedMonthly: round2(excluded),
+  };
+}
+
+// { monthly, source } — explicit debts win over the intake's monthly_expenses
+function debtsFromProfile(profile) {
+  const hit = pickFirst(profile, ["monthly_debts", "monthlyDebts", "debts"]);
+  if (hit) {
+    if (Array.isArray(hit.value)) {
+      const monthly = hit.value.reduce((a, d) => a + (toNum(d?.monthly ?? d?.payment ?? d?.amount) || 0), 0);
+      return { monthly: round2(monthly), source: `profile.${hit.key}[]` };
+    }
+    return { monthly: round2(toNum(hit.value) || 0), source: `profile.${hit.key}` };
+  }
+
+  const exp = pickFirst(profile, ["monthly_expenses", "monthlyExpenses"]);
+  if (exp) return { monthly: round2(toNum(exp.value) || 0), source: `profile.${exp.key}` };
+
+  return { monthly: 0, source: "default:0" };
+}
+
+function vaRegionForState(state, rules) {
+  const st = String(state || "").trim().toUpperCase();
+  for (const region of VA_REGIONS) {
+    if ((rules.VA_RESIDUAL.regions[region] || []).includes(st)) return region;
+  }
+  return null;
+}
+
+function vaResidualRequired({ familySize, loanAmount, region, activeDuty }, rules) {
+  const va = rules.VA_RESIDUAL;
+  const band = Number(loanAmount) >= Number(va.loan_band_threshold) ? "at_or_above" : "below";
+  const size = Math.max(1, Math.round(Number(familySize) || 1));
+  const base = Number(va[band][String(Math.min(size, 5))][region]) || 0;
+  const extra = Math.max(0, size - 5) * Number(va.extra_member_add[band]);
+  const reduction = activeDuty ? (Number(va.active_duty_reduction_pct) || 0) / 100 : 0;
+  return { band, required: round2((base + extra) * (1 - reduction)), reductionPct: reduction * 100 };
+}
+
+// -----------------------------
+// //#4 Evaluate
+// -----------------------------
+// input: { pay, takeHome?, profile?, housingMonthly, loanAmount, debtsMonthly?, familySize?, state?, sqft?,
+//          limits?: { frontDti?, backDti? } }  // caller's target DTI replaces the program guideline
+// state = 2-letter state the PROPERTY is in (VA residual region)
+function evaluateQualification(input) {
+  const rules = loadQualificationRules();
+  const warnings = [];
+  const sources = ["data/qualificationRules.json"];
+
+  const pay = input?.pay || {};
+  const profile = input?.profile || {};
+  const housingMonthly = Math.max(0, Number(input?.housingMonthly) || 0);
+  const loanAmount = Math.max(0, Number(input?.loanAmount) || 0);
+
+  let debtsMonthly = toNum(input?.debtsMonthly);
+  let debtsSource = "input.debtsMonthly";
+  if (debtsMonthly == null) {
+    const d = debtsFromProfile(profile);
+    debtsMonthly = d.monthly;
+    debtsSource = d.source;
+  }
+  if (/monthly_?expenses/i.test(debtsSource)) warnings.push("debts_from_monthly_expenses");
+  if (debtsSource === "default:0") warnings.push("debts_missing");
+
+  const income = qualifyingIncome(pay);
+  if (income.taxableMonthly + income.nonTaxableMonthly <= 0) warnings.push("income_missing");
+  if (housingMonthly <= 0) warnings.push("housing_payment_missing");
+
+  const lim = input?.limits || {};
+  const limFront = toNum(lim.frontDti);
+  const limBack = toNum(lim.backDti);
+
+  const programs = {};
+  for (const key of PROGRAMS) {
+    const r = rules.PROGRAMS[key];
+    const grossup = (Number(r.nontaxable_grossup_pct) || 0) / 100;
+    const incomeMonthly = income.taxableMonthly + income.nonTaxableMonthly * (1 + grossup);
+
+    const front = limFront != null ? limFront : r.front_dti == null ? null : Number(r.front_dti);
+    const back = limBack != null ? limBack : Number(r.back_dti);
+    const maxBack = limBack != null || r.max_back_dti == null ? back : Number(r.max_back_dti);
+
+    const frontDti = pct(housingMonthly, incomeMonthly);
+    const backDti = pct(housingMonthly + debtsMonthly, incomeMonthly);
+
+    const frontOk = front == null || (frontDti != null && frontDti <= front);
+    const backOk = backDti != null && backDti <= back;
+    const stretchOk = backDti != null && backDti <= maxBack;
+
+    programs[key] = {
+      label: r.label || key,
+      incomeMonthly: round2(incomeMonthly),
+      frontDti,
+      backDti,
+      limits: { frontDti: front, backDti: back, maxBackDti: maxBack },
+      margin: {
+        // + = room left under the guideline, - = over by this much per month
+        frontMonthly: front == null ? null : round2(incomeMonthly * (front / 100) - housingMonthly),
+        backMonthly: round2(incomeMonthly * (back / 100) - housingMonthly - debtsMonthly),
+        frontPct: front == null || frontDti == null ? null : round2(front - frontDti),
+        backPct: backDti == null ? null : round2(back - backDti),
+      },
+      status: frontOk && backOk ? "pass" : stretchOk ? "stretch" : "fail",
+    };
+  }
+
+  // VA residual income: what is left after taxes, shelter and debts
+  const takeHome = input?.takeHome || null;
+  const state = String(input?.state || "").trim().toUpperCase();
+  const region = vaRegionForState(state, rules);
+  // "family: true" without a family_size still means at least member + spouse/child
+  const derivedSize = deriveDependentsFromFamilySize(profile).familySize;
+  const familySize = Number(input?.familySize) || (pay?.familyUsed ? Math.max(2, derivedSize) : derivedSize);
+  const va = programs.va;
+
+  if (!region) {
+    // No residual test without a region: DTI can still fail it, nothing can pass it
+    warnings.push("va_region_unknown");
+    if (!state) warnings.push("va_property_state_missing");
+    va.residual = null;
+    va.status = va.status === "fail" ? "fail" : "unknown";
+  } else {
+    const vr = rules.VA_RESIDUAL;
+    const sqft = Number(input?.sqft ?? toNum(profile?.sqft)) || Number(vr.default_sqft) || 0;
+    const maintenance = sqft * (Number(vr.maintenance_per_sqft) || 0);
+    const grossMonthly = Number(pay?.totalPay) || 0;
+    const taxesMonthly = Number(takeHome?.totalTaxMonthly) || 0;
+    if (!takeHome) warnings.push("va_residual_without_taxes");
+
+    const need = vaResidualRequired({ familySize, loanAmount, region, activeDuty: pay?.payModel === "active" }, rules);
+    const actual = grossMonthly - taxesMonthly - housingMonthly - maintenance - debtsMonthly;
+    const residualPass = actual >= need.required;
+    const overridePct = Number(vr.dti_override_residual_pct) || 0;
+    const strongResidual = overridePct > 0 && actual >= need.required * (overridePct / 100);
+
+    va.residual = {
+      required: need.required,
+      actual: round2(actual),
+      margin: round2(actual - need.required),
+      pass: residualPass,
+      region,
+      state: state || null,
+      familySize,
+      loanBand: need.band,
+      activeDutyReductionPct: need.reductionPct,
+      maintenanceMonthly: round2(maintenance),
+      taxesMonthly: round2(taxesMonthly),
+    };
+
+    // VA: residual is the real test; > 41% DTI is fine when residual clears 120% (up to max_back_dti)
+    const dtiOk = va.backDti != null && va.backDti <= va.limits.backDti;
+    const dtiCeilingOk = va.backDti != null && va.backDti <= va.limits.maxBackDti;
+    va.status = residualPass && dtiOk ? "pass" : residualPass && strongResidual && dtiCeilingOk ? "stretch" : "fail";
+  }
+
+  for (const key of PROGRAMS) programs[key].pass = programs[key].status === "pass";
+
+  return {
+    ok: income.taxableMonthly + income.nonTaxableMonthly > 0 && housingMonthly > 0,
+    housingMonthly: round2(housingMonthly),
+    loanAmount: round2(loanAmount),
+    debtsMonthly: round2(debtsMonthly),
+    debtsSource,
+    income,
+    programs,
+    warnings,
+    sources,
+  };
+}
+
+// Largest housing payment each program's guideline DTI allows (no residual test)
+// -> { conventional, fha, va } monthly
+function maxHousingByProgram({ pay, debtsMonthly = 0 }) {
+  const rules = loadQualificationRules();
+  const income = qualifyingIncome(pay);
+  const out = {};
+  for (const key of PROGRAMS) {
+    const r = rules.PROGRAMS[key];
+    const inc = income.taxableMonthly + income.nonTaxableMonthly * (1 + (Number(r.nontaxable_grossup_pct) || 0) / 100);
+    const byBack = inc * (Number(r.back_dti) / 100) - (Number(debtsMonthly) || 0);
+    const byFront = r.front_dti == null ? Infinity : inc * (Number(r.front_dti) / 100);
+    out[key] = round2(Math.max(0, Math.min(byBack, byFront)));
+  }
+  return out;
+}
+
+module.exports = {
+  loadQualificationRules,
+  validateQualificationRules,
+  evaluateQualification,
+  maxHousingByProgram,
+  qualifyingIncome,
+  debtsFromProfile,
+  vaResidualRequired,
+  vaRegionForState,
+};
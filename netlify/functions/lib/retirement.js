@@ -0,0 +1,562 @@
+// netlify/functions/lib/retirement.js
+// ============================================================
+// PCSUnited • Military retired pay engine (shared) — v1.0.1
+// PURPOSE:
+// - Real retired pay from service dates instead of pay-table step averages:
+//     DIEMS (service entry) + retirement date + promotion history
+//     -> month-by-month basic pay from the dated pay schedules
+//     -> Final Pay or High-36 (highest 36 months, consecutive or not)
+// - System from DIEMS (Final Pay / High-3 / REDUX-CSB / BRS) and its multiplier
+// - Retired pay COLA: actual history since retirement, then a projection
+//   (REDUX = CPI - 1; at 62 a one-time recompute at the full High-3 multiplier with
+//   full-CPI COLAs since retirement, then CPI - 1 again)
+// - Survivor Benefit Plan premium (6.5% of the base amount) -> net retired pay
+//
+// INPUT:
+//   computeRetiredPay(profile, { rank, yos, asOf? })
+//   profile fields (snake_case or camelCase, all optional):
+//     diems / service_entry_date        YYYY-MM-DD (date initially entered military service)
+//     pebd                              pay entry base date (default: DIEMS)
+//     retirement_date / retire_date     YYYY-MM-DD (default: today)
+//     promotions / promotion_history    [{ grade: "E-6", date: "2014-06-01" }, ...]
+//     retirement_system                 final_pay | high3 | redux | brs (checked against DIEMS)
+//     csb                               true = REDUX elected with the Career Status Bonus
+//     sbp / sbp_coverage                full | none | <base amount in $>   default: full with a spouse
+//     sbp_base_amount                   $ base amount (partial coverage)
+//     birth_date / age                  REDUX catch-up at 62 in the projection
+//     cola_pct                          COLA assumption for the projection (data default)
+//   Without DIEMS the service dates are derived from rank + yos (warned).
+//
+// RESULT SHAPE (stable):
+// {
+//   ok, eligible, system, systemLabel, systemSource, diems, pebd, retirementDate,
+//   monthsServed, yearsCredited, multiplierPct,
+//   retiredPayBase: { method: "high36" | "final_pay", amount, finalBasicPay, high36,
+//                     months: [{ month, grade, yos, schedule, basicPay }] },
+//   atRetirementMonthly, colaSinceRetirementPct, grossMonthly,
+//   sbp: { coverage, baseAmount, premiumMonthly, annuityMonthly, paidUpAfter },
+//   netMonthly, csb?: { amount, atYos },
+//   cola: { assumptionPct, appliedPct, reduxAdjusted, catchUpAt62, projection: [{ year, age, grossMonthly, sbpPremiumMonthly, netMonthly }] },
+//   warnings: [...], sources: [...]
+// }
+//
+// NOTE:
+// - Regular (active) retirement only; reserve points, TERA and disability
+//   retirement are out of scope
+// - Not a Netlify function (lives under lib/, no handler export)
+// - CommonJS only (same as brain.js)
+// ============================================================
+
+"use strict";
+
+const {
+  loadPayTables,
+  listPaySchedules,
+  payTablesForSchedule,
+  normalizePaygrade,
+} = require("./pay-tables.js");
+
+const SYSTEMS = ["final_pay", "high3", "redux", "brs"];
+
+// Profile/override fields this module reads (callers whitelist these, plus camelCase)
+const RETIREMENT_FIELDS = [
+  "diems",
+  "service_entry_date",
+  "pebd",
+  "retirement_date",
+  "retire_date",
+  "promotions",
+  "promotion_history",
+  "retirement_system",
+  "csb",
+  "sbp",
+  "sbp_coverage",
+  "sbp_base_amount",
+  "birth_date",
+  "age",
+  "cola_pct",
+  "projection_years",
+];
+const ISO_DATE_RX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Fallbacks when militaryPayTables.json RETIREMENT omits a value
+const DEFAULTS = {
+  min_years: 20,
+  max_years: 40,
+  cola_assumption_pct: 2.5,
+  projected_raise_pct: 3.5,
+  projection_years: 10,
+  sbp: { premium_pct: 6.5, annuity_pct: 55, min_base_amount: 300, paid_up_payments: 360, paid_up_age: 70 },
+};
+
+// -----------------------------
+// //#1 Small helpers
+// -----------------------------
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function lower(x) {
+  return String(x ?? "").trim().toLowerCase();
+}
+
+function toNum(x) {
+  const s = String(x ?? "").trim();
+  if (!s) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+function pickFirst(obj, keys) {
+  for (const k of keys) {
+    const v = obj?.[k];
+    if (v !== undefined && v !== null && String(v).trim() !== "") return v;
+  }
+  return null;
+}
+
+function truthy(x) {
+  if (x === true) return true;
+  const s = lower(x);
+  return s === "true" || s === "yes" || s === "1" || s === "y";
+}
+
+// Dates are handled as "YYYY-MM" month indexes (year * 12 + month0) so no timezone math
+function parseDate(x) {
+  const s = String(x ?? "").trim().slice(0, 10);
+  if (!ISO_DATE_RX.test(s)) return null;
+  const d = new Date(`${s}T00:00:00Z`);
+  return Number.isNaN(d.getTime()) ? null : s;
+}
+
+function monthIndex(iso) {
+  return Number(iso.slice(0, 4)) * 12 + (Number(iso.slice(5, 7)) - 1);
+}
+
+function monthIso(idx) {
+  const y = Math.floor(idx / 12);
+  const m = (idx % 12) + 1;
+  return `${y}-${String(m).padStart(2, "0")}-01`;
+}
+
+// Full months from `from` to `to` (a partial month does not count)
+function fullMonthsBetween(from, to) {
+  let months = monthIndex(to) - monthIndex(from);
+  if (Number(to.slice(8, 10)) < Number(from.slice(8, 10))) months -= 1;
+  return Math.max(0, months);
+}
+
+function addYears(iso, years) {
+  return `${Number(iso.slice(0, 4)) + years}${iso.slice(4)}`;
+}
+
+function todayIso() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function warnOnce(warnings, code) {
+  if (!warnings.includes(code)) warnings.push(code);
+}
+
+function pickNearestYos(tableForRank, yos) {
+  let chosen = null;
+  for (const k of Object.keys(tableForRank || {}).map(Number).filter(Number.isFinite).sort((a, b) => a - b)) {
+    if (k <= yos) chosen = k;
+  }
+  return chosen === null ? null : Number(tableForRank[String(chosen)]) || null;
+}
+
+// -----------------------------
+// //#2 Inputs
+// -----------------------------
+function retirementConfig(tables) {
+  const r = tables?.RETIREMENT || {};
+  return { ...DEFAULTS, ...r, sbp: { ...DEFAULTS.sbp, ...(r.sbp || {}) }, systems: r.systems || {} };
+}
+
+function normalizeSystem(x) {
+  const s = lower(x).replace(/[\s_-]+/g, "");
+  if (!s) return "";
+  if (s === "finalpay" || s === "final") return "final_pay";
+  if (s === "high3" || s === "high36" || s === "highthree" || s === "legacy") return "high3";
+  if (s === "redux" || s === "csb" || s === "reduxcsb" || s === "csbredux") return "redux";
+  if (s === "brs" || s === "blended" || s === "blendedretirement") return "brs";
+  return "";
+}
+
+// [{ grade, date }] sorted by date; accepts arrays of objects or "E-6:2014-06-01" strings
+function normalizePromotions(raw) {
+  let list = raw;
+  if (typeof list === "string") {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      list = list.split(/[;,]/).map((p) => {
+        const [grade, date] = p.split(/[:@=]/);
+        return { grade, date };
+      });
+    }
+  }
+  if (!Array.isArray(list)) return [];
+
+  return list
+    .map((p) => ({
+      grade: normalizePaygrade(p?.grade ?? p?.rank ?? p?.paygrade),
+      date: parseDate(p?.date ?? p?.effective ?? p?.dor),
+    }))
+    .filter((p) => p.grade && p.date)
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+function gradeOn(promotions, iso, fallback) {
+  let g = promotions.length ? promotions[0].grade : fallback;
+  for (const p of promotions) {
+    if (p.date <= iso) g = p.grade;
+  }
+  return g || fallback;
+}
+
+// Legal system for the DIEMS; an elected system that the DIEMS does not allow is warned and replaced
+function resolveSystem(cfg, diems, requested, csbElected, warnings) {
+  const sys = cfg.systems;
+  const finalBefore = sys.final_pay?.diems_before || "1980-09-08";
+  const reduxFrom = sys.redux?.diems_from || "1986-08-01";
+  const brsFrom = sys.brs?.diems_from || "2018-01-01";
+  const brsOptIn = sys.brs?.opt_in_diems_from || "2006-01-01";
+
+  const want = requested || (csbElected ? "redux" : "");
+
+  if (!diems) return { system: want || "high3", source: want ? "requested" : "default" };
+
+  let legal = "high3";
+  if (diems < finalBefore) legal = "final_pay";
+  else if (diems >= brsFrom) legal = "brs";
+
+  if (!want || want === legal) return { system: legal, source: "diems" };
+
+  if (legal === "high3" && want === "redux" && diems >= reduxFrom) return { system: "redux", source: "elected" };
+  if (legal === "high3" && want === "brs" && diems >= brsOptIn) return { system: "brs", source: "opted_in" };
+
+  warnings.push(`retirement_system_${want}_not_available_for_diems_${diems}`);
+  return { system: legal, source: "diems" };
+}
+
+function multiplierFor(cfg, system, years) {
+  const sys = cfg.systems?.[system] || {};
+  const perYear = toNum(sys.multiplier_per_year) ?? (system === "brs" ? 0.02 : 0.025);
+  const capped = Math.min(years, Number(cfg.max_years) || 40);
+
+  if (system === "redux") {
+    const cut = toNum(sys.redux_reduction_per_year_short_of_30) ?? 0.01;
+    return Math.max(0, perYear * capped - cut * Math.max(0, 30 - capped));
+  }
+  return perYear * capped;
+}
+
+// -----------------------------
+// //#3 Basic pay month by month
+// -----------------------------
+// Tables for the schedule in force on a month. Months before the earliest schedule use it
+// unchanged; months past the last schedule's year grow by projected_raise_pct per year.
+function tablesForMonth(tables, cfg, iso, cache, warnings) {
+  const list = listPaySchedules(tables);
+  const first = list[0];
+  const last = list[list.length - 1];
+
+  let asOf = iso;
+  let factor = 1;
+  if (first && iso < String(first.effective)) {
+    asOf = String(first.effective);
+    warnOnce(warnings, `pay_schedule_before_${first.id}_used_${first.id}`);
+  } else if (last) {
+    const beyond = Number(iso.slice(0, 4)) - Number(String(last.effective).slice(0, 4));
+    if (beyond > 0) {
+      asOf = String(last.effective);
+      factor = Math.pow(1 + (Number(cfg.projected_raise_pct) || 0) / 100, beyond);
+      warnOnce(warnings, `pay_projected_past_${last.id}`);
+    }
+  }
+
+  const key = `${asOf}|${factor}`;
+  if (!cache.has(key)) {
+    const t = payTablesForSchedule(tables, { asOf });
+    cache.set(key, { BASEPAY: t.BASEPAY, schedule: t.PAY_SCHEDULE_USED?.id || null, factor });
+  }
+  return cache.get(key);
+}
+
+// Basic pay for each of the `count` months before the retirement month
+function basicPayMonths({ tables, cfg, pebd, retirementDate, promotions, rank, count, warnings }) {
+  const cache = new Map();
+  const lastIdx = monthIndex(retirementDate) - 1;
+  const months = [];
+
+  for (let idx = lastIdx - count + 1; idx <= lastIdx; idx++) {
+    const iso = monthIso(idx);
+    if (iso < monthIso(monthIndex(pebd))) continue;
+
+    const grade = gradeOn(promotions, iso, rank);
+    const yos = Math.floor(fullMonthsBetween(pebd, iso) / 12);
+    const t = tablesForMonth(tables, cfg, iso, cache, warnings);
+    const raw = pickNearestYos(t.BASEPAY?.[grade], yos);
+
+    if (raw == null) {
+      warnOnce(warnings, `basic_pay_missing_${grade}_${yos}`);
+      continue;
+    }
+    months.push({ month: iso.slice(0, 7), grade, yos, schedule: t.schedule, basicPay: round2(raw * t.factor) });
+  }
+  return months;
+}
+
+// -----------------------------
+// //#4 COLA + SBP
+// -----------------------------
+function colaFor(system, cpiPct, cfg) {
+  if (system !== "redux") return cpiPct;
+  const minus = toNum(cfg.systems?.redux?.cola_minus_pct) ?? 1;
+  return Math.max(0, cpiPct - minus);
+}
+
+function sbpElection(profile, grossMonthly, hasSpouse, cfg, warnings) {
+  const raw = pickFirst(profile, ["sbp_base_amount", "sbpBaseAmount", "sbp_coverage", "sbpCoverage", "sbp"]);
+  const minBase = Number(cfg.sbp.min_base_amount) || 0;
+
+  let coverage = hasSpouse ? "full" : "none";
+  let baseAmount = hasSpouse ? grossMonthly : 0;
+
+  if (raw === null) {
+    if (hasSpouse) warnings.push("sbp_assumed_full_spouse_coverage");
+  } else if (toNum(raw) !== null) {
+    coverage = "partial";
+    baseAmount = Math.min(grossMonthly, Math.max(minBase, Number(raw)));
+    if (baseAmount >= grossMonthly) coverage = "full";
+  } else if (["none", "decline", "declined", "no", "false"].includes(lower(raw))) {
+    coverage = "none";
+    baseAmount = 0;
+  } else {
+    coverage = "full";
+    baseAmount = grossMonthly;
+  }
+
+  const premiumPct = Number(cfg.sbp.premium_pct) || 0;
+  const annuityPct = Number(cfg.sbp.annuity_pct) || 0;
+  return {
+    coverage,
+    baseAmount: round2(baseAmount),
+    premiumPct,
+    premiumMonthly: round2((baseAmount * premiumPct) / 100),
+    annuityMonthly: round2((baseAmount * annuityPct) / 100),
+    paidUpAfter: { payments: Number(cfg.sbp.paid_up_payments) || null, age: Number(cfg.sbp.paid_up_age) || null },
+  };
+}
+
+// -----------------------------
+// //#5 Retired pay
+// -----------------------------
+function computeRetiredPay(profile, { rank, yos, asOf } = {}) {
+  const tables = loadPayTables();
+  const cfg = retirementConfig(tables);
+  const warnings = [];
+  const sources = ["data/militaryPayTables.json (PAY_SCHEDULES, BASEPAY, RETIREMENT)"];
+
+  const today = parseDate(asOf) || todayIso();
+  const grade = normalizePaygrade(rank);
+  const promotions = normalizePromotions(pickFirst(profile, ["promotions", "promotion_history", "promotionHistory"]));
+  const retireGrade = promotions.length ? promotions[promotions.length - 1].grade : grade;
+
+  // Service dates
+  let retirementDate = parseDate(pickFirst(profile, ["retirement_date", "retirementDate", "retire_date", "retireDate"]));
+  if (!retirementDate) {
+    retirementDate = today;
+    warnings.push("retirement_date_assumed_today");
+  }
+
+  let diems = parseDate(pickFirst(profile, ["diems", "service_entry_date", "serviceEntryDate", "entry_date"]));
+  const yosNum = toNum(yos);
+  if (!diems && yosNum !== null) {
+    diems = addYears(retirementDate, -Math.floor(yosNum));
+    warnings.push("diems_derived_from_yos");
+  }
+  const pebd = parseDate(pickFirst(profile, ["pebd", "pay_entry_base_date", "payEntryBaseDate"])) || diems;
+
+  const requested = normalizeSystem(pickFirst(profile, ["retirement_system", "retirementSystem"]));
+  const csbElected = truthy(pickFirst(profile, ["csb", "csb_elected", "csbElected"]));
+  const derived = warnings.includes("diems_derived_from_yos");
+  const sys = resolveSystem(cfg, derived ? null : diems, requested, csbElected, warnings);
+  const sysCfg = cfg.systems?.[sys.system] || {};
+
+  const base = {
+    ok: false,
+    eligible: false,
+    system: sys.system,
+    systemLabel: sysCfg.label || sys.system,
+    systemSource: sys.source,
+    diems: diems || null,
+    pebd: pebd || null,
+    retirementDate,
+    promotions,
+    warnings,
+    sources,
+  };
+
+  if (!diems || !retireGrade) {
+    return { ...base, missing: [!diems ? "diems" : null, !retireGrade ? "rank_paygrade" : null].filter(Boolean) };
+  }
+
+  const monthsServed = fullMonthsBetween(diems, retirementDate);
+  const yearsCredited = Math.round((monthsServed / 12) * 10000) / 10000;
+  const minYears = Number(cfg.min_years) || 20;
+
+  if (yearsCredited < minYears) {
+    return { ...base, monthsServed, yearsCredited, reason: `under_${minYears}_years` };
+  }
+
+  // Retired pay base: Final Pay = last month; High-36 = highest 36 months (a reduction in
+  // grade widens the window so earlier, higher months can count)
+  const reduced = promotions.some((p, i) => i > 0 && gradeRankOrder(p.grade) < gradeRankOrder(promotions[i - 1].grade));
+  const window = sys.system === "final_pay" ? 1 : reduced ? 120 : 36;
+  const months = basicPayMonths({
+    tables,
+    cfg,
+    pebd,
+    retirementDate,
+    promotions,
+    rank: retireGrade,
+    count: window,
+    warnings,
+  });
+
+  if (!months.length) return { ...base, monthsServed, yearsCredited, missing: ["basic_pay_months"] };
+
+  const finalBasicPay = months[months.length - 1].basicPay;
+  const top = months
+    .map((m) => m.basicPay)
+    .sort((a, b) => b - a)
+    .slice(0, 36);
+  const high36 = top.reduce((a, b) => a + b, 0) / top.length;
+  if (sys.system !== "final_pay" && top.length < 36) warnings.push(`high36_only_${top.length}_months`);
+
+  const method = sys.system === "final_pay" ? "final_pay" : "high36";
+  const payBase = method === "final_pay" ? finalBasicPay : high36;
+  const multiplier = multiplierFor(cfg, sys.system, yearsCredited);
+  const atRetirement = payBase * multiplier;
+
+  // REDUX catch-up at 62: recomputed with the full High-3 multiplier (2.5% x years) and
+  // full-CPI COLAs since retirement; CPI - 1 resumes after it. fullFactor tracks the full CPI.
+  const birth = parseDate(pickFirst(profile, ["birth_date", "birthDate", "dob"]));
+  const ageNow = birth
+    ? Math.floor(fullMonthsBetween(birth, today) / 12)
+    : toNum(pickFirst(profile, ["age"]));
+  const catchUpAge = toNum(sysCfg.catch_up_age) ?? 62;
+  if (sys.system === "redux" && ageNow === null) warnings.push("redux_catch_up_needs_birth_date");
+  const thisYear = Number(today.slice(0, 4));
+  const ageIn = (y) => (ageNow === null ? null : ageNow + (y - thisYear));
+  const catchUpBase = sys.system === "redux" ? payBase * multiplierFor(cfg, "high3", yearsCredited) : null;
+  let fullFactor = 1;
+  let caughtUp = false;
+  const catchUp = (y) => {
+    if (sys.system !== "redux" || caughtUp || ageIn(y) !== catchUpAge) return null;
+    caughtUp = true;
+    return catchUpBase * fullFactor;
+  };
+
+  // COLA since retirement (history), for retirement dates in the past
+  const history = cfg.cola_history || {};
+  let gross = atRetirement;
+  let colaSincePct = 0;
+  const retireYear = Number(retirementDate.slice(0, 4));
+  for (let y = retireYear + 1; y <= thisYear && retirementDate <= today; y++) {
+    const cpi = toNum(history[String(y)]) ?? Number(cfg.cola_assumption_pct) ?? 0;
+    if (toNum(history[String(y)]) === null) warnings.push(`cola_${y}_assumed`);
+    fullFactor *= 1 + cpi / 100;
+    gross *= 1 + colaFor(sys.system, cpi, cfg) / 100;
+    gross = catchUp(y) ?? gross;
+  }
+  if (atRetirement > 0) colaSincePct = Math.round((gross / atRetirement - 1) * 10000) / 100;
+
+  const hasSpouse = deriveHasSpouse(profile);
+  const sbp = sbpElection(profile, gross, hasSpouse, cfg, warnings);
+
+  // Projection: assumption COLA per year (REDUX CPI - 1, catch-up at 62)
+  const cpiAssumption = toNum(pickFirst(profile, ["cola_pct", "colaPct"])) ?? Number(cfg.cola_assumption_pct) ?? 0;
+  const appliedPct = colaFor(sys.system, cpiAssumption, cfg);
+
+  const years = Number(pickFirst(profile, ["projection_years", "projectionYears"])) || Number(cfg.projection_years) || 10;
+  const startYear = Math.max(retireYear, thisYear);
+  const projection = [];
+  let g = gross;
+  for (let i = 1; i <= years; i++) {
+    const year = startYear + i;
+    const age = ageIn(year);
+    fullFactor *= 1 + cpiAssumption / 100;
+    g *= 1 + appliedPct / 100;
+    g = catchUp(year) ?? g;
+    // SBP base amounts get the same COLA as retired pay
+    const premium = (sbp.baseAmount * (g / gross) * sbp.premiumPct) / 100;
+    projection.push({
+      year,
+      age,
+      grossMonthly: round2(g),
+      sbpPremiumMonthly: round2(premium),
+      netMonthly: round2(g - premium),
+    });
+  }
+
+  const out = {
+    ...base,
+    ok: true,
+    eligible: true,
+    monthsServed,
+    yearsCredited,
+    multiplierPct: Math.round(multiplier * 10000) / 100,
+    retiredPayBase: {
+      method,
+      amount: round2(payBase),
+      finalBasicPay: round2(finalBasicPay),
+      high36: round2(high36),
+      months,
+    },
+    atRetirementMonthly: round2(atRetirement),
+    colaSinceRetirementPct: colaSincePct,
+    grossMonthly: round2(gross),
+    sbp,
+    netMonthly: round2(gross - sbp.premiumMonthly),
+    cola: {
+      assumptionPct: cpiAssumption,
+      appliedPct,
+      reduxAdjusted: sys.system === "redux",
+      catchUpAt62: sys.system === "redux" ? caughtUp : null,
+      projection,
+    },
+  };
+
+  if (sys.system === "redux") {
+    out.csb = { amount: Number(sysCfg.csb_amount) || 30000, atYos: Number(sysCfg.csb_yos) || 15 };
+  }
+  return out;
+}
+
+// E-1 < ... < E-9 < W-1 < ... < O-10 (enlisted, warrant, prior-enlisted and officer tracks)
+function gradeRankOrder(pg) {
+  const m = String(pg || "").match(/^([EWO])-(\d+)(E?)$/);
+  if (!m) return 0;
+  const track = { E: 0, W: 100, O: 200 }[m[1]];
+  return track + Number(m[2]) * 2 + (m[3] ? 1 : 0);
+}
+
+function deriveHasSpouse(profile) {
+  const explicit = pickFirst(profile, ["spouse", "has_spouse", "hasSpouse", "married"]);
+  if (explicit !== null) return truthy(explicit);
+  const size = toNum(pickFirst(profile, ["familySize", "family_size", "family", "dependents_count", "dependentsCount"]));
+  if (size !== null) return size >= 2;
+  return truthy(profile?.family);
+}
+
+module.exports = {
+  RETIREMENT_FIELDS,
+  RETIREMENT_SYSTEMS: SYSTEMS,
+  computeRetiredPay,
+  normalizeRetirementSystem: normalizeSystem,
+  normalizePromotions,
+};
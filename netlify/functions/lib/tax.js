@@ -0,0 +1,380 @@
+// netlify/functions/lib/tax.js
+// ============================================================
+// PCSUnited • Take-home estimator (shared) — v1.2.1
+// PURPOSE:
+// - Gross military pay -> estimated net monthly income
+// - Federal brackets + standard deduction + child credit (data/taxTables.json)
+// - FICA on Base Pay only (BAH / BAS / OHA / tax-free allowances are not wages)
+// - Guard / Reserve: drill + annual training basic pay plus civilian wages (FICA on both;
+//   civilian wages stay state-taxable where military pay is exempt)
+// - State income tax by state of legal residence (SLR) using the military domicile
+//   rules: none | exempt | exempt_outside (stationed outside the SLR) | taxable
+// - Tax advantage of the non-taxable allowances (what they are worth as taxable pay)
+//
+// INPUT:
+//   estimateTakeHome(pay, profile, { year? })
+//   - pay: computePay(...).pay from lib/pay-engine.js (active, reserve, veteran or
+//     dual-military household shape; FICA is per member for households)
+//   - profile fields (all optional):
+//       filing_status (single | mfj | hoh)          default: mfj with a spouse, hoh with
+//                                                   dependents and no spouse, else single
+//       va_spouse / children_under_18 / children_in_school / dependent_parents
+//                                                   (same VA fields pay-engine reads; they
+//                                                   override the family size for the default)
+//       legal_residence_state / slr (2-letter)      default: duty state (warned)
+//       duty_state (2-letter)                       default: BAH MHA state
+//
+// RESULT SHAPE (stable):
+// {
+//   ok, year, filingStatus, stateOfLegalResidence, stationedState,
+//   grossMonthly, taxableMonthly, nonTaxableMonthly,
+//   federal: { taxableIncomeAnnual, taxAnnual, childCreditAnnual, monthly, marginalRate, effectiveRate },
+//   fica: { wagesMonthly, socialSecurity, medicare, monthly },
+//   state: { code, name, rule, applied, rate, approx, monthly },
+//   deductions: { sbpPremiumMonthly },   (veterans: SBP premium, pre-tax)
+//   totalTaxMonthly, netMonthly,
+//   taxAdvantage: { nonTaxableMonthly, marginalRate, monthly, annual, taxSavedMonthly },
+//   warnings: [...], sources: [...]
+// }
+//
+// NOTE:
+// - Planning estimate only (no itemizing, no spouse income, no TSP deferrals)
+// - Not a Netlify function (lives under lib/, no handler export)
+// - CommonJS only (same as brain.js)
+// ============================================================
+
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const { vaDependentsFromProfile } = require("./pay-engine.js");
+
+// -----------------------------
+// //#0 Paths (Netlify-safe)
+// -----------------------------
+const __ROOT = process.cwd(); // /var/task
+const __TAX_TABLES_PATH = path.join(__ROOT, "netlify", "functions", "data", "taxTables.json");
+
+const FILING_STATUSES = ["single", "mfj", "hoh"];
+const STATE_RULES = ["none", "exempt", "exempt_outside", "taxable"];
+
+// -----------------------------
+// //#1 Small helpers
+// -----------------------------
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function lower(x) {
+  return String(x ?? "").trim().toLowerCase();
+}
+
+function pickFirst(obj, keys) {
+  for (const k of keys) {
+    const v = obj?.[k];
+    if (v !== undefined && v !== null && String(v).trim() !== "") return v;
+  }
+  return null;
+}
+
+function normalizeState(x) {
+  const s = String(x ?? "").trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(s) ? s : "";
+}
+
+function normalizeFilingStatus(x) {
+  const s = lower(x).replace(/[\s_-]+/g, "");
+  if (!s) return "";
+  if (s === "mfj" || s === "married" || s === "marriedfilingjointly" || s === "joint") return "mfj";
+  if (s === "hoh" || s === "headofhousehold") return "hoh";
+  if (s === "single" || s === "s") return "single";
+  return "";
+}
+
+// -----------------------------
+// //#2 File loading (cached, validated)
+// -----------------------------
+let __TAX_CACHE__ = null;
+
+function validateBrackets(list, where) {
+  const errors = [];
+  if (!Array.isArray(list) || !list.length) return [`${where} missing`];
+  let prev = 0;
+  list.forEach((b, i) => {
+    const last = i === list.length - 1;
+    if (!(Number(b?.rate) >= 0)) errors.push(`${where}[${i}].rate is not a number`);
+    if (last) {
+      if (b?.up_to !== null) errors.push(`${where} last bracket must have up_to: null`);
+    } else if (!(Number(b?.up_to) > prev)) {
+      errors.push(`${where}[${i}].up_to must increase`);
+    } else {
+      prev = Number(b.up_to);
+    }
+  });
+  return errors;
+}
+
+function validateTaxTables(tables) {
+  const errors = [];
+  if (!tables || typeof tables !== "object") return ["tax tables are not an object"];
+
+  const fed = tables.FEDERAL || {};
+  if (!Object.keys(fed).length) errors.push("FEDERAL missing");
+  for (const [year, t] of Object.entries(fed)) {
+    for (const status of FILING_STATUSES) {
+      if (!(Number(t?.standard_deduction?.[status]) > 0)) errors.push(`FEDERAL.${year}.standard_deduction.${status} missing`);
+      errors.push(...validateBrackets(t?.brackets?.[status], `FEDERAL.${year}.brackets.${status}`));
+    }
+    if (!tables.FICA?.[year]) errors.push(`FICA.${year} missing`);
+  }
+  for (const [year, f] of Object.entries(tables.FICA || {})) {
+    if (!(Number(f?.social_security_wage_base) > 0)) errors.push(`FICA.${year}.social_security_wage_base missing`);
+    if (!(Number(f?.social_security_rate) > 0)) errors.push(`FICA.${year}.social_security_rate missing`);
+    if (!(Number(f?.medicare_rate) > 0)) errors.push(`FICA.${year}.medicare_rate missing`);
+  }
+  for (const [code, st] of Object.entries(tables.STATES || {})) {
+    if (!/^[A-Z]{2}$/.test(code)) errors.push(`STATES key ${JSON.stringify(code)} is not a 2-letter code`);
+    if (!STATE_RULES.includes(st?.rule)) errors.push(`STATES.${code}.rule must be one of ${STATE_RULES.join(", ")}`);
+    if (!(Number(st?.rate) >= 0)) errors.push(`STATES.${code}.rate is not a number`);
+  }
+
+  return errors;
+}
+
+function loadTaxTables() {
+  if (__TAX_CACHE__) return __TAX_CACHE__;
+
+  if (!fs.existsSync(__TAX_TABLES_PATH)) {
+    throw new Error(
+      `Tax tables not found: ${__TAX_TABLES_PATH}\n` +
+      `Fix: ensure it's bundled via netlify.toml [functions].included_files.`
+    );
+  }
+
+  const tables = JSON.parse(fs.readFileSync(__TAX_TABLES_PATH, "utf8"));
+  const errors = validateTaxTables(tables);
+  if (errors.length) {
+    throw new Error(`taxTables.json failed validation:\n- ${errors.join("\n- ")}`);
+  }
+
+  __TAX_CACHE__ = tables;
+  return tables;
+}
+
+// Latest tax year <= wanted; earliest table if wanted is older than all of them
+function pickTaxYear(tables, wanted) {
+  const years = Object.keys(tables.FEDERAL).map(Number).sort((a, b) => a - b);
+  const want = Number(wanted) || new Date().getFullYear();
+  const hit = years.filter((y) => y <= want).pop() ?? years[0];
+  return { year: String(hit), exact: hit === want };
+}
+
+// -----------------------------
+// //#3 Tax math
+// -----------------------------
+function bracketTax(taxable, brackets) {
+  let tax = 0;
+  let floor = 0;
+  let marginal = 0;
+  for (const b of brackets) {
+    const top = b.up_to === null ? Infinity : Number(b.up_to);
+    const rate = Number(b.rate) / 100;
+    if (taxable > floor) {
+      tax += (Math.min(taxable, top) - floor) * rate;
+      marginal = Number(b.rate);
+    }
+    if (taxable <= top) break;
+    floor = top;
+  }
+  return { tax, marginal };
+}
+
+function ficaMonthly(wagesMonthly, fica, filingStatus) {
+  const annual = wagesMonthly * 12;
+  const ss = Math.min(annual, Number(fica.social_security_wage_base)) * (Number(fica.social_security_rate) / 100);
+  const threshold = Number(fica.additional_medicare_threshold?.[filingStatus]) || Infinity;
+  const medicare =
+    annual * (Number(fica.medicare_rate) / 100) +
+    Math.max(0, annual - threshold) * ((Number(fica.additional_medicare_rate) || 0) / 100);
+  return { socialSecurity: round2(ss / 12), medicare: round2(medicare / 12) };
+}
+
+// Which domicile rule actually applies to this member's pay
+// Spouse / dependents for the default filing status: the same household pay-engine
+// prices VA dependents with, plus "spouse" for a dual-military household
+function householdForTax(profile, pay) {
+  const deps = vaDependentsFromProfile(profile);
+  return {
+    spouse: deps.spouse || !!pay?.household,
+    kidsUnder18: deps.childrenUnder18,
+    dependents: deps.childrenUnder18 + deps.childrenInSchool + deps.parents,
+  };
+}
+
+function stateRuleApplied(st, { veteran, slr, stationedState }) {
+  if (!st || st.rule === "none") return "none";
+  if (veteran) return st.retired_pay_exempt ? "retired_pay_exempt" : "taxable";
+  if (st.rule === "exempt") return "exempt";
+  if (st.rule === "exempt_outside") return stationedState && stationedState !== slr ? "exempt_outside" : "taxable";
+  return "taxable";
+}
+
+// -----------------------------
+// //#4 Take-home estimate
+// -----------------------------
+function estimateTakeHome(pay, profile, { year } = {}) {
+  const tables = loadTaxTables();
+  const warnings = [];
+  const sources = ["data/taxTables.json"];
+
+  const veteran = pay?.payModel === "veteran";
+  const civilianMonthly = pay?.payModel === "reserve" ? Number(pay?.civilianIncome) || 0 : 0;
+
+  // Income split: taxable wages vs tax-free allowances
+  const special = pay?.specialPays || {};
+  const basePay = Number(pay?.basePay) || 0;
+  // Veterans: retired pay actually received (after the VA waiver, + CRDP) is taxable;
+  // VA compensation and CRSC are not. SBP premiums come out of retired pay before tax.
+  const cr = pay?.concurrentReceipt || null;
+  const retiredTaxable = cr ? Number(cr.taxableMonthly) || 0 : Number(pay?.retirementPay) || 0;
+  const sbpPremiumMonthly = veteran ? Number(pay?.retirementSbpPremium) || 0 : 0;
+  const taxableMonthly = veteran
+    ? Math.max(0, retiredTaxable - sbpPremiumMonthly)
+    : basePay + (Number(special.taxableMonthly) || 0) + civilianMonthly;
+  const nonTaxableMonthly = veteran
+    ? cr ? Number(cr.nonTaxableMonthly) || 0 : Number(pay?.vaDisabilityPay) || 0
+    : (Number(pay?.bas) || 0) + (Number(pay?.bah) || 0) + (Number(special.nonTaxableMonthly) || 0);
+  const grossMonthly = taxableMonthly + nonTaxableMonthly + sbpPremiumMonthly;
+
+  // Tax year follows the pay schedule in use
+  const scheduleYear = String(pay?.paySchedule?.asOf || "").slice(0, 4);
+  const pick = pickTaxYear(tables, year ?? scheduleYear);
+  if (!pick.exact) warnings.push(`tax_year_fallback_${pick.year}`);
+  const fed = tables.FEDERAL[pick.year];
+  const fica = tables.FICA[pick.year];
+
+  // Filing status + dependents
+  const household = householdForTax(profile, pay);
+  let filingStatus = normalizeFilingStatus(pickFirst(profile, ["filing_status", "filingStatus"]));
+  if (!filingStatus) {
+    filingStatus = household.spouse ? "mfj" : household.dependents > 0 ? "hoh" : "single";
+    warnings.push("filing_status_assumed");
+  }
+  const kids = household.kidsUnder18;
+
+  // Federal
+  const taxableAnnual = taxableMonthly * 12;
+  const fedTaxable = Math.max(0, taxableAnnual - Number(fed.standard_deduction[filingStatus]));
+  const fedHit = bracketTax(fedTaxable, fed.brackets[filingStatus]);
+  const childCredit = Math.min(fedHit.tax, kids * (Number(fed.child_credit) || 0));
+  const fedAnnual = Math.max(0, fedHit.tax - childCredit);
+
+  // FICA: Base Pay (+ Guard/Reserve civilian wages); retired pay and VA compensation are not wages
+  const ficaWages = veteran ? 0 : basePay + civilianMonthly;
+  // Dual-military: the Social Security wage base applies to each member separately
+  const members = pay?.household?.members || null;
+  const ficaOut = members
+    ? members
+        .map((m) => {
+          const p = m.pay || {};
+          const wages = p.payModel === "veteran" ? 0 : (Number(p.basePay) || 0) + (Number(p.civilianIncome) || 0);
+          return ficaMonthly(wages, fica, filingStatus);
+        })
+        .reduce((a, f) => ({ socialSecurity: round2(a.socialSecurity + f.socialSecurity), medicare: round2(a.medicare + f.medicare) }), {
+          socialSecurity: 0,
+          medicare: 0,
+        })
+    : ficaMonthly(ficaWages, fica, filingStatus);
+
+  // State (military domicile rules)
+  const stationedState =
+    normalizeState(pickFirst(profile, ["duty_state", "dutyState"])) ||
+    (pay?.bahDetail?.via === "oha" ? "OCONUS" : normalizeState(String(pay?.bahDetail?.mha || "").slice(0, 2)));
+  let slr = normalizeState(
+    pickFirst(profile, ["legal_residence_state", "legalResidenceState", "slr", "state_of_legal_residence"])
+  );
+  if (!slr && stationedState && stationedState !== "OCONUS") {
+    slr = stationedState;
+    warnings.push("slr_assumed_duty_state");
+  }
+
+  const st = slr ? tables.STATES?.[slr] : null;
+  if (!slr) warnings.push("state_unknown");
+  else if (!st) warnings.push("state_not_found");
+
+  const applied = stateRuleApplied(st, { veteran, slr, stationedState });
+  // Guard/Reserve civilian wages are taxed at home even where military pay is exempt
+  const civilianOnly = applied !== "taxable" && applied !== "none" && civilianMonthly > 0;
+  const stateRate = applied === "taxable" || civilianOnly ? Number(st.rate) || 0 : 0;
+  if (stateRate && st?.approx) warnings.push("state_rate_approx");
+  const stateAnnual = (civilianOnly ? civilianMonthly * 12 : taxableAnnual) * (stateRate / 100);
+
+  const fedMonthly = fedAnnual / 12;
+  const ficaTotal = ficaOut.socialSecurity + ficaOut.medicare;
+  const stateMonthly = stateAnnual / 12;
+  const totalTaxMonthly = fedMonthly + ficaTotal + stateMonthly;
+
+  // Tax advantage: extra taxable pay needed to net the same as the tax-free allowances
+  const marginalRate = fedHit.marginal + stateRate;
+  const t = Math.min(marginalRate, 99) / 100;
+  const advantageMonthly = t > 0 ? (nonTaxableMonthly * t) / (1 - t) : 0;
+
+  return {
+    ok: grossMonthly > 0,
+    year: pick.year,
+    filingStatus,
+    stateOfLegalResidence: slr || null,
+    stationedState: stationedState || null,
+
+    grossMonthly: round2(grossMonthly),
+    taxableMonthly: round2(taxableMonthly),
+    nonTaxableMonthly: round2(nonTaxableMonthly),
+
+    federal: {
+      taxableIncomeAnnual: round2(fedTaxable),
+      taxAnnual: round2(fedAnnual),
+      childCreditAnnual: round2(childCredit),
+      monthly: round2(fedMonthly),
+      marginalRate: fedHit.marginal,
+      effectiveRate: taxableAnnual > 0 ? round2((fedAnnual / taxableAnnual) * 100) : 0,
+    },
+    fica: {
+      wagesMonthly: round2(ficaWages),
+      socialSecurity: ficaOut.socialSecurity,
+      medicare: ficaOut.medicare,
+      monthly: round2(ficaTotal),
+    },
+    state: {
+      code: slr || null,
+      name: st?.name || null,
+      rule: st?.rule || null,
+      applied,
+      rate: stateRate,
+      approx: !!(stateRate && st?.approx),
+      monthly: round2(stateMonthly),
+    },
+
+    deductions: { sbpPremiumMonthly: round2(sbpPremiumMonthly) },
+    totalTaxMonthly: round2(totalTaxMonthly),
+    netMonthly: round2(grossMonthly - totalTaxMonthly - sbpPremiumMonthly),
+
+    taxAdvantage: {
+      nonTaxableMonthly: round2(nonTaxableMonthly),
+      marginalRate,
+      monthly: round2(advantageMonthly),
+      annual: round2(advantageMonthly * 12),
+      taxSavedMonthly: round2(nonTaxableMonthly * t),
+    },
+
+    warnings,
+    sources,
+  };
+}
+
+module.exports = {
+  loadTaxTables,
+  validateTaxTables,
+  estimateTakeHome,
+  normalizeFilingStatus,
+};
@@ -1,9 +1,21 @@
 // netlify/functions/mortgage.js
 // ============================================================
-// OrozcoRealty.ai • Mortgage Engine (Standalone) v1.0.0
+// OrozcoRealty.ai • Mortgage Engine (Standalone) v1.5.0
 // PURPOSE:
 // - Deterministic mortgage breakdown for dashboards (Webflow-safe)
 // - Central source of truth for: APR, P&I, Tax, Insurance, HOA, PMI, All-in
+// - v1.1.0: optional month-by-month amortization table, PMI drop-off month,
+//   and extra-principal "what-if" scenarios (so dashboards stop redoing P&I math)
+// - v1.2.0: VA funding fee (first/subsequent use, down-payment tiers,
+//   disability exemption, financed into loan OR paid at closing)
+// - v1.3.0: FHA branch — upfront MIP (financed), annual MIP by LTV/term/loan size,
+//   and MIP duration (11 years vs life of loan) instead of conventional PMI rules
+// - v1.4.0: cash to close — lender/appraisal/title/recording fees, prepaid interest,
+//   first-year insurance, initial escrow deposits, funding fees due at closing and
+//   capped seller concessions, compared against cash available
+// - v1.5.0: loan products — 5/1, 7/1, 5/5 ARMs (index + margin, initial/periodic/lifetime
+//   caps, expected + worst-case yearly payments) and 2-1 / 3-2-1 temporary buydowns
+//   (per-year payments, subsidy, payment jumps)
 //
 // ENDPOINT:
 //   POST /.netlify/functions/mortgage
@@ -23,9 +35,44 @@
 //   "hoaMonthly": 0,              // optional
 //
 //   "loanType": "conventional",   // conventional | fha | va
+//   "product": "fixed",           // fixed | 5/1 | 7/1 | 5/5  (or arm_5_1 / arm_7_1 / arm_5_5)
+//   "arm": {                      // optional ARM assumptions (defaults per product)
+//     "initialRate": null,        // start rate (default: aprOverride, else modeled APR − ARM discount)
+//     "index": 4.0, "margin": 2.75, "floor": null,
+//     "caps": { "initial": 2, "periodic": 2, "lifetime": 5 }
+//   },
+//   "buydown": "2-1",             // fixed only: "2-1" | "3-2-1" (temporary rate buydown)
 //   "aprOverride": null,          // optional (e.g., 6.5)
 //   "pmiRate": 0.0075,            // optional (annual fraction)
-//   "pmiMonthlyOverride": null    // optional
+//   "pmiMonthlyOverride": null,   // optional
+//
+//   "vaFirstUse": true,           // VA only: first use of entitlement (default true)
+//   "vaDisabilityRating": 0,      // VA only: any rating > 0 => funding fee exempt
+//   "vaExempt": false,            // VA only: other exemptions (Purple Heart, surviving spouse)
+//   "vaFinanceFee": true,         // VA only: roll fee into loan (true) or pay at closing (false)
+//
+//   "fhaFinanceUfmip": true,      // FHA only: roll upfront MIP into loan (true) or pay at closing
+//   "fhaUpfrontMipRate": null,    // FHA only: override (fraction, default 0.0175)
+//   "fhaAnnualMipRate": null,     // FHA only: override (fraction, default from MIP table)
+//
+//   "schedule": false,            // optional: true adds the full month-by-month table
+//   "extraMonthly": 0,            // optional recurring extra principal ($/mo)
+//   "extraStartMonth": 1,         // optional first month the recurring extra applies
+//   "lumpSums": [                 // optional one-time extra principal payments
+//     { "month": 12, "amount": 5000 }
+//   ],
+//   "scenarios": [                // optional what-if comparisons (each runs its own schedule)
+//     { "label": "+$200/mo", "extraMonthly": 200 },
+//     { "label": "Bonus", "lumpSums": [{ "month": 24, "amount": 10000 }] }
+//   ],
+//
+//   "closing": {                  // optional: turns on cashToClose (state defaults; all optional)
+//     "state": "TX", "lenderFees": 1400, "appraisalFee": 600, "titleEscrowPct": 0.55,
+//     "recordingFees": 150, "transferTaxPct": 0, "prepaidInterestDays": 15,
+//     "escrowTaxMonths": 6, "escrowInsuranceMonths": 2, "prepaidInsuranceMonths": 12,
+//     "sellerConcessionPct": 2, "sellerConcessions": null, "otherFees": 0
+//   },
+//   "cashAvailable": 20000        // optional: cash on hand to compare (also turns on cashToClose)
 // }
 //
 // OUTPUT:
@@ -37,8 +84,39 @@
 //   price: 275000,
 //   downPayment: 25000,
 //   downPercent: 9.09,
-//   loanAmount: 250000,
-//   breakdown: { pi, tax, insurance, hoa, pmi, allIn },
+//   loanAmount: 250000,           // includes financed VA funding fee
+//   baseLoanAmount: 250000,       // price - down (before any financed fee)
+//   product: "fixed" | "arm_5_1" | "arm_7_1" | "arm_5_5",
+//   breakdown: { pi, tax, insurance, hoa, pmi, upfrontMip, annualMip, allIn },
+//     // ARM: pi is the start-rate payment; buydown: pi is the NOTE-rate payment (year 3+/4+)
+//     // pmi = monthly mortgage insurance of any kind (legacy); for FHA it equals annualMip
+//     // upfrontMip = one-time FHA UFMIP dollars (financed or due at closing, see fhaMip)
+//   fhaMip: { applies, ltvPct, upfrontRatePct, upfrontAmount, financed, dueAtClosing,
+//             annualRatePct, annualMonthly, durationMonths, durationLabel },
+//   vaFundingFee: { applies, exempt, exemptReason, useType, ratePct, amount, financed, dueAtClosing },
+//   arm: { product, label, fixedYears, adjustEveryYears, caps, initialRate, index, margin,
+//          fullyIndexedRate, floor, ceiling, initialPayment, firstAdjustment,
+//          worstCase: { rate, payment, year, increase }, qualifyingRate, qualifyingPayment,
+//          yearly: [{ year, rate, payment, worstRate, worstPayment }] },          // ARMs only
+//   buydown: { type, noteRate, notePi, subsidyTotal, paymentJumps,
+//              yearly: [{ year, label, rate, pi, allIn, belowNote }] },             // buydowns only
+//   amortization: {              // only when schedule/extra/lumpSums/scenarios requested
+//     schedule: [{ month, year, payment, principal, interest, extra, pmi, balance, ltv }],  // schedule: true only
+//     yearly:   [{ year, principal, interest, extra, pmi, endBalance }],
+//     summary:  { months, payoffMonth, totalInterest, totalPrincipal, totalExtra, totalPmi },
+//     pmiDropoff: { requestMonth80, autoMonth78, fixedEndMonth },
+//     baseline: { payoffMonth, totalInterest },   // no-extra reference
+//     savings:  { monthsSaved, interestSaved },
+//     scenarios: [{ label, summary, pmiDropoff, savings }]
+//   },
+//   cashToClose: {               // only when closing / cashAvailable / cashToClose requested
+//     total, downPayment, beyondDownPayment,
+//     closingCosts: { lenderFees, appraisalFee, titleEscrow, recordingFees, transferTax, otherFees, total },
+//     prepaids: { prepaidInterest, prepaidInsurance, escrowTax, escrowInsurance, total },
+//     fundingFees: { vaFundingFee, fhaUpfrontMip, total },
+//     sellerConcessions: { requested, capPct, applied },
+//     available, surplus, shortfall, assumptions, warnings
+//   },
 //   meta: { aprSource, pmiApplied, warnings: [...] }
 // }
 // ============================================================
@@ -67,6 +145,12 @@ function num(x){
   return Number.isFinite(n) ? n : NaN;
 }
 
+// Optional inputs: null / "" mean "not given" (num() reads both as 0)
+function optNum(x){
+  if (x === null || x === undefined || String(x).trim() === "") return NaN;
+  return num(x);
+}
+
 function clamp(n, lo, hi){
   return Math.max(lo, Math.min(hi, n));
 }
@@ -156,17 +240,22 @@ function computePMI({
   const dp = num(downPercent);
   const LA = num(loanAmount);
 
-  // Explicit override wins
-  const override = num(pmiMonthlyOverride);
+  // Explicit override wins (null / "" = not given)
+  const override = optNum(pmiMonthlyOverride);
   if (Number.isFinite(override) && override >= 0){
     return { pmiMonthly: override, pmiApplied: override > 0, warnings };
   }
 
-  // VA typically no PMI (funding fee is separate; not modeled here)
+  // VA has no PMI (the one-time funding fee is handled by computeVaFundingFee)
   if (lt === "va"){
     return { pmiMonthly: 0, pmiApplied: false, warnings };
   }
 
+  // FHA mortgage insurance is MIP, not PMI (handled by computeFhaMip)
+  if (lt === "fha"){
+    return { pmiMonthly: 0, pmiApplied: false, warnings };
+  }
+
   // If down >= 20% => no PMI
   if (Number.isFinite(dp) && dp >= 20){
     return { pmiMonthly: 0, pmiApplied: false, warnings };
@@ -184,6 +273,659 @@ function computePMI({
   return { pmiMonthly, pmiApplied: pmiMonthly > 0, warnings };
 }
 
+// ============================================================
+// //#3.2 — VA funding fee (purchase loans, 38 U.S.C. 3729 schedule)
+// Rates are percent of the base loan amount; tiers keyed by down payment %.
+// ============================================================
+const VA_FUNDING_FEE_TIERS = {
+  first:      [ { minDownPct: 10, ratePct: 1.25 }, { minDownPct: 5, ratePct: 1.50 }, { minDownPct: 0, ratePct: 2.15 } ],
+  subsequent: [ { minDownPct: 10, ratePct: 1.25 }, { minDownPct: 5, ratePct: 1.50 }, { minDownPct: 0, ratePct: 3.30 } ]
+};
+
+function boolish(x, fallback){
+  if (x === true || x === false) return x;
+  const s = String(x ?? "").trim().toLowerCase();
+  if (["true", "yes", "y", "1"].includes(s)) return true;
+  if (["false", "no", "n", "0"].includes(s)) return false;
+  return fallback;
+}
+
+function computeVaFundingFee({
+  loanType,
+  downPercent,
+  baseLoanAmount,
+  vaFirstUse,
+  vaDisabilityRating,
+  vaExempt,
+  vaFinanceFee
+}){
+  const lt = String(loanType || "conventional").toLowerCase();
+  const financed = boolish(vaFinanceFee, true);
+
+  if (lt !== "va"){
+    return { applies: false, exempt: false, exemptReason: null, useType: null, ratePct: 0, amount: 0, financed: false, dueAtClosing: 0 };
+  }
+
+  const firstUse = boolish(vaFirstUse, true);
+  const useType = firstUse ? "first" : "subsequent";
+
+  const rating = num(vaDisabilityRating);
+  const exemptReason =
+    (Number.isFinite(rating) && rating > 0 && "va_disability_compensation") ||
+    (boolish(vaExempt, false) && "caller_exempt") ||
+    null;
+
+  if (exemptReason){
+    return { applies: true, exempt: true, exemptReason, useType, ratePct: 0, amount: 0, financed: false, dueAtClosing: 0 };
+  }
+
+  const dp = Number.isFinite(num(downPercent)) ? num(downPercent) : 0;
+  const tier = VA_FUNDING_FEE_TIERS[useType].find((t) => dp >= t.minDownPct);
+  const ratePct = tier ? tier.ratePct : 0;
+
+  const LA = num(baseLoanAmount);
+  const amount = Number.isFinite(LA) && LA > 0 ? (LA * ratePct) / 100 : 0;
+
+  return {
+    applies: true,
+    exempt: false,
+    exemptReason: null,
+    useType,
+    ratePct,
+    amount,
+    financed,
+    dueAtClosing: financed ? 0 : amount
+  };
+}
+
+// ============================================================
+// //#3.3 — FHA MIP (HUD Mortgagee Letter 2023-05 schedule)
+// - Upfront MIP: 1.75% of base loan, usually financed
+// - Annual MIP: bps by term (>15y vs <=15y), base loan size and LTV
+// - Duration: LTV <= 90% at origination => 11 years, else life of loan
+// ============================================================
+const FHA_UFMIP_RATE = 0.0175;
+const FHA_LOAN_SIZE_BREAK = 726200;
+const FHA_MIP_MIN_DOWN_PCT = 3.5;
+
+const FHA_ANNUAL_MIP_TABLE = {
+  long: {   // term > 15 years
+    standard: [ { maxLtv: 95, bps: 50 }, { maxLtv: Infinity, bps: 55 } ],
+    jumbo:    [ { maxLtv: 95, bps: 70 }, { maxLtv: Infinity, bps: 75 } ]
+  },
+  short: {  // term <= 15 years
+    standard: [ { maxLtv: 90, bps: 15 }, { maxLtv: Infinity, bps: 40 } ],
+    jumbo:    [ { maxLtv: 78, bps: 15 }, { maxLtv: 90, bps: 40 }, { maxLtv: Infinity, bps: 65 } ]
+  }
+};
+
+function computeFhaMip({
+  loanType,
+  price,
+  baseLoanAmount,
+  termYears,
+  downPercent,
+  fhaFinanceUfmip,
+  fhaUpfrontMipRate,
+  fhaAnnualMipRate
+}){
+  const warnings = [];
+  const lt = String(loanType || "conventional").toLowerCase();
+
+  if (lt !== "fha"){
+    return {
+      applies: false, ltvPct: null, upfrontRatePct: 0, upfrontAmount: 0, financed: false, dueAtClosing: 0,
+      annualRatePct: 0, annualMonthly: 0, durationMonths: 0, durationLabel: null, warnings
+    };
+  }
+
+  const p = num(price);
+  const LA = Math.max(0, num(baseLoanAmount) || 0);
+  const years = num(termYears) || 30;
+  const ltvPct = Number.isFinite(p) && p > 0 ? (LA / p) * 100 : 100;
+
+  if (Number.isFinite(num(downPercent)) && num(downPercent) < FHA_MIP_MIN_DOWN_PCT){
+    warnings.push(`FHA: down payment below ${FHA_MIP_MIN_DOWN_PCT}% minimum (580+ credit).`);
+  }
+
+  const upOverride = num(fhaUpfrontMipRate);
+  const upRate = Number.isFinite(upOverride) && upOverride >= 0 ? upOverride : FHA_UFMIP_RATE;
+  const upfrontAmount = LA * upRate;
+  const financed = boolish(fhaFinanceUfmip, true);
+
+  const termBand = years > 15 ? "long" : "short";
+  const sizeBand = LA > FHA_LOAN_SIZE_BREAK ? "jumbo" : "standard";
+  const row = FHA_ANNUAL_MIP_TABLE[termBand][sizeBand].find((r) => ltvPct <= r.maxLtv);
+
+  const annOverride = num(fhaAnnualMipRate);
+  const annualRate = Number.isFinite(annOverride) && annOverride >= 0 ? annOverride : (row ? row.bps / 10000 : 0);
+
+  // Annual MIP is charged on the outstanding balance, which includes a financed UFMIP
+  const mipBasis = LA + (financed ? upfrontAmount : 0);
+  const annualMonthly = (mipBasis * annualRate) / 12;
+
+  const lifeOfLoan = ltvPct > 90;
+  const durationMonths = lifeOfLoan ? Math.round(years * 12) : 11 * 12;
+
+  return {
+    applies: true,
+    ltvPct,
+    upfrontRatePct: upRate * 100,
+    upfrontAmount,
+    financed,
+    dueAtClosing: financed ? 0 : upfrontAmount,
+    annualRatePct: annualRate * 100,
+    annualMonthly,
+    durationMonths,
+    durationLabel: lifeOfLoan ? "life_of_loan" : "11_years",
+    warnings
+  };
+}
+
+// ============================================================
+// //#3.4 — Loan products: ARMs (5/1, 7/1, 5/5) + temporary buydowns (2-1, 3-2-1)
+// ARM: start rate fixed for fixedYears, then resets every adjustEveryYears toward
+//      index + margin, limited by initial / periodic / lifetime caps (floor = margin).
+//      "expected" holds the index flat; "worst" takes the full cap at every reset.
+// Buydown: year-1/2/3 rate reduced on the same note; payments return to the note rate
+//      after; the subsidy (note P&I − reduced P&I) is funded at closing, usually by
+//      the seller/builder. Lenders qualify on the note rate.
+// ============================================================
+const ARM_PRODUCTS = {
+  arm_5_1: { label: "5/1 ARM", fixedYears: 5, adjustEveryYears: 1, caps: { initial: 2, periodic: 2, lifetime: 5 }, startDiscountPct: 0.5 },
+  arm_7_1: { label: "7/1 ARM", fixedYears: 7, adjustEveryYears: 1, caps: { initial: 5, periodic: 2, lifetime: 5 }, startDiscountPct: 0.35 },
+  arm_5_5: { label: "5/5 ARM", fixedYears: 5, adjustEveryYears: 5, caps: { initial: 2, periodic: 2, lifetime: 5 }, startDiscountPct: 0.4 }
+};
+
+// Example defaults (tune as you like): 30-day average SOFR + a typical margin
+const ARM_DEFAULT_INDEX_PCT = 4.0;
+const ARM_DEFAULT_MARGIN_PCT = 2.75;
+
+const BUYDOWNS = {
+  "2-1": [2, 1],
+  "3-2-1": [3, 2, 1]
+};
+
+function normalizeProduct(x){
+  const s = String(x || "").trim().toLowerCase().replace(/\s+/g, "");
+  if (!s || s === "fixed") return "fixed";
+  const m = /^(?:arm_?)?(\d)[/_-](\d)(?:arm)?$/.exec(s);
+  if (m && ARM_PRODUCTS[`arm_${m[1]}_${m[2]}`]) return `arm_${m[1]}_${m[2]}`;
+  return null;
+}
+
+function normalizeBuydown(x){
+  const s = String(x?.type ?? x ?? "").trim().replace(/\//g, "-");
+  return BUYDOWNS[s] ? s : null;
+}
+
+// One rate path, amortized month by month; rate resets recompute the payment on the
+// remaining balance over the remaining term.
+function runArmPath({ loanAmount, termYears, cfg, initialRate, fullyIndexed, floor, ceiling, worst }){
+  const n = Math.round(termYears * 12);
+  let balance = loanAmount;
+  let rate = initialRate;
+  let payment = mortgagePI(balance, rate, termYears);
+  let resets = 0;
+  const yearly = [];
+
+  for (let year = 1; year <= Math.ceil(n / 12); year++){
+    const sinceFixed = year - cfg.fixedYears - 1;
+    if (sinceFixed >= 0 && sinceFixed % cfg.adjustEveryYears === 0){
+      const cap = resets === 0 ? cfg.caps.initial : cfg.caps.periodic;
+      const target = worst ? rate + cap : clamp(fullyIndexed, rate - cap, rate + cap);
+      rate = clamp(target, floor, ceiling);
+      resets++;
+      const monthsLeft = n - (year - 1) * 12;
+      payment = monthsLeft > 0 ? mortgagePI(balance, rate, monthsLeft / 12) : 0;
+    }
+
+    const r = rate / 100 / 12;
+    for (let m = 0; m < 12 && balance > 0.005; m++){
+      const interest = balance * r;
+      balance = Math.max(0, balance - Math.max(0, payment - interest));
+    }
+    yearly.push({ year, rate: round2(rate), payment: round2(payment), endBalance: round2(balance) });
+  }
+  return yearly;
+}
+
+function buildArmBlock({ product, arm, loanAmount, termYears, apr, aprSource }){
+  const cfg = ARM_PRODUCTS[product];
+  const a = arm && typeof arm === "object" ? arm : {};
+  const caps = {
+    initial: Number.isFinite(num(a.caps?.initial)) ? Math.max(0, num(a.caps.initial)) : cfg.caps.initial,
+    periodic: Number.isFinite(num(a.caps?.periodic)) ? Math.max(0, num(a.caps.periodic)) : cfg.caps.periodic,
+    lifetime: Number.isFinite(num(a.caps?.lifetime)) ? Math.max(0, num(a.caps.lifetime)) : cfg.caps.lifetime
+  };
+  const c = { ...cfg, caps };
+
+  // An explicit APR override is the ARM start rate; a modeled fixed APR gets the ARM discount
+  const initialRate = Number.isFinite(num(a.initialRate)) && num(a.initialRate) > 0
+    ? num(a.initialRate)
+    : aprSource === "override" ? apr : Math.max(0.5, apr - cfg.startDiscountPct);
+  const index = Number.isFinite(num(a.index)) ? num(a.index) : ARM_DEFAULT_INDEX_PCT;
+  const margin = Number.isFinite(num(a.margin)) ? num(a.margin) : ARM_DEFAULT_MARGIN_PCT;
+  const fullyIndexed = index + margin;
+  const floor = Number.isFinite(num(a.floor)) ? num(a.floor) : Math.min(margin, initialRate);
+  const ceiling = initialRate + caps.lifetime;
+
+  const args = { loanAmount, termYears, cfg: c, initialRate, fullyIndexed, floor, ceiling };
+  const expected = runArmPath({ ...args, worst: false });
+  const worst = runArmPath({ ...args, worst: true });
+
+  const yearly = expected.map((e, i) => ({
+    year: e.year,
+    rate: e.rate,
+    payment: e.payment,
+    worstRate: worst[i].rate,
+    worstPayment: worst[i].payment
+  }));
+
+  const initialPayment = yearly[0]?.payment || 0;
+  const peak = worst.reduce((best, r) => (r.payment > best.payment ? r : best), worst[0] || { year: 1, rate: initialRate, payment: 0 });
+  const firstReset = yearly[cfg.fixedYears] || null;
+
+  // Agency qualifying rate: ≤5-yr fixed -> max(start + 2, fully indexed); longer -> max(start, fully indexed)
+  const qualifyingRate = cfg.fixedYears <= 5 ? Math.max(initialRate + 2, fullyIndexed) : Math.max(initialRate, fullyIndexed);
+
+  return {
+    product,
+    label: cfg.label,
+    fixedYears: cfg.fixedYears,
+    adjustEveryYears: cfg.adjustEveryYears,
+    caps,
+    initialRate: round2(initialRate),
+    index: round2(index),
+    margin: round2(margin),
+    fullyIndexedRate: round2(fullyIndexed),
+    floor: round2(floor),
+    ceiling: round2(ceiling),
+    initialPayment: round2(initialPayment),
+    firstAdjustment: firstReset,
+    worstCase: {
+      rate: peak.rate,
+      payment: peak.payment,
+      year: peak.year,
+      increase: round2(peak.payment - initialPayment)
+    },
+    qualifyingRate: round2(qualifyingRate),
+    qualifyingPayment: round2(mortgagePI(loanAmount, qualifyingRate, termYears)),
+    yearly
+  };
+}
+
+function buildBuydownBlock({ type, loanAmount, termYears, apr, escrowMonthly }){
+  const steps = BUYDOWNS[type];
+  const notePi = mortgagePI(loanAmount, apr, termYears);
+  const yearly = [];
+  let subsidy = 0;
+
+  for (let i = 0; i <= steps.length; i++){
+    const reduction = steps[i] || 0;
+    const rate = Math.max(0, apr - reduction);
+    const pi = reduction ? mortgagePI(loanAmount, rate, termYears) : notePi;
+    subsidy += (notePi - pi) * 12;
+    yearly.push({
+      year: i + 1,
+      label: i < steps.length ? `Year ${i + 1}` : `Year ${i + 1}+`,
+      rate: round2(rate),
+      pi: round2(pi),
+      allIn: round2(pi + escrowMonthly),
+      belowNote: round2(notePi - pi)
+    });
+  }
+
+  return {
+    type,
+    noteRate: round2(apr),
+    notePi: round2(notePi),
+    yearly,
+    subsidyTotal: round2(subsidy),
+    paymentJumps: yearly.slice(1).map((y, i) => ({ year: y.year, increase: round2(y.pi - yearly[i].pi) })),
+    note: "Subsidy is escrowed at closing (usually seller/builder-paid and counted toward concession caps); qualification uses the note rate."
+  };
+}
+
+// ============================================================
+// //#3.5 — Amortization schedule + payoff scenarios
+// - Month-by-month P&I split with optional extra principal
+// - PMI: borrower may request removal once the ACTUAL balance reaches 80% LTV;
+//   automatic cancellation is the month the ORIGINAL schedule (no extra
+//   principal) reaches 78% LTV, so prepayments don't move it. Both vs ORIGINAL price
+// ============================================================
+function normalizeLumpSums(raw){
+  if (!Array.isArray(raw)) return [];
+  const out = [];
+  for (const ls of raw){
+    const month = Math.floor(num(ls?.month));
+    const amount = num(ls?.amount);
+    if (!Number.isFinite(month) || month < 1) continue;
+    if (!Number.isFinite(amount) || amount <= 0) continue;
+    out.push({ month, amount });
+  }
+  return out;
+}
+
+function buildAmortizationSchedule({
+  loanAmount,
+  aprPercent,
+  termYears,
+  price,
+  pmiMonthly = 0,
+  pmiFixedMonths = null,
+  extraMonthly = 0,
+  extraStartMonth = 1,
+  lumpSums = []
+}){
+  const P = num(loanAmount);
+  const apr = num(aprPercent);
+  const n = Math.round(num(termYears) * 12);
+  const originalValue = num(price);
+
+  const schedule = [];
+  const summary = { months: 0, payoffMonth: 0, totalInterest: 0, totalPrincipal: 0, totalExtra: 0, totalPmi: 0 };
+  const pmiDropoff = { requestMonth80: null, autoMonth78: null, fixedEndMonth: null };
+  const fixedMonths = Number.isFinite(num(pmiFixedMonths)) && num(pmiFixedMonths) > 0 ? Math.round(num(pmiFixedMonths)) : null;
+
+  if (!Number.isFinite(P) || P <= 0 || !Number.isFinite(n) || n <= 0){
+    return { schedule, yearly: [], summary, pmiDropoff };
+  }
+
+  const r = (Number.isFinite(apr) && apr > 0) ? (apr / 100) / 12 : 0;
+  const payment = r > 0 ? mortgagePI(P, apr, termYears) : P / n;
+  const extraMo = Math.max(0, num(extraMonthly) || 0);
+  const extraStart = Math.max(1, Math.floor(num(extraStartMonth) || 1));
+
+  const lumpByMonth = new Map();
+  for (const ls of normalizeLumpSums(lumpSums)){
+    lumpByMonth.set(ls.month, (lumpByMonth.get(ls.month) || 0) + ls.amount);
+  }
+
+  const hasValue = Number.isFinite(originalValue) && originalValue > 0;
+  let pmiActive = num(pmiMonthly) > 0;
+  let bal = P;
+
+  // Automatic 78% cancellation runs off the original amortization schedule
+  let scheduledMonth78 = null;
+  if (pmiActive && fixedMonths == null && hasValue){
+    let sched = P;
+    for (let m = 1; m <= n && sched > 0.005; m++){
+      sched = Math.max(0, sched - Math.min(sched, payment - sched * r));
+      if ((sched / originalValue) * 100 <= 78){ scheduledMonth78 = m; break; }
+    }
+  }
+
+  for (let m = 1; m <= n && bal > 0.005; m++){
+    const interest = bal * r;
+    let principal = Math.min(bal, payment - interest);
+    let extra = (m >= extraStart ? extraMo : 0) + (lumpByMonth.get(m) || 0);
+    extra = Math.min(extra, Math.max(0, bal - principal));
+
+    const pmi = pmiActive ? num(pmiMonthly) : 0;
+    bal = Math.max(0, bal - principal - extra);
+
+    const ltv = hasValue ? (bal / originalValue) * 100 : null;
+    if (pmiActive && fixedMonths != null){
+      // FHA-style MIP runs for a fixed period regardless of LTV
+      if (m >= fixedMonths){
+        pmiDropoff.fixedEndMonth = m;
+        pmiActive = false;
+      }
+    } else if (pmiActive && ltv != null){
+      if (pmiDropoff.requestMonth80 == null && ltv <= 80) pmiDropoff.requestMonth80 = m;
+      if (pmiDropoff.autoMonth78 == null && m === scheduledMonth78){
+        pmiDropoff.autoMonth78 = m;
+        pmiActive = false;
+      }
+    }
+
+    summary.totalInterest += interest;
+    summary.totalPrincipal += principal + extra;
+    summary.totalExtra += extra;
+    summary.totalPmi += pmi;
+
+    schedule.push({
+      month: m,
+      year: Math.ceil(m / 12),
+      payment: round2(principal + interest + extra),
+      principal: round2(principal),
+      interest: round2(interest),
+      extra: round2(extra),
+      pmi: round2(pmi),
+      balance: round2(bal),
+      ltv: ltv != null ? round2(ltv) : null
+    });
+  }
+
+  summary.months = schedule.length;
+  summary.payoffMonth = schedule.length;
+  summary.totalInterest = round2(summary.totalInterest);
+  summary.totalPrincipal = round2(summary.totalPrincipal);
+  summary.totalExtra = round2(summary.totalExtra);
+  summary.totalPmi = round2(summary.totalPmi);
+
+  const yearly = [];
+  for (const row of schedule){
+    let y = yearly[row.year - 1];
+    if (!y){
+      y = { year: row.year, principal: 0, interest: 0, extra: 0, pmi: 0, endBalance: 0 };
+      yearly.push(y);
+    }
+    y.principal = round2(y.principal + row.principal);
+    y.interest = round2(y.interest + row.interest);
+    y.extra = round2(y.extra + row.extra);
+    y.pmi = round2(y.pmi + row.pmi);
+    y.endBalance = row.balance;
+  }
+
+  return { schedule, yearly, summary, pmiDropoff };
+}
+
+function compareToBaseline(run, baseline){
+  return {
+    monthsSaved: Math.max(0, baseline.summary.payoffMonth - run.summary.payoffMonth),
+    interestSaved: round2(Math.max(0, baseline.summary.totalInterest - run.summary.totalInterest)),
+    pmiSaved: round2(Math.max(0, baseline.summary.totalPmi - run.summary.totalPmi))
+  };
+}
+
+function wantsAmortization(body){
+  return !!(
+    body?.schedule ||
+    body?.amortization ||
+    num(body?.extraMonthly) > 0 ||
+    (Array.isArray(body?.lumpSums) && body.lumpSums.length) ||
+    (Array.isArray(body?.scenarios) && body.scenarios.length)
+  );
+}
+
+function buildAmortizationBlock(body, { loanAmount, apr, termYears, price, pmiMonthly, pmiFixedMonths }){
+  const core = { loanAmount, aprPercent: apr, termYears, price, pmiMonthly, pmiFixedMonths };
+
+  const baseline = buildAmortizationSchedule(core);
+  const primary = buildAmortizationSchedule({
+    ...core,
+    extraMonthly: body.extraMonthly,
+    extraStartMonth: body.extraStartMonth,
+    lumpSums: body.lumpSums
+  });
+
+  const scenarios = (Array.isArray(body.scenarios) ? body.scenarios : []).slice(0, 10).map((sc, i) => {
+    const run = buildAmortizationSchedule({
+      ...core,
+      extraMonthly: sc?.extraMonthly,
+      extraStartMonth: sc?.extraStartMonth,
+      lumpSums: sc?.lumpSums
+    });
+    return {
+      label: String(sc?.label || `Scenario ${i + 1}`),
+      extraMonthly: Math.max(0, num(sc?.extraMonthly) || 0),
+      lumpSums: normalizeLumpSums(sc?.lumpSums),
+      summary: run.summary,
+      pmiDropoff: run.pmiDropoff,
+      savings: compareToBaseline(run, baseline),
+      yearly: run.yearly
+    };
+  });
+
+  return {
+    schedule: body.schedule === true ? primary.schedule : undefined,
+    yearly: primary.yearly,
+    summary: primary.summary,
+    pmiDropoff: primary.pmiDropoff,
+    baseline: {
+      payoffMonth: baseline.summary.payoffMonth,
+      totalInterest: baseline.summary.totalInterest,
+      totalPmi: baseline.summary.totalPmi,
+      pmiDropoff: baseline.pmiDropoff
+    },
+    savings: compareToBaseline(primary, baseline),
+    scenarios
+  };
+}
+
+// ============================================================
+// //#3.6 — Cash to close (down payment + closing costs + prepaids − seller credits)
+// Defaults are national; callers pass state defaults (city closing_costs) in body.closing.
+// Seller concession caps: VA 4%, FHA 6%, conventional 3% (<10% down) / 6% (10–25%) / 9% (25%+).
+// ============================================================
+const CLOSING_DEFAULTS = {
+  lenderFees: 1400,
+  appraisalFee: 600,
+  titleEscrowPct: 0.6,
+  recordingFees: 125,
+  transferTaxPct: 0,
+  prepaidInterestDays: 15,
+  escrowTaxMonths: 3,
+  escrowInsuranceMonths: 2,
+  prepaidInsuranceMonths: 12,
+  sellerConcessionPct: 0,
+  otherFees: 0
+};
+
+function sellerConcessionCapPct(loanType, downPercent){
+  const lt = String(loanType || "conventional").toLowerCase();
+  if (lt === "va") return 4;
+  if (lt === "fha") return 6;
+  const dp = num(downPercent) || 0;
+  if (dp >= 25) return 9;
+  if (dp >= 10) return 6;
+  return 3;
+}
+
+function wantsCashToClose(body){
+  return !!(
+    body?.cashToClose ||
+    (body?.closing && typeof body.closing === "object") ||
+    Number.isFinite(optNum(body?.cashAvailable))
+  );
+}
+
+function computeCashToClose({
+  closing,
+  loanType,
+  price,
+  downPayment,
+  downPercent,
+  baseLoanAmount,
+  loanAmount,
+  apr,
+  taxMonthly,
+  insuranceMonthly,
+  vaFee,
+  fhaMip,
+  cashAvailable
+}){
+  const warnings = [];
+  const c = closing && typeof closing === "object" ? closing : {};
+  if (!closing || typeof closing !== "object") warnings.push("Closing: no state defaults passed; used national defaults.");
+
+  const pick = (k) => (Number.isFinite(optNum(c[k])) && optNum(c[k]) >= 0 ? optNum(c[k]) : CLOSING_DEFAULTS[k]);
+  const lt = String(loanType || "conventional").toLowerCase();
+
+  // VA: lender charges are limited to a 1% flat origination (plus allowable third-party fees)
+  let lenderFees = pick("lenderFees");
+  if (lt === "va" && lenderFees > baseLoanAmount * 0.01){
+    lenderFees = baseLoanAmount * 0.01;
+    warnings.push("Closing: VA lender fees capped at 1% of the loan.");
+  }
+  const appraisalFee = pick("appraisalFee");
+  const titleEscrow = (price * pick("titleEscrowPct")) / 100;
+  const recordingFees = pick("recordingFees");
+  const transferTax = (price * pick("transferTaxPct")) / 100;
+  const otherFees = pick("otherFees");
+  const closingTotal = lenderFees + appraisalFee + titleEscrow + recordingFees + transferTax + otherFees;
+
+  // Prepaids: interest to month-end, first-year premium, initial escrow deposits
+  const prepaidInterest = (loanAmount * (apr / 100) / 365) * pick("prepaidInterestDays");
+  const prepaidInsurance = insuranceMonthly * pick("prepaidInsuranceMonths");
+  const escrowTax = taxMonthly * pick("escrowTaxMonths");
+  const escrowInsurance = insuranceMonthly * pick("escrowInsuranceMonths");
+  const prepaidsTotal = prepaidInterest + prepaidInsurance + escrowTax + escrowInsurance;
+
+  const vaDue = num(vaFee?.dueAtClosing) || 0;
+  const fhaDue = num(fhaMip?.dueAtClosing) || 0;
+  const feesTotal = vaDue + fhaDue;
+
+  // Seller credits pay costs, never the down payment
+  const requested = Number.isFinite(optNum(c.sellerConcessions))
+    ? Math.max(0, optNum(c.sellerConcessions))
+    : (price * pick("sellerConcessionPct")) / 100;
+  const capPct = sellerConcessionCapPct(lt, downPercent);
+  const applied = Math.min(requested, (price * capPct) / 100, closingTotal + prepaidsTotal + feesTotal);
+  if (applied < requested) warnings.push(`Closing: seller concessions limited to ${round2(applied)} (cap ${capPct}% / actual costs).`);
+
+  const total = downPayment + closingTotal + prepaidsTotal + feesTotal - applied;
+  const available = optNum(cashAvailable);
+  const hasAvailable = Number.isFinite(available) && available >= 0;
+
+  return {
+    total: round2(total),
+    downPayment: round2(downPayment),
+    closingCosts: {
+      lenderFees: round2(lenderFees),
+      appraisalFee: round2(appraisalFee),
+      titleEscrow: round2(titleEscrow),
+      recordingFees: round2(recordingFees),
+      transferTax: round2(transferTax),
+      otherFees: round2(otherFees),
+      total: round2(closingTotal)
+    },
+    prepaids: {
+      prepaidInterest: round2(prepaidInterest),
+      prepaidInsurance: round2(prepaidInsurance),
+      escrowTax: round2(escrowTax),
+      escrowInsurance: round2(escrowInsurance),
+      total: round2(prepaidsTotal)
+    },
+    fundingFees: {
+      vaFundingFee: round2(vaDue),
+      fhaUpfrontMip: round2(fhaDue),
+      total: round2(feesTotal)
+    },
+    sellerConcessions: {
+      requested: round2(requested),
+      capPct,
+      applied: round2(applied)
+    },
+    beyondDownPayment: round2(total - downPayment),
+    available: hasAvailable ? round2(available) : null,
+    surplus: hasAvailable ? round2(available - total) : null,
+    shortfall: hasAvailable ? round2(Math.max(0, total - available)) : null,
+    assumptions: {
+      state: c.state || null,
+      titleEscrowPct: pick("titleEscrowPct"),
+      transferTaxPct: pick("transferTaxPct"),
+      prepaidInterestDays: pick("prepaidInterestDays"),
+      escrowTaxMonths: pick("escrowTaxMonths"),
+      escrowInsuranceMonths: pick("escrowInsuranceMonths"),
+      prepaidInsuranceMonths: pick("prepaidInsuranceMonths")
+    },
+    warnings
+  };
+}
+
 // ============================================================
 // //#4 — Netlify handler
 // ============================================================
@@ -207,11 +949,51 @@ exports.handler = async function handler(event) {
 
     const termYears = Number.isFinite(num(body.termYears)) ? clamp(num(body.termYears), 5, 40) : 30;
 
+    const product = normalizeProduct(body.product ?? body.loanProduct);
+    if (!product){
+      return j(400, { ok:false, error:"Unknown 'product' (use fixed, 5/1, 7/1 or 5/5)." });
+    }
+    const buydownType = body.buydown ? normalizeBuydown(body.buydown) : null;
+    if (body.buydown && !buydownType){
+      return j(400, { ok:false, error:"Unknown 'buydown' (use 2-1 or 3-2-1)." });
+    }
+    if (buydownType && product !== "fixed"){
+      return j(400, { ok:false, error:"Temporary buydowns apply to fixed-rate loans only." });
+    }
+
     const { downPayment, downPercent, downSource } = normalizeDown(price, body.down);
     const dp = clamp(downPayment, 0, price);
     const dpct = clamp(downPercent, 0, 100);
 
-    const loanAmount = Math.max(0, price - dp);
+    const baseLoanAmount = Math.max(0, price - dp);
+
+    const vaFee = computeVaFundingFee({
+      loanType: body.loanType,
+      downPercent: dpct,
+      baseLoanAmount,
+      vaFirstUse: body.vaFirstUse,
+      vaDisabilityRating: body.vaDisabilityRating,
+      vaExempt: body.vaExempt,
+      vaFinanceFee: body.vaFinanceFee
+    });
+
+    const fhaMip = computeFhaMip({
+      loanType: body.loanType,
+      price,
+      baseLoanAmount,
+      termYears,
+      downPercent: dpct,
+      fhaFinanceUfmip: body.fhaFinanceUfmip,
+      fhaUpfrontMipRate: body.fhaUpfrontMipRate,
+      fhaAnnualMipRate: body.fhaAnnualMipRate
+    });
+    warnings.push(...fhaMip.warnings);
+
+    // Financed funding fee / UFMIP is part of the note (P&I is computed on it)
+    const loanAmount =
+      baseLoanAmount +
+      (vaFee.financed ? vaFee.amount : 0) +
+      (fhaMip.financed ? fhaMip.upfrontAmount : 0);
 
     // APR: override > model by credit score
     const aprOverride = num(body.aprOverride);
@@ -232,8 +1014,14 @@ exports.handler = async function handler(event) {
       warnings.push("APR: creditScore missing; used defaultFallback.");
     }
 
+    // ARM: the start rate drives the first payment (and everything priced off the rate below)
+    const arm = product !== "fixed"
+      ? buildArmBlock({ product, arm: body.arm, loanAmount, termYears, apr, aprSource })
+      : undefined;
+    const rate = arm ? arm.initialRate : apr;
+
     // Monthly components
-    const pi = mortgagePI(loanAmount, apr, termYears);
+    const pi = mortgagePI(loanAmount, rate, termYears);
 
     // Tax: taxRate (fraction) OR taxAnnual
     const taxRate = num(body.taxRate);
@@ -258,21 +1046,69 @@ exports.handler = async function handler(event) {
 
     const hoaMonthly = Number.isFinite(num(body.hoaMonthly)) ? Math.max(0, num(body.hoaMonthly)) : 0;
 
-    const { pmiMonthly, pmiApplied, warnings: pmiWarnings } = computePMI({
+    const pmiResult = computePMI({
       loanType: body.loanType,
       downPercent: dpct,
-      loanAmount,
+      loanAmount: baseLoanAmount,
       pmiRate: body.pmiRate,
       pmiMonthlyOverride: body.pmiMonthlyOverride
     });
-    warnings.push(...pmiWarnings);
+    warnings.push(...pmiResult.warnings);
+
+    // FHA: annual MIP replaces PMI in the monthly payment, unless the caller
+    // pinned the monthly insurance with pmiMonthlyOverride (override wins for every loan type)
+    const pmiOverride = optNum(body.pmiMonthlyOverride);
+    const useFhaMip = fhaMip.applies && !(Number.isFinite(pmiOverride) && pmiOverride >= 0);
+    const pmiMonthly = useFhaMip ? fhaMip.annualMonthly : pmiResult.pmiMonthly;
+    const pmiApplied = useFhaMip ? fhaMip.annualMonthly > 0 : pmiResult.pmiApplied;
 
     const allIn = pi + taxMonthly + insuranceMonthly + hoaMonthly + pmiMonthly;
 
+    const buydown = buydownType
+      ? buildBuydownBlock({
+          type: buydownType,
+          loanAmount,
+          termYears,
+          apr,
+          escrowMonthly: taxMonthly + insuranceMonthly + hoaMonthly + pmiMonthly
+        })
+      : undefined;
+
+    const amortization = wantsAmortization(body)
+      ? buildAmortizationBlock(body, {
+          loanAmount,
+          apr: rate,
+          termYears,
+          price,
+          pmiMonthly,
+          pmiFixedMonths: fhaMip.applies ? fhaMip.durationMonths : null
+        })
+      : undefined;
+    if (amortization && arm) warnings.push("Amortization: schedule holds the ARM start rate; see arm.yearly for resets.");
+
+    const cashToClose = wantsCashToClose(body)
+      ? computeCashToClose({
+          closing: body.closing,
+          loanType: body.loanType,
+          price,
+          downPayment: dp,
+          downPercent: dpct,
+          baseLoanAmount,
+          loanAmount,
+          apr: rate,
+          taxMonthly,
+          insuranceMonthly,
+          vaFee,
+          fhaMip,
+          cashAvailable: body.cashAvailable
+        })
+      : undefined;
+    if (cashToClose) warnings.push(...cashToClose.warnings);
+
     // Output
     return j(200, {
       ok: true,
-      version: "1.0.0",
+      version: "1.5.0",
       inputs: {
         price: round2(price),
         downRaw: body.down ?? null,
@@ -280,29 +1116,66 @@ exports.handler = async function handler(event) {
         creditScore: Number.isFinite(creditScore) ? creditScore : null,
         termYears,
         loanType: String(body.loanType || "conventional").toLowerCase(),
+        product,
+        buydown: buydownType,
         taxRate: Number.isFinite(taxRate) ? taxRate : null,
         taxAnnual: Number.isFinite(taxAnnual) ? taxAnnual : null,
         insuranceAnnual: Number.isFinite(insuranceAnnual) ? insuranceAnnual : null,
         hoaMonthly: round2(hoaMonthly),
         aprOverride: Number.isFinite(aprOverride) ? aprOverride : null,
         pmiRate: Number.isFinite(num(body.pmiRate)) ? num(body.pmiRate) : null,
-        pmiMonthlyOverride: Number.isFinite(num(body.pmiMonthlyOverride)) ? num(body.pmiMonthlyOverride) : null
+        pmiMonthlyOverride: Number.isFinite(pmiOverride) ? pmiOverride : null,
+        vaFirstUse: body.vaFirstUse ?? null,
+        vaDisabilityRating: Number.isFinite(num(body.vaDisabilityRating)) ? num(body.vaDisabilityRating) : null,
+        vaExempt: body.vaExempt ?? null,
+        vaFinanceFee: body.vaFinanceFee ?? null,
+        fhaFinanceUfmip: body.fhaFinanceUfmip ?? null,
+        fhaUpfrontMipRate: Number.isFinite(num(body.fhaUpfrontMipRate)) ? num(body.fhaUpfrontMipRate) : null,
+        fhaAnnualMipRate: Number.isFinite(num(body.fhaAnnualMipRate)) ? num(body.fhaAnnualMipRate) : null,
+        extraMonthly: Number.isFinite(num(body.extraMonthly)) ? num(body.extraMonthly) : null,
+        extraStartMonth: Number.isFinite(num(body.extraStartMonth)) ? Math.max(1, Math.floor(num(body.extraStartMonth))) : null,
+        lumpSums: normalizeLumpSums(body.lumpSums)
       },
-      apr: round2(apr),
+      apr: round2(rate),
       aprSource,
+      product,
       termYears,
       price: round2(price),
       downPayment: round2(dp),
       downPercent: round2(dpct),
       loanAmount: round2(loanAmount),
+      baseLoanAmount: round2(baseLoanAmount),
       breakdown: {
         pi: round2(pi),
         tax: round2(taxMonthly),
         insurance: round2(insuranceMonthly),
         hoa: round2(hoaMonthly),
         pmi: round2(pmiMonthly),
+        upfrontMip: round2(fhaMip.upfrontAmount),
+        annualMip: round2(fhaMip.annualMonthly),
         allIn: round2(allIn)
       },
+      fhaMip: {
+        applies: fhaMip.applies,
+        ltvPct: fhaMip.ltvPct != null ? round2(fhaMip.ltvPct) : null,
+        upfrontRatePct: round2(fhaMip.upfrontRatePct),
+        upfrontAmount: round2(fhaMip.upfrontAmount),
+        financed: fhaMip.financed,
+        dueAtClosing: round2(fhaMip.dueAtClosing),
+        annualRatePct: round2(fhaMip.annualRatePct),
+        annualMonthly: round2(fhaMip.annualMonthly),
+        durationMonths: fhaMip.durationMonths,
+        durationLabel: fhaMip.durationLabel
+      },
+      vaFundingFee: {
+        ...vaFee,
+        amount: round2(vaFee.amount),
+        dueAtClosing: round2(vaFee.dueAtClosing)
+      },
+      arm,
+      buydown,
+      amortization,
+      cashToClose,
       meta: {
         pmiApplied,
         warnings
@@ -313,3 +1186,15 @@ exports.handler = async function handler(event) {
     return j(500, { ok:false, error:"Server error", detail: String(e?.message || e) });
   }
 };
+
+// Pure helpers for sibling functions that need the same math without a fake event
+exports.aprFromCreditScore = aprFromCreditScore;
+exports.mortgagePI = mortgagePI;
+exports.normalizeDown = normalizeDown;
+exports.computePMI = computePMI;
+exports.computeVaFundingFee = computeVaFundingFee;
+exports.computeFhaMip = computeFhaMip;
+exports.buildAmortizationSchedule = buildAmortizationSchedule;
+exports.computeCashToClose = computeCashToClose;
+exports.buildArmBlock = buildArmBlock;
+exports.buildBuydownBlock = buildBuydownBlock;
@@ -1,15 +1,70 @@
 // netlify/functions/pay-tables.js
 //
-// Computes REAL Base Pay + REAL BAH using your actual militaryPayTables.json
-// JSON structure you provided, including BASEPAY and BAH_TX.
+// Computes REAL Base Pay + BAS + REAL BAH for a rank/YOS/ZIP.
+// All math lives in lib/pay-engine.js (same engine brain.js and the Elena
+// pay skill use), so the same inputs give the same number on every page:
+//   - Base Pay: nearest LOWER YOS step (lib/pay-tables.js, dated schedules)
+//   - BAH: ZIP -> Military Housing Area -> rate (lib/bah.js; the shipped rate
+//     file is a seed of 10 base ZIPs until scripts/import-bah.js loads DTMO's)
+// Optional body.asOf (YYYY-MM-DD) or body.year picks the dated pay schedule.
+// Optional body.base derives the ZIP when zip is not sent.
+// Optional special/incentive pay fields (sdap_level, oha_location, ...; see
+// SPECIAL_PAY_FIELDS in lib/pay-engine.js) add to totalPay and specialPays.
+//
+// total    = basePay + bah (same meaning as before BAS / special pays were added)
+// totalPay = basePay + bas + bah + special/incentive pays
+//
+// CommonJS so elena/skills/pay.js can require() computePay directly.
 //
 // RETURNS:
-// { ok, rank, rankTitle, yos, zip, basePay, bah, total }
+// { ok, rank, rankTitle, yos, zip, mha, basePay, bas, bah, specialPays, total, totalPay, schedule, missing }
+
+"use strict";
+
+const { rankTitle: titleForRank, normalizePaygrade } = require("./lib/pay-tables.js");
+const { computePayFor } = require("./lib/pay-engine.js");
+
+// ===========================
+// computePay (module entry)
+// ===========================
+// Same result shape as the HTTP handler body. Throws on an invalid asOf/year
+// (or no schedule in effect); other bad input comes back in `missing`.
+async function computePay({ rank, yos, zip, base, family, asOf, year, extras } = {}) {
+  const pg = normalizePaygrade(rank);
+  const result = computePayFor({
+    rank: pg,
+    yos,
+    zip: String(zip || "").trim(),
+    base: String(base || "").trim(),
+    family: family === true || String(family).toLowerCase() === "true",
+    asOf,
+    year,
+    extras,
+  });
+
+  const pay = result.pay || {};
+  const bahDetail = pay.bahDetail || {};
 
-import fs from "fs";
-import path from "path";
+  return {
+    ok: !!result.ok && !result.missing.some((m) => m.startsWith("basepay")),
+    rank: pg,
+    rankTitle: titleForRank(pg),
+    yos: pay.yosUsed,
+    zip: pay.zipUsed,
+    mha: bahDetail.mha || null,
+    mhaApproximate: !!bahDetail.approximate,
+    basePay: pay.basePay,
+    bas: pay.bas,
+    bah: pay.bah,
+    specialPays: pay.specialPays || null,
+    total: round2((Number(pay.basePay) || 0) + (Number(pay.bah) || 0)),
+    totalPay: pay.totalPay,
+    schedule: pay.paySchedule || null,
+    missing: result.missing,
+  };
+}
 
-export const handler = async (event) => {
+exports.handler = async (event) => {
   try {
     if (event.httpMethod !== "POST") {
       return {
@@ -22,97 +77,43 @@ export const handler = async (event) => {
     // Parse incoming request
     const body = JSON.parse(event.body || "{}");
 
-    const rank = (body.rank || "").trim();       // "E-9"
-    const yos = Number(body.yos || 0);           // 0–30 years
+    const rank = normalizePaygrade(body.rank);   // "E-9", "W-2", "O-1E"
+    const yos = body.yos;                        // 0–30 years
     const zip = (body.zip || "").trim();         // e.g., "78236"
-    const family = Boolean(body.family);         // with dependents = true
+    const base = (body.base || "").trim();       // e.g., "Nellis AFB" (used when zip missing)
 
     if (!rank) return fail("Rank missing.");
-    if (!yos && yos !== 0) return fail("Years of service missing.");
-    if (!zip) return fail("ZIP code missing (needed for BAH).");
-
-    // Load full JSON dataset
-    const filePath = path.resolve("netlify/functions/data/militaryPayTables.json");
-    const raw = fs.readFileSync(filePath, "utf8");
-    const json = JSON.parse(raw);
-
-    // ===========================
-    // 1. BASE PAY LOOKUP
-    // ===========================
-    const payTable = json.BASEPAY?.[rank] || null;
-
-    if (!payTable) return fail(`No base pay table found for rank ${rank}`);
-
-    // Find exact or highest available YOS
-    let yosKey = Object.keys(payTable).find(k => Number(k) === yos);
-
-    if (!yosKey) {
-      const sorted = Object.keys(payTable).map(Number).sort((a,b)=>a-b);
-      yosKey = String(sorted[sorted.length - 1]);
-    }
-
-    const basePay = Number(payTable[yosKey] || 0);
-
-    // ===========================
-    // 2. BAH LOOKUP
-    // ===========================
-    const bahZip = json.BAH_TX?.[zip] || null;
-
-    if (!bahZip) return fail(`No BAH data found for ZIP ${zip}`);
-
-    const bahRankBlock = family
-      ? bahZip.with?.[rank]
-      : bahZip.without?.[rank];
+    if (yos === undefined || yos === null || String(yos).trim() === "") return fail("Years of service missing.");
+    if (!zip && !base && !body.oha_location && !body.ohaLocation) return fail("ZIP code missing (needed for BAH).");
 
-    if (!bahRankBlock && bahRankBlock !== 0) {
-      return fail(`BAH not found for rank ${rank} at ZIP ${zip}`);
+    let out;
+    try {
+      out = await computePay({
+        rank,
+        yos,
+        zip,
+        base,
+        family: Boolean(body.family),            // with dependents = true
+        asOf: body.asOf,
+        year: body.year,
+        extras: body
+      });
+    } catch (e) {
+      // invalid asOf/year or no schedule in effect
+      return fail(e.message);
     }
 
-    const bah = Number(bahRankBlock || 0);
-
-    // ===========================
-    // 3. RANK TITLE
-    // ===========================
-    const RANK_TITLES = {
-      "E-1": "Airman Basic",
-      "E-2": "Airman",
-      "E-3": "Airman First Class",
-      "E-4": "Senior Airman",
-      "E-5": "Staff Sergeant",
-      "E-6": "Technical Sergeant",
-      "E-7": "Master Sergeant",
-      "E-8": "Senior Master Sergeant",
-      "E-9": "Chief Master Sergeant",
-
-      "O-1": "Second Lieutenant",
-      "O-2": "First Lieutenant",
-      "O-3": "Captain",
-      "O-4": "Major",
-      "O-5": "Lieutenant Colonel",
-      "O-6": "Colonel",
-      "O-7": "Brigadier General"
-    };
-
-    const rankTitle = RANK_TITLES[rank] || rank;
-
-    // ===========================
-    // 4. TOTAL COMPENSATION
-    // ===========================
-    const total = basePay + bah;
+    // Same 400s callers already handle
+    if (out.missing.includes("basepay_table_for_rank")) return fail(`No base pay table found for rank ${rank}`);
+    if (out.missing.includes("basepay_value")) return fail(`No base pay for rank ${rank} at ${yos} YOS`);
+    if (out.missing.includes("bah_zip_not_found")) return fail(`No BAH data found for ZIP ${out.zip || zip}`);
+    if (out.missing.includes("bah_grade_not_covered")) return fail(`BAH rate file has no ${rank} rates yet (import the full DTMO file)`);
+    if (out.missing.some((m) => m.startsWith("bah_"))) return fail(`BAH not found for rank ${rank} at ZIP ${out.zip || zip || base}`);
 
     return {
       statusCode: 200,
       headers: cors(),
-      body: JSON.stringify({
-        ok: true,
-        rank,
-        rankTitle,
-        yos,
-        zip,
-        basePay,
-        bah,
-        total
-      })
+      body: JSON.stringify(out)
     };
 
   } catch (err) {
@@ -128,6 +129,8 @@ export const handler = async (event) => {
   }
 };
 
+exports.computePay = computePay;
+
 function cors() {
   return {
     "Content-Type": "application/json",
@@ -136,6 +139,10 @@ function cors() {
   };
 }
 
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
 function fail(msg) {
   return {
     statusCode: 400,
@@ -0,0 +1,393 @@
+// netlify/functions/rent-vs-buy.js
+// ============================================================
+// PCSUnited • Rent vs Buy Engine (Server-side) v1.0.0
+// PURPOSE:
+// - Move the rent-vs-buy math out of military-calculator-rent-vs-buy.html
+//   so every page (and Elena) gets the SAME answer
+// - Year-by-year NET WORTH comparison over a PCS tour (e.g. 3 years)
+// - Buy side uses mortgage.js (single source of truth for P&I/tax/ins/PMI/MIP/fees)
+// - Rent side uses city by_bedroom[n].rent_monthly
+// - Appreciation defaults to housing.market.zillow_one_year_change_percent
+// - Selling costs are charged at PCS time (house is sold when the tour ends)
+//
+// ENDPOINT:
+//   POST /.netlify/functions/rent-vs-buy
+//   POST /api/rent-vs-buy   (via netlify.toml redirect)
+//
+// INPUT (POST JSON) examples:
+// {
+//   "cityKey": "LasVegas",          // OR "base": "Nellis AFB"
+//   "bedrooms": 3,
+//   "tourYears": 3,                 // PCS tour length (default 3)
+//
+//   "price": null,                  // optional (default: by_bedroom[n].home_price.avg)
+//   "rentMonthly": null,            // optional (default: by_bedroom[n].rent_monthly.avg)
+//   "dpPct": 5,                     // optional (default: city mortgage_assumptions or 5)
+//   "creditScore": 720,
+//   "loanType": "va",               // conventional | fha | va
+//   "termYears": 30,
+//   "vaDisabilityRating": 0,        // optional (VA funding fee exemption)
+//
+//   "appreciationPct": null,        // optional (default: zillow_one_year_change_percent)
+//   "rentGrowthPct": 3,
+//   "investReturnPct": 5,           // what cash earns when not tied up in the house
+//   "maintenancePct": 1,            // % of home value per year
+//   "buyClosingPct": 3,             // buyer closing costs (% of price)
+//   "sellCostPct": 7                // agent + seller closing at PCS time (% of value)
+// }
+//
+// OUTPUT:
+// {
+//   ok: true,
+//   city: { key, fileUsed, place },
+//   assumptions: {...}, sources: {...},
+//   mortgage: { price, downPayment, loanAmount, apr, breakdown, ... },
+//   series: [{ year, homeValue, loanBalance, sellingCosts, buyerEquityNet, buyerInvested,
+//              buyerNetWorth, renterNetWorth, rentPaidCum, ownerCostCum, advantageBuy }],
+//   atPcs: { ...series row at tourYears },
+//   breakEven: { month, years },
+//   verdict: { winner: "buy"|"rent", advantage, bluf }
+// }
+// ============================================================
+
+"use strict";
+
+const { loadCity } = require("./lib/cities.js");
+const { corsHeaders, j, num, firstNum, clamp, round2, money0, callMortgageEngine } = require("./lib/endpoint.js");
+
+// ============================================================
+// //#1 — Model defaults (same spirit as the dashboard MODEL block)
+// ============================================================
+const MODEL = {
+  TOUR_YEARS: 3,
+  APP_PCT: 3,          // fallback appreciation when the city has no zillow change
+  APP_MIN_PCT: -5,     // clamp one-year market swings used as a multi-year rate
+  APP_MAX_PCT: 8,
+  RENT_GROWTH_PCT: 3,
+  INVEST_PCT: 5,
+  MAINT_PCT: 1,
+  BUY_CLOSE_PCT: 3,
+  SELL_PCT: 7,
+  DP_PCT: 5
+};
+
+// ============================================================
+// //#2 — City lookups (by_bedroom + market)
+// ============================================================
+function bedroomBlock(city, bedrooms){
+  const root = city?.bedrooms || city?.by_bedroom || null;
+  if (!root || typeof root !== "object") return null;
+  return root[String(bedrooms)] || null;
+}
+
+function avgOf(block){
+  if (block == null) return NaN;
+  if (typeof block !== "object") return num(block);
+  const avg = num(block.avg);
+  if (Number.isFinite(avg)) return avg;
+  const lo = num(block.low);
+  const hi = num(block.high);
+  return Number.isFinite(lo) && Number.isFinite(hi) ? (lo + hi) / 2 : NaN;
+}
+
+function cityAppreciationPct(city){
+  return num(city?.market?.zillow_one_year_change_percent ?? city?.housing?.market?.zillow_one_year_change_percent);
+}
+
+// ============================================================
+// //#3 — Core model
+// Both paths start with the same cash (down + closing + cash fees).
+// Each month whichever path is cheaper invests the difference, so the
+// comparison is apples-to-apples net worth, not just "rent paid vs interest paid".
+// ============================================================
+function buildRentVsBuySeries({
+  price,
+  rentMonthly,
+  upfrontCash,
+  engine,
+  horizonYears,
+  appreciationPct,
+  rentGrowthPct,
+  investReturnPct,
+  maintenancePct,
+  sellCostPct
+}){
+  const schedule = Array.isArray(engine?.amortization?.schedule) ? engine.amortization.schedule : [];
+  const b = engine?.breakdown || {};
+  const fixedMonthly = (num(b.tax) || 0) + (num(b.insurance) || 0) + (num(b.hoa) || 0);
+
+  const appr_m = Math.pow(1 + appreciationPct / 100, 1 / 12) - 1;
+  const rent_m = Math.pow(1 + rentGrowthPct / 100, 1 / 12) - 1;
+  const inv_m = Math.pow(1 + investReturnPct / 100, 1 / 12) - 1;
+
+  const N = horizonYears * 12;
+  let homeValue = price;
+  let renterInvested = upfrontCash;
+  let buyerInvested = 0;
+  let rentPaidCum = 0;
+  let ownerCostCum = upfrontCash;
+  let breakEvenMonth = null;
+
+  const row0Balance = num(engine?.loanAmount) || 0;
+  const sell0 = price * (sellCostPct / 100);
+  const series = [{
+    year: 0,
+    homeValue: round2(price),
+    loanBalance: round2(row0Balance),
+    sellingCosts: round2(sell0),
+    buyerEquityNet: round2(price - row0Balance - sell0),
+    buyerInvested: 0,
+    buyerNetWorth: round2(price - row0Balance - sell0),
+    renterNetWorth: round2(upfrontCash),
+    rentPaidCum: 0,
+    ownerCostCum: round2(upfrontCash),
+    advantageBuy: round2(price - row0Balance - sell0 - upfrontCash)
+  }];
+
+  for (let m = 1; m <= N; m++){
+    const row = schedule[m - 1] || null;
+    const balance = row ? num(row.balance) : 0;
+    const ownerPI = row ? (num(row.principal) + num(row.interest)) : 0;
+    const ownerPmi = row ? (num(row.pmi) || 0) : 0;
+
+    const maint = (homeValue * (maintenancePct / 100)) / 12;
+    const ownerMonthly = ownerPI + ownerPmi + fixedMonthly + maint;
+    const rent = rentMonthly * Math.pow(1 + rent_m, m - 1);
+
+    rentPaidCum += rent;
+    ownerCostCum += ownerMonthly;
+
+    renterInvested *= (1 + inv_m);
+    buyerInvested *= (1 + inv_m);
+
+    const diff = ownerMonthly - rent;
+    if (diff > 0) renterInvested += diff;
+    else buyerInvested += -diff;
+
+    homeValue *= (1 + appr_m);
+
+    const sellingCosts = homeValue * (sellCostPct / 100);
+    const buyerEquityNet = homeValue - balance - sellingCosts;
+    const buyerNetWorth = buyerEquityNet + buyerInvested;
+
+    if (breakEvenMonth === null && buyerNetWorth >= renterInvested) breakEvenMonth = m;
+
+    if (m % 12 === 0){
+      series.push({
+        year: m / 12,
+        homeValue: round2(homeValue),
+        loanBalance: round2(balance),
+        sellingCosts: round2(sellingCosts),
+        buyerEquityNet: round2(buyerEquityNet),
+        buyerInvested: round2(buyerInvested),
+        buyerNetWorth: round2(buyerNetWorth),
+        renterNetWorth: round2(renterInvested),
+        rentPaidCum: round2(rentPaidCum),
+        ownerCostCum: round2(ownerCostCum),
+        advantageBuy: round2(buyerNetWorth - renterInvested)
+      });
+    }
+  }
+
+  return {
+    series,
+    breakEven: {
+      month: breakEvenMonth,
+      years: breakEvenMonth != null ? round2(breakEvenMonth / 12) : null
+    }
+  };
+}
+
+// ============================================================
+// //#4 — computeRentVsBuy (exported for other functions)
+// ============================================================
+// opts.city: a city the server already loaded through loadCity (brain.js, compare-cities.js);
+// null means the caller found no market file, so it is not reloaded from the default key.
+// Request bodies never supply the city object; the handler loads by cityKey / base only.
+async function computeRentVsBuy(input, opts = {}){
+  const body = input || {};
+  const warnings = [];
+  const sources = {};
+
+  const cityKey = String(body.cityKey || "").trim();
+  const base = String(body.base || "").trim();
+  const city = "city" in opts
+    ? (opts.city && typeof opts.city === "object" ? opts.city : null)
+    : loadCity(cityKey || "SanAntonio", { base });
+  if (!city) warnings.push("city_file_missing: no market data for this city/base; price and rent must come from the request.");
+
+  const bedrooms = clamp(Math.round(firstNum(body.bedrooms, 3)), 1, 6);
+  const bed = bedroomBlock(city, bedrooms);
+  if (!bed) warnings.push(`City has no by_bedroom[${bedrooms}] block; using city-level fallbacks.`);
+
+  // ---- price
+  const price = firstNum(body.price, avgOf(bed?.home_price), city?.avg_home_value);
+  sources.price =
+    Number.isFinite(num(body.price)) ? "body.price"
+      : Number.isFinite(avgOf(bed?.home_price)) ? `city.by_bedroom[${bedrooms}].home_price`
+        : "city.avg_home_value";
+  if (!Number.isFinite(price) || price <= 0){
+    return { ok: false, error: city ? "No home price available (pass price or use a city with by_bedroom data)." : "No market data for this city/base (city_file_missing); pass price.", need: ["price"] };
+  }
+
+  // ---- rent
+  const rentMonthly = firstNum(body.rentMonthly, body.rent, avgOf(bed?.rent_monthly), city?.target_rent);
+  sources.rentMonthly =
+    Number.isFinite(firstNum(body.rentMonthly, body.rent)) ? "body.rentMonthly"
+      : Number.isFinite(avgOf(bed?.rent_monthly)) ? `city.by_bedroom[${bedrooms}].rent_monthly`
+        : `city.target_rent (${city?.target_rent_source || "city-level"})`;
+  if (!Number.isFinite(rentMonthly) || rentMonthly <= 0){
+    return { ok: false, error: city ? "No rent available (pass rentMonthly or use a city with by_bedroom data)." : "No market data for this city/base (city_file_missing); pass rentMonthly.", need: ["rentMonthly"] };
+  }
+
+  // ---- model rates
+  const tourYears = clamp(Math.round(firstNum(body.tourYears, body.years, MODEL.TOUR_YEARS)), 1, 30);
+  const horizonYears = clamp(Math.round(firstNum(body.horizonYears, tourYears)), tourYears, 30);
+
+  const cityApp = cityAppreciationPct(city);
+  const appreciationPct = Number.isFinite(num(body.appreciationPct))
+    ? num(body.appreciationPct)
+    : Number.isFinite(cityApp) ? clamp(cityApp, MODEL.APP_MIN_PCT, MODEL.APP_MAX_PCT) : MODEL.APP_PCT;
+  sources.appreciationPct =
+    Number.isFinite(num(body.appreciationPct)) ? "body.appreciationPct"
+      : Number.isFinite(cityApp) ? "city.housing.market.zillow_one_year_change_percent"
+        : `default:${MODEL.APP_PCT}`;
+
+  const rentGrowthPct = firstNum(body.rentGrowthPct, MODEL.RENT_GROWTH_PCT);
+  const investReturnPct = firstNum(body.investReturnPct, MODEL.INVEST_PCT);
+  const maintenancePct = firstNum(body.maintenancePct, MODEL.MAINT_PCT);
+  const buyClosingPct = firstNum(body.buyClosingPct, MODEL.BUY_CLOSE_PCT);
+  const sellCostPct = firstNum(body.sellCostPct, MODEL.SELL_PCT);
+
+  // ---- mortgage.js (city tax/insurance/HOA defaults, same mapping as brain.js)
+  const dpPct = firstNum(body.dpPct, city?.mortgage_assumptions?.down_payment_percent, MODEL.DP_PCT);
+  const termYears = firstNum(body.termYears, city?.mortgage_assumptions?.term_years, 30);
+  const taxRatePct = firstNum(body.taxRate, city?.property_tax_rate, 1.2);
+  const insRatePct = firstNum(body.insRate, city?.insurance_rate, 0.5);
+  const hoa = firstNum(body.hoa, city?.hoa_monthly, 0);
+
+  const engine = await callMortgageEngine({
+    price,
+    down: dpPct,
+    creditScore: Number.isFinite(num(body.creditScore)) ? num(body.creditScore) : undefined,
+    aprOverride: Number.isFinite(num(body.apr)) ? num(body.apr) : undefined,
+    termYears,
+    taxRate: taxRatePct / 100,
+    insuranceAnnual: price * (insRatePct / 100),
+    hoaMonthly: hoa,
+    loanType: String(body.loanType || "conventional").toLowerCase(),
+    vaDisabilityRating: body.vaDisabilityRating,
+    vaFirstUse: body.vaFirstUse,
+    vaFinanceFee: body.vaFinanceFee,
+    fhaFinanceUfmip: body.fhaFinanceUfmip,
+    schedule: true
+  });
+  warnings.push(...(engine?.meta?.warnings || []));
+
+  // Cash the buyer parts with on day one (renter invests the same amount instead)
+  const closingCosts = price * (buyClosingPct / 100);
+  const cashFees = (num(engine?.vaFundingFee?.dueAtClosing) || 0) + (num(engine?.fhaMip?.dueAtClosing) || 0);
+  const upfrontCash = (num(engine.downPayment) || 0) + closingCosts + cashFees;
+
+  const { series, breakEven } = buildRentVsBuySeries({
+    price,
+    rentMonthly,
+    upfrontCash,
+    engine,
+    horizonYears,
+    appreciationPct,
+    rentGrowthPct,
+    investReturnPct,
+    maintenancePct,
+    sellCostPct
+  });
+
+  const atPcs = series[tourYears] || series[series.length - 1];
+  const winner = atPcs.advantageBuy >= 0 ? "buy" : "rent";
+  const advantage = Math.abs(atPcs.advantageBuy);
+
+  const bluf = winner === "buy"
+    ? `BUY: after a ${tourYears}-year tour and selling at PCS, buying leaves you about ${money0(advantage)} ahead of renting.`
+    : `RENT: after a ${tourYears}-year tour, selling costs and early interest leave buying about ${money0(advantage)} behind renting.`;
+
+  return {
+    ok: true,
+    version: "1.0.0",
+    city: {
+      key: city?.canonical_city_key || cityKey || null,
+      fileUsed: city?.cityFileUsed || city?.key || null,
+      place: city?.place || city?.city || null
+    },
+    inputs: { bedrooms, tourYears, horizonYears },
+    assumptions: {
+      price: round2(price),
+      rentMonthly: round2(rentMonthly),
+      dpPct,
+      termYears,
+      taxRatePct,
+      insRatePct,
+      hoa,
+      appreciationPct,
+      rentGrowthPct,
+      investReturnPct,
+      maintenancePct,
+      buyClosingPct,
+      sellCostPct,
+      closingCosts: round2(closingCosts),
+      cashFeesAtClosing: round2(cashFees),
+      upfrontCash: round2(upfrontCash)
+    },
+    sources,
+    mortgage: {
+      price: engine.price,
+      downPayment: engine.downPayment,
+      loanAmount: engine.loanAmount,
+      apr: engine.apr,
+      aprSource: engine.aprSource,
+      termYears: engine.termYears,
+      breakdown: engine.breakdown,
+      vaFundingFee: engine.vaFundingFee,
+      fhaMip: engine.fhaMip,
+      pmiDropoff: engine?.amortization?.pmiDropoff || null
+    },
+    series,
+    atPcs,
+    breakEven,
+    verdict: { winner, advantage: round2(advantage), bluf },
+    meta: { warnings }
+  };
+}
+
+// ============================================================
+// //#5 — Netlify handler
+// ============================================================
+exports.handler = async function handler(event) {
+  try{
+    if (event.httpMethod === "OPTIONS"){
+      return { statusCode: 204, headers: corsHeaders, body: "" };
+    }
+
+    if (event.httpMethod !== "POST"){
+      return j(405, { ok:false, error:"Method not allowed. Use POST." });
+    }
+
+    let body = {};
+    try {
+      body = event.body ? JSON.parse(event.body) : {};
+    } catch (e){
+      return j(400, { ok:false, error:"Invalid JSON body." });
+    }
+
+    if (!body.cityKey && !body.base && !body.city){
+      return j(400, { ok:false, error:"Missing 'cityKey' or 'base'." });
+    }
+
+    const out = await computeRentVsBuy(body);
+    return j(out.ok ? 200 : 400, out);
+
+  } catch (e){
+    return j(500, { ok:false, error:"Server error", detail: String(e?.message || e) });
+  }
+};
+
+exports.computeRentVsBuy = computeRentVsBuy;
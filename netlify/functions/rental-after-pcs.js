@@ -0,0 +1,422 @@
+// netlify/functions/rental-after-pcs.js
+// ============================================================
+// PCSUnited • "Buy now, keep as rental at next PCS" Projection v1.0.0
+// PURPOSE:
+// - Military buyers often KEEP the house when they PCS and rent it out
+// - Projects the rental years after N years of owner-occupancy:
+//     cash flow, cap rate, cash-on-cash return, equity build
+// - Buy side uses mortgage.js (same loan the member would actually take)
+// - Rent side uses city by_bedroom[n].rent_monthly { low, avg, high }
+//
+// ENDPOINT:
+//   POST /.netlify/functions/rental-after-pcs
+//   POST /api/rental-after-pcs   (via netlify.toml redirect)
+//
+// INPUT (POST JSON) examples:
+// {
+//   "cityKey": "Tucson",             // OR "base": "Davis-Monthan AFB"
+//   "bedrooms": 3,
+//   "yearsBeforeRental": 3,          // owner-occupied years (PCS tour length)
+//   "holdYears": 5,                  // years kept as a rental after PCS
+//
+//   "price": null,                   // optional (default: by_bedroom[n].home_price.avg)
+//   "rentMonthly": null,             // optional (default: by_bedroom[n].rent_monthly.avg today)
+//   "dpPct": 5, "creditScore": 720, "loanType": "va", "termYears": 30,
+//   "pmiRate": null,                 // optional (percent; default: mortgage.js tiers)
+//
+//   "vacancyPct": 8,                 // % of scheduled rent lost to turnover
+//   "managementPct": 10,             // property manager fee (% of collected rent)
+//   "landlordInsurancePct": 25,      // landlord (DP-3) policy premium over homeowner (HO-3)
+//   "landlordInsuranceAnnual": null, // optional explicit landlord premium ($/yr)
+//   "maintenancePct": 1,             // % of home value per year
+//   "rentGrowthPct": 3,
+//   "appreciationPct": null,         // optional (default: zillow_one_year_change_percent)
+//   "buyClosingPct": 3
+// }
+//
+// OUTPUT:
+// {
+//   ok: true,
+//   conversion: { year, homeValue, loanBalance, equity, rentMonthly },
+//   firstYear: { grossRent, vacancyLoss, effectiveIncome, expenses:{...}, noi,
+//                debtService, cashFlowAnnual, cashFlowMonthly, capRatePct, cashOnCashPct },
+//   rentRange: { low:{ cashFlowMonthly, ... }, avg:{...}, high:{...} },
+//   projection: [{ rentalYear, year, rentMonthly, noi, cashFlowAnnual, homeValue, loanBalance, equity }],
+//   cashInvested, verdict: { label, bluf }
+// }
+// ============================================================
+
+"use strict";
+
+const { loadCity } = require("./lib/cities.js");
+const { corsHeaders, j, num, firstNum, clamp, round2, money0, callMortgageEngine } = require("./lib/endpoint.js");
+
+// ============================================================
+// //#1 — Landlord model defaults
+// ============================================================
+const MODEL = {
+  YEARS_BEFORE_RENTAL: 3,
+  HOLD_YEARS: 5,
+  VACANCY_PCT: 8,
+  MGMT_PCT: 10,
+  LANDLORD_INS_PCT: 25,
+  MAINT_PCT: 1,
+  RENT_GROWTH_PCT: 3,
+  APP_PCT: 3,
+  APP_MIN_PCT: -5,
+  APP_MAX_PCT: 8,
+  BUY_CLOSE_PCT: 3,
+  DP_PCT: 5
+};
+
+// ============================================================
+// //#2 — City lookups
+// ============================================================
+function bedroomBlock(city, bedrooms){
+  const root = city?.bedrooms || city?.by_bedroom || null;
+  if (!root || typeof root !== "object") return null;
+  return root[String(bedrooms)] || null;
+}
+
+function avgOf(block){
+  if (block == null) return NaN;
+  if (typeof block !== "object") return num(block);
+  const avg = num(block.avg);
+  if (Number.isFinite(avg)) return avg;
+  const lo = num(block.low);
+  const hi = num(block.high);
+  return Number.isFinite(lo) && Number.isFinite(hi) ? (lo + hi) / 2 : NaN;
+}
+
+function cityAppreciationPct(city){
+  return num(city?.market?.zillow_one_year_change_percent ?? city?.housing?.market?.zillow_one_year_change_percent);
+}
+
+// ============================================================
+// //#3 — One rental year (NOI -> cash flow)
+// ============================================================
+function rentalYear({
+  rentMonthly,
+  homeValue,
+  taxAnnual,
+  landlordInsuranceAnnual,
+  hoaAnnual,
+  debtServiceAnnual,
+  vacancyPct,
+  managementPct,
+  maintenancePct
+}){
+  const grossRent = rentMonthly * 12;
+  const vacancyLoss = grossRent * (vacancyPct / 100);
+  const effectiveIncome = grossRent - vacancyLoss;
+
+  const expenses = {
+    propertyTax: taxAnnual,
+    landlordInsurance: landlordInsuranceAnnual,
+    hoa: hoaAnnual,
+    management: effectiveIncome * (managementPct / 100),
+    maintenance: homeValue * (maintenancePct / 100)
+  };
+  const opex = Object.values(expenses).reduce((a, b) => a + b, 0);
+  const noi = effectiveIncome - opex;
+  const cashFlowAnnual = noi - debtServiceAnnual;
+
+  return {
+    grossRent,
+    vacancyLoss,
+    effectiveIncome,
+    expenses,
+    operatingExpenses: opex,
+    noi,
+    debtService: debtServiceAnnual,
+    cashFlowAnnual,
+    cashFlowMonthly: cashFlowAnnual / 12,
+    capRatePct: homeValue > 0 ? (noi / homeValue) * 100 : 0
+  };
+}
+
+function roundYear(y){
+  const out = {};
+  for (const [k, v] of Object.entries(y)){
+    if (v && typeof v === "object") out[k] = roundYear(v);
+    else out[k] = typeof v === "number" ? round2(v) : v;
+  }
+  return out;
+}
+
+// ============================================================
+// //#4 — computeRentalAfterPcs (exported for brain.js)
+// ============================================================
+// opts.city: a city the server already loaded through loadCity (brain.js, compare-cities.js);
+// null means the caller found no market file, so it is not reloaded from the default key.
+// Request bodies never supply the city object; the handler loads by cityKey / base only.
+async function computeRentalAfterPcs(input, opts = {}){
+  const body = input || {};
+  const warnings = [];
+  const sources = {};
+
+  const cityKey = String(body.cityKey || "").trim();
+  const base = String(body.base || "").trim();
+  const city = "city" in opts
+    ? (opts.city && typeof opts.city === "object" ? opts.city : null)
+    : loadCity(cityKey || "SanAntonio", { base });
+  if (!city) warnings.push("city_file_missing: no market data for this city/base; price and rent must come from the request.");
+
+  const bedrooms = clamp(Math.round(firstNum(body.bedrooms, 3)), 1, 6);
+  const bed = bedroomBlock(city, bedrooms);
+  if (!bed) warnings.push(`City has no by_bedroom[${bedrooms}] block; using city-level fallbacks.`);
+
+  const price = firstNum(body.price, avgOf(bed?.home_price), city?.avg_home_value);
+  sources.price =
+    Number.isFinite(num(body.price)) ? "body.price"
+      : Number.isFinite(avgOf(bed?.home_price)) ? `city.by_bedroom[${bedrooms}].home_price`
+        : "city.avg_home_value";
+  if (!Number.isFinite(price) || price <= 0){
+    return { ok: false, error: city ? "No home price available (pass price or use a city with by_bedroom data)." : "No market data for this city/base (city_file_missing); pass price.", need: ["price"] };
+  }
+
+  const rentBlock = bed?.rent_monthly && typeof bed.rent_monthly === "object" ? bed.rent_monthly : null;
+  const rentAvgToday = firstNum(body.rentMonthly, body.rent, avgOf(rentBlock), city?.target_rent);
+  sources.rentMonthly =
+    Number.isFinite(firstNum(body.rentMonthly, body.rent)) ? "body.rentMonthly"
+      : Number.isFinite(avgOf(rentBlock)) ? `city.by_bedroom[${bedrooms}].rent_monthly`
+        : `city.target_rent (${city?.target_rent_source || "city-level"})`;
+  if (!Number.isFinite(rentAvgToday) || rentAvgToday <= 0){
+    return { ok: false, error: city ? "No rent available (pass rentMonthly or use a city with by_bedroom data)." : "No market data for this city/base (city_file_missing); pass rentMonthly.", need: ["rentMonthly"] };
+  }
+
+  // Range keeps the same spread as the city's low/high band around whatever avg we use
+  const spreadLow = Number.isFinite(num(rentBlock?.low)) && avgOf(rentBlock) > 0 ? num(rentBlock.low) / avgOf(rentBlock) : 0.9;
+  const spreadHigh = Number.isFinite(num(rentBlock?.high)) && avgOf(rentBlock) > 0 ? num(rentBlock.high) / avgOf(rentBlock) : 1.1;
+
+  const yearsBeforeRental = clamp(Math.round(firstNum(body.yearsBeforeRental, body.tourYears, MODEL.YEARS_BEFORE_RENTAL)), 0, 20);
+  const holdYears = clamp(Math.round(firstNum(body.holdYears, MODEL.HOLD_YEARS)), 1, 30);
+
+  const vacancyPct = firstNum(body.vacancyPct, MODEL.VACANCY_PCT);
+  const managementPct = firstNum(body.managementPct, MODEL.MGMT_PCT);
+  const landlordInsurancePct = firstNum(body.landlordInsurancePct, MODEL.LANDLORD_INS_PCT);
+  const maintenancePct = firstNum(body.maintenancePct, MODEL.MAINT_PCT);
+  const rentGrowthPct = firstNum(body.rentGrowthPct, MODEL.RENT_GROWTH_PCT);
+  const buyClosingPct = firstNum(body.buyClosingPct, MODEL.BUY_CLOSE_PCT);
+
+  const cityApp = cityAppreciationPct(city);
+  const appreciationPct = Number.isFinite(num(body.appreciationPct))
+    ? num(body.appreciationPct)
+    : Number.isFinite(cityApp) ? clamp(cityApp, MODEL.APP_MIN_PCT, MODEL.APP_MAX_PCT) : MODEL.APP_PCT;
+  sources.appreciationPct =
+    Number.isFinite(num(body.appreciationPct)) ? "body.appreciationPct"
+      : Number.isFinite(cityApp) ? "city.housing.market.zillow_one_year_change_percent"
+        : `default:${MODEL.APP_PCT}`;
+
+  // ---- mortgage.js (loan taken as a primary residence today)
+  const dpPct = firstNum(body.dpPct, city?.mortgage_assumptions?.down_payment_percent, MODEL.DP_PCT);
+  const termYears = firstNum(body.termYears, city?.mortgage_assumptions?.term_years, 30);
+  const taxRatePct = firstNum(body.taxRate, city?.property_tax_rate, 1.2);
+  const insRatePct = firstNum(body.insRate, city?.insurance_rate, 0.5);
+  const hoa = firstNum(body.hoa, city?.hoa_monthly, 0);
+
+  const engine = await callMortgageEngine({
+    price,
+    down: dpPct,
+    creditScore: Number.isFinite(num(body.creditScore)) ? num(body.creditScore) : undefined,
+    aprOverride: Number.isFinite(num(body.apr)) ? num(body.apr) : undefined,
+    termYears,
+    taxRate: taxRatePct / 100,
+    insuranceAnnual: price * (insRatePct / 100),
+    hoaMonthly: hoa,
+    loanType: String(body.loanType || "conventional").toLowerCase(),
+    pmiRate: Number.isFinite(num(body.pmiRate)) ? num(body.pmiRate) / 100 : undefined,
+    vaDisabilityRating: body.vaDisabilityRating,
+    vaFirstUse: body.vaFirstUse,
+    vaFinanceFee: body.vaFinanceFee,
+    fhaFinanceUfmip: body.fhaFinanceUfmip,
+    schedule: true
+  });
+  warnings.push(...(engine?.meta?.warnings || []));
+
+  const schedule = Array.isArray(engine?.amortization?.schedule) ? engine.amortization.schedule : [];
+  const closingCosts = price * (buyClosingPct / 100);
+  const cashFees = (num(engine?.vaFundingFee?.dueAtClosing) || 0) + (num(engine?.fhaMip?.dueAtClosing) || 0);
+  const cashInvested = (num(engine.downPayment) || 0) + closingCosts + cashFees;
+
+  const homeownerInsAnnual = (num(engine?.breakdown?.insurance) || 0) * 12;
+  const landlordInsuranceAnnualBase = Number.isFinite(num(body.landlordInsuranceAnnual))
+    ? num(body.landlordInsuranceAnnual)
+    : homeownerInsAnnual * (1 + landlordInsurancePct / 100);
+  const taxAnnualBase = (num(engine?.breakdown?.tax) || 0) * 12;
+  const hoaAnnual = (num(engine?.breakdown?.hoa) || 0) * 12;
+
+  const balanceAfterMonth = (m) => {
+    if (m <= 0) return num(engine.loanAmount) || 0;
+    const row = schedule[Math.min(m, schedule.length) - 1];
+    return row ? num(row.balance) : 0;
+  };
+
+  const debtServiceForYear = (yearIdx) => {
+    // yearIdx is 1-based loan year
+    let total = 0;
+    for (let m = (yearIdx - 1) * 12 + 1; m <= yearIdx * 12; m++){
+      const row = schedule[m - 1];
+      if (!row) break;
+      total += num(row.principal) + num(row.interest) + (num(row.pmi) || 0);
+    }
+    return total;
+  };
+
+  const rentGrowth = (y) => Math.pow(1 + rentGrowthPct / 100, y);
+  const valueAt = (y) => price * Math.pow(1 + appreciationPct / 100, y);
+
+  // ---- conversion snapshot (moment of PCS)
+  const conversionValue = valueAt(yearsBeforeRental);
+  const conversionBalance = balanceAfterMonth(yearsBeforeRental * 12);
+  const conversionRent = rentAvgToday * rentGrowth(yearsBeforeRental);
+
+  const yearInputs = (loanYear, rentMonthly) => {
+    const y = loanYear - 1; // years elapsed at start of this loan year
+    return {
+      rentMonthly,
+      homeValue: valueAt(y),
+      // tax/insurance drift with value (reassessment is local; this keeps them proportional)
+      taxAnnual: taxAnnualBase * (valueAt(y) / price),
+      landlordInsuranceAnnual: landlordInsuranceAnnualBase * (valueAt(y) / price),
+      hoaAnnual,
+      debtServiceAnnual: debtServiceForYear(loanYear),
+      vacancyPct,
+      managementPct,
+      maintenancePct
+    };
+  };
+
+  const firstLoanYear = yearsBeforeRental + 1;
+  const firstYear = rentalYear(yearInputs(firstLoanYear, conversionRent));
+  firstYear.cashOnCashPct = cashInvested > 0 ? (firstYear.cashFlowAnnual / cashInvested) * 100 : 0;
+
+  const rentRange = {};
+  for (const [label, factor] of [["low", spreadLow], ["avg", 1], ["high", spreadHigh]]){
+    const r = rentalYear(yearInputs(firstLoanYear, conversionRent * factor));
+    rentRange[label] = roundYear({
+      rentMonthly: conversionRent * factor,
+      noi: r.noi,
+      cashFlowMonthly: r.cashFlowMonthly,
+      capRatePct: r.capRatePct,
+      cashOnCashPct: cashInvested > 0 ? (r.cashFlowAnnual / cashInvested) * 100 : 0
+    });
+  }
+
+  const projection = [];
+  let cumulativeCashFlow = 0;
+  for (let k = 1; k <= holdYears; k++){
+    const loanYear = yearsBeforeRental + k;
+    const rent = rentAvgToday * rentGrowth(loanYear - 1);
+    const r = rentalYear(yearInputs(loanYear, rent));
+    cumulativeCashFlow += r.cashFlowAnnual;
+    const value = valueAt(loanYear);
+    const bal = balanceAfterMonth(loanYear * 12);
+    projection.push(roundYear({
+      rentalYear: k,
+      year: loanYear,
+      rentMonthly: rent,
+      noi: r.noi,
+      cashFlowAnnual: r.cashFlowAnnual,
+      cumulativeCashFlow,
+      capRatePct: r.capRatePct,
+      homeValue: value,
+      loanBalance: bal,
+      equity: value - bal
+    }));
+  }
+
+  const cfMo = firstYear.cashFlowMonthly;
+  const label = cfMo >= 200 ? "cash_flow_positive" : cfMo >= -100 ? "break_even" : "negative_cash_flow";
+  const last = projection[projection.length - 1];
+  const bluf =
+    `As a rental after ${yearsBeforeRental} year${yearsBeforeRental === 1 ? "" : "s"}, this home ` +
+    (cfMo >= 0 ? `nets about ${money0(cfMo)}/mo` : `costs you about ${money0(-cfMo)}/mo out of pocket`) +
+    ` (cap rate ${round2(firstYear.capRatePct)}%, cash-on-cash ${round2(firstYear.cashOnCashPct)}%).` +
+    (last ? ` Projected equity after ${holdYears} rental year${holdYears === 1 ? "" : "s"}: ${money0(last.equity)}.` : "");
+
+  return {
+    ok: true,
+    version: "1.0.0",
+    city: {
+      key: city?.canonical_city_key || cityKey || null,
+      fileUsed: city?.cityFileUsed || city?.key || null,
+      place: city?.place || city?.city || null
+    },
+    inputs: { bedrooms, yearsBeforeRental, holdYears },
+    assumptions: {
+      price: round2(price),
+      rentMonthlyToday: round2(rentAvgToday),
+      dpPct,
+      termYears,
+      taxRatePct,
+      insRatePct,
+      hoa,
+      vacancyPct,
+      managementPct,
+      landlordInsurancePct,
+      landlordInsuranceAnnual: round2(landlordInsuranceAnnualBase),
+      homeownerInsuranceAnnual: round2(homeownerInsAnnual),
+      maintenancePct,
+      rentGrowthPct,
+      appreciationPct,
+      buyClosingPct
+    },
+    sources,
+    mortgage: {
+      price: engine.price,
+      downPayment: engine.downPayment,
+      loanAmount: engine.loanAmount,
+      apr: engine.apr,
+      termYears: engine.termYears,
+      breakdown: engine.breakdown
+    },
+    cashInvested: round2(cashInvested),
+    conversion: roundYear({
+      year: yearsBeforeRental,
+      homeValue: conversionValue,
+      loanBalance: conversionBalance,
+      equity: conversionValue - conversionBalance,
+      rentMonthly: conversionRent
+    }),
+    firstYear: roundYear(firstYear),
+    rentRange,
+    projection,
+    verdict: { label, bluf },
+    meta: { warnings }
+  };
+}
+
+// ============================================================
+// //#5 — Netlify handler
+// ============================================================
+exports.handler = async function handler(event) {
+  try{
+    if (event.httpMethod === "OPTIONS"){
+      return { statusCode: 204, headers: corsHeaders, body: "" };
+    }
+
+    if (event.httpMethod !== "POST"){
+      return j(405, { ok:false, error:"Method not allowed. Use POST." });
+    }
+
+    let body = {};
+    try {
+      body = event.body ? JSON.parse(event.body) : {};
+    } catch (e){
+      return j(400, { ok:false, error:"Invalid JSON body." });
+    }
+
+    if (!body.cityKey && !body.base && !body.city){
+      return j(400, { ok:false, error:"Missing 'cityKey' or 'base'." });
+    }
+
+    const out = await computeRentalAfterPcs(body);
+    return j(out.ok ? 200 : 400, out);
+
+  } catch (e){
+    return j(500, { ok:false, error:"Server error", detail: String(e?.message || e) });
+  }
+};
+
+exports.computeRentalAfterPcs = computeRentalAfterPcs;
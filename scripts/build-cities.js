@@ -0,0 +1,392 @@
+// scripts/build-cities.js
+// ============================================================
+// PCSUnited • City data build — v1.1.0
+// PURPOSE:
+// - Compiles the source CSVs in scripts/cities-src/ into the normalized city JSON the
+//   functions read: netlify/functions/cities/<key>.json   (see netlify/functions/lib/cities.js)
+// - Every value is written ONCE at its schema v1 path; derived values are computed here
+//   instead of being hand-copied into each file
+//
+// SOURCE CSVs (one row per city unless noted; "key" = city file key, e.g. Nellis):
+//   acs.csv            place/city/state/zip/geo_id/year + ACS demographics
+//                      (columns are dotted JSON paths: population.estimate, income.*, housing.housing_units)
+//   market.csv         mortgage_assumptions.*, property_tax_rate, insurance_rate, hoa_monthly,
+//                      avg_home_mortgage_monthly.*, housing.market.*
+//   sale_history.csv   key, month (YYYY-MM or YYYY-MM-Wn), median_sale_price   (many rows per city)
+//   rent.csv           key, bedrooms, low, high, avg, as_of            (rent ranges)
+//   prices.csv         key, bedrooms, low, high, avg, as_of            (home price ranges)
+//   utilities.csv      key, bedrooms, <component>.low/high/avg, as_of
+//   sources.csv        key, topic, provider, as_of, notes
+//   closing_states.csv state, buyer closing-cost defaults (lender/appraisal/title/recording
+//                      fees, prepaid + escrow months, typical seller concessions); keyed by
+//                      STATE, not city
+//
+// DERIVED:
+//   avg_home_value       zillow_average_home_value -> median_sale_price_current ->
+//                        median_listing_price_realtor -> housing.median_value_owner_occupied
+//                        (avg_home_value_source names the one used)
+//   mortgage_monthly     P&I on home_price low/avg/high with mortgage_assumptions
+//   utilities.total      sum of the utility components
+//   closing_costs        the closing_states.csv row for the city's state (state column, else
+//                        the ", ST" suffix of place)
+//
+// USAGE:
+//   node scripts/build-cities.js [--src scripts/cities-src] [--out netlify/functions/cities]
+//                                [--only Nellis] [--check]
+//   --check   build in memory and fail if any file on disk differs (nothing is written)
+//
+// NOTE:
+// - Each city is validated with lib/cities.js validateCity before anything is written
+// - Empty CSV cells are omitted; numeric cells become numbers except ZIP / dates / ids
+// ============================================================
+
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const { CITY_SCHEMA_VERSION, validateCity } = require("../netlify/functions/lib/cities.js");
+
+const DEFAULT_SRC = path.join("scripts", "cities-src");
+const DEFAULT_OUT = path.join("netlify", "functions", "cities");
+
+// Cells under these path segments stay strings ("2025", "89101", "2026-01")
+const STRING_FIELDS = new Set(["zip", "geo_id", "as_of", "month", "notes", "provider"]);
+
+// Same precedence lib/cities.js used before the schema existed
+const AVG_HOME_PATHS = [
+  "housing.market.zillow_average_home_value",
+  "housing.market.median_sale_price_current",
+  "housing.market.median_listing_price_realtor",
+  "housing.median_value_owner_occupied",
+];
+
+const MORTGAGE_NOTE = "P&I only; excludes taxes/insurance/HOA/PMI";
+
+// -----------------------------
+// //#1 Args
+// -----------------------------
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (next == null || next.startsWith("--")) out[key] = true;
+    else {
+      out[key] = next;
+      i++;
+    }
+  }
+  return out;
+}
+
+// -----------------------------
+// //#2 CSV
+// -----------------------------
+// RFC 4180: quoted cells may hold commas, "" escapes and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+      continue;
+    }
+    if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter((r) => r.some((c) => c.trim() !== ""));
+  const [header, ...body] = nonEmpty;
+  if (!header) return [];
+  return body.map((r) => Object.fromEntries(header.map((h, idx) => [h.trim(), String(r[idx] ?? "").trim()])));
+}
+
+function typedCell(column, raw) {
+  if (raw === "") return undefined;
+  const leaf = column.split(".").pop();
+  if (STRING_FIELDS.has(leaf)) return raw;
+  if (/^-?\d+(\.\d+)?$/.test(raw)) return Number(raw);
+  if (raw === "true" || raw === "false") return raw === "true";
+  return raw;
+}
+
+function readCsv(src, name, { required = true } = {}) {
+  const file = path.join(src, name);
+  if (!fs.existsSync(file)) {
+    if (required) throw new Error(`Missing source CSV: ${file}`);
+    return [];
+  }
+  return parseCsv(fs.readFileSync(file, "utf8"));
+}
+
+// -----------------------------
+// //#3 Assembly helpers
+// -----------------------------
+function setPath(obj, dotted, value) {
+  if (value === undefined) return;
+  const parts = dotted.split(".");
+  let cur = obj;
+  for (const p of parts.slice(0, -1)) {
+    if (!cur[p] || typeof cur[p] !== "object") cur[p] = {};
+    cur = cur[p];
+  }
+  cur[parts[parts.length - 1]] = value;
+}
+
+function getPath(obj, dotted) {
+  return dotted.split(".").reduce((cur, p) => (cur == null ? undefined : cur[p]), obj);
+}
+
+function applyColumns(doc, row, keep) {
+  for (const [col, raw] of Object.entries(row)) {
+    if (col === "key" || !keep(col)) continue;
+    setPath(doc, col, typedCell(col, raw));
+  }
+}
+
+function groupByKey(rows) {
+  const out = new Map();
+  for (const r of rows) {
+    if (!out.has(r.key)) out.set(r.key, []);
+    out.get(r.key).push(r);
+  }
+  return out;
+}
+
+function groupByState(rows) {
+  return new Map(rows.map((r) => [String(r.state || "").toUpperCase(), [r]]));
+}
+
+function rangeFrom(row) {
+  const out = {};
+  for (const k of ["low", "high", "avg", "as_of"]) setPath(out, k, typedCell(k, row[k] ?? ""));
+  return out;
+}
+
+// -----------------------------
+// //#4 Derived values
+// -----------------------------
+function monthlyPI(price, { apr_percent, term_years, down_payment_percent }) {
+  const loan = price * (1 - down_payment_percent / 100);
+  const r = apr_percent / 100 / 12;
+  const n = term_years * 12;
+  if (r === 0) return Math.round(loan / n);
+  return Math.round((loan * r) / (1 - Math.pow(1 + r, -n)));
+}
+
+function hasAssumptions(a) {
+  return a && ["apr_percent", "term_years", "down_payment_percent"].every((k) => typeof a[k] === "number");
+}
+
+function utilitiesFrom(row) {
+  const u = {};
+  applyColumns(u, row, (col) => col !== "bedrooms");
+  const total = {};
+  for (const k of ["low", "high", "avg"]) {
+    const parts = Object.entries(u)
+      .filter(([name, v]) => name !== "as_of" && v && typeof v === "object")
+      .map(([, v]) => Number(v[k]) || 0);
+    if (parts.length) total[k] = parts.reduce((a, b) => a + b, 0);
+  }
+  const { as_of, ...components } = u;
+  return { ...components, total, ...(as_of !== undefined ? { as_of } : {}) };
+}
+
+// "Abilene (Dyess AFB), TX" -> "TX"
+function stateOf(doc) {
+  const explicit = String(doc.state || "").trim().toUpperCase();
+  if (/^[A-Z]{2}$/.test(explicit)) return explicit;
+  const m = /,\s*([A-Z]{2})\s*$/.exec(String(doc.place || doc.city || ""));
+  return m ? m[1] : null;
+}
+
+function closingFrom(row, state) {
+  const out = { state };
+  applyColumns(out, row, (col) => col !== "state");
+  return out;
+}
+
+// -----------------------------
+// //#5 Build one city
+// -----------------------------
+function buildCity(key, src) {
+  const errors = [];
+  const doc = { schema_version: CITY_SCHEMA_VERSION, key };
+
+  const acs = src.acs.get(key)?.[0];
+  const market = src.market.get(key)?.[0] || {};
+  if (!acs) return { doc: null, errors: [`${key}: no acs.csv row`] };
+
+  const isHousing = (col) => col.startsWith("housing.");
+  const isTop = (col) => !col.includes(".");
+
+  // Identity, then the one home value, then city-level mortgage defaults
+  applyColumns(doc, acs, isTop);
+  doc.avg_home_value = null;
+  doc.avg_home_value_source = null;
+  applyColumns(doc, market, (col) => !isHousing(col));
+
+  // ACS demographics, bedroom tiers, housing + market, sources
+  applyColumns(doc, acs, (col) => !isTop(col) && !isHousing(col));
+
+  const rent = new Map((src.rent.get(key) || []).map((r) => [r.bedrooms, r]));
+  const prices = new Map((src.prices.get(key) || []).map((r) => [r.bedrooms, r]));
+  const utilities = new Map((src.utilities.get(key) || []).map((r) => [r.bedrooms, r]));
+  const beds = Array.from(new Set([...rent.keys(), ...prices.keys()])).sort((a, b) => Number(a) - Number(b));
+
+  if (beds.length) {
+    doc.by_bedroom = {};
+    for (const bed of beds) {
+      const r = rent.get(bed);
+      const p = prices.get(bed);
+      if (!r) errors.push(`${key}: rent.csv has no ${bed}-bedroom row`);
+      if (!p) errors.push(`${key}: prices.csv has no ${bed}-bedroom row`);
+      if (!r || !p) continue;
+
+      const tier = { rent_monthly: rangeFrom(r), home_price: rangeFrom(p) };
+      if (hasAssumptions(doc.mortgage_assumptions)) {
+        tier.mortgage_monthly = {};
+        for (const k of ["low", "high", "avg"]) tier.mortgage_monthly[k] = monthlyPI(tier.home_price[k], doc.mortgage_assumptions);
+        if (tier.home_price.as_of) tier.mortgage_monthly.as_of = tier.home_price.as_of;
+        tier.mortgage_monthly.assumptions = MORTGAGE_NOTE;
+      }
+      if (utilities.has(bed)) tier.utilities = utilitiesFrom(utilities.get(bed));
+      doc.by_bedroom[bed] = tier;
+    }
+  }
+
+  applyColumns(doc, acs, isHousing);
+  applyColumns(doc, market, isHousing);
+  const history = src.history.get(key) || [];
+  if (history.length) {
+    setPath(
+      doc,
+      "housing.market.sale_history_36_months",
+      history
+        .map((h) => ({ month: h.month, median_sale_price: typedCell("median_sale_price", h.median_sale_price) }))
+        .sort((a, b) => a.month.localeCompare(b.month))
+    );
+  }
+
+  const state = stateOf(doc);
+  const closing = state ? src.closing.get(state)?.[0] : null;
+  if (closing) doc.closing_costs = closingFrom(closing, state);
+  else if (src.closing.size) errors.push(`${key}: no closing_states.csv row for state ${state || "(unknown)"}`);
+
+  const sources = src.sources.get(key) || [];
+  if (sources.length) {
+    doc.sources = {};
+    for (const s of sources) {
+      const entry = {};
+      for (const k of ["provider", "as_of", "notes"]) setPath(entry, k, typedCell(k, s[k] ?? ""));
+      doc.sources[s.topic] = entry;
+    }
+  }
+
+  const hit = AVG_HOME_PATHS.find((p) => typeof getPath(doc, p) === "number" && getPath(doc, p) > 0);
+  if (hit) {
+    doc.avg_home_value = getPath(doc, hit);
+    doc.avg_home_value_source = hit;
+  } else {
+    delete doc.avg_home_value;
+    delete doc.avg_home_value_source;
+  }
+
+  for (const e of validateCity(doc, key)) errors.push(`${key}: ${e}`);
+  return { doc, errors };
+}
+
+// -----------------------------
+// //#6 Main
+// -----------------------------
+function loadSources(srcDir) {
+  const byKey = (name, opts) => groupByKey(readCsv(srcDir, name, opts));
+  return {
+    acs: byKey("acs.csv"),
+    market: byKey("market.csv", { required: false }),
+    history: byKey("sale_history.csv", { required: false }),
+    rent: byKey("rent.csv", { required: false }),
+    prices: byKey("prices.csv", { required: false }),
+    utilities: byKey("utilities.csv", { required: false }),
+    sources: byKey("sources.csv", { required: false }),
+    closing: groupByState(readCsv(srcDir, "closing_states.csv", { required: false })),
+  };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const srcDir = args.src && args.src !== true ? args.src : DEFAULT_SRC;
+  const outDir = args.out && args.out !== true ? args.out : DEFAULT_OUT;
+
+  const src = loadSources(srcDir);
+  const known = new Set(src.acs.keys());
+  const keys = args.only && args.only !== true ? String(args.only).split(",").map((k) => k.trim()) : Array.from(known).sort();
+
+  const errors = [];
+  for (const k of keys) if (!known.has(k)) errors.push(`${k}: not in acs.csv`);
+  for (const name of ["market", "history", "rent", "prices", "utilities", "sources"]) {
+    for (const k of src[name].keys()) if (!known.has(k)) errors.push(`${k}: in ${name} source but not in acs.csv`);
+  }
+
+  const built = [];
+  for (const k of keys.filter((x) => known.has(x))) {
+    const res = buildCity(k, src);
+    errors.push(...res.errors);
+    if (res.doc) built.push(res.doc);
+  }
+
+  if (errors.length) {
+    console.error(`City build failed validation:\n- ${errors.slice(0, 50).join("\n- ")}`);
+    process.exit(1);
+  }
+
+  const stale = [];
+  for (const doc of built) {
+    const file = path.join(outDir, `${doc.key}.json`);
+    const text = JSON.stringify(doc, null, 2) + "\n";
+    if (args.check) {
+      if (!fs.existsSync(file) || fs.readFileSync(file, "utf8") !== text) stale.push(file);
+      continue;
+    }
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(file, text);
+  }
+
+  if (args.check) {
+    if (stale.length) {
+      console.error(`City JSON is out of date (run node scripts/build-cities.js):\n- ${stale.join("\n- ")}`);
+      process.exit(1);
+    }
+    console.log(`City JSON up to date: ${built.length} files.`);
+    return;
+  }
+  console.log(`Wrote ${built.length} city files to ${outDir}.`);
+}
+
+if (require.main === module) main();
+
+module.exports = { parseCsv, buildCity, loadSources, monthlyPI };
@@ -0,0 +1,180 @@
+// scripts/import-bah.js
+// ============================================================
+// PCSUnited • DTMO BAH import — v1.1.0
+// PURPOSE:
+// - Turns DTMO's published BAH files into the ONE rate file the functions read:
+//     netlify/functions/data/bah/bah-rates.json   (see netlify/functions/lib/bah.js)
+//
+// DTMO FILES (https://www.travel.dod.mil -> BAH -> "BAH Rate Data"):
+//   sorted_zipmhaYY.txt   "ZIP MHA" per line (e.g. "78236 TX285")
+//   bahwYY.txt            CSV: MHA, E01..E09, W01..W05, O01E..O03E, O01..O07  (with dependents)
+//   bahwoYY.txt           same columns (without dependents)
+//   mhanamesYY.txt        optional CSV: MHA, NAME
+//
+// USAGE:
+//   node scripts/import-bah.js --year 2026 --effective 2026-01-01 \
+//     --zipmha sorted_zipmha26.txt --with bahw26.txt --without bahwo26.txt \
+//     [--names mhanames26.txt] [--out netlify/functions/data/bah/bah-rates.json]
+//
+// NOTE:
+// - Rates are stored per MHA keyed by paygrade ("E-5", "O-1E", ...)
+// - zip3_to_mha (most common MHA per ZIP3) is rebuilt as an approximate fallback
+// - The output is validated with lib/bah.js before it is written; coverage "dtmo" requires
+//   every DTMO grade for every MHA, so a short column row fails the import instead of
+//   silently dropping E-1..E-4 / W-* / O-*E
+// - The seed file's zip_provisional rows are not carried over (DTMO maps those ZIPs itself)
+// ============================================================
+
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+// DTMO column order after the MHA column lives with the validator
+const { validateBahRates, DTMO_GRADES } = require("../netlify/functions/lib/bah.js");
+
+const DEFAULT_OUT = path.join("netlify", "functions", "data", "bah", "bah-rates.json");
+
+// -----------------------------
+// //#1 Args
+// -----------------------------
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (next == null || next.startsWith("--")) out[key] = true;
+    else {
+      out[key] = next;
+      i++;
+    }
+  }
+  return out;
+}
+
+function readLines(file) {
+  return fs.readFileSync(file, "utf8").split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+}
+
+// -----------------------------
+// //#2 Parsers
+// -----------------------------
+function parseZipMha(lines) {
+  const map = {};
+  for (const line of lines) {
+    const m = line.match(/^(\d{5})[\s,]+([A-Z]{2}\d{3})$/i);
+    if (m) map[m[1]] = m[2].toUpperCase();
+  }
+  return map;
+}
+
+function parseRateCsv(lines) {
+  const rows = {};
+  for (const line of lines) {
+    const cols = line.split(",").map((c) => c.trim());
+    const code = String(cols[0] || "").toUpperCase();
+    if (!/^[A-Z]{2}\d{3}$/.test(code)) continue; // header / blank
+
+    const rates = {};
+    DTMO_GRADES.forEach((pg, idx) => {
+      const v = Number(cols[idx + 1]);
+      if (Number.isFinite(v) && v > 0) rates[pg] = v;
+    });
+    rows[code] = rates;
+  }
+  return rows;
+}
+
+function parseNames(lines) {
+  const names = {};
+  for (const line of lines) {
+    const idx = line.indexOf(",");
+    if (idx < 0) continue;
+    const code = line.slice(0, idx).trim().toUpperCase();
+    const name = line.slice(idx + 1).trim().replace(/^"|"$/g, "");
+    if (/^[A-Z]{2}\d{3}$/.test(code) && name) names[code] = name;
+  }
+  return names;
+}
+
+function buildZip3(zipToMha) {
+  const counts = {};
+  for (const [zip, code] of Object.entries(zipToMha)) {
+    const z3 = zip.slice(0, 3);
+    counts[z3] = counts[z3] || {};
+    counts[z3][code] = (counts[z3][code] || 0) + 1;
+  }
+
+  const out = {};
+  for (const z3 of Object.keys(counts).sort()) {
+    const best = Object.entries(counts[z3]).sort((a, b) => b[1] - a[1])[0];
+    out[z3] = best[0];
+  }
+  return out;
+}
+
+// -----------------------------
+// //#3 Main
+// -----------------------------
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const need = ["year", "zipmha", "with", "without"].filter((k) => !args[k] || args[k] === true);
+  if (need.length) {
+    console.error(`Missing --${need.join(", --")}\nSee the header of scripts/import-bah.js for usage.`);
+    process.exit(1);
+  }
+
+  const zipToMha = parseZipMha(readLines(args.zipmha));
+  const withRates = parseRateCsv(readLines(args.with));
+  const withoutRates = parseRateCsv(readLines(args.without));
+  const names = args.names ? parseNames(readLines(args.names)) : {};
+
+  const mha = {};
+  for (const code of Object.keys(withRates).sort()) {
+    if (!withoutRates[code]) continue;
+    mha[code] = { name: names[code] || code, with: withRates[code], without: withoutRates[code] };
+  }
+
+  // Drop ZIPs that point at an MHA without rates (DTMO lists a few territories this way)
+  const zipClean = {};
+  for (const zip of Object.keys(zipToMha).sort()) {
+    if (mha[zipToMha[zip]]) zipClean[zip] = zipToMha[zip];
+  }
+
+  const year = String(args.year);
+  const out = {
+    version: year,
+    coverage: "dtmo",
+    effective: args.effective && args.effective !== true ? String(args.effective) : `${year}-01-01`,
+    source: `DTMO BAH rates (${year}) - imported by scripts/import-bah.js`,
+    updated: new Date().toISOString().slice(0, 10),
+    notes:
+      "zip_to_mha maps a 5-digit ZIP to its Military Housing Area. zip3_to_mha is an approximate fallback " +
+      "(most common MHA per ZIP3). Rates are monthly by paygrade; O-8..O-10 draw the O-7 rate.",
+    grades: DTMO_GRADES,
+    zip_to_mha: zipClean,
+    zip3_to_mha: buildZip3(zipClean),
+    mha,
+  };
+
+  const errors = validateBahRates(out);
+  if (errors.length) {
+    console.error(`Import failed validation:\n- ${errors.slice(0, 50).join("\n- ")}`);
+    process.exit(1);
+  }
+
+  const outPath = args.out && args.out !== true ? args.out : DEFAULT_OUT;
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, JSON.stringify(out, null, 2) + "\n");
+
+  console.log(
+    `Wrote ${outPath}: ${Object.keys(mha).length} MHAs, ${Object.keys(zipClean).length} ZIPs, ` +
+    `${Object.keys(out.zip3_to_mha).length} ZIP3 fallbacks.`
+  );
+}
+
+if (require.main === module) main();
+
+module.exports = { parseZipMha, parseRateCsv, parseNames, buildZip3, DTMO_GRADES };
@@ -0,0 +1,72 @@
+// test/bah-gap.test.js
+// Run: npm test (node --test, from the repo root — data files resolve from process.cwd())
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { computeBahGap, householdFromProfile, recommendBedrooms } = require("../netlify/functions/lib/bah-gap.js");
+
+const city = {
+  by_bedroom: {
+    2: { rent_monthly: { avg: 1400 }, utilities: { total: { avg: 200 } }, home_price: { avg: 250000 } },
+    3: { rent_monthly: { avg: 1700 }, utilities: { total: { avg: 250 } }, home_price: { avg: 320000 } },
+    4: { rent_monthly: { avg: 2100 }, utilities: { total: { avg: 300 } }, home_price: { avg: 400000 } },
+  },
+};
+
+test("household matches pay-engine's VA dependents (explicit fields, family size, bare flag)", () => {
+  assert.deepEqual(householdFromProfile({ family: true, children_under_18: 2 }), {
+    familySize: 3,
+    spouse: false,
+    children: 2,
+    source: "profile.dependents",
+  });
+  assert.deepEqual(householdFromProfile({ family_size: 4 }), { familySize: 4, spouse: true, children: 2, source: "profile.family_size" });
+  assert.deepEqual(householdFromProfile({ family: true }), { familySize: 2, spouse: true, children: 0, source: "profile.family_size" });
+  assert.equal(householdFromProfile({}).source, "default:single");
+});
+
+test("recommended bedrooms: one for the member/spouse plus one per child, within the city's tiers", () => {
+  assert.equal(recommendBedrooms({ spouse: true, children: 0 }, ["2", "3", "4"]).bedrooms, 2);
+  assert.equal(recommendBedrooms({ spouse: true, children: 2 }, ["2", "3", "4"]).bedrooms, 3);
+  assert.equal(recommendBedrooms({ spouse: true, children: 5 }, ["2", "3", "4"]).bedrooms, 4);
+});
+
+test("gap per tier: BAH minus rent + utilities and minus PITI + utilities", async () => {
+  const r = await computeBahGap({
+    city,
+    bah: 2000,
+    profile: { family_size: 3 },
+    paymentAt: async (price) => ({ totalMonthly: price / 200 }),
+  });
+  assert.equal(r.ok, true);
+  const three = r.tiers.find((t) => t.bedrooms === 3);
+  assert.equal(three.rentGap, 2000 - 1950);
+  assert.equal(three.ownGap, 2000 - (1600 + 250));
+  assert.equal(r.recommended.bedrooms, 2);
+  assert.deepEqual(r.largestCovered, { rent: 3, own: 3 });
+});
+
+test("no BAH -> not ok", async () => {
+  const r = await computeBahGap({ city, bah: 0 });
+  assert.equal(r.ok, false);
+});
+
+test("city with no by_bedroom: one city-level tier at the household's bedroom count", async () => {
+  const r = await computeBahGap({
+    city: { target_rent: 1900, avg_utilities: 250, avg_home_value: 300000, target_rent_source: "Lackland.by_bedroom, same geo_id" },
+    bah: 2000,
+    profile: { family_size: 4 },
+    paymentAt: async (price) => ({ totalMonthly: price / 200 }),
+  });
+  assert.equal(r.ok, true);
+  assert.equal(r.tiers.length, 1);
+  assert.equal(r.recommended.bedrooms, 3);
+  assert.equal(r.recommended.tier.rentGap, 2000 - 2150);
+  assert.equal(r.recommended.tier.ownGap, 2000 - (1500 + 250));
+  assert.ok(r.warnings.some((w) => w.startsWith("by_bedroom_missing")));
+
+  const none = await computeBahGap({ city: {}, bah: 2000 });
+  assert.equal(none.ok, false);
+});
@@ -0,0 +1,69 @@
+// test/bah.test.js
+// Run: npm test (node --test, from the repo root — data files resolve from process.cwd())
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { DTMO_GRADES, loadBahRates, validateBahRates, mhaForZip, lookupBah } = require("../netlify/functions/lib/bah.js");
+
+const row = (grades, amt = 1500) => {
+  const rates = Object.fromEntries(grades.map((g) => [g, amt]));
+  return { with: { ...rates }, without: { ...rates } };
+};
+
+test("shipped rate file validates and says it is a seed, not a DTMO import", () => {
+  const rates = loadBahRates();
+  assert.deepEqual(validateBahRates(rates), []);
+  assert.equal(rates.coverage, "seed");
+});
+
+test("validator: DTMO MHA codes only, every declared grade on every row, full grades for coverage dtmo", () => {
+  const grades = ["E-5", "E-6"];
+  const ok = { grades, zip_to_mha: { 78236: "TX285" }, mha: { TX285: row(grades) } };
+  assert.deepEqual(validateBahRates(ok), []);
+
+  const badCode = { ...ok, zip_to_mha: { 76908: "TX_SAN_ANGELO" }, mha: { TX_SAN_ANGELO: row(grades) } };
+  assert.ok(validateBahRates(badCode).some((e) => /not a DTMO MHA code/.test(e)));
+
+  const missingGrade = { ...ok, mha: { TX285: row(["E-5"]) } };
+  assert.ok(validateBahRates(missingGrade).some((e) => /E-6 is missing/.test(e)));
+
+  const dtmo = { ...ok, coverage: "dtmo" };
+  assert.ok(validateBahRates(dtmo).some((e) => /coverage "dtmo" but grades omit/.test(e)));
+  const full = { coverage: "dtmo", grades: DTMO_GRADES, zip_to_mha: { 78236: "TX285" }, mha: { TX285: row(DTMO_GRADES) } };
+  assert.deepEqual(validateBahRates(full), []);
+
+  const dupe = { ...ok, zip_provisional: { 78236: row(grades) } };
+  assert.ok(validateBahRates(dupe).some((e) => /also in zip_to_mha/.test(e)));
+});
+
+test("ZIP -> MHA: exact, then provisional, then approximate ZIP3", () => {
+  const rates = loadBahRates();
+  assert.equal(mhaForZip("78236", rates).via, "zip_to_mha");
+  const prov = mhaForZip("76908", rates);
+  assert.equal(prov.via, "zip_provisional");
+  assert.equal(prov.provisional, true);
+  assert.equal(prov.mha, null);
+  const z3 = mhaForZip("78201", rates);
+  assert.equal(z3.mha, "TX285");
+  assert.equal(z3.approximate, true);
+  assert.equal(mhaForZip("00501", rates).row, null);
+});
+
+test("lookup: O-8+ draws the O-7 rate; grades the seed file lacks say so", () => {
+  const o7 = lookupBah({ zip: "78236", paygrade: "O-7", withDependents: true });
+  const o9 = lookupBah({ zip: "78236", paygrade: "O-9", withDependents: true });
+  assert.equal(o9.gradeUsed, "O-7");
+  assert.equal(o9.amount, o7.amount);
+
+  const e5 = lookupBah({ zip: "78236", paygrade: "E-5", withDependents: false });
+  assert.equal(e5.amount, 1530);
+
+  const e3 = lookupBah({ zip: "78236", paygrade: "E-3", withDependents: true });
+  assert.equal(e3.ok, false);
+  assert.deepEqual(e3.missing, ["bah_grade_not_covered"]);
+
+  assert.deepEqual(lookupBah({ zip: "", paygrade: "E-5" }).missing, ["bah_zip_missing"]);
+  assert.deepEqual(lookupBah({ zip: "00501", paygrade: "E-5" }).missing, ["bah_zip_not_found"]);
+});
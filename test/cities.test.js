@@ -0,0 +1,48 @@
+// test/cities.test.js
+// Run: npm test (node --test, from the repo root — data files resolve from process.cwd())
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CITY_SCHEMA_VERSION, validateCity, loadCity, listCityFiles, resolveCityFileKey } = require("../netlify/functions/lib/cities.js");
+
+test("every shipped city file passes the schema", () => {
+  const files = Array.from(listCityFiles()).filter((k) => k !== "index.byBase");
+  assert.ok(files.length > 0);
+  for (const key of files) {
+    const city = require(`../netlify/functions/cities/${key}.json`);
+    assert.deepEqual(validateCity(city, key), [], key);
+  }
+});
+
+test("validator rejects legacy keys, a wrong schema version and a key/file mismatch", () => {
+  const city = require("../netlify/functions/cities/Lackland.json");
+  assert.ok(validateCity({ ...city, schema_version: CITY_SCHEMA_VERSION + 1 }, "Lackland").some((e) => /schema_version/.test(e)));
+  assert.ok(validateCity(city, "Nellis").some((e) => /does not match/.test(e)));
+  assert.ok(validateCity({ ...city, avgHome: 1 }, "Lackland").some((e) => /not allowed/.test(e)));
+});
+
+test("loadCity resolves a canonical city key or the profile's base to its base-named file", () => {
+  assert.equal(loadCity("LasVegas").cityFileUsed, "Nellis");
+  assert.equal(loadCity("Atlantis", { base: "Nellis AFB" }).cityFileUsed, "Nellis");
+});
+
+test("an installation with no market file resolves to no city, not another city's data", () => {
+  const res = resolveCityFileKey({ cityKeyCanonical: "Fayetteville", profile: { base: "Fort Bragg" } });
+  assert.equal(res.ok, false);
+  assert.equal(res.fileKey, null);
+  assert.equal(res.warning, "city_file_missing");
+  assert.equal(loadCity("Fayetteville", { base: "Fort Bragg" }), null);
+  assert.equal(loadCity("Atlantis"), null);
+  assert.equal(loadCity("SanAntonio").cityFileUsed, "Fort-Sam-Houston");
+});
+
+test("a file with no by_bedroom takes city-level rent from a file for the same Census place", () => {
+  const fsh = loadCity("SanAntonio");
+  assert.equal(fsh.cityFileUsed, "Fort-Sam-Houston");
+  assert.equal(fsh.by_bedroom, undefined);
+  assert.equal(fsh.target_rent, loadCity("Lackland").target_rent);
+  assert.match(fsh.target_rent_source, /^Lackland\.by_bedroom/);
+  assert.equal(loadCity("Luke").target_rent, null);
+});
@@ -0,0 +1,65 @@
+// test/concurrent-receipt.test.js
+// Run: npm test (node --test, from the repo root — data files resolve from process.cwd())
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { applyConcurrentReceipt } = require("../netlify/functions/lib/concurrent-receipt.js");
+
+const retirement = (amount, years = 20) => ({ amount, detail: { eligible: true, yearsCredited: years } });
+const va = (amount, pct) => ({ amount, debug: { pct } });
+
+test("under 50%, no combat rating: retired pay is offset dollar-for-dollar", () => {
+  const r = applyConcurrentReceipt({ retirement: retirement(2500), va: va(500, 30), profile: {} });
+  assert.equal(r.program, "none");
+  assert.equal(r.waiverMonthly, 500);
+  assert.equal(r.retiredPayReceivedMonthly, 2000);
+  assert.equal(r.taxableMonthly, 2000);
+  assert.equal(r.nonTaxableMonthly, 500);
+  assert.equal(r.netCombinedMonthly, 2500);
+});
+
+test("CRDP: 50%+ with 20 years restores the waiver as taxable retired pay", () => {
+  const r = applyConcurrentReceipt({ retirement: retirement(2500), va: va(1100, 60), profile: {} });
+  assert.equal(r.program, "crdp");
+  assert.equal(r.crdpMonthly, 1100);
+  assert.equal(r.retiredPayReceivedMonthly, 2500);
+  assert.equal(r.taxableMonthly, 2500);
+  assert.equal(r.netCombinedMonthly, 3600);
+});
+
+test("CRDP needs 20 years", () => {
+  const r = applyConcurrentReceipt({ retirement: retirement(2000, 19), va: va(1100, 60), profile: {} });
+  assert.equal(r.eligible.crdp, false);
+});
+
+test("CRSC: tax-free, capped at the combat-related share of the award", () => {
+  const r = applyConcurrentReceipt({
+    retirement: retirement(2500),
+    va: va(500, 30),
+    profile: { crsc_rating: 20 },
+    vaAmountAt: (pct) => (pct === 20 ? 300 : 0),
+  });
+  assert.equal(r.program, "crsc");
+  assert.equal(r.crscMonthly, 300);
+  assert.equal(r.retiredPayReceivedMonthly, 2000);
+  assert.equal(r.nonTaxableMonthly, 800);
+  assert.equal(r.netCombinedMonthly, 2800);
+});
+
+test("both eligible: one is paid, the higher unless elected", () => {
+  const args = {
+    retirement: retirement(2500),
+    va: va(1100, 60),
+    vaAmountAt: () => 400,
+  };
+  const auto = applyConcurrentReceipt({ ...args, profile: { crsc_rating: 30 } });
+  assert.equal(auto.program, "crdp");
+  assert.ok(auto.warnings.includes("crdp_crsc_both_eligible_one_paid"));
+  assert.deepEqual(auto.alternatives, { none: 2500, crdp: 3600, crsc: 2900 });
+
+  const elected = applyConcurrentReceipt({ ...args, profile: { crsc_rating: 30, concurrent_receipt: "crsc" } });
+  assert.equal(elected.program, "crsc");
+  assert.equal(elected.crscMonthly, 400);
+});
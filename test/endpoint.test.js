@@ -0,0 +1,34 @@
+// test/endpoint.test.js
+// Run: npm test (node --test, from the repo root — data files resolve from process.cwd())
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { j, num, firstNum, money0, normalizeLoanType, callMortgageEngine } = require("../netlify/functions/lib/endpoint.js");
+
+test("num / firstNum: blank is missing, 0 is a number", () => {
+  assert.ok(Number.isNaN(num("")));
+  assert.ok(Number.isNaN(num(null)));
+  assert.ok(Number.isNaN(num("abc")));
+  assert.equal(num("0"), 0);
+  assert.equal(firstNum("", undefined, "0", 5), 0);
+  assert.ok(Number.isNaN(firstNum()));
+});
+
+test("j: JSON body with CORS headers; money0 and loan type normalization", () => {
+  const res = j(400, { ok: false });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.headers["Access-Control-Allow-Origin"], "*");
+  assert.deepEqual(JSON.parse(res.body), { ok: false });
+  assert.equal(money0(1234.6), "$1,235");
+  assert.equal(normalizeLoanType(" VA "), "va");
+  assert.equal(normalizeLoanType("jumbo"), "conventional");
+});
+
+test("callMortgageEngine returns the mortgage.js body and throws on its errors", async () => {
+  const out = await callMortgageEngine({ price: 300000, down: 20, aprOverride: 6, termYears: 30 });
+  assert.equal(out.ok, true);
+  assert.equal(out.loanAmount, 240000);
+  await assert.rejects(() => callMortgageEngine({ price: 0 }), /price/i);
+});
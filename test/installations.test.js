@@ -0,0 +1,43 @@
+// test/installations.test.js
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { lookupInstallation, findInstallationInText, loadInstallations } = require("../netlify/functions/lib/installations.js");
+
+test("registry validates and has no ambiguous short names", () => {
+  assert.deepEqual(loadInstallations().ambiguous, []);
+});
+
+test("2025 Army names are canonical; 2023 names resolve to them", () => {
+  const pairs = {
+    "Fort Liberty": "Fort Bragg",
+    "Fort Cavazos": "Fort Hood",
+    "Fort Moore": "Fort Benning",
+    "Fort Gregg-Adams": "Fort Lee",
+    "Fort Johnson": "Fort Polk",
+    "Fort Novosel": "Fort Rucker",
+    "Fort Eisenhower": "Fort Gordon",
+  };
+  for (const [old, current] of Object.entries(pairs)) {
+    assert.equal(lookupInstallation(current)?.via, "name", current);
+    assert.equal(lookupInstallation(old)?.name, current, old);
+  }
+  assert.equal(lookupInstallation("Novosel")?.name, "Fort Rucker");
+  assert.equal(lookupInstallation("Ft Liberty")?.name, "Fort Bragg");
+});
+
+test("Joint Base San Antonio and common short names", () => {
+  assert.equal(lookupInstallation("Joint Base San Antonio")?.cityKey, "SanAntonio");
+  assert.equal(lookupInstallation("JBSA")?.name, "JBSA-Lackland");
+  assert.equal(lookupInstallation("Lejeune")?.name, "Camp Lejeune");
+  assert.equal(lookupInstallation("Seymour Johnson")?.name, "Seymour Johnson AFB");
+  assert.equal(lookupInstallation("Nowhere Base"), null);
+});
+
+test("findInstallationInText matches names and aliases, not bare variants", () => {
+  assert.equal(findInstallationInText("orders to Fort Liberty in June")?.name, "Fort Bragg");
+  assert.equal(findInstallationInText("moving to Ft Hood")?.name, "Fort Hood");
+  assert.equal(findInstallationInText("no base here"), null);
+});
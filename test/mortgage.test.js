@@ -0,0 +1,154 @@
+// test/mortgage.test.js
+// Run: npm test (node --test, from the repo root — data files resolve from process.cwd())
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { handler, mortgagePI } = require("../netlify/functions/mortgage.js");
+
+async function post(body) {
+  const res = await handler({ httpMethod: "POST", headers: {}, body: JSON.stringify(body) });
+  const out = JSON.parse(res.body);
+  assert.equal(res.statusCode, 200, out.error);
+  return out;
+}
+
+const near = (a, b, tol = 0.01) => assert.ok(Math.abs(a - b) <= tol, `${a} != ${b}`);
+
+const LOAN = { price: 300000, down: 20, aprOverride: 6, termYears: 30, taxRate: 0.02, insuranceAnnual: 1500 };
+
+test("P&I matches the standard amortization formula", async () => {
+  near(mortgagePI(240000, 6, 30), 1438.92);
+  const out = await post(LOAN);
+  near(out.breakdown.pi, 1438.92);
+  near(out.breakdown.tax, 500);
+  near(out.breakdown.insurance, 125);
+});
+
+test("amortization: full schedule only with schedule: true; extraStartMonth is echoed", async () => {
+  const extra = { ...LOAN, extraMonthly: 200, extraStartMonth: 13 };
+  const summaryOnly = await post(extra);
+  assert.equal(summaryOnly.amortization.schedule, undefined);
+  assert.equal(summaryOnly.inputs.extraStartMonth, 13);
+  assert.ok(summaryOnly.amortization.savings.monthsSaved > 0);
+
+  const full = await post({ ...extra, schedule: true });
+  const rows = full.amortization.schedule;
+  assert.equal(rows.length, full.amortization.summary.payoffMonth);
+  assert.equal(rows[11].extra, 0);
+  assert.equal(rows[12].extra, 200);
+  near(rows[rows.length - 1].balance, 0);
+  near(rows.reduce((a, r) => a + r.principal + r.extra, 0), 240000, 0.5);
+});
+
+test("amortization: no extras -> baseline payoff at term with no savings", async () => {
+  const out = await post({ ...LOAN, schedule: true });
+  assert.equal(out.amortization.summary.payoffMonth, 360);
+  assert.equal(out.amortization.savings.monthsSaved, 0);
+  near(out.amortization.summary.totalInterest, 1438.92 * 360 - 240000, 5);
+});
+
+test("amortization: extra principal moves the 80% request month but not the scheduled 78% cancellation", async () => {
+  const pmiLoan = { ...LOAN, down: 10 };
+  const base = await post({ ...pmiLoan, schedule: true });
+  const extra = await post({ ...pmiLoan, extraMonthly: 500 });
+  const b = base.amortization.pmiDropoff;
+  const x = extra.amortization.pmiDropoff;
+  assert.ok(b.autoMonth78 > 0);
+  assert.equal(x.autoMonth78, b.autoMonth78);
+  assert.equal(extra.amortization.baseline.pmiDropoff.autoMonth78, b.autoMonth78);
+  assert.ok(x.requestMonth80 < b.requestMonth80);
+  // 78% is read off the original schedule
+  const rows = base.amortization.schedule;
+  assert.ok(rows[b.autoMonth78 - 1].ltv <= 78 && rows[b.autoMonth78 - 2].ltv > 78);
+});
+
+test("VA funding fee: first use at 0% down is 2.15% and financed; a disability rating waives it", async () => {
+  const va = { price: 300000, down: 0, aprOverride: 6, termYears: 30, loanType: "va", vaFirstUse: true };
+  const first = await post(va);
+  assert.equal(first.vaFundingFee.ratePct, 2.15);
+  assert.equal(first.vaFundingFee.amount, 6450);
+  assert.equal(first.loanAmount, 306450);
+  assert.equal(first.baseLoanAmount, 300000);
+
+  const subsequent = await post({ ...va, vaFirstUse: false });
+  assert.equal(subsequent.vaFundingFee.ratePct, 3.3);
+
+  const rated = await post({ ...va, vaDisabilityRating: 10 });
+  assert.equal(rated.vaFundingFee.exempt, true);
+  assert.equal(rated.vaFundingFee.amount, 0);
+  assert.equal(rated.loanAmount, 300000);
+});
+
+test("FHA MIP: 1.75% upfront on the base loan; annual rate and duration follow LTV", async () => {
+  const low = await post({ price: 300000, down: 3.5, aprOverride: 6, termYears: 30, loanType: "fha" });
+  near(low.fhaMip.upfrontAmount, 289500 * 0.0175);
+  assert.equal(low.fhaMip.annualRatePct, 0.55);
+  assert.equal(low.fhaMip.durationLabel, "life_of_loan");
+  near(low.loanAmount, 289500 + 5066.25);
+
+  const ten = await post({ price: 300000, down: 10, aprOverride: 6, termYears: 30, loanType: "fha" });
+  assert.equal(ten.fhaMip.annualRatePct, 0.5);
+  assert.equal(ten.fhaMip.durationLabel, "11_years");
+  assert.equal(ten.fhaMip.durationMonths, 132);
+});
+
+test("FHA: pmiMonthlyOverride replaces the annual MIP in the payment; upfront MIP is unchanged", async () => {
+  const base = { price: 300000, down: 3.5, aprOverride: 6, termYears: 30, loanType: "fha" };
+  const mip = await post(base);
+  assert.ok(mip.breakdown.pmi > 0);
+  const pinned = await post({ ...base, pmiMonthlyOverride: 90 });
+  assert.equal(pinned.breakdown.pmi, 90);
+  assert.equal(pinned.inputs.pmiMonthlyOverride, 90);
+  near(pinned.breakdown.allIn - mip.breakdown.allIn, 90 - mip.breakdown.pmi);
+  assert.equal(pinned.fhaMip.upfrontAmount, mip.fhaMip.upfrontAmount);
+  // null means "not given", not "$0 insurance"
+  const unset = await post({ ...base, pmiMonthlyOverride: null });
+  assert.equal(unset.breakdown.pmi, mip.breakdown.pmi);
+});
+
+test("ARM: rate holds for the fixed period; worst case is start rate + lifetime cap", async () => {
+  const out = await post({ ...LOAN, product: "5/1" });
+  const arm = out.arm;
+  assert.equal(arm.fixedYears, 5);
+  for (const y of arm.yearly.slice(0, 5)) assert.equal(y.rate, arm.initialRate);
+  assert.equal(arm.firstAdjustment.year, 6);
+  assert.equal(arm.worstCase.rate, arm.initialRate + arm.caps.lifetime);
+  near(arm.worstCase.payment, Math.max(...arm.yearly.map((y) => y.worstPayment)));
+});
+
+test("buydown 2-1: note rate −2 then −1; subsidy is the 24 months of payment difference", async () => {
+  const { buydown } = await post({ ...LOAN, buydown: "2-1" });
+  assert.equal(buydown.yearly[0].rate, buydown.noteRate - 2);
+  assert.equal(buydown.yearly[1].rate, buydown.noteRate - 1);
+  near(buydown.subsidyTotal, 12 * (buydown.yearly[0].belowNote + buydown.yearly[1].belowNote), 0.1);
+});
+
+test("cash to close: down + closing + prepaids − seller credit, credit capped by program", async () => {
+  const out = await post({ ...LOAN, closing: { state: "TX", sellerConcessionPct: 10 }, cashAvailable: 70000 });
+  const c = out.cashToClose;
+  assert.equal(c.downPayment, 60000);
+  assert.equal(c.sellerConcessions.capPct, 6); // conventional, 10–25% down
+  // A credit can't exceed the 6% cap or the costs it pays for
+  near(c.sellerConcessions.applied, Math.min(18000, c.closingCosts.total + c.prepaids.total + c.fundingFees.total));
+  near(c.total, c.downPayment + c.closingCosts.total + c.prepaids.total + c.fundingFees.total - c.sellerConcessions.applied);
+  near(c.shortfall, Math.max(0, c.total - 70000));
+});
+
+test("cash to close: conventional concession cap is 9% from exactly 25% down", async () => {
+  const at25 = await post({ ...LOAN, down: 25, closing: { state: "TX" } });
+  assert.equal(at25.cashToClose.sellerConcessions.capPct, 9);
+  const under = await post({ ...LOAN, down: 24.99, closing: { state: "TX" } });
+  assert.equal(under.cashToClose.sellerConcessions.capPct, 6);
+});
+
+test("cash to close: null or blank cashAvailable counts as not given", async () => {
+  for (const cashAvailable of [null, "", "  "]) {
+    const out = await post({ ...LOAN, cashAvailable });
+    assert.equal(out.cashToClose ?? null, null, `cashAvailable=${JSON.stringify(cashAvailable)}`);
+  }
+  const withClosing = await post({ ...LOAN, closing: { state: "TX" }, cashAvailable: "" });
+  assert.equal(withClosing.cashToClose.available, null);
+  assert.equal(withClosing.cashToClose.shortfall, null);
+});
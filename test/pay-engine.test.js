@@ -0,0 +1,85 @@
+// test/pay-engine.test.js
+// Run: npm test (node --test, from the repo root — data files resolve from process.cwd())
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { computePay } = require("../netlify/functions/lib/pay-engine.js");
+
+const ZIP = "78236"; // TX285 San Antonio, in the seed BAH file
+
+test("dual household: veteran member + active spouse, no kids -> spouse draws BAH with dependents", () => {
+  const r = computePay({
+    mode: "veteran",
+    va_disability: 50,
+    rank: "E-7",
+    yos: 20,
+    zip: ZIP,
+    spouse_rank: "E-5",
+    spouse_yos: 6,
+    spouse_mode: "active",
+  });
+  const [member, spouse] = r.pay.household.members;
+
+  assert.equal(r.pay.household.dualMilitary, false);
+  assert.equal(spouse.pay.payModel, "active");
+  assert.equal(spouse.pay.familyUsed, true);
+  assert.equal(spouse.pay.bah, 1935); // TX285 E-5 with (without = 1530)
+
+  // Veteran side keeps the VA spouse add-on
+  const solo = computePay({ mode: "veteran", va_disability: 50, rank: "E-7", yos: 20, zip: ZIP });
+  assert.equal(member.pay.familyUsed, true);
+  assert.ok(member.pay.vaDisabilityPay > solo.pay.vaDisabilityPay);
+});
+
+test("dual household: both active, no kids -> both without dependents", () => {
+  const r = computePay({ rank: "E-6", yos: 8, zip: ZIP, spouse_rank: "E-5", spouse_yos: 6 });
+  const [member, spouse] = r.pay.household.members;
+  assert.equal(r.pay.household.bahRule, "both_without_dependents");
+  assert.equal(member.pay.bah, 1656);
+  assert.equal(spouse.pay.bah, 1530);
+});
+
+test("dual household: both active with kids -> exactly one draws with dependents", () => {
+  const r = computePay({ rank: "E-6", yos: 8, zip: ZIP, spouse_rank: "E-5", spouse_yos: 6, children: 2 });
+  const [member, spouse] = r.pay.household.members;
+  assert.equal(r.pay.household.bahRule, "one_with_dependents");
+  assert.equal([member.pay.familyUsed, spouse.pay.familyUsed].filter(Boolean).length, 1);
+  assert.equal(r.pay.bah, member.pay.bah + spouse.pay.bah);
+});
+
+test("dual household: a numeric family is the household size (family: 4 -> 2 kids)", () => {
+  const r = computePay({ rank: "E-5", yos: 6, zip: ZIP, spouse_rank: "E-4", spouse_yos: 3, family: 4 });
+  const [member, spouse] = r.pay.household.members;
+  assert.equal(r.pay.household.bahRule, "one_with_dependents");
+  assert.equal(r.pay.household.children, 2);
+  assert.equal([member.pay.familyUsed, spouse.pay.familyUsed].filter(Boolean).length, 1);
+});
+
+test("reserve pay: 4 UTAs at 1/30 of monthly base pay plus 14 days of annual training, averaged", () => {
+  const r = computePay({ mode: "reserve", rank: "E-5", yos: 6, zip: ZIP, civilian_income: 3000 });
+  const full = r.pay.reserve.fullTimeBasePay;
+  const at = r.pay.reserve.annualTraining;
+
+  assert.equal(r.pay.payModel, "reserve");
+  assert.equal(r.pay.reserve.drill.monthly, Math.round((full / 30) * 4 * 100) / 100);
+  assert.equal(at.days, 14);
+  assert.equal(at.bahType, "BAH-RC/T"); // under 30 days: no locality BAH
+  assert.ok(Math.abs(r.pay.basePay - ((full / 30) * 4 + ((full / 30) * 14) / 12)) < 0.01);
+  assert.ok(Math.abs(r.pay.totalPay - (r.pay.reserve.militaryMonthly + 3000)) < 0.01);
+});
+
+test("reserve pay: 30+ days of orders draws locality BAH for the ZIP", () => {
+  const r = computePay({ mode: "reserve", rank: "E-5", yos: 6, zip: ZIP, annual_training_days: 30, civilian_income: 0 });
+  assert.equal(r.pay.reserve.annualTraining.bahType, "locality");
+  assert.equal(r.pay.reserve.annualTraining.bahMonthlyRate, 1530); // TX285 E-5 without
+});
+
+test("reserve pay: locality BAH ZIP comes from the base when no zip is given", () => {
+  const r = computePay({ mode: "reserve", rank: "E-5", yos: 6, base: "JBSA-Lackland", annual_training_days: 30, civilian_income: 0 });
+  assert.equal(r.pay.zipUsed, "78236");
+  assert.equal(r.pay.reserve.annualTraining.bahType, "locality");
+  assert.equal(r.pay.reserve.annualTraining.bahMonthlyRate, 1530);
+  assert.ok(!r.missing.includes("bah_zip_for_locality"));
+});
@@ -0,0 +1,32 @@
+// test/pay-tables.test.js
+// Run: npm test (node --test, from the repo root — data files resolve from process.cwd())
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadPayTables, payTablesForSchedule } = require("../netlify/functions/lib/pay-tables.js");
+
+const all = loadPayTables();
+
+test("capped cells follow each schedule year's cap, not the base year's", () => {
+  const y2024 = payTablesForSchedule(all, { year: 2024 });
+  const y2025 = payTablesForSchedule(all, { year: 2025 });
+
+  assert.equal(y2024.BASEPAY_META.cap_monthly, 18491.7);
+  assert.equal(y2024.BASEPAY["O-10"]["20"], 18491.7);
+  assert.equal(y2025.BASEPAY_META.cap_monthly, 18808.2);
+  assert.equal(y2025.BASEPAY["O-10"]["20"], 18808.2);
+});
+
+test("uncapped cells never exceed that year's cap", () => {
+  const t = payTablesForSchedule(all, { year: 2015 });
+  const cap = t.BASEPAY_META.cap_monthly;
+  for (const steps of Object.values(t.BASEPAY)) {
+    for (const v of Object.values(steps)) assert.ok(v <= cap);
+  }
+});
+
+test("O-7 basic pay is stored to 1 decimal like every other grade", () => {
+  for (const v of Object.values(all.BASEPAY["O-7"])) assert.equal(Math.round(v * 10) / 10, v);
+});
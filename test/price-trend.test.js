@@ -0,0 +1,58 @@
+// test/price-trend.test.js
+// Run: npm test (node --test, from the repo root — data files resolve from process.cwd())
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { computePriceTrend, fitPriceTrend, loanBalanceAfter, monthToYears } = require("../netlify/functions/lib/price-trend.js");
+
+// 36 months of a clean 4%/yr trend: the slope std error is ~0
+function cityAt(ratePct, extra = {}) {
+  const list = [];
+  for (let i = 0; i < 36; i++) {
+    const month = `${2022 + Math.floor(i / 12)}-${String((i % 12) + 1).padStart(2, "0")}`;
+    list.push({ month, median_sale_price: Math.round(300000 * Math.pow(1 + ratePct / 100, i / 12)) });
+  }
+  return { housing: { market: { sale_history_36_months: list, ...extra } } };
+}
+
+test("monthToYears reads YYYY-MM and weekly YYYY-MM-Wn", () => {
+  assert.equal(monthToYears("2025-01"), 2025);
+  assert.ok(Math.abs(monthToYears("2025-01-W2") - (2025 + 7 / 365)) < 1e-9);
+  assert.equal(monthToYears("Jan 2025"), null);
+});
+
+test("fit recovers the trend; the scenario range never narrows below the floor", () => {
+  const t = fitPriceTrend(cityAt(4));
+  assert.equal(t.source, "sale_history_36_months");
+  assert.ok(Math.abs(t.ratePct - 4) < 0.05);
+  assert.ok(t.bands.high - t.bands.base >= 3 - 0.01);
+  assert.ok(t.bands.base - t.bands.low >= 3 - 0.01);
+});
+
+test("a zillow YoY outside the range stretches only its own side", () => {
+  const t = fitPriceTrend(cityAt(4, { zillow_one_year_change_percent: -6 }));
+  assert.equal(t.bands.low, -6);
+  assert.ok(Math.abs(t.bands.high - (t.bands.base + 3)) < 0.02);
+});
+
+test("no history -> default rate with the wider default range", () => {
+  const t = fitPriceTrend({});
+  assert.deepEqual(t.bands, { low: -1, base: 3, high: 7 });
+  assert.ok(t.warnings.includes("no_price_history"));
+});
+
+test("loan balance: zero-rate is linear; 30-yr fixed pays off on schedule", () => {
+  assert.ok(Math.abs(loanBalanceAfter(360000, 0, 30, 120) - 240000) < 1e-6);
+  assert.ok(loanBalanceAfter(300000, 6, 30, 360) < 1e-6);
+  assert.ok(Math.abs(loanBalanceAfter(300000, 6, 30, 60) - 279163.07) < 1);
+});
+
+test("equity at PCS: value − balance, net of selling costs", () => {
+  const r = computePriceTrend({ city: {}, price: 400000, loanAmount: 380000, apr: 6, termYears: 30, tourYears: 3 });
+  const e = r.equityAtPcs;
+  assert.equal(e.base.value, Math.round(400000 * 1.03 ** 3));
+  assert.equal(e.base.gross, Math.round(e.base.value - loanBalanceAfter(380000, 6, 30, 36)));
+  assert.equal(e.base.net, Math.round(e.base.value * 0.93 - loanBalanceAfter(380000, 6, 30, 36)));
+});
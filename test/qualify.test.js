@@ -0,0 +1,78 @@
+// test/qualify.test.js
+// Run: npm test (node --test, from the repo root — data files resolve from process.cwd())
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { evaluateQualification, vaResidualRequired, loadQualificationRules } = require("../netlify/functions/lib/qualify.js");
+const { solveMaxPrice } = require("../netlify/functions/afford.js");
+
+// Active duty: $5,000 Base Pay (taxable) + $2,500 BAS/BAH (non-taxable)
+const pay = { payModel: "active", basePay: 5000, bas: 500, bah: 2000, totalPay: 7500, familyUsed: true };
+const takeHome = { totalTaxMonthly: 800 };
+
+function qualify(extra) {
+  return evaluateQualification({ pay, takeHome, loanAmount: 300000, debtsMonthly: 500, ...extra });
+}
+
+test("conventional DTI grosses up non-taxable pay 25%; stretch between guideline and max", () => {
+  const ok = qualify({ housingMonthly: 2000, state: "TX" }).programs.conventional;
+  assert.equal(ok.incomeMonthly, 5000 + 2500 * 1.25);
+  assert.equal(ok.frontDti, 24.62);
+  assert.equal(ok.backDti, 30.77);
+  assert.equal(ok.status, "pass");
+
+  const stretch = qualify({ housingMonthly: 3000, state: "TX" }).programs.conventional;
+  assert.equal(stretch.status, "stretch");
+  assert.equal(stretch.pass, false);
+});
+
+test("VA residual: property-state region, family of 2, 5% active-duty reduction, maintenance", () => {
+  const r = qualify({ housingMonthly: 2000, state: "TX" });
+  const res = r.programs.va.residual;
+  assert.equal(res.region, "south");
+  assert.equal(res.familySize, 2);
+  assert.equal(res.required, 701.1); // 738 × 0.95
+  assert.equal(res.actual, 7500 - 800 - 2000 - 1800 * 0.14 - 500);
+  assert.equal(r.programs.va.status, "pass");
+});
+
+test("VA over 41% DTI is a stretch only when residual clears 120%", () => {
+  const va = qualify({ housingMonthly: 3500, debtsMonthly: 1000, state: "TX" }).programs.va;
+  assert.equal(va.backDti, 60);
+  assert.equal(va.residual.pass, true);
+  assert.equal(va.status, "stretch");
+});
+
+test("VA without a property state is unknown, never stretch or pass", () => {
+  const r = qualify({ housingMonthly: 3500, debtsMonthly: 1000 });
+  assert.equal(r.programs.va.status, "unknown");
+  assert.equal(r.programs.va.residual, null);
+  assert.ok(r.warnings.includes("va_region_unknown"));
+  assert.ok(r.warnings.includes("va_property_state_missing"));
+
+  const oconus = qualify({ housingMonthly: 2000, state: "GU" });
+  assert.equal(oconus.programs.va.status, "unknown");
+  assert.ok(!oconus.warnings.includes("va_property_state_missing"));
+});
+
+test("residual table: loan band threshold and members past 5", () => {
+  const rules = loadQualificationRules();
+  assert.equal(vaResidualRequired({ familySize: 3, loanAmount: 79999, region: "west" }, rules).required, 859);
+  assert.equal(vaResidualRequired({ familySize: 7, loanAmount: 80000, region: "west" }, rules).required, 1158 + 2 * 80);
+});
+
+test("afford: a VA max price needs the property state and a passing residual test", async () => {
+  const paymentAt = async (price) => ({ totalMonthly: price * 0.007, loanAmount: price });
+
+  const noState = await solveMaxPrice({ pay, takeHome, loanType: "va", debtsMonthly: 500, paymentAt });
+  assert.equal(noState.ok, false);
+
+  const tx = await solveMaxPrice({ pay, takeHome, state: "TX", loanType: "va", debtsMonthly: 500, paymentAt });
+  assert.equal(tx.ok, true);
+  assert.ok(tx.maxPrice > 0);
+  const at = qualify({ housingMonthly: tx.maxPrice * 0.007, loanAmount: tx.maxPrice, state: "TX" }).programs.va;
+  assert.equal(at.residual.pass, true);
+  assert.ok(at.backDti <= at.limits.maxBackDti);
+});
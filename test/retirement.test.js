@@ -0,0 +1,55 @@
+// test/retirement.test.js
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { computeRetiredPay } = require("../netlify/functions/lib/retirement.js");
+const { loadPayTables } = require("../netlify/functions/lib/pay-tables.js");
+
+const CFG = loadPayTables().RETIREMENT;
+const AS_OF = "2026-10-19";
+const REDUX = { diems: "1990-01-01", retirement_date: "2010-01-31", retirement_system: "redux" };
+
+// Full-CPI factor for COLAs paid in [from..to], history first, then the assumption
+function fullCpi(from, to) {
+  let f = 1;
+  for (let y = from; y <= to; y++) f *= 1 + (Number(CFG.cola_history[String(y)] ?? CFG.cola_assumption_pct) || 0) / 100;
+  return f;
+}
+
+test("REDUX: 20 years draws 40% (2.5% x 20 - 1% per year short of 30)", () => {
+  const r = computeRetiredPay({ ...REDUX, birth_date: "1967-03-01" }, { rank: "E-7", yos: 20, asOf: AS_OF });
+  assert.equal(r.system, "redux");
+  assert.equal(r.multiplierPct, 40);
+  assert.equal(r.atRetirementMonthly, Math.round(r.retiredPayBase.amount * 0.4 * 100) / 100);
+});
+
+test("REDUX catch-up at 62 (in history) = High-36 x 50% x full CPI since retirement, then CPI - 1", () => {
+  // Born 1960-03 -> 62 during 2022
+  const r = computeRetiredPay({ ...REDUX, birth_date: "1960-03-01" }, { rank: "E-7", yos: 20, asOf: AS_OF });
+  let expected = r.retiredPayBase.amount * 0.5 * fullCpi(2011, 2022);
+  for (let y = 2023; y <= 2026; y++) expected *= 1 + (CFG.cola_history[String(y)] - 1) / 100;
+
+  assert.equal(r.cola.catchUpAt62, true);
+  assert.ok(Math.abs(r.grossMonthly - expected) < 0.02, `${r.grossMonthly} vs ${expected}`);
+});
+
+test("REDUX catch-up at 62 (in projection) recomputes instead of pinning to a CPI track", () => {
+  // Born 1967-03 -> 62 during 2029
+  const r = computeRetiredPay({ ...REDUX, birth_date: "1967-03-01" }, { rank: "E-7", yos: 20, asOf: AS_OF });
+  const at62 = r.cola.projection.find((p) => p.age === 62);
+  const after = r.cola.projection.find((p) => p.age === 63);
+  const expected = r.retiredPayBase.amount * 0.5 * fullCpi(2011, 2029);
+
+  assert.ok(Math.abs(at62.grossMonthly - expected) < 0.02, `${at62.grossMonthly} vs ${expected}`);
+  const cpiMinus1 = CFG.cola_assumption_pct - 1;
+  assert.ok(Math.abs(after.grossMonthly - at62.grossMonthly * (1 + cpiMinus1 / 100)) < 0.02);
+});
+
+test("High-3: 20 years draws 50% and full CPI, no catch-up flag", () => {
+  const r = computeRetiredPay({ diems: "1990-01-01", retirement_date: "2010-01-31", birth_date: "1960-03-01", retirement_system: "high3" }, { rank: "E-7", yos: 20, asOf: AS_OF });
+  assert.equal(r.multiplierPct, 50);
+  assert.equal(r.cola.catchUpAt62, null);
+  assert.ok(Math.abs(r.grossMonthly - r.atRetirementMonthly * fullCpi(2011, 2026)) < 0.05);
+});
@@ -0,0 +1,44 @@
+// test/tax.test.js
+// Run: npm test (node --test, from the repo root — data files resolve from process.cwd())
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { computePay } = require("../netlify/functions/lib/pay-engine.js");
+const { estimateTakeHome } = require("../netlify/functions/lib/tax.js");
+
+const ZIP = "78236"; // TX285 San Antonio (Texas: no state income tax)
+
+function takeHome(profile) {
+  const r = computePay({ mode: "active", rank: "E-6", yos: 8, zip: ZIP, ...profile });
+  return estimateTakeHome(r.pay, profile);
+}
+
+test("default filing status: single parent files head of household, not MFJ", () => {
+  const t = takeHome({ family: true, children_under_18: 2 });
+  assert.equal(t.filingStatus, "hoh");
+  assert.ok(t.warnings.includes("filing_status_assumed"));
+  assert.ok(t.federal.childCreditAnnual > 0);
+});
+
+test("default filing status: spouse -> mfj, no dependents -> single", () => {
+  assert.equal(takeHome({ family: true, va_spouse: true, children_under_18: 1 }).filingStatus, "mfj");
+  assert.equal(takeHome({ family: 4 }).filingStatus, "mfj");
+  assert.equal(takeHome({ family: true }).filingStatus, "mfj");
+  assert.equal(takeHome({}).filingStatus, "single");
+});
+
+test("explicit filing_status wins and is not reported as assumed", () => {
+  const t = takeHome({ family: true, children_under_18: 2, filing_status: "married" });
+  assert.equal(t.filingStatus, "mfj");
+  assert.ok(!t.warnings.includes("filing_status_assumed"));
+});
+
+test("BAH and BAS are not taxable; FICA is on Base Pay only", () => {
+  const r = computePay({ mode: "active", rank: "E-6", yos: 8, zip: ZIP });
+  const t = estimateTakeHome(r.pay, {});
+  assert.equal(t.taxableMonthly, r.pay.basePay);
+  assert.equal(t.fica.wagesMonthly, r.pay.basePay);
+  assert.equal(t.state.monthly, 0);
+});